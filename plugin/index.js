@@ -7,6 +7,7 @@
 
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 // ─── Security helpers ─────────────────────────────────────────────────────────
 
@@ -123,14 +124,19 @@ const TidesProvider = require('./src/dataprovider/tides');
 const MemoryManager = require('./src/memory');
 const LLMClient = require('./src/llm');
 const VoiceModule = require('./src/voice');
+const VoiceCommandListener = require('./src/voice/listener');
 const OrchestratorBrain = require('./src/brain');
 const LogbookManager = require('./src/logbook');
 const ConfigManager = require('./src/config');
+const PolarRecorder = require('./src/polar/polar-recorder');
+const SoundingGrid = require('./src/bathymetry/sounding-grid');
+const { FORMATS: POLAR_FORMATS } = require('./src/polar/polar-importer');
 
 module.exports = function(app) {
     const plugin = {};
     let brain = null;
     let components = {};
+    let currentOptions = {};
     
     plugin.id = 'ocearo-core';
     plugin.name = 'Océaro Core';
@@ -156,6 +162,8 @@ module.exports = function(app) {
             };
         }
         
+        currentOptions = options;
+
         try {
             // Initialize components with individual error handling
             
@@ -188,6 +196,21 @@ module.exports = function(app) {
                     personality: options.personality || 'jarvis'
                 });
 
+                app.debug('Initializing Polar Recorder...');
+                components.polarRecorder = new PolarRecorder(app, options, {
+                    signalkProvider: components.signalkProvider,
+                    getMode: () => brain?.state?.mode
+                });
+                components.polarRecorder.start();
+                components.configManager.setLearnedPolar(components.polarRecorder, options.polars?.source);
+
+                app.debug('Initializing Sounding Grid...');
+                components.soundingGrid = new SoundingGrid(app, options, {
+                    tidesProvider: components.tidesProvider,
+                    configManager: components.configManager
+                });
+                components.soundingGrid.start();
+
                 app.debug('Initializing LLM Client...');
                 components.llm = new LLMClient(app, options || {}, components.configManager);
                 
@@ -198,6 +221,14 @@ module.exports = function(app) {
                 app.debug('Creating Orchestrator Brain...');
                 brain = new OrchestratorBrain(app, options, components);
                 await brain.start();
+
+                app.debug('Initializing Voice Command Listener...');
+                components.voiceListener = new VoiceCommandListener(app, options || {}, {
+                    brain,
+                    voice: components.voice,
+                    configManager: components.configManager
+                });
+                components.voiceListener.start();
                 
             } catch (error) {
                 error.failedComponent = error.failedComponent || 'Unknown';
@@ -222,7 +253,10 @@ module.exports = function(app) {
             
             // Cleanup any started components
             try {
+                if (components.voiceListener) components.voiceListener.stop();
                 if (components.voice) components.voice.stop();
+                if (components.polarRecorder) components.polarRecorder.stop();
+                if (components.soundingGrid) components.soundingGrid.stop();
                 if (components.signalkProvider) components.signalkProvider.stop();
                 if (components.memoryManager) await components.memoryManager.stop();
                 if (components.logbookManager) await components.logbookManager.stop();
@@ -245,9 +279,12 @@ module.exports = function(app) {
             }
             
             // Stop components
+            if (components.voiceListener) components.voiceListener.stop();
             if (components.voice) components.voice.stop();
             if (components.weatherProvider) components.weatherProvider.stop();
             if (components.tidesProvider) await components.tidesProvider.stop();
+            if (components.polarRecorder) components.polarRecorder.stop();
+            if (components.soundingGrid) components.soundingGrid.stop();
             if (components.signalkProvider) components.signalkProvider.stop();
             if (components.memoryManager) await components.memoryManager.stop();
             if (components.logbookManager) await components.logbookManager.stop();
@@ -322,6 +359,7 @@ module.exports = function(app) {
                     logbookBackend: components.logbookManager?.backend || 'unknown',
                     anchor: brain?.anchorPlugin?.getState() || 'unknown',
                     voice: components.voice?.enabled || false,
+                    voiceCommands: components.voiceListener?.enabled || false,
                     llm: components.llm?.isConnected() || false
                 }
             };
@@ -351,6 +389,68 @@ module.exports = function(app) {
             res.json(brain.getSystemStatus());
         });
         
+        // AIS target track — rolling history, filtered motion, last manoeuvre
+        router.get('/ais/tracks/:mmsi', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            const track = brain.aisAnalyzer.getTrack(req.params.mmsi);
+            if (!track) return res.status(404).json({ error: 'Target not tracked' });
+            res.json(track);
+        });
+        
+        // AIS distress beacons (SART / MOB / EPIRB)
+        router.get('/ais/distress', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            res.json(brain.distressWatch.getActive());
+        });
+
+        router.post('/ais/distress/:mmsi/acknowledge', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            if (!brain.distressWatch.acknowledge(req.params.mmsi)) {
+                return res.status(404).json({ error: 'No active distress beacon with this MMSI' });
+            }
+            res.json({ success: true, active: brain.distressWatch.getActive() });
+        });
+
+        // Man overboard
+        router.get('/mob', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            res.json(brain.mobManager.getStatus());
+        });
+
+        router.post('/mob', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            const { position } = req.body || {};
+            if (position !== undefined && (
+                typeof position?.latitude !== 'number' || Math.abs(position.latitude) > 90 ||
+                typeof position?.longitude !== 'number' || Math.abs(position.longitude) > 180)) {
+                return res.status(400).json({ error: 'position must be { latitude, longitude } in degrees' });
+            }
+            try {
+                res.json({ success: true, mob: brain.startMOB({ source: 'rest', position }) });
+            } catch (error) {
+                res.status(422).json({ error: error.message });
+            }
+        });
+
+        router.post('/mob/end', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            const mob = brain.endMOB();
+            if (!mob) return res.status(404).json({ error: 'No man overboard in progress' });
+            res.json({ success: true, mob, mode: brain.state.mode });
+        });
+        
         // Manual analysis — heavy AI operation, stricter rate limit
         router.post('/analyze', rateLimit(analysisLimiter), async (req, res) => {
             if (!brain) {
@@ -382,6 +482,104 @@ module.exports = function(app) {
             }
         });
         
+        // Free-form question to the co-pilot — heavy AI operation, stricter rate limit
+        router.post('/ask', rateLimit(analysisLimiter), async (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+
+            const { question: rawQuestion, sessionId: rawSessionId, speak } = req.body;
+
+            if (!rawQuestion) return res.status(400).json({ error: 'Question is required' });
+            if (typeof rawQuestion !== 'string') return res.status(400).json({ error: 'Question must be a string' });
+
+            const question = sanitiseString(rawQuestion, 500);
+            if (question.length === 0) return res.status(400).json({ error: 'Question cannot be empty' });
+
+            if (rawSessionId !== undefined &&
+                (typeof rawSessionId !== 'string' || !/^[\w-]{1,64}$/.test(rawSessionId))) {
+                return res.status(400).json({ error: 'sessionId must be 1-64 letters, digits, - or _' });
+            }
+            if (speak !== undefined && typeof speak !== 'boolean') {
+                return res.status(400).json({ error: 'speak must be a boolean' });
+            }
+
+            const sessionId = rawSessionId || crypto.randomUUID();
+
+            try {
+                res.json(await brain.ask(question, sessionId, { speak: speak === true }));
+            } catch (error) {
+                const isUnavailable = error.message.includes('LLM service not available');
+                res.status(isUnavailable ? 503 : 500).json({
+                    error: isUnavailable ? 'LLM service not available' : 'Question failed',
+                    message: error.message
+                });
+            }
+        });
+
+        // Forget a co-pilot conversation
+        router.delete('/ask/:sessionId', (req, res) => {
+            if (!components.memoryManager) {
+                return res.status(503).json({ error: 'Memory manager not initialized' });
+            }
+            const cleared = components.memoryManager.clearConversation(req.params.sessionId);
+            res.json({ success: true, cleared });
+        });
+
+        // Departure window planning — one isochrone route per candidate start time
+        router.post('/plan/departure', rateLimit(analysisLimiter), async (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+
+            const { destination, from, to, intervalHours = 1, departures: rawDepartures, speak } = req.body;
+
+            if (typeof destination?.latitude !== 'number' || typeof destination?.longitude !== 'number' ||
+                Math.abs(destination.latitude) > 90 || Math.abs(destination.longitude) > 180) {
+                return res.status(400).json({ error: 'destination must have numeric latitude and longitude' });
+            }
+            if (speak !== undefined && typeof speak !== 'boolean') {
+                return res.status(400).json({ error: 'speak must be a boolean' });
+            }
+
+            let departures;
+            if (rawDepartures !== undefined) {
+                if (!Array.isArray(rawDepartures) || rawDepartures.length === 0) {
+                    return res.status(400).json({ error: 'departures must be a non-empty array of ISO dates' });
+                }
+                departures = rawDepartures.map(d => new Date(d));
+            } else {
+                const start = from ? new Date(from) : new Date();
+                const end = to ? new Date(to) : new Date(start.getTime() + 12 * 3_600_000);
+                if (typeof intervalHours !== 'number' || intervalHours < 0.5) {
+                    return res.status(400).json({ error: 'intervalHours must be a number >= 0.5' });
+                }
+                if (!(end >= start)) {
+                    return res.status(400).json({ error: 'to must not be before from' });
+                }
+                departures = [];
+                for (let t = start.getTime(); t <= end.getTime() && departures.length <= 24; t += intervalHours * 3_600_000) {
+                    departures.push(new Date(t));
+                }
+            }
+            if (departures.some(d => isNaN(d.getTime()))) {
+                return res.status(400).json({ error: 'Invalid departure date' });
+            }
+            if (departures.length > 24) {
+                return res.status(400).json({ error: 'At most 24 departure times' });
+            }
+
+            try {
+                res.json(await brain.planDeparture({
+                    latitude: destination.latitude,
+                    longitude: destination.longitude,
+                    name: typeof destination.name === 'string' ? sanitiseString(destination.name, 100) : null
+                }, { departures, speak: speak !== false }));
+            } catch (error) {
+                res.status(500).json({ error: 'Departure planning failed', message: error.message });
+            }
+        });
+
         // Mode change
         router.post('/mode', (req, res) => {
             if (!brain) {
@@ -391,7 +589,7 @@ module.exports = function(app) {
             const { mode } = req.body;
 
             // Validate mode parameter
-            const validModes = ['sailing', 'anchored', 'motoring', 'moored', 'racing'];
+            const validModes = ['sailing', 'anchored', 'motoring', 'moored', 'racing', 'mob'];
             if (!mode) {
                 return res.status(400).json({ error: 'Mode is required' });
             }
@@ -416,6 +614,51 @@ module.exports = function(app) {
             }
         });
         
+        // Keel position (retractable keel) for the depth look-ahead
+        router.get('/keel', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            res.json(brain.getKeelStatus());
+        });
+
+        router.post('/keel', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+
+            const { position } = req.body;
+            if (position !== 'up' && position !== 'down') {
+                return res.status(400).json({ error: 'position must be "up" or "down"' });
+            }
+            res.json({ success: true, ...brain.setKeelPosition(position) });
+        });
+
+        // Mode inference — inferred mode, evidence and the pending proposal
+        router.get('/mode/inference', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            res.json(brain.modeInference.getStatus());
+        });
+
+        router.post('/mode/inference/answer', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+
+            const { accept } = req.body;
+            if (typeof accept !== 'boolean') {
+                return res.status(400).json({ error: 'accept must be a boolean' });
+            }
+
+            const status = brain.modeInference.answer(accept);
+            if (!status) {
+                return res.status(404).json({ error: 'No mode proposal pending' });
+            }
+            res.json({ success: true, mode: brain.state.mode, ...status });
+        });
+
         // Do-not-disturb — silence voice and pause scheduled analyses
         router.get('/dnd', (req, res) => {
             if (!brain) {
@@ -469,7 +712,256 @@ module.exports = function(app) {
             components.voice.speak(text, { priority: priority || 'normal' });
             res.json({ success: true });
         });
+
+        // Voice command — transcribe a WAV file (or take text) and run it
+        // through wake-word gating and intent matching like a spoken command
+        router.post('/voice/command', rateLimit(speakLimiter), async (req, res) => {
+            if (!brain || !components.voiceListener) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+
+            const { wav, text } = req.body;
+            if (!wav && !text) {
+                return res.status(400).json({ error: 'wav (absolute path to a WAV file) or text is required' });
+            }
+
+            try {
+                if (wav) {
+                    if (typeof wav !== 'string' || !path.isAbsolute(wav) || !/\.wav$/i.test(wav)) {
+                        return res.status(400).json({ error: 'wav must be an absolute path to a .wav file' });
+                    }
+                    if (!fs.existsSync(wav)) {
+                        return res.status(404).json({ error: 'WAV file not found' });
+                    }
+                    return res.json(await components.voiceListener.processFile(wav));
+                }
+
+                if (typeof text !== 'string') return res.status(400).json({ error: 'Text must be a string' });
+                const transcript = sanitiseString(text, 200);
+                if (transcript.length === 0) return res.status(400).json({ error: 'Text cannot be empty' });
+                res.json(await components.voiceListener.handleTranscript(transcript));
+            } catch (error) {
+                res.status(500).json({ error: 'Voice command failed', message: error.message });
+            }
+        });
+
+        router.get('/voice/listener', (req, res) => {
+            if (!components.voiceListener) {
+                return res.status(503).json({ error: 'Voice listener not initialized' });
+            }
+            res.json(components.voiceListener.getStatus());
+        });
         
+        // Learned polar — statistics, ORC/Expedition-style CSV export, reset
+        router.get('/polars/learned', (req, res) => {
+            if (!components.polarRecorder) {
+                return res.status(503).json({ error: 'Polar recorder not initialized' });
+            }
+            res.json({
+                source: components.configManager.polarSource,
+                ...components.polarRecorder.getStatistics(),
+                table: components.polarRecorder.getTable()
+            });
+        });
+
+        router.get('/polars/learned/export', (req, res) => {
+            if (!components.polarRecorder) {
+                return res.status(503).json({ error: 'Polar recorder not initialized' });
+            }
+
+            const separators = { semicolon: ';', comma: ',', tab: '\t' };
+            const key = String(req.query.separator || 'semicolon');
+            const separator = Object.hasOwn(separators, key) ? separators[key] : null;
+            if (!separator) {
+                return res.status(400).json({ error: 'Invalid separator', validSeparators: Object.keys(separators) });
+            }
+            // 'blend' fills bins without enough samples from the blended polar
+            const fill = req.query.fill === 'blend'
+                ? (tws, twa) => components.configManager.polar(tws, twa, 'blend')
+                : null;
+
+            res.set('Content-Type', 'text/csv');
+            res.set('Content-Disposition', 'attachment; filename="learned-polar.csv"');
+            res.send(components.polarRecorder.toCsv({ separator, fill }));
+        });
+
+        router.delete('/polars/learned', (req, res) => {
+            if (!components.polarRecorder) {
+                return res.status(503).json({ error: 'Polar recorder not initialized' });
+            }
+            components.polarRecorder.reset();
+            res.json({ success: true });
+        });
+
+        // Personal bathymetry — statistics, GeoJSON export, reset
+        router.get('/bathymetry', (req, res) => {
+            if (!components.soundingGrid) {
+                return res.status(503).json({ error: 'Sounding grid not initialized' });
+            }
+            res.json(components.soundingGrid.getStatistics());
+        });
+
+        router.get('/bathymetry/geojson', (req, res) => {
+            if (!components.soundingGrid) {
+                return res.status(503).json({ error: 'Sounding grid not initialized' });
+            }
+
+            let bbox;
+            if (req.query.bbox) {
+                bbox = String(req.query.bbox).split(',').map(Number);
+                if (bbox.length !== 4 || bbox.some(v => !Number.isFinite(v))) {
+                    return res.status(400).json({ error: 'bbox must be minLon,minLat,maxLon,maxLat' });
+                }
+            }
+
+            res.set('Content-Type', 'application/geo+json');
+            res.set('Content-Disposition', 'attachment; filename="soundings.geojson"');
+            res.send(JSON.stringify(components.soundingGrid.toGeoJSON(bbox)));
+        });
+
+        router.delete('/bathymetry', (req, res) => {
+            if (!components.soundingGrid) {
+                return res.status(503).json({ error: 'Sounding grid not initialized' });
+            }
+            components.soundingGrid.reset();
+            res.json({ success: true });
+        });
+
+        // Polar import — writes a new user boat profile from an Expedition/ORC/CSV/.pol file
+        router.post('/polars/import', rateLimit(generalLimiter), async (req, res) => {
+            if (!components.configManager) {
+                return res.status(503).json({ error: 'Config manager not initialized' });
+            }
+
+            const { content, format, filename, boatId, name, baseBoat, activate, overwrite } = req.body;
+            if (typeof content !== 'string' || content.trim().length === 0) {
+                return res.status(400).json({ error: 'Polar file content is required' });
+            }
+            if (content.length > 200000) {
+                return res.status(400).json({ error: 'Polar file too large (max 200000 characters)' });
+            }
+            if (format !== undefined && !POLAR_FORMATS.includes(format)) {
+                return res.status(400).json({ error: 'Invalid format', validFormats: POLAR_FORMATS });
+            }
+            if (typeof boatId !== 'string') {
+                return res.status(400).json({ error: 'boatId is required' });
+            }
+
+            try {
+                const result = components.configManager.importPolar(content, {
+                    format,
+                    filename: typeof filename === 'string' ? sanitiseString(filename, 200) : undefined,
+                    boatId,
+                    name: typeof name === 'string' ? sanitiseString(name, 100) : undefined,
+                    baseBoat: typeof baseBoat === 'string' ? baseBoat : undefined,
+                    overwrite: overwrite === true
+                });
+                if (activate === true) await activateBoat(result.id);
+                res.json({ success: true, activeBoat: components.configManager.boatId, ...result });
+            } catch (error) {
+                // Parse/validation errors are plain; filesystem errors carry an errno code
+                const status = error.code ? 500 : 400;
+                res.status(status).json({ error: 'Polar import failed', message: error.message });
+            }
+        });
+
+        // Boat profiles — built-in (config/boats) and user (<dataDir>/ocearo-boats)
+        const activateBoat = async (boatId) => {
+            if (brain) {
+                await brain.reloadBoatProfile(boatId);
+            } else {
+                components.configManager.reload({ boat: boatId });
+            }
+            // Keep the choice for the next plugin start
+            if (currentOptions.boat !== boatId && typeof app.savePluginOptions === 'function') {
+                currentOptions.boat = boatId;
+                app.savePluginOptions(currentOptions, (err) => {
+                    if (err) app.error(`Failed to save boat setting: ${err.message}`);
+                });
+            }
+        };
+
+        router.get('/boats', requireComponent(() => components.configManager, 'Config manager'), (req, res) => {
+            res.json({
+                active: components.configManager.boatId,
+                boats: components.configManager.listBoats()
+            });
+        });
+
+        router.get('/boats/:id', requireComponent(() => components.configManager, 'Config manager'), (req, res) => {
+            try {
+                const entry = components.configManager.getBoatProfile(req.params.id);
+                if (!entry) return res.status(404).json({ error: 'Boat profile not found' });
+                res.json({ ...entry, active: req.params.id === components.configManager.boatId });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to read boat profile', message: error.message });
+            }
+        });
+
+        router.post('/boats', requireComponent(() => components.configManager, 'Config manager'), (req, res) => {
+            const profile = req.body;
+            const errors = components.configManager.validateBoat(profile);
+            if (errors.length) return res.status(400).json({ error: 'Invalid boat profile', errors });
+            if (components.configManager.getBoatProfile(profile.id)) {
+                return res.status(409).json({ error: 'Boat profile already exists', id: profile.id });
+            }
+            try {
+                res.status(201).json({ success: true, ...components.configManager.saveBoat(profile) });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to save boat profile', message: error.message });
+            }
+        });
+
+        router.put('/boats/:id', requireComponent(() => components.configManager, 'Config manager'), async (req, res) => {
+            const profile = { ...req.body, id: req.params.id };
+            const errors = components.configManager.validateBoat(profile);
+            if (errors.length) return res.status(400).json({ error: 'Invalid boat profile', errors });
+            try {
+                // Saving over a built-in id creates a user copy that shadows it
+                const result = components.configManager.saveBoat(profile, { overwrite: true });
+                if (profile.id === components.configManager.boatId) await activateBoat(profile.id);
+                res.json({ success: true, ...result });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to save boat profile', message: error.message });
+            }
+        });
+
+        router.delete('/boats/:id', requireComponent(() => components.configManager, 'Config manager'), async (req, res) => {
+            const entry = components.configManager.getBoatProfile(req.params.id);
+            if (!entry) return res.status(404).json({ error: 'Boat profile not found' });
+            if (entry.source !== 'user') {
+                return res.status(403).json({ error: 'Built-in boat profiles cannot be deleted' });
+            }
+            // Deleting the active profile is only allowed when a built-in one takes over
+            const shadowsBuiltin = fs.existsSync(path.join(__dirname, 'config', 'boats', `${req.params.id}.json`));
+            if (req.params.id === components.configManager.boatId && !shadowsBuiltin) {
+                return res.status(409).json({ error: 'Cannot delete the active boat profile' });
+            }
+            try {
+                components.configManager.deleteBoat(req.params.id);
+                if (req.params.id === components.configManager.boatId) await activateBoat(req.params.id);
+                res.json({ success: true });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to delete boat profile', message: error.message });
+            }
+        });
+
+        router.post('/boats/:id/activate', requireComponent(() => components.configManager, 'Config manager'), async (req, res) => {
+            if (!components.configManager.getBoatProfile(req.params.id)) {
+                return res.status(404).json({ error: 'Boat profile not found' });
+            }
+            try {
+                await activateBoat(req.params.id);
+                res.json({
+                    success: true,
+                    active: components.configManager.boatId,
+                    name: components.configManager.boatValue('name', components.configManager.boatId)
+                });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to switch boat profile', message: error.message });
+            }
+        });
+
         // Memory operations
         router.get('/memory', (req, res) => {
             if (!components.memoryManager) {
@@ -620,11 +1112,24 @@ module.exports = function(app) {
                 if (!record.liters || parseFloat(record.liters) <= 0) {
                     return res.status(400).json({ error: 'liters must be a positive number' });
                 }
+                // A string "false" would otherwise count as a full tank
+                if (record.full !== undefined && typeof record.full !== 'boolean') {
+                    return res.status(400).json({ error: 'full must be a boolean' });
+                }
 
                 const result = await components.logbookManager.addFuelLogEntry({
                     ...record,
                     datetime: new Date().toISOString()
                 });
+                // Reset the tank estimate from the refuel. The entry is saved
+                // by now, so a sync failure must not turn into a 500.
+                if (brain) {
+                    try {
+                        await brain.fuelMonitor.syncRefuels();
+                    } catch (syncError) {
+                        app.error('Fuel monitor: refuel not applied to the tank estimate:', syncError.message);
+                    }
+                }
                 res.json(result);
             } catch (error) {
                 res.status(500).json({ error: 'Failed to add fuel log entry', message: error.message });
@@ -644,6 +1149,158 @@ module.exports = function(app) {
             }
         });
 
+        // Fuel burn model — tank estimate, L/h, range under power, anomalies
+        router.get('/fuel', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            res.json(brain.fuelMonitor.getStatus());
+        });
+
+        router.post('/fuel/level', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+
+            try {
+                res.json(brain.fuelMonitor.setLevel(req.body?.liters));
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        // Energy budget — battery state of charge, charge sources, outlook
+        router.get('/energy', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            res.json(brain.energyMonitor.getStatus());
+        });
+
+        // Failure prediction — latest check and learned sensor baselines
+        router.get('/failure', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            res.json({
+                lastCheck: brain.state.lastFailureCheck,
+                baselines: brain.sensorBaselines.getStatus()
+            });
+        });
+
+        // Relearn baselines after servicing, e.g. ?sensor=coolant after an impeller change
+        router.delete('/failure/baselines', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            const removed = brain.sensorBaselines.reset(req.query.sensor ? String(req.query.sensor) : undefined);
+            res.json({ success: true, removed });
+        });
+
+        // Maintenance scheduler — tasks by engine hours and calendar
+        router.get('/maintenance', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            res.json({
+                engineHours: brain.maintenance.engineHours(),
+                tasks: brain.maintenance.getTasks()
+            });
+        });
+
+        router.post('/maintenance/:id/complete', async (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            if (!brain.maintenance.tasks.some(t => t.id === req.params.id)) {
+                return res.status(404).json({ error: 'Maintenance task not found' });
+            }
+
+            const { engineHours, datetime, notes } = req.body || {};
+            if (engineHours !== undefined && !Number.isFinite(engineHours)) {
+                return res.status(400).json({ error: 'engineHours must be a number' });
+            }
+            if (datetime !== undefined && Number.isNaN(Date.parse(datetime))) {
+                return res.status(400).json({ error: 'datetime must be an ISO date' });
+            }
+
+            try {
+                res.json(await brain.maintenance.complete(req.params.id, {
+                    engineHours,
+                    datetime,
+                    notes: notes !== undefined ? sanitiseString(notes, 500) : undefined
+                }));
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to complete maintenance task', message: error.message });
+            }
+        });
+
+        router.post('/maintenance/:id/snooze', async (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            if (!brain.maintenance.tasks.some(t => t.id === req.params.id)) {
+                return res.status(404).json({ error: 'Maintenance task not found' });
+            }
+
+            const { days, hours } = req.body || {};
+            const positive = v => v === undefined || (typeof v === 'number' && v > 0);
+            if (!positive(days) || !positive(hours)) {
+                return res.status(400).json({ error: 'days and hours must be positive numbers' });
+            }
+
+            try {
+                res.json(await brain.maintenance.snooze(req.params.id, { days, hours }));
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to snooze maintenance task', message: error.message });
+            }
+        });
+
+        router.get('/logbook/maintenance', async (req, res) => {
+            if (!components.logbookManager) {
+                return res.status(503).json({ error: 'Logbook manager not initialized' });
+            }
+            res.json(await components.logbookManager.getMaintenanceLogEntries());
+        });
+
+        // Bilge watch — pump cycles, run times and level sensors
+        router.get('/bilge', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            res.json({
+                ...brain.bilgeMonitor.getStatus(),
+                lastHour: brain.bilgeMonitor.getHourSummary()
+            });
+        });
+
+        // Water and holding tanks — daily use per mode and forecasts
+        router.get('/tanks', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            res.json({
+                mode: brain.state.mode,
+                tanks: brain.tankMonitor.getForecasts(),
+                pumpout: brain.tankMonitor.nearestPumpout()
+            });
+        });
+
+        router.get('/tanks/:tank/history', (req, res) => {
+            if (!brain) {
+                return res.status(503).json({ error: 'Service not initialized' });
+            }
+            const hours = req.query.hours !== undefined ? Number(req.query.hours) : undefined;
+            if (hours !== undefined && !(hours > 0)) {
+                return res.status(400).json({ error: 'hours must be a positive number' });
+            }
+            const history = brain.tankMonitor.getHistory(req.params.tank, hours);
+            if (!history) {
+                return res.status(404).json({ error: 'Tank not found' });
+            }
+            res.json(history);
+        });
+
         // Logbook AI analysis — accepts optional pre-fetched entries in body
         router.post('/logbook/analyze', rateLimit(analysisLimiter), async (req, res) => {
             if (!brain) {
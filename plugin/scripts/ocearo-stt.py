@@ -0,0 +1,123 @@
+#!/opt/vosk/venv/bin/python3
+"""
+Ocearo offline speech-to-text helper (Vosk).
+
+Two modes:
+  * one-shot (default)  — transcribe the WAV file given with --wav, print the
+                          text and exit. Handy for checking a model by hand.
+  * server (--server)   — load the Vosk model ONCE and keep it resident,
+                          then read one JSON request per stdin line:
+                              {"wav": "/path/to/command.wav"}
+                          and answer with a marker line on stdout:
+                              __OCEARO_STT__:result:{"text": "..."}
+                          With --mic, the microphone is also captured through
+                          arecord and every final utterance is reported as:
+                              __OCEARO_STT__:heard:{"text": "..."}
+
+WAV input must be 16-bit mono PCM; any sample rate the model accepts works
+(16 kHz is the native rate of the small Vosk models).
+"""
+import sys
+import argparse
+import subprocess
+import threading
+import wave
+import json
+
+# Sentinel the Node side scans for on stdout (model/library logs go to stderr).
+MARKER = "__OCEARO_STT__"
+MIC_RATE = 16000
+
+_out_lock = threading.Lock()
+
+
+def _log(*a):
+    print(*a, file=sys.stderr, flush=True)
+
+
+def _emit(kind, payload=None):
+    line = f"{MARKER}:{kind}"
+    if payload is not None:
+        line += ":" + json.dumps(payload, ensure_ascii=False)
+    with _out_lock:
+        print(line, flush=True)
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Ocearo Vosk STT")
+    parser.add_argument("--model", default="/opt/vosk/model-fr", help="Vosk model directory.")
+    parser.add_argument("--wav", help="One-shot: transcribe this file and exit.")
+    parser.add_argument(
+        "--server",
+        action="store_true",
+        help="Persistent mode: keep the model loaded, one JSON request per stdin line.",
+    )
+    parser.add_argument("--mic", action="store_true", help="Server mode: also listen on the microphone.")
+    parser.add_argument("--device", default="default", help="ALSA capture device for --mic.")
+    args = parser.parse_args()
+
+    from vosk import Model, KaldiRecognizer, SetLogLevel
+
+    SetLogLevel(-1)
+    model = Model(args.model)
+
+    def transcribe(path):
+        with wave.open(path, "rb") as wf:
+            if wf.getnchannels() != 1 or wf.getsampwidth() != 2:
+                raise ValueError("WAV must be 16-bit mono PCM")
+            rec = KaldiRecognizer(model, wf.getframerate())
+            parts = []
+            while True:
+                data = wf.readframes(4000)
+                if not data:
+                    break
+                if rec.AcceptWaveform(data):
+                    parts.append(json.loads(rec.Result()).get("text", ""))
+            parts.append(json.loads(rec.FinalResult()).get("text", ""))
+        return " ".join(p for p in parts if p).strip()
+
+    def listen():
+        rec = KaldiRecognizer(model, MIC_RATE)
+        proc = subprocess.Popen(
+            ["arecord", "-q", "-D", args.device, "-f", "S16_LE", "-r", str(MIC_RATE), "-c", "1", "-t", "raw"],
+            stdout=subprocess.PIPE,
+        )
+        while True:
+            data = proc.stdout.read(4000)
+            if not data:
+                _log("Microphone capture ended")
+                break
+            if rec.AcceptWaveform(data):
+                text = json.loads(rec.Result()).get("text", "").strip()
+                if text:
+                    _emit("heard", {"text": text})
+
+    if not args.server:
+        # One-shot mode.
+        if not args.wav:
+            parser.error("--wav is required without --server")
+        print(transcribe(args.wav), flush=True)
+        return
+
+    # Server mode — model stays resident.
+    if args.mic:
+        threading.Thread(target=listen, daemon=True).start()
+
+    _emit("ready")
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+        try:
+            req = json.loads(line)
+            _emit("result", {"text": transcribe(req["wav"])})
+        except Exception as e:  # never let one bad file kill the daemon
+            _log(f"STT error: {e}")
+            _emit("error")
+
+
+if __name__ == "__main__":
+    try:
+        main()
+    except KeyboardInterrupt:
+        pass
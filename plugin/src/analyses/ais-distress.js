@@ -0,0 +1,251 @@
+/**
+ * AIS Distress Watch
+ *
+ * Emergency workflow for AIS-SART, MOB devices and EPIRBs detected by
+ * AISAnalyzer.detectDistressBeacons():
+ * - emergency notification notifications.<pluginId>.ais.distress.<mmsi>
+ * - spoken bearing and range, bypassing do-not-disturb, repeated every
+ *   30 s until acknowledged
+ * - waypoint resource at the beacon position, moved as the beacon drifts
+ * - logbook entry through LogbookManager
+ *
+ * A beacon not reported for LOST_AFTER_MS ends its emergency; the waypoint
+ * is kept as the last known position.
+ */
+
+const crypto = require('crypto');
+const { distanceNM } = require('./isochrone').geo;
+
+const REPEAT_MS = 30_000;
+const LOST_AFTER_MS = 10 * 60_000;
+
+/** Move the waypoint when the beacon has drifted this far (NM, ~50 m) */
+const WAYPOINT_MOVE_NM = 0.027;
+
+class AISDistressWatch {
+    /**
+     * @param {object} app     SignalK app object
+     * @param {object} config  Plugin configuration
+     * @param {object} sources { aisAnalyzer, signalkProvider, voice, cm, logbookManager }
+     */
+    constructor(app, config, sources) {
+        this.app = app;
+        this.config = config;
+        this.aisAnalyzer = sources.aisAnalyzer;
+        this.signalkProvider = sources.signalkProvider;
+        this.voice = sources.voice;
+        this.cm = sources.cm;
+        this.logbookManager = sources.logbookManager;
+        this.pluginId = config.pluginId || 'ocearo-core';
+
+        /** mmsi → { mmsi, type, name, position, range, bearing, firstSeen, lastSeen, lastAnnounced, acknowledged, waypointId } */
+        this.active = new Map();
+        this._timer = null;
+    }
+
+    /**
+     * Scan for distress beacons, raise new emergencies and end lost ones.
+     * @param {object} [ownVessel] Own vessel data (read from the provider when omitted)
+     * @param {object} [vessels]   vessels.* context, for injecting test targets
+     * @returns {Array<object>} Active emergencies
+     */
+    check(ownVessel = this.signalkProvider.getVesselData(), vessels) {
+        const now = Date.now();
+        for (const { timestamp, ...beacon } of this.aisAnalyzer.detectDistressBeacons(ownVessel, vessels)) {
+            const seen = Math.min(now, timestamp ? new Date(timestamp).getTime() || now : now);
+            if (now - seen > LOST_AFTER_MS) continue;
+
+            const known = this.active.get(beacon.mmsi);
+            if (!known) {
+                this._raise({ ...beacon, firstSeen: now, lastSeen: seen, acknowledged: false, waypointId: null });
+                continue;
+            }
+            Object.assign(known, beacon, { lastSeen: seen });
+            if (distanceNM(known.waypointPosition, beacon.position) > WAYPOINT_MOVE_NM) {
+                this._writeWaypoint(known);
+            }
+        }
+
+        for (const emergency of [...this.active.values()]) {
+            if (now - emergency.lastSeen > LOST_AFTER_MS) this._lose(emergency);
+        }
+        return this.getActive();
+    }
+
+    /**
+     * Stop repeating the announcement for a beacon; the notification and
+     * waypoint stay until the beacon is lost.
+     * @param {string} mmsi  MMSI or vessel URN
+     * @returns {boolean} false when no such emergency is active
+     */
+    acknowledge(mmsi) {
+        const emergency = this._find(mmsi);
+        if (!emergency) return false;
+        emergency.acknowledged = true;
+        this.app.debug(`AIS distress ${emergency.mmsi} acknowledged`);
+        return true;
+    }
+
+    getActive() {
+        return [...this.active.values()].map(e => ({
+            mmsi: e.mmsi,
+            type: e.type,
+            name: e.name,
+            position: e.position,
+            range: e.range,
+            bearing: e.bearing,
+            firstSeen: new Date(e.firstSeen).toISOString(),
+            lastSeen: new Date(e.lastSeen).toISOString(),
+            acknowledged: e.acknowledged,
+            waypoint: e.waypointId ? `/resources/waypoints/${e.waypointId}` : null
+        }));
+    }
+
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        for (const emergency of this.active.values()) {
+            this._notify(emergency, null);
+        }
+        this.active.clear();
+    }
+
+    // ────────── WORKFLOW ──────────
+
+    _raise(emergency) {
+        this.active.set(emergency.mmsi, emergency);
+        this.app.debug(`AIS distress beacon ${emergency.type} ${emergency.mmsi} at ` +
+            `${emergency.position.latitude.toFixed(5)}, ${emergency.position.longitude.toFixed(5)}`);
+
+        const message = this._message(emergency);
+        this._notify(emergency, message);
+        this._announce(message);
+        emergency.lastAnnounced = Date.now();
+        this._writeWaypoint(emergency);
+        this._log(emergency, message);
+
+        if (!this._timer) {
+            this._timer = setInterval(() => this._repeat(), REPEAT_MS);
+        }
+    }
+
+    /**
+     * Refresh positions and repeat unacknowledged emergencies.
+     */
+    _repeat() {
+        try {
+            this.check();
+        } catch (error) {
+            this.app.debug('AIS distress refresh failed:', error.message);
+        }
+        const now = Date.now();
+        for (const emergency of this.active.values()) {
+            if (emergency.acknowledged || now - emergency.lastAnnounced < REPEAT_MS / 2) continue;
+            const message = this._message(emergency);
+            this._notify(emergency, message);
+            this._announce(message);
+            emergency.lastAnnounced = now;
+        }
+        if (this.active.size === 0 && this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+
+    _lose(emergency) {
+        this.active.delete(emergency.mmsi);
+        this._notify(emergency, null);
+        const message = this.cm.t('ais.distress.lost', { device: this._deviceName(emergency.type) });
+        this._announce(message);
+        this.app.debug(`AIS distress ${emergency.mmsi} no longer reported`);
+    }
+
+    _message(emergency) {
+        const device = this._deviceName(emergency.type);
+        if (emergency.range === null) {
+            return this.cm.t('ais.distress.alert_no_position', { device, name: emergency.name });
+        }
+        return this.cm.t('ais.distress.alert', {
+            device,
+            name: emergency.name,
+            bearing: emergency.bearing,
+            distance: emergency.range
+        });
+    }
+
+    _deviceName(type) {
+        return this.cm.t(`ais.distress.device.${type}`);
+    }
+
+    _announce(message) {
+        this.voice.announce(message, 'high', { safety: true, emergency: true });
+    }
+
+    _notify(emergency, message) {
+        if (typeof this.app.handleMessage !== 'function') return;
+        const key = String(emergency.mmsi).split(':').pop();
+        this.app.handleMessage(this.pluginId, {
+            updates: [{
+                values: [{
+                    path: `notifications.${this.pluginId}.ais.distress.${key}`,
+                    value: message === null ? null : {
+                        message,
+                        method: ['visual', 'sound'],
+                        state: 'emergency',
+                        position: emergency.position
+                    }
+                }]
+            }]
+        });
+    }
+
+    /**
+     * Create or move the beacon waypoint (Signal K Resources API).
+     */
+    async _writeWaypoint(emergency) {
+        const api = this.app.resourcesApi;
+        emergency.waypointPosition = emergency.position;
+        if (typeof api?.setResource !== 'function') {
+            this.app.debug('Resources API not available, distress waypoint not written');
+            return;
+        }
+        const { latitude, longitude } = emergency.position;
+        emergency.waypointId = emergency.waypointId || crypto.randomUUID();
+        try {
+            await api.setResource('waypoints', emergency.waypointId, {
+                name: `${this._deviceName(emergency.type)} ${String(emergency.mmsi).split(':').pop()}`,
+                description: emergency.name,
+                type: 'distress',
+                feature: {
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: [longitude, latitude] },
+                    properties: { mmsi: emergency.mmsi, device: emergency.type }
+                }
+            });
+        } catch (error) {
+            this.app.debug('Failed to write distress waypoint:', error.message);
+        }
+    }
+
+    async _log(emergency, message) {
+        if (!this.logbookManager) return;
+        const result = await this.logbookManager.addLogbookEntry({
+            author: this.logbookManager.logbookAuthor,
+            category: 'navigation',
+            text: message,
+            position: emergency.position
+        });
+        if (result?.success === false) {
+            this.app.debug('Failed to log AIS distress beacon:', result.error);
+        }
+    }
+
+    _find(mmsi) {
+        const digits = String(mmsi).split(':').pop();
+        return [...this.active.values()].find(e => String(e.mmsi).split(':').pop() === digits) ?? null;
+    }
+}
+
+module.exports = AISDistressWatch;
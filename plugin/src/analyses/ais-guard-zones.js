@@ -0,0 +1,167 @@
+/**
+ * AIS Guard Zones
+ *
+ * Named watch areas around the boat, each tied to operating modes:
+ * - ring     radius around the boat (NM)
+ * - sector   bearing sector relative to the bow, out to a radius (NM)
+ * - polygon  fixed geographic area ([{latitude, longitude}, ...])
+ *
+ * A zone may override the CPA/TCPA risk thresholds for targets inside it
+ * and chooses the notification state raised when a target enters it.
+ */
+
+/** Built-in zones used when `ais.guardZones` is not configured */
+const DEFAULT_ZONES = [
+    {
+        id: 'anchorage',
+        type: 'ring',
+        radius: 0.108,              // 200 m
+        modes: ['anchored'],
+        severity: 'alarm'
+    },
+    {
+        id: 'forward',
+        type: 'sector',
+        radius: 6,
+        bearingFrom: -30,
+        bearingTo: 30,
+        modes: ['sailing', 'motoring'],
+        severity: 'warn',
+        thresholds: { cautionCPA: 1, watchCPA: 2, maxTCPA: 60 }
+    }
+];
+
+const ZONE_TYPES = ['ring', 'sector', 'polygon'];
+const SEVERITIES = ['alert', 'warn', 'alarm', 'emergency'];
+const THRESHOLD_KEYS = ['dangerCPA', 'cautionCPA', 'watchCPA', 'maxTCPA'];
+
+/**
+ * Signed angle in (-180, 180].
+ */
+function normaliseAngle(deg) {
+    let a = ((deg % 360) + 360) % 360;
+    if (a > 180) a -= 360;
+    return a;
+}
+
+/**
+ * East/north offset (NM) of `to` from `from`, flat-earth at short range.
+ */
+function offsetNM(from, to) {
+    return {
+        x: (to.longitude - from.longitude) * 60 * Math.cos(from.latitude * Math.PI / 180),
+        y: (to.latitude - from.latitude) * 60
+    };
+}
+
+class GuardZones {
+    /**
+     * @param {Array<object>|undefined} zones  `ais.guardZones`; defaults when undefined
+     * @param {function} [debug]               Logger for rejected zones
+     */
+    constructor(zones, debug = () => {}) {
+        this.zones = [];
+        for (const zone of zones ?? DEFAULT_ZONES) {
+            const error = this._check(zone);
+            if (error) {
+                debug(`AIS: guard zone "${zone?.id ?? '?'}" ignored: ${error}`);
+                continue;
+            }
+            this.zones.push({ severity: 'warn', announce: true, ...zone });
+        }
+    }
+
+    /**
+     * Zones watched in a mode.
+     * @param {string} mode
+     * @returns {Array<object>}
+     */
+    active(mode) {
+        return this.zones.filter(z => !z.modes || z.modes.includes(mode));
+    }
+
+    /**
+     * Whether a target position lies inside a zone.
+     * @param {object} zone
+     * @param {{latitude, longitude}} ownPos
+     * @param {number|null} ownHeading  Degrees true, for sectors
+     * @param {{latitude, longitude}} tgtPos
+     * @returns {boolean}
+     */
+    contains(zone, ownPos, ownHeading, tgtPos) {
+        if (zone.type === 'polygon') {
+            return this._inPolygon(zone.points, tgtPos);
+        }
+
+        const { x, y } = offsetNM(ownPos, tgtPos);
+        if (Math.hypot(x, y) > zone.radius) return false;
+        if (zone.type === 'ring') return true;
+
+        // Sector relative to the bow, clockwise from bearingFrom to bearingTo
+        if (ownHeading === null) return false;
+        const bearing = Math.atan2(x, y) * 180 / Math.PI;
+        const relative = ((normaliseAngle(bearing - ownHeading) - zone.bearingFrom) % 360 + 360) % 360;
+        const width = ((zone.bearingTo - zone.bearingFrom) % 360 + 360) % 360 || 360;
+        return relative <= width;
+    }
+
+    /**
+     * Furthest distance (NM) from the boat that a zone reaches, so targets
+     * beyond `ais.maxRange` are still read when a zone extends further.
+     */
+    extentNM(zone, ownPos) {
+        if (zone.type !== 'polygon') return zone.radius;
+        return Math.max(...zone.points.map(p => {
+            const { x, y } = offsetNM(ownPos, p);
+            return Math.hypot(x, y);
+        }));
+    }
+
+    _inPolygon(points, pos) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.latitude > pos.latitude) !== (b.latitude > pos.latitude) &&
+                pos.longitude < (b.longitude - a.longitude) * (pos.latitude - a.latitude) /
+                    (b.latitude - a.latitude) + a.longitude) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * @returns {string|null} Why the zone is unusable, or null
+     */
+    _check(zone) {
+        if (!zone || typeof zone.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(zone.id)) {
+            return 'id must be letters, digits, - or _';
+        }
+        if (this.zones.some(z => z.id === zone.id)) return 'duplicate id';
+        if (!ZONE_TYPES.includes(zone.type)) return `type must be one of ${ZONE_TYPES.join(', ')}`;
+        if (zone.modes !== undefined && !Array.isArray(zone.modes)) return 'modes must be an array';
+        if (zone.severity !== undefined && !SEVERITIES.includes(zone.severity)) {
+            return `severity must be one of ${SEVERITIES.join(', ')}`;
+        }
+        if (zone.type === 'polygon') {
+            const valid = Array.isArray(zone.points) && zone.points.length >= 3 &&
+                zone.points.every(p => typeof p?.latitude === 'number' && typeof p?.longitude === 'number');
+            if (!valid) return 'polygon needs at least 3 points with latitude and longitude';
+        } else if (!(zone.radius > 0)) {
+            return 'radius (NM) must be positive';
+        }
+        if (zone.type === 'sector' &&
+            (typeof zone.bearingFrom !== 'number' || typeof zone.bearingTo !== 'number')) {
+            return 'sector needs bearingFrom and bearingTo (degrees relative to the bow)';
+        }
+        for (const key of Object.keys(zone.thresholds ?? {})) {
+            if (!THRESHOLD_KEYS.includes(key)) return `unknown threshold ${key}`;
+        }
+        return null;
+    }
+}
+
+GuardZones.DEFAULT_ZONES = DEFAULT_ZONES;
+
+module.exports = GuardZones;
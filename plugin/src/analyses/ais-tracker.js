@@ -0,0 +1,416 @@
+/**
+ * AIS Target Tracker
+ *
+ * Keeps one track per MMSI with a rolling position history and a
+ * constant-velocity Kalman filter (one position/velocity filter per axis in
+ * a local east/north frame, nautical miles and knots). AIS COG is very noisy
+ * at low speed, so each report's velocity is weighted by a COG uncertainty
+ * that grows as SOG drops.
+ *
+ * A sustained velocity innovation beyond the chi-square gate marks a
+ * manoeuvre: the filter is re-seeded from the report and the change of
+ * course or speed against the last steady estimate is reported once.
+ *
+ * Sigma points of the filter covariance give a CPA/TCPA interval.
+ */
+
+/** Position report noise (NM, ~20 m) */
+const POSITION_SIGMA_NM = 0.01;
+
+/** SOG report noise (kn) */
+const SOG_SIGMA_KN = 0.2;
+
+/** Process noise: white acceleration, kn per hour (~0.3 kn/min) */
+const ACCEL_SIGMA = 20;
+
+/** Chi-square gate for the 2-D velocity innovation (99.9 %) */
+const MANOEUVRE_GATE = 13.8;
+
+/** Consecutive gated reports needed to confirm a manoeuvre */
+const MANOEUVRE_CONFIRM = 2;
+
+/** Sigma-point spread: √(n + κ) with n = 4, κ = −1 (≈ 90 % interval) */
+const SIGMA_SCALE = Math.sqrt(3);
+
+/**
+ * COG noise (degrees) for a given SOG: a few degrees when making way,
+ * meaningless when drifting.
+ */
+function cogSigmaDeg(sog) {
+    return Math.min(60, 3 + 15 / Math.max(sog, 0.25));
+}
+
+/**
+ * Signed angle in (-180, 180].
+ */
+function normaliseAngle(deg) {
+    let a = ((deg % 360) + 360) % 360;
+    if (a > 180) a -= 360;
+    return a;
+}
+
+/**
+ * Closest approach of a relative track. Positions in NM, velocities in kn.
+ * @returns {{cpa: number, tcpa: number}} CPA in NM, TCPA in minutes
+ */
+function closestApproach(dx, dy, dvx, dvy) {
+    const vSquared = dvx * dvx + dvy * dvy;
+    const range = Math.sqrt(dx * dx + dy * dy);
+    if (vSquared < 0.0001) return { cpa: range, tcpa: 0 };
+
+    const tcpaHours = -(dx * dvx + dy * dvy) / vSquared;
+    if (tcpaHours < 0) return { cpa: range, tcpa: 0 };
+
+    const cx = dx + dvx * tcpaHours;
+    const cy = dy + dvy * tcpaHours;
+    return { cpa: Math.sqrt(cx * cx + cy * cy), tcpa: tcpaHours * 60 };
+}
+
+// ────────── ONE-AXIS FILTER ──────────
+
+/**
+ * Position/velocity filter along one axis. State [p, v], covariance
+ * [[pp, pv], [pv, vv]].
+ */
+class AxisFilter {
+    constructor(p, v, vVar) {
+        this.p = p;
+        this.v = v;
+        this.pp = POSITION_SIGMA_NM ** 2;
+        this.pv = 0;
+        this.vv = vVar;
+    }
+
+    clone() {
+        return Object.assign(Object.create(AxisFilter.prototype), this);
+    }
+
+    predict(dtHours) {
+        const q = ACCEL_SIGMA ** 2;
+        const dt = dtHours;
+        this.p += this.v * dt;
+        this.pp += 2 * dt * this.pv + dt * dt * this.vv + q * dt ** 4 / 4;
+        this.pv += dt * this.vv + q * dt ** 3 / 2;
+        this.vv += q * dt * dt;
+    }
+
+    /**
+     * Velocity innovation and its variance, before the update.
+     */
+    velocityInnovation(v, vVar) {
+        return { nu: v - this.v, s: this.vv + vVar };
+    }
+
+    update(p, v, vVar) {
+        const rp = POSITION_SIGMA_NM ** 2;
+        if (v === null) {
+            const s = this.pp + rp;
+            const kp = this.pp / s;
+            const kv = this.pv / s;
+            const nu = p - this.p;
+            this.p += kp * nu;
+            this.v += kv * nu;
+            const { pp, pv, vv } = this;
+            this.pp = pp - kp * pp;
+            this.pv = pv - kp * pv;
+            this.vv = vv - kv * pv;
+            return;
+        }
+
+        // S = P + R, K = P·S⁻¹
+        const s11 = this.pp + rp;
+        const s12 = this.pv;
+        const s22 = this.vv + vVar;
+        const det = s11 * s22 - s12 * s12;
+        const i11 = s22 / det;
+        const i12 = -s12 / det;
+        const i22 = s11 / det;
+
+        const { pp, pv, vv } = this;
+        const k11 = pp * i11 + pv * i12;
+        const k12 = pp * i12 + pv * i22;
+        const k21 = pv * i11 + vv * i12;
+        const k22 = pv * i12 + vv * i22;
+
+        const nuP = p - this.p;
+        const nuV = v - this.v;
+        this.p += k11 * nuP + k12 * nuV;
+        this.v += k21 * nuP + k22 * nuV;
+
+        // P = (I − K)·P
+        this.pp = (1 - k11) * pp - k12 * pv;
+        this.pv = (1 - k11) * pv - k12 * vv;
+        this.vv = -k21 * pv + (1 - k22) * vv;
+    }
+
+    /** Lower-triangular square root of the covariance */
+    sqrtCovariance() {
+        const a = Math.sqrt(Math.max(this.pp, 0));
+        const b = a > 0 ? this.pv / a : 0;
+        const c = Math.sqrt(Math.max(this.vv - b * b, 0));
+        return [[a, 0], [b, c]];
+    }
+}
+
+// ────────── TRACK STORE ──────────
+
+class AISTracker {
+    /** Closest approach of a relative track, shared with AISAnalyzer */
+    static closestApproach = closestApproach;
+
+    /**
+     * @param {object} [options]
+     * @param {number} [options.historyMinutes=10]         Rolling history kept per target
+     * @param {number} [options.manoeuvreCourseDegrees=15] Course change reported as a manoeuvre
+     * @param {number} [options.manoeuvreSpeedKnots=2]     Speed change reported as a manoeuvre
+     */
+    constructor(options = {}) {
+        this.historyMs = (options.historyMinutes ?? 10) * 60_000;
+        this.courseThreshold = options.manoeuvreCourseDegrees ?? 15;
+        this.speedThreshold = options.manoeuvreSpeedKnots ?? 2;
+        this.tracks = new Map();
+    }
+
+    /**
+     * Feed one AIS report. Reports already seen (same timestamp, or identical
+     * content when untimestamped) are ignored.
+     * @param {object} target  { mmsi, position, sog kn|null, cog deg|null, timestamp? }
+     * @param {number} [now=Date.now()]
+     * @returns {object|null} Manoeuvre confirmed by this report, or null
+     */
+    update(target, now = Date.now()) {
+        const time = target.timestamp ? new Date(target.timestamp).getTime() : now;
+        if (!Number.isFinite(time)) return null;
+
+        let track = this.tracks.get(target.mmsi);
+        if (track && time <= track.time) return null;
+        if (track && !target.timestamp && this._isRepeat(track, target)) return null;
+        if (track && this._localise(track, target.position).far) track = null;
+
+        const hasVelocity = typeof target.sog === 'number' && typeof target.cog === 'number';
+        const sog = hasVelocity ? target.sog : 0;
+        const cogRad = hasVelocity ? target.cog * Math.PI / 180 : 0;
+        const vVar = SOG_SIGMA_KN ** 2 + (sog * cogSigmaDeg(sog) * Math.PI / 180) ** 2;
+        const vx = hasVelocity ? sog * Math.sin(cogRad) : null;
+        const vy = hasVelocity ? sog * Math.cos(cogRad) : null;
+
+        if (!track) {
+            track = {
+                mmsi: target.mmsi,
+                origin: { latitude: target.position.latitude, longitude: target.position.longitude },
+                x: new AxisFilter(0, vx ?? 0, hasVelocity ? vVar : 100),
+                y: new AxisFilter(0, vy ?? 0, hasVelocity ? vVar : 100),
+                time,
+                history: [],
+                gated: 0,
+                steady: null,
+                lastManoeuvre: null
+            };
+            this.tracks.set(target.mmsi, track);
+            this._record(track, target, time);
+            return null;
+        }
+
+        const { x: px, y: py } = this._localise(track, target.position);
+        const dt = (time - track.time) / 3_600_000;
+        track.x.predict(dt);
+        track.y.predict(dt);
+        track.time = time;
+
+        let manoeuvre = null;
+        if (hasVelocity) {
+            const ix = track.x.velocityInnovation(vx, vVar);
+            const iy = track.y.velocityInnovation(vy, vVar);
+            const nis = ix.nu * ix.nu / ix.s + iy.nu * iy.nu / iy.s;
+
+            if (nis > MANOEUVRE_GATE) {
+                track.gated++;
+            } else {
+                track.gated = 0;
+                track.steady = { vx: track.x.v, vy: track.y.v };
+            }
+
+            if (track.gated >= MANOEUVRE_CONFIRM) {
+                // Re-seed on the new motion so the filter does not lag the turn
+                const before = track.steady;
+                track.x = new AxisFilter(px, vx, vVar);
+                track.y = new AxisFilter(py, vy, vVar);
+                track.gated = 0;
+                track.steady = { vx, vy };
+                manoeuvre = before ? this._describeManoeuvre(before, { vx, vy }, time) : null;
+                if (manoeuvre) track.lastManoeuvre = manoeuvre;
+            } else {
+                track.x.update(px, vx, vVar);
+                track.y.update(py, vy, vVar);
+            }
+        } else {
+            track.x.update(px, null);
+            track.y.update(py, null);
+        }
+
+        this._record(track, target, time);
+        return manoeuvre;
+    }
+
+    /**
+     * Filtered state of a target, extrapolated to `now`.
+     * @returns {{position, sog, cog, sigmaPoints: Array}|null} sigmaPoints hold
+     *          east/north offsets (NM) from the returned position and velocities (kn)
+     */
+    estimate(mmsi, now = Date.now()) {
+        const track = this.tracks.get(mmsi);
+        if (!track) return null;
+
+        const dt = Math.max(0, (now - track.time) / 3_600_000);
+        const x = track.x.clone();
+        const y = track.y.clone();
+        x.predict(dt);
+        y.predict(dt);
+
+        const sx = x.sqrtCovariance();
+        const sy = y.sqrtCovariance();
+        const sigmaPoints = [{ dx: 0, dy: 0, vx: x.v, vy: y.v }];
+        for (const sign of [1, -1]) {
+            for (const col of [0, 1]) {
+                sigmaPoints.push({
+                    dx: sign * SIGMA_SCALE * sx[0][col], dy: 0,
+                    vx: x.v + sign * SIGMA_SCALE * sx[1][col], vy: y.v
+                });
+                sigmaPoints.push({
+                    dx: 0, dy: sign * SIGMA_SCALE * sy[0][col],
+                    vx: x.v, vy: y.v + sign * SIGMA_SCALE * sy[1][col]
+                });
+            }
+        }
+
+        return {
+            position: this._toPosition(track, x.p, y.p),
+            sog: Math.sqrt(x.v * x.v + y.v * y.v),
+            cog: (Math.atan2(x.v, y.v) * 180 / Math.PI + 360) % 360,
+            sigmaPoints
+        };
+    }
+
+    /**
+     * CPA/TCPA with its interval over the sigma points of the target estimate.
+     * Own vessel motion is taken as exact.
+     * @param {{dx: number, dy: number}} relative  Target offset from own vessel (NM east/north)
+     * @param {{vx: number, vy: number}} own       Own velocity (kn east/north)
+     * @param {Array} sigmaPoints                  From estimate()
+     * @returns {{cpa, tcpa, cpaInterval: [number, number], tcpaInterval: [number, number]}}
+     */
+    static cpaInterval(relative, own, sigmaPoints) {
+        const results = sigmaPoints.map(sp => closestApproach(
+            relative.dx + sp.dx, relative.dy + sp.dy, sp.vx - own.vx, sp.vy - own.vy
+        ));
+        const cpas = results.map(r => r.cpa);
+        const tcpas = results.map(r => r.tcpa);
+        return {
+            cpa: results[0].cpa,
+            tcpa: results[0].tcpa,
+            cpaInterval: [Math.min(...cpas), Math.max(...cpas)],
+            tcpaInterval: [Math.min(...tcpas), Math.max(...tcpas)]
+        };
+    }
+
+    /**
+     * Track of one target: filtered estimate, history and last manoeuvre.
+     */
+    getTrack(mmsi) {
+        const track = this.tracks.get(mmsi);
+        if (!track) return null;
+        return {
+            mmsi,
+            lastReport: new Date(track.time).toISOString(),
+            history: track.history.map(h => ({ ...h, time: new Date(h.time).toISOString() })),
+            lastManoeuvre: track.lastManoeuvre
+        };
+    }
+
+    /**
+     * Drop targets not heard within the history window.
+     */
+    cleanup(now = Date.now()) {
+        for (const [mmsi, track] of this.tracks) {
+            if (now - track.time > this.historyMs) this.tracks.delete(mmsi);
+        }
+    }
+
+    // ────────── INTERNALS ──────────
+
+    _describeManoeuvre(before, after, time) {
+        const sogBefore = Math.hypot(before.vx, before.vy);
+        const sogAfter = Math.hypot(after.vx, after.vy);
+        const speedChange = sogAfter - sogBefore;
+
+        if (sogBefore >= 2 && sogAfter >= 2) {
+            const cogBefore = Math.atan2(before.vx, before.vy) * 180 / Math.PI;
+            const cogAfter = Math.atan2(after.vx, after.vy) * 180 / Math.PI;
+            const courseChange = normaliseAngle(cogAfter - cogBefore);
+            if (Math.abs(courseChange) >= this.courseThreshold) {
+                return {
+                    type: 'course',
+                    direction: courseChange > 0 ? 'starboard' : 'port',
+                    change: Math.round(courseChange),
+                    time: new Date(time).toISOString()
+                };
+            }
+        }
+
+        if (Math.abs(speedChange) >= this.speedThreshold &&
+            Math.abs(speedChange) >= 0.25 * Math.max(sogBefore, sogAfter)) {
+            return {
+                type: 'speed',
+                direction: speedChange > 0 ? 'faster' : 'slower',
+                change: Math.round(speedChange * 10) / 10,
+                time: new Date(time).toISOString()
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Without timestamps, an unchanged report is the same AIS message read again.
+     */
+    _isRepeat(track, target) {
+        const last = track.history[track.history.length - 1];
+        return last &&
+            last.latitude === target.position.latitude &&
+            last.longitude === target.position.longitude &&
+            last.sog === (target.sog ?? null) &&
+            last.cog === (target.cog ?? null);
+    }
+
+    _record(track, target, time) {
+        track.history.push({
+            time,
+            latitude: target.position.latitude,
+            longitude: target.position.longitude,
+            sog: target.sog ?? null,
+            cog: target.cog ?? null
+        });
+        while (track.history.length && time - track.history[0].time > this.historyMs) {
+            track.history.shift();
+        }
+    }
+
+    /**
+     * Local east/north offset (NM) of a position from the track origin.
+     * `far` is set when the flat-earth approximation no longer holds.
+     */
+    _localise(track, position) {
+        const x = (position.longitude - track.origin.longitude) * 60 *
+            Math.cos(track.origin.latitude * Math.PI / 180);
+        const y = (position.latitude - track.origin.latitude) * 60;
+        return { x, y, far: Math.hypot(x, y) > 30 };
+    }
+
+    _toPosition(track, x, y) {
+        return {
+            latitude: track.origin.latitude + y / 60,
+            longitude: track.origin.longitude + x / (60 * Math.cos(track.origin.latitude * Math.PI / 180))
+        };
+    }
+}
+
+module.exports = AISTracker;
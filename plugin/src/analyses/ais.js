@@ -6,12 +6,25 @@
  * - TCPA (Time to CPA) in minutes
  * - Risk classification (danger / caution / watch / safe)
  * - COLREGs situation (overtaking, crossing, head-on)
+ * - Target manoeuvres (alterations of course or speed)
+ * - Guard zone intrusions for the current mode (see ais-guard-zones.js)
+ * - AIS-SART, MOB and EPIRB beacons (MMSI 970/972/974), kept out of the
+ *   collision scan and handed to AISDistressWatch
+ *
+ * Collision risks and guard zone entries are raised as Signal K
+ * notifications under notifications.<pluginId>.ais.*.
+ *
+ * Targets are tracked by AISTracker: CPA/TCPA use the filtered motion of
+ * each target rather than its last SOG/COG report, with an interval from
+ * the filter uncertainty.
  *
  * Thresholds follow IRPCS (International Regulations for Preventing
  * Collisions at Sea) best-practice guidance for coastal sailing.
  */
 
 const { conversions, textUtils } = require('../common');
+const AISTracker = require('./ais-tracker');
+const GuardZones = require('./ais-guard-zones');
 
 /** Metres per nautical mile */
 const NM = 1852;
@@ -19,6 +32,9 @@ const NM = 1852;
 /** Risk ordering for sorting targets (most dangerous first) */
 const RISK_ORDER = { danger: 0, caution: 1, watch: 2, safe: 3 };
 
+/** Distress devices by MMSI prefix (ITU-R M.585) */
+const DISTRESS_PREFIXES = { '970': 'sart', '972': 'mob', '974': 'epirb' };
+
 class AISAnalyzer {
     /**
      * @param {object} app       SignalK app object
@@ -41,6 +57,42 @@ class AISAnalyzer {
         // Suppression: don't re-announce same vessel within N minutes
         this._announced = new Map();
         this.announceCooldown = (config.ais?.announceCooldownMinutes ?? 5) * 60_000;
+
+        // Per-MMSI tracks, manoeuvres awaiting announcement and the last
+        // CPA/risk seen for each target (to tell opening from closing)
+        this.tracker = new AISTracker({
+            historyMinutes: config.ais?.trackHistoryMinutes,
+            manoeuvreCourseDegrees: config.ais?.manoeuvreCourseDegrees,
+            manoeuvreSpeedKnots: config.ais?.manoeuvreSpeedKnots
+        });
+        this._pendingManoeuvres = new Map();
+        this._lastAssessment = new Map();
+
+        // Guard zones of the current mode; zone id → MMSIs inside it at the
+        // last check (a zone's first check only records who is already there)
+        this.guardZones = new GuardZones(config.ais?.guardZones, msg => app.debug(msg));
+        this.mode = config.mode || 'sailing';
+        this._zoneOccupancy = new Map();
+        // Latest scan, for readers that must not advance the tracker
+        this._lastScan = { targets: [], timestamp: null };
+
+        // Notifications published by this analyzer: path → state
+        this.pluginId = config.pluginId || 'ocearo-core';
+        this._notified = new Map();
+    }
+
+    /**
+     * Follow the operating mode; zones no longer watched are cleared.
+     * @param {string} mode
+     */
+    setMode(mode) {
+        this.mode = mode;
+        const active = new Set(this.guardZones.active(mode).map(z => z.id));
+        for (const zoneId of this._zoneOccupancy.keys()) {
+            if (active.has(zoneId)) continue;
+            this._zoneOccupancy.delete(zoneId);
+            this._clearNotifications(`ais.guardZone.${zoneId}.`);
+        }
     }
 
     /**
@@ -52,6 +104,7 @@ class AISAnalyzer {
         const ownPos = this._extractPosition(ownVessel);
         const ownSog = this._extractSOG(ownVessel);
         const ownCog = this._extractCOG(ownVessel);
+        const ownHeading = this._extractHeading(ownVessel) ?? ownCog;
 
         if (!ownPos) {
             this.app.debug('AIS: Own position unavailable, skipping scan');
@@ -60,24 +113,44 @@ class AISAnalyzer {
 
         const targets = this._readAISTargets();
         const results = [];
+        const ownVelocity = this._velocity(ownSog ?? 0, ownCog ?? 0);
+        const zones = this.guardZones.active(this.mode);
+        const readRange = Math.max(this.maxRange, ...zones.map(z => this.guardZones.extentNM(z, ownPos)));
 
         for (const target of targets) {
-            const tgtPos = target.position;
-            if (!tgtPos) continue;
+            if (!target.position || target.distress) continue;
+
+            const manoeuvre = this.tracker.update(target);
+            const estimate = this.tracker.estimate(target.mmsi);
+            const tgtPos = estimate?.position ?? target.position;
+            const tgtSog = estimate ? estimate.sog : (target.sog ?? 0);
+            const tgtCog = estimate ? estimate.cog : (target.cog ?? 0);
 
             const range = this._distanceNM(ownPos, tgtPos);
-            if (range > this.maxRange) continue;
+            if (range > readRange) continue;
+            const inZones = zones.filter(z => this.guardZones.contains(z, ownPos, ownHeading, tgtPos));
+            if (range > this.maxRange && inZones.length === 0) continue;
 
             const bearing = this._bearing(ownPos, tgtPos);
             const relativeBearing = this._normalizeAngle(bearing - (ownCog ?? 0));
 
-            const cpaResult = this._calculateCPA(
-                ownPos, ownSog ?? 0, ownCog ?? 0,
-                tgtPos, target.sog ?? 0, target.cog ?? 0
-            );
+            const cpaResult = estimate
+                ? AISTracker.cpaInterval(this._offsetNM(ownPos, tgtPos), ownVelocity, estimate.sigmaPoints)
+                : this._calculateCPA(ownPos, ownSog ?? 0, ownCog ?? 0, tgtPos, tgtSog, tgtCog);
 
-            const risk = this._classifyRisk(cpaResult.cpa, cpaResult.tcpa);
-            const colregs = this._classifyCOLREGs(relativeBearing, target.sog ?? 0, ownSog ?? 0);
+            // The first zone holding the target sets its thresholds
+            const risk = this._classifyRisk(cpaResult.cpa, cpaResult.tcpa, inZones[0]?.thresholds);
+            const colregs = this._classifyCOLREGs(relativeBearing, tgtSog, ownSog ?? 0);
+
+            const previous = this._lastAssessment.get(target.mmsi);
+            if (manoeuvre) {
+                this._pendingManoeuvres.set(target.mmsi, {
+                    ...manoeuvre,
+                    previousCpa: previous?.cpa ?? null,
+                    previousRisk: previous?.risk ?? null
+                });
+            }
+            this._lastAssessment.set(target.mmsi, { cpa: cpaResult.cpa, risk });
 
             results.push({
                 mmsi: target.mmsi,
@@ -89,11 +162,15 @@ class AISAnalyzer {
                 relativeBearing: Math.round(relativeBearing),
                 cpa: Math.round(cpaResult.cpa * 100) / 100,
                 tcpa: Math.round(cpaResult.tcpa * 10) / 10,
+                cpaInterval: cpaResult.cpaInterval?.map(v => Math.round(v * 100) / 100) ?? null,
+                tcpaInterval: cpaResult.tcpaInterval?.map(v => Math.round(v * 10) / 10) ?? null,
                 risk,
                 colregs,
+                zones: inZones.map(z => z.id),
                 position: tgtPos,
-                sog: target.sog,
-                cog: target.cog
+                sog: Math.round(tgtSog * 10) / 10,
+                cog: Math.round(tgtCog),
+                lastManoeuvre: this.tracker.getTrack(target.mmsi)?.lastManoeuvre ?? null
             });
         }
 
@@ -103,11 +180,25 @@ class AISAnalyzer {
             return a.cpa - b.cpa;
         });
 
+        this._lastScan = { targets: results, timestamp: new Date().toISOString() };
         return results;
     }
 
+    /**
+     * Targets of the latest scan, without scanning again. Read-only
+     * callers (REST, LLM tools) use this: analyzeTargets() advances the
+     * tracker and consumes manoeuvres meant for checkCollisionRisks().
+     * @returns {{targets: Array<object>, timestamp: string|null}}
+     */
+    getLastTargets() {
+        return { targets: [...this._lastScan.targets], timestamp: this._lastScan.timestamp };
+    }
+
     /**
      * Get the most dangerous targets that need announcement.
+     * Announcements, manoeuvres and guard-zone entries are returned once:
+     * only a caller that speaks `speech` may run this check. Others read
+     * the brain's last AIS check.
      * @param {object} ownVessel Own vessel data
      * @returns {{targets: Array, speech: string|null, alerts: Array}}
      */
@@ -139,9 +230,14 @@ class AISAnalyzer {
             alerts.push(alert);
         }
 
+        const manoeuvres = this._collectManoeuvres(allTargets);
+        const zoneEntries = this._updateGuardZones(allTargets);
+        this._updateCollisionNotifications(allTargets);
+
+        const spoken = [...alerts, ...zoneEntries.filter(e => e.announce), ...manoeuvres];
         let speech = null;
-        if (alerts.length > 0) {
-            speech = alerts.map(a => a.message).join('. ');
+        if (spoken.length > 0) {
+            speech = spoken.map(a => a.message).join('. ');
         }
 
         return {
@@ -150,10 +246,227 @@ class AISAnalyzer {
             cautionCount: allTargets.filter(t => t.risk === 'caution').length,
             totalInRange: allTargets.length,
             alerts,
+            zoneEntries,
+            manoeuvres,
             speech
         };
     }
 
+    // ────────── DISTRESS BEACONS ──────────
+
+    /**
+     * AIS-SART, MOB and EPIRB transmitters in the vessels context, with
+     * range and bearing from own position. No range limit applies.
+     * @param {object} ownVessel                 Own vessel data
+     * @param {object} [vessels]                 vessels.* context (read from the server when omitted)
+     * @returns {Array<{mmsi, type, name, position, range, bearing, timestamp}>}
+     */
+    detectDistressBeacons(ownVessel, vessels) {
+        const ownPos = this._extractPosition(ownVessel);
+        return this._readAISTargets(vessels)
+            .filter(t => t.distress)
+            .map(t => ({
+                mmsi: t.mmsi,
+                type: t.distress,
+                name: t.name,
+                position: t.position,
+                range: ownPos ? Math.round(this._distanceNM(ownPos, t.position) * 100) / 100 : null,
+                bearing: ownPos ? Math.round(this._bearing(ownPos, t.position)) : null,
+                timestamp: t.timestamp
+            }));
+    }
+
+    /**
+     * Distress device type from an MMSI or vessel URN, or null.
+     * @param {string} id
+     * @returns {'sart'|'mob'|'epirb'|null}
+     */
+    _distressType(id) {
+        const digits = String(id).split(':').pop();
+        if (!/^\d{9}$/.test(digits)) return null;
+        return DISTRESS_PREFIXES[digits.slice(0, 3)] || null;
+    }
+
+    // ────────── GUARD ZONES & NOTIFICATIONS ──────────
+
+    /**
+     * Record which targets are inside each active zone and raise a
+     * notification for every target that entered since the last check.
+     * An entry is reported once; the occupancy is only updated by
+     * checkCollisionRisks(), whose caller announces it.
+     * @param {Array} targets  Output of analyzeTargets
+     * @returns {Array<object>} Zone entries
+     */
+    _updateGuardZones(targets) {
+        const entries = [];
+        for (const zone of this.guardZones.active(this.mode)) {
+            const previous = this._zoneOccupancy.get(zone.id);
+            const inside = new Set();
+
+            for (const target of targets) {
+                if (!target.zones.includes(zone.id)) continue;
+                inside.add(target.mmsi);
+                if (!previous || previous.has(target.mmsi)) continue;
+
+                const message = this.cm.t('ais.zone.entered', {
+                    name: target.name,
+                    zone: zone.name || zone.id,
+                    distance: target.range,
+                    bearing: target.bearing
+                });
+                this._notify(this._zonePath(zone.id, target.mmsi), zone.severity, message);
+                entries.push({
+                    type: 'guard_zone',
+                    zone: zone.id,
+                    severity: zone.severity,
+                    announce: zone.announce !== false,
+                    mmsi: target.mmsi,
+                    target: target.name,
+                    range: target.range,
+                    bearing: target.bearing,
+                    message
+                });
+            }
+
+            for (const mmsi of previous ?? []) {
+                if (!inside.has(mmsi)) this._notify(this._zonePath(zone.id, mmsi), null);
+            }
+            this._zoneOccupancy.set(zone.id, inside);
+        }
+        return entries;
+    }
+
+    /**
+     * Keep one notification per danger/caution target, cleared when the
+     * risk subsides or the target leaves range.
+     */
+    _updateCollisionNotifications(targets) {
+        const current = new Set();
+        for (const target of targets) {
+            if (target.risk !== 'danger' && target.risk !== 'caution') continue;
+            const path = `ais.collision.${this._pathKey(target.mmsi)}`;
+            current.add(path);
+            this._notify(path, target.risk === 'danger' ? 'alarm' : 'warn', this._buildAlertMessage(target));
+        }
+        for (const path of this._notified.keys()) {
+            if (path.startsWith('ais.collision.') && !current.has(path)) this._notify(path, null);
+        }
+    }
+
+    _zonePath(zoneId, mmsi) {
+        return `ais.guardZone.${zoneId}.${this._pathKey(mmsi)}`;
+    }
+
+    /**
+     * Signal K path segment for a target: the MMSI digits of its URN.
+     */
+    _pathKey(mmsi) {
+        return String(mmsi).split(':').pop().replace(/[^A-Za-z0-9_-]/g, '_');
+    }
+
+    /**
+     * Publish or clear (state null) notifications.<pluginId>.<path>, only
+     * when its state changes.
+     */
+    _notify(path, state, message) {
+        if (state === null && !this._notified.has(path)) return;
+        if (state !== null && this._notified.get(path) === state) return;
+        if (typeof this.app.handleMessage !== 'function') return;
+
+        this.app.handleMessage(this.pluginId, {
+            updates: [{
+                values: [{
+                    path: `notifications.${this.pluginId}.${path}`,
+                    value: state === null ? null : {
+                        message,
+                        method: state === 'alarm' || state === 'emergency' ? ['visual', 'sound'] : ['visual'],
+                        state
+                    }
+                }]
+            }]
+        });
+        if (state === null) {
+            this._notified.delete(path);
+        } else {
+            this._notified.set(path, state);
+        }
+    }
+
+    /**
+     * Clear every notification whose path starts with `prefix` (all when omitted).
+     */
+    _clearNotifications(prefix = '') {
+        for (const path of [...this._notified.keys()]) {
+            if (path.startsWith(prefix)) this._notify(path, null);
+        }
+    }
+
+    /**
+     * Clear all AIS notifications and zone state (plugin stop).
+     */
+    stop() {
+        this._clearNotifications();
+        this._zoneOccupancy.clear();
+    }
+
+    /**
+     * Manoeuvres confirmed since the last check, for targets that are or
+     * were a risk. Each manoeuvre is reported once.
+     * @param {Array} targets  Output of analyzeTargets
+     * @returns {Array<object>}
+     */
+    _collectManoeuvres(targets) {
+        const manoeuvres = [];
+        for (const target of targets) {
+            const pending = this._pendingManoeuvres.get(target.mmsi);
+            if (!pending) continue;
+            this._pendingManoeuvres.delete(target.mmsi);
+
+            const relevant = target.risk !== 'safe' ||
+                (pending.previousRisk && pending.previousRisk !== 'safe');
+            if (!relevant) continue;
+
+            let cpaTrend = null;
+            if (pending.previousCpa !== null) {
+                const delta = target.cpa - pending.previousCpa;
+                cpaTrend = delta > 0.05 ? 'opening' : delta < -0.05 ? 'closing' : 'steady';
+            }
+
+            manoeuvres.push({
+                type: 'target_manoeuvre',
+                mmsi: target.mmsi,
+                target: target.name,
+                manoeuvre: pending.type,
+                direction: pending.direction,
+                change: pending.change,
+                cpa: target.cpa,
+                previousCpa: pending.previousCpa !== null ? Math.round(pending.previousCpa * 100) / 100 : null,
+                cpaTrend,
+                risk: target.risk,
+                message: this._buildManoeuvreMessage(target, pending, cpaTrend)
+            });
+        }
+        // Targets that left range before their manoeuvre was announced
+        const inRange = new Set(targets.map(t => t.mmsi));
+        for (const mmsi of this._pendingManoeuvres.keys()) {
+            if (!inRange.has(mmsi)) this._pendingManoeuvres.delete(mmsi);
+        }
+        return manoeuvres;
+    }
+
+    /**
+     * e.g. "Ferry has altered to starboard, CPA now opening to 0.8 NM".
+     */
+    _buildManoeuvreMessage(target, manoeuvre, cpaTrend) {
+        const action = this.cm.t(`ais.manoeuvre.${manoeuvre.type}_${manoeuvre.direction}`, {
+            name: target.name,
+            degrees: Math.abs(manoeuvre.change),
+            knots: Math.abs(manoeuvre.change)
+        });
+        const cpa = this.cm.t(`ais.manoeuvre.cpa_${cpaTrend ?? 'now'}`, { cpa: target.cpa });
+        return `${action}, ${cpa}`;
+    }
+
     /**
      * Build a spoken alert message for a collision risk target.
      * @param {object} target  Target data
@@ -187,51 +500,57 @@ class AISAnalyzer {
      * @returns {{cpa: number, tcpa: number}} CPA in NM, TCPA in minutes
      */
     _calculateCPA(ownPos, ownSog, ownCog, tgtPos, tgtSog, tgtCog) {
-        const ownVx = ownSog * Math.sin(ownCog * Math.PI / 180);
-        const ownVy = ownSog * Math.cos(ownCog * Math.PI / 180);
-        const tgtVx = tgtSog * Math.sin(tgtCog * Math.PI / 180);
-        const tgtVy = tgtSog * Math.cos(tgtCog * Math.PI / 180);
-
-        const dvx = tgtVx - ownVx;
-        const dvy = tgtVy - ownVy;
-
-        const dLat = (tgtPos.latitude - ownPos.latitude) * 60;
-        const dLon = (tgtPos.longitude - ownPos.longitude) * 60 *
-            Math.cos(ownPos.latitude * Math.PI / 180);
-
-        const vSquared = dvx * dvx + dvy * dvy;
-        if (vSquared < 0.0001) {
-            const dist = Math.sqrt(dLon * dLon + dLat * dLat);
-            return { cpa: dist, tcpa: 0 };
-        }
-
-        const tcpaHours = -(dLon * dvx + dLat * dvy) / vSquared;
-        if (tcpaHours < 0) {
-            const dist = Math.sqrt(dLon * dLon + dLat * dLat);
-            return { cpa: dist, tcpa: 0 };
-        }
+        const own = this._velocity(ownSog, ownCog);
+        const tgt = this._velocity(tgtSog, tgtCog);
+        const { dx, dy } = this._offsetNM(ownPos, tgtPos);
+        return AISTracker.closestApproach(dx, dy, tgt.vx - own.vx, tgt.vy - own.vy);
+    }
 
-        const cpaLon = dLon + dvx * tcpaHours;
-        const cpaLat = dLat + dvy * tcpaHours;
-        const cpa = Math.sqrt(cpaLon * cpaLon + cpaLat * cpaLat);
+    /**
+     * East/north velocity components (kn) from SOG and COG.
+     */
+    _velocity(sog, cog) {
+        return {
+            vx: sog * Math.sin(cog * Math.PI / 180),
+            vy: sog * Math.cos(cog * Math.PI / 180)
+        };
+    }
 
-        return { cpa, tcpa: tcpaHours * 60 };
+    /**
+     * East/north offset (NM) of `to` from `from`, flat-earth at short range.
+     */
+    _offsetNM(from, to) {
+        return {
+            dx: (to.longitude - from.longitude) * 60 * Math.cos(from.latitude * Math.PI / 180),
+            dy: (to.latitude - from.latitude) * 60
+        };
     }
 
     // ────────── RISK CLASSIFICATION ──────────
 
     /**
      * Classify risk level based on CPA and TCPA.
+     * @param {object} [overrides] Guard zone thresholds replacing the global ones
      * @returns {'danger'|'caution'|'watch'|'safe'}
      */
-    _classifyRisk(cpa, tcpa) {
-        if (tcpa <= 0 || tcpa > this.maxTCPA) return 'safe';
-        if (cpa < this.dangerCPA && tcpa < 15) return 'danger';
-        if (cpa < this.cautionCPA && tcpa < 20) return 'caution';
-        if (cpa < this.watchCPA) return 'watch';
+    _classifyRisk(cpa, tcpa, overrides) {
+        const t = { ...this._thresholds(), ...overrides };
+        if (tcpa <= 0 || tcpa > t.maxTCPA) return 'safe';
+        if (cpa < t.dangerCPA && tcpa < 15) return 'danger';
+        if (cpa < t.cautionCPA && tcpa < 20) return 'caution';
+        if (cpa < t.watchCPA) return 'watch';
         return 'safe';
     }
 
+    _thresholds() {
+        return {
+            dangerCPA: this.dangerCPA,
+            cautionCPA: this.cautionCPA,
+            watchCPA: this.watchCPA,
+            maxTCPA: this.maxTCPA
+        };
+    }
+
     /**
      * Classify COLREGs situation based on relative bearing and speeds.
      * @returns {'head_on'|'crossing_starboard'|'crossing_port'|'overtaking'|'being_overtaken'|'safe_passing'}
@@ -289,17 +608,18 @@ class AISAnalyzer {
     /**
      * Read all AIS targets from SignalK context.
      * SignalK stores AIS targets under atons.* and vessels.* contexts.
+     * @param {object} [vessels] vessels.* context; read from the server when omitted
      * @returns {Array<object>}
      */
-    _readAISTargets() {
+    _readAISTargets(vessels = this._getOtherVessels()) {
         const targets = [];
         try {
-            const vessels = this._getOtherVessels();
             if (!vessels) return targets;
 
             for (const [id, vessel] of Object.entries(vessels)) {
                 const pos = this._extractNestedValue(vessel, 'navigation.position');
                 if (!pos || pos.latitude === undefined) continue;
+                const timestamp = vessel.navigation?.position?.timestamp ?? null;
 
                 const sogRaw = this._extractNestedValue(vessel, 'navigation.speedOverGround');
                 const cogRaw = this._extractNestedValue(vessel, 'navigation.courseOverGroundTrue');
@@ -312,14 +632,19 @@ class AISAnalyzer {
                     || callsign
                     || null;
 
+                const distress = this._distressType(this._extractNestedValue(vessel, 'mmsi') ?? id);
+
                 targets.push({
                     mmsi: id,
-                    name: name || 'Navire inconnu',
+                    // Unnamed beacons are identified by their MMSI
+                    name: name || (distress ? String(id).split(':').pop() : 'Navire inconnu'),
                     callsign,
                     shipType: this._extractNestedValue(vessel, 'design.aisShipType.value.name'),
                     position: { latitude: pos.latitude, longitude: pos.longitude },
                     sog,
-                    cog
+                    cog,
+                    timestamp,
+                    distress
                 });
             }
         } catch (error) {
@@ -380,6 +705,12 @@ class AISAnalyzer {
         return typeof sog === 'number' ? sog * 1.94384 : null;
     }
 
+    _extractHeading(vesselData) {
+        const raw = vesselData?.navigation?.headingTrue;
+        const heading = (raw !== null && typeof raw === 'object' && 'value' in raw) ? raw.value : raw;
+        return typeof heading === 'number' ? heading * (180 / Math.PI) : null;
+    }
+
     _extractCOG(vesselData) {
         const raw = vesselData?.navigation?.courseOverGroundTrue;
         const cog = (raw !== null && typeof raw === 'object' && 'value' in raw) ? raw.value : raw;
@@ -423,7 +754,7 @@ class AISAnalyzer {
     }
 
     /**
-     * Cleanup old announcement entries.
+     * Cleanup old announcement entries and tracks of targets no longer heard.
      */
     cleanup() {
         const now = Date.now();
@@ -432,6 +763,28 @@ class AISAnalyzer {
                 this._announced.delete(key);
             }
         }
+        this.tracker.cleanup(now);
+        for (const mmsi of this._lastAssessment.keys()) {
+            if (!this.tracker.tracks.has(mmsi)) this._lastAssessment.delete(mmsi);
+        }
+    }
+
+    /**
+     * Rolling history, filtered motion and last manoeuvre of one target.
+     * @param {string} mmsi
+     * @returns {object|null}
+     */
+    getTrack(mmsi) {
+        const track = this.tracker.getTrack(mmsi);
+        if (!track) return null;
+        const estimate = this.tracker.estimate(mmsi);
+        return {
+            ...track,
+            position: estimate.position,
+            sog: Math.round(estimate.sog * 10) / 10,
+            cog: Math.round(estimate.cog),
+            lastAssessment: this._lastAssessment.get(mmsi) ?? null
+        };
     }
 }
 
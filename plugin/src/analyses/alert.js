@@ -24,6 +24,7 @@ class AlertAnalyzer {
         
         // Alert type to category mapping
         this.alertCategories = {
+            bilge: 'bilge',
             depth: 'navigation',
             wind: 'weather',
             battery: 'electrical',
@@ -117,10 +118,14 @@ class AlertAnalyzer {
      * Check if alert should be suppressed
      */
     shouldSuppress(alert) {
-        // Check memory for recent similar alerts
+        // Check memory for recent similar alerts; an escalation is not a duplicate
         const suppressMinutes = this.config.alerts?.suppressDuplicateMinutes || 30;
         if (!this.memory || !alert.key) return false;
-        return this.memory.wasRecentlySent(alert.type, alert.key, suppressMinutes);
+        const severity = this.severityLevels[alert.severity] ?? 0;
+        return this.memory.getRecentAlerts(suppressMinutes).some(recent =>
+            recent.type === alert.type && recent.key === alert.key
+            && (this.severityLevels[recent.severity] ?? 0) >= severity
+        );
     }
 
     /**
@@ -158,6 +163,10 @@ class AlertAnalyzer {
         });
 
         if (localizedMessage === typeKey) {
+            const categoryKey = `alerts.${alert.category}`;
+            const categoryMessage = this.cm.t(categoryKey, { message: alert.message });
+            if (categoryMessage !== categoryKey) return categoryMessage;
+
             return this.cm.t('alerts.generic', {
                 message: alert.message,
                 value: alert.value
@@ -188,7 +197,7 @@ class AlertAnalyzer {
         }
         
         // In smart mode, speak based on category importance
-        const importantCategories = ['safety', 'navigation', 'weather'];
+        const importantCategories = ['safety', 'bilge', 'navigation', 'weather'];
         return importantCategories.includes(alert.category);
     }
 
@@ -215,6 +224,10 @@ class AlertAnalyzer {
                 relevant.engine = vesselData.engine;
                 relevant.speed = vesselData.speed;
                 break;
+            case 'bilge':
+                relevant.bilge = vesselData.bilge;
+                relevant.position = vesselData.position;
+                break;
             default:
                 // Include basic data for all alerts
                 relevant.speed = vesselData.speed;
@@ -0,0 +1,215 @@
+/**
+ * Depth Look-ahead
+ *
+ * Projects the depth over the next `depth.lookAheadMinutes` instead of
+ * reacting to the sounder alone:
+ * - the seabed trend is the slope of recent soundings reduced by the tide
+ *   height, i.e. the bottom shoaling along the track. It is only projected
+ *   while making way, and a deepening trend is not relied on.
+ * - the tide change comes from the TidesDataProvider timeline
+ *
+ * The lowest projected depth is compared with the draft for the keel
+ * position (`keel.draftDown` / `keel.draftUp` of a retractable keel).
+ * Raising is advised below `keel.raiseThresholdDepth`, leaving the area when
+ * even the keel up does not clear, and lowering again once the depth ahead
+ * stays beyond `keel.lowerThresholdDepth` under sail.
+ */
+
+/** Soundings kept for the seabed trend */
+const TREND_WINDOW_MS = 5 * 60_000;
+
+/** Minimum span and count of soundings before a trend is projected */
+const TREND_MIN_SPAN_MS = 2 * 60_000;
+const TREND_MIN_SAMPLES = 4;
+
+/** SOG below which the seabed is assumed not to change (kn) */
+const MOVING_KNOTS = 1;
+
+/** Refresh the tide timeline used for the projection */
+const TIDE_REFRESH_MS = 30 * 60_000;
+
+class DepthLookahead {
+    /**
+     * @param {object} app     SignalK app object
+     * @param {object} config  Plugin configuration (uses depth)
+     * @param {object} sources { tidesProvider, cm }
+     */
+    constructor(app, config, sources) {
+        this.app = app;
+        this.tidesProvider = sources.tidesProvider;
+        this.cm = sources.cm;
+
+        const depth = config.depth || {};
+        this.horizonMinutes = depth.lookAheadMinutes ?? 15;
+        this.warnClearance = depth.warnClearanceMetres ?? 1.0;
+        this.alarmClearance = depth.alarmClearanceMetres ?? 0.5;
+
+        this._soundings = [];
+        this._tideTimeline = null;
+        this._tideLoadedAt = 0;
+    }
+
+    /**
+     * Add a sounding and assess the depth ahead.
+     * @param {object} reading
+     * @param {number} reading.depth          Depth below the surface (m)
+     * @param {number} [reading.sog]          Knots
+     * @param {string} [reading.keelPosition] 'up' | 'down' (down when unknown)
+     * @param {string} [reading.mode]         Brain mode
+     * @param {number} [now]                  ms timestamp
+     * @returns {Promise<object>} { depth, tide, trend, minDepth, minutesToMin, keel, clearance, level, advice, message }
+     */
+    async assess(reading, now = Date.now()) {
+        const timeline = await this._timeline(now);
+        const tideAt = minutes => this.tidesProvider.heightAt(new Date(now + minutes * 60_000), timeline);
+        const tideNow = timeline ? tideAt(0) : null;
+
+        this._soundings.push({ t: now, seabed: reading.depth - (tideNow ?? 0) });
+        while (this._soundings.length && now - this._soundings[0].t > TREND_WINDOW_MS) this._soundings.shift();
+
+        // Shoaling only: a deepening trend is not extrapolated
+        const trend = this._seabedTrend();
+        const slope = trend !== null && (reading.sog ?? 0) >= MOVING_KNOTS ? Math.min(0, trend) : 0;
+
+        let minDepth = reading.depth;
+        let minutesToMin = 0;
+        let tideAhead = tideNow;
+        for (let k = 1; k <= this.horizonMinutes; k++) {
+            const tide = tideNow !== null ? tideAt(k) : null;
+            const projected = reading.depth + slope * k + (tide !== null ? tide - tideNow : 0);
+            if (projected < minDepth) {
+                minDepth = projected;
+                minutesToMin = k;
+                tideAhead = tide;
+            }
+        }
+
+        const keel = this._keel(reading.keelPosition);
+        const clearance = minDepth - keel.draft;
+        const result = {
+            depth: this._round(reading.depth),
+            tide: tideNow !== null ? {
+                now: this._round(tideNow),
+                atMin: this._round(tideAhead),
+                change: this._round(tideAhead - tideNow)
+            } : null,
+            trend: trend !== null ? this._round(trend, 2) : null,
+            horizonMinutes: this.horizonMinutes,
+            minDepth: this._round(minDepth),
+            minutesToMin,
+            keel,
+            clearance: this._round(clearance),
+            level: clearance < this.alarmClearance ? 'alarm' : clearance < this.warnClearance ? 'warn' : null,
+            advice: null,
+            message: null
+        };
+        result.advice = this._keelAdvice(result, minDepth, reading);
+        result.message = this._message(result);
+        return result;
+    }
+
+    // ────────── PROJECTION ──────────
+
+    /**
+     * Seabed slope (m/min) over the trend window, null until enough soundings.
+     */
+    _seabedTrend() {
+        const samples = this._soundings;
+        if (samples.length < TREND_MIN_SAMPLES) return null;
+        if (samples[samples.length - 1].t - samples[0].t < TREND_MIN_SPAN_MS) return null;
+
+        const t0 = samples[0].t;
+        const xs = samples.map(s => (s.t - t0) / 60_000);
+        const mx = xs.reduce((a, b) => a + b, 0) / xs.length;
+        const my = samples.reduce((a, s) => a + s.seabed, 0) / samples.length;
+        let num = 0;
+        let den = 0;
+        samples.forEach((s, i) => {
+            num += (xs[i] - mx) * (s.seabed - my);
+            den += (xs[i] - mx) ** 2;
+        });
+        return den > 0 ? num / den : null;
+    }
+
+    async _timeline(now) {
+        if (!this.tidesProvider?.getTideTimeline) return null;
+        if (this._tideTimeline && now - this._tideLoadedAt < TIDE_REFRESH_MS) return this._tideTimeline;
+        try {
+            this._tideTimeline = await this.tidesProvider.getTideTimeline(
+                new Date(now), new Date(now + this.horizonMinutes * 60_000));
+            this._tideLoadedAt = now;
+        } catch (error) {
+            this.app.debug('Depth look-ahead: tide timeline unavailable:', error.message);
+        }
+        return this._tideTimeline;
+    }
+
+    // ────────── KEEL ──────────
+
+    _keel(position) {
+        const keel = this.cm.boatValue('keel', {}) || {};
+        const draftDown = keel.draftDown ?? keel.draft ?? 0;
+        const retractable = keel.type === 'retractable' && typeof keel.draftUp === 'number';
+        const up = retractable && position === 'up';
+        return {
+            retractable,
+            position: retractable ? (up ? 'up' : 'down') : null,
+            draft: up ? keel.draftUp : draftDown,
+            draftDown,
+            draftUp: retractable ? keel.draftUp : null,
+            raiseThresholdDepth: keel.raiseThresholdDepth ?? 2.5,
+            lowerThresholdDepth: keel.lowerThresholdDepth ?? 4.0
+        };
+    }
+
+    /**
+     * @returns {'raise'|'lower'|'leave'|null}
+     */
+    _keelAdvice(result, minDepth, reading) {
+        const { keel } = result;
+        if (result.level === 'alarm' && (!keel.retractable || keel.position === 'up' ||
+            minDepth - keel.draftUp < this.alarmClearance)) {
+            return 'leave';
+        }
+        if (!keel.retractable) return null;
+        if (keel.position === 'down' && (minDepth < keel.raiseThresholdDepth || result.level !== null)) {
+            return 'raise';
+        }
+        if (keel.position === 'up' && reading.mode === 'sailing' &&
+            Math.min(reading.depth, minDepth) > keel.lowerThresholdDepth) {
+            return 'lower';
+        }
+        return null;
+    }
+
+    _message(result) {
+        const parts = [];
+        if (result.level) {
+            const params = {
+                depth: result.minDepth,
+                minutes: result.minutesToMin,
+                clearance: Math.max(0, result.clearance),
+                draft: result.keel.draft
+            };
+            parts.push(this.cm.t(result.minutesToMin > 0 ? `depth.ahead.${result.level}` : `depth.ahead.${result.level}_now`, params));
+            if (result.tide && result.tide.change <= -0.1) {
+                parts.push(this.cm.t('depth.ahead.tide_falling', { fall: -result.tide.change }));
+            }
+        }
+        if (result.advice === 'raise') {
+            parts.push(this.cm.t('depth.keel.raise', { draftUp: result.keel.draftUp }));
+        } else if (result.advice === 'lower') {
+            parts.push(this.cm.t('depth.keel.lower', { depth: result.minDepth, draftDown: result.keel.draftDown }));
+        } else if (result.advice === 'leave') {
+            parts.push(this.cm.t('depth.keel.leave'));
+        }
+        return parts.length ? parts.join(' ') : null;
+    }
+
+    _round(value, digits = 1) {
+        const f = 10 ** digits;
+        return Math.round(value * f) / f;
+    }
+}
+
+module.exports = DepthLookahead;
@@ -5,18 +5,23 @@
  * to predict potential failures before they occur.
  *
  * Features:
- * - Battery health and discharge rate analysis
- * - Engine temperature and pressure trend monitoring
- * - Maintenance schedule tracking (based on engine hours)
+ * - Battery health and discharge rate analysis, per chemistry with the EnergyMonitor
+ * - Engine temperature and pressure limits
+ * - Per-sensor baselines by engine speed and sea temperature, with
+ *   deviation, rate of change and drift projected to the limit (SensorBaselines)
+ * - Fuel burn above the FuelMonitor model
  * - LLM-powered anomaly detection
  */
 
 class FailurePredictor {
-    constructor(app, config, llm, cm) {
+    constructor(app, config, llm, cm, sources = {}) {
         this.app = app;
         this.config = config;
         this.llm = llm;
         this.cm = cm;
+        this.fuelMonitor = sources.fuelMonitor;
+        this.energyMonitor = sources.energyMonitor;
+        this.baselines = sources.baselines;
 
         // Baselines and thresholds
         this.thresholds = {
@@ -27,15 +32,9 @@ class FailurePredictor {
             },
             engine: {
                 maxTemp: 368.15, // 95°C in Kelvin
-                minOilPressure: 100000, // 1 bar in Pascals
-                serviceInterval: 3600 * 100 // 100 hours in seconds
+                minOilPressure: 100000 // 1 bar in Pascals
             }
         };
-
-        this.history = {
-            engineTemp: [],
-            batteryVoltage: []
-        };
     }
 
     /**
@@ -50,6 +49,8 @@ class FailurePredictor {
 
             this._checkElectricalSystems(vesselData, issues, warnings);
             this._checkPropulsionSystems(vesselData, issues, warnings);
+            this._checkFuelSystem(warnings);
+            this._checkTrends(vesselData, warnings);
 
             const hasRisks = issues.length > 0 || warnings.length > 0;
             
@@ -82,23 +83,40 @@ class FailurePredictor {
         if (!vesselData.electrical || !vesselData.electrical.batteries) return;
 
         for (const [id, battery] of Object.entries(vesselData.electrical.batteries)) {
+            // Chemistry-aware limits from the EnergyMonitor, else the 12 V lead-acid defaults
+            const model = this.energyMonitor?.getBattery(id);
+            const minVoltage = model?.lowVoltage ?? this.thresholds.battery.minVoltage;
+            const voltage = this._number(battery.voltage);
+            const current = this._number(battery.current);
+            const timeToEmpty = this._number(battery.capacity?.timeToEmpty);
+
             // Check voltage
-            if (battery.voltage !== undefined) {
-                if (battery.voltage < this.thresholds.battery.minVoltage) {
-                    issues.push({ system: `battery_${id}`, type: 'low_voltage', value: battery.voltage });
-                } else if (battery.voltage < this.thresholds.battery.minVoltage + 0.4) {
-                    warnings.push({ system: `battery_${id}`, type: 'voltage_dropping', value: battery.voltage });
+            if (voltage !== null) {
+                if (voltage < minVoltage) {
+                    issues.push({ system: `battery_${id}`, type: 'low_voltage', value: voltage });
+                } else if (voltage < minVoltage + 0.4 * (model ? model.nominalVoltage / 12 : 1)) {
+                    warnings.push({ system: `battery_${id}`, type: 'voltage_dropping', value: voltage });
                 }
             }
 
+            // Check state of charge against the chemistry floor
+            if (model?.soc != null && model.soc * 100 < model.floorPercent) {
+                issues.push({
+                    system: `battery_${id}`,
+                    type: 'below_floor',
+                    value: model.soc,
+                    params: { percent: Math.round(model.soc * 100), floor: model.floorPercent }
+                });
+            }
+
             // Check discharge rate
-            if (battery.current !== undefined && battery.current < this.thresholds.battery.rapidDischargeA) {
-                warnings.push({ system: `battery_${id}`, type: 'rapid_discharge', value: battery.current });
+            if (current !== null && current < this.thresholds.battery.rapidDischargeA) {
+                warnings.push({ system: `battery_${id}`, type: 'rapid_discharge', value: current });
             }
 
             // Check time to empty
-            if (battery.capacity?.timeToEmpty !== undefined && battery.capacity.timeToEmpty < this.thresholds.battery.criticalTimeToEmpty) {
-                issues.push({ system: `battery_${id}`, type: 'critical_time_to_empty', value: battery.capacity.timeToEmpty });
+            if (timeToEmpty !== null && timeToEmpty < this.thresholds.battery.criticalTimeToEmpty) {
+                issues.push({ system: `battery_${id}`, type: 'critical_time_to_empty', value: timeToEmpty });
             }
         }
     }
@@ -107,46 +125,73 @@ class FailurePredictor {
         if (!vesselData.propulsion) return;
 
         for (const [id, engine] of Object.entries(vesselData.propulsion)) {
+            const temperature = this._number(engine.temperature);
+            const oilPressure = this._number(engine.oilPressure);
+
             // Temperature check
-            if (engine.temperature !== undefined) {
-                if (engine.temperature > this.thresholds.engine.maxTemp) {
-                    issues.push({ system: `engine_${id}`, type: 'overheating', value: engine.temperature });
-                } else if (engine.temperature > this.thresholds.engine.maxTemp - 5) {
-                    warnings.push({ system: `engine_${id}`, type: 'temp_rising', value: engine.temperature });
+            if (temperature !== null) {
+                if (temperature > this.thresholds.engine.maxTemp) {
+                    issues.push({ system: `engine_${id}`, type: 'overheating', value: temperature });
+                } else if (temperature > this.thresholds.engine.maxTemp - 5) {
+                    warnings.push({ system: `engine_${id}`, type: 'temp_rising', value: temperature });
                 }
             }
 
-            // Oil pressure check
-            if (engine.oilPressure !== undefined && engine.oilPressure < this.thresholds.engine.minOilPressure) {
-                issues.push({ system: `engine_${id}`, type: 'low_oil_pressure', value: engine.oilPressure });
+            // Oil pressure check (no pressure is expected with the engine stopped)
+            if (oilPressure !== null && this._number(engine.revolutions) !== 0
+                && oilPressure < this.thresholds.engine.minOilPressure) {
+                issues.push({ system: `engine_${id}`, type: 'low_oil_pressure', value: oilPressure });
             }
+        }
+    }
 
-            // Service interval check
-            if (engine.runTime !== undefined) {
-                const hoursSinceService = (engine.runTime % this.thresholds.engine.serviceInterval) / 3600;
-                if (hoursSinceService > 90) { // Warning 10 hours before service
-                    warnings.push({ system: `engine_${id}`, type: 'service_due_soon', value: hoursSinceService });
-                }
-            }
+    _checkFuelSystem(warnings) {
+        const anomaly = this.fuelMonitor?.getAnomaly();
+        if (anomaly) {
+            warnings.push({
+                system: 'fuel',
+                type: 'fuel_consumption_high',
+                value: anomaly.ratio,
+                source: anomaly.source,
+                params: { percent: Math.round((anomaly.ratio - 1) * 100) }
+            });
         }
     }
 
+    /**
+     * Feed the sensor baselines and add their warnings: deviation from the
+     * usual value at this engine speed, fast change or slow drift towards
+     * the limit, each with the predicted time to reach it.
+     */
+    _checkTrends(vesselData, warnings) {
+        if (!this.baselines?.enabled) return;
+        this.baselines.observe(vesselData);
+        warnings.push(...this.baselines.evaluate());
+    }
+
+    /**
+     * One advice per issue and warning. `key` names the condition (system,
+     * sensor, type) and stays the same while the numbers in the message change.
+     */
     _generateExpertAdvice(issues, warnings) {
         const advice = [];
+        const conditionKey = c => [c.system, c.sensor, c.type].filter(Boolean).join('.');
         
         issues.forEach(issue => {
             advice.push({
+                key: conditionKey(issue),
                 type: 'critical_failure_risk',
                 priority: 'critical',
-                message: this.cm.t(`failure.advice.${issue.type}`) || `Critical issue detected on ${issue.system}: ${issue.type}`
+                message: this.cm.t(`failure.advice.${issue.type}`, issue.params) || `Critical issue detected on ${issue.system}: ${issue.type}`
             });
         });
 
         warnings.forEach(warning => {
             advice.push({
+                key: conditionKey(warning),
                 type: 'preventive_maintenance',
                 priority: 'high',
-                message: this.cm.t(`failure.advice.${warning.type}`) || `Warning on ${warning.system}: ${warning.type}. Check system.`
+                message: this.cm.t(`failure.advice.${warning.type}`, warning.params) || `Warning on ${warning.system}: ${warning.type}. Check system.`
             });
         });
 
@@ -175,6 +220,11 @@ class FailurePredictor {
         }
     }
 
+    _number(raw) {
+        const value = raw !== null && typeof raw === 'object' && 'value' in raw ? raw.value : raw;
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
     getFallbackAnalysis() {
         return {
             status: 'unknown',
@@ -0,0 +1,299 @@
+/**
+ * Isochrone Routing Engine
+ *
+ * Time-stepped isochrone search over a time-varying wind field. From every
+ * point of the current front the boat sails a fan of headings for one time
+ * step at polar speed; the new front keeps the point furthest from the start
+ * in each bearing sector. The search ends when the destination is within one
+ * step of the front, using the best VMG towards it so an upwind destination
+ * can be reached by the final beats.
+ *
+ * Pure computation: the wind field and the polar are injected, so the engine
+ * can run offline against a recorded forecast.
+ */
+
+const EARTH_RADIUS_NM = 3440.065;
+
+const toRad = (d) => d * Math.PI / 180;
+const toDeg = (r) => r * 180 / Math.PI;
+
+/**
+ * Signed angle in (-180, 180].
+ */
+function normaliseAngle(deg) {
+    let a = ((deg % 360) + 360) % 360;
+    if (a > 180) a -= 360;
+    return a;
+}
+
+function distanceNM(from, to) {
+    const dLat = toRad(to.latitude - from.latitude);
+    const dLon = toRad(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return EARTH_RADIUS_NM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function bearing(from, to) {
+    const lat1 = toRad(from.latitude);
+    const lat2 = toRad(to.latitude);
+    const dLon = toRad(to.longitude - from.longitude);
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Position reached from `from` after `distance` NM on initial bearing `heading`.
+ */
+function destinationPoint(from, heading, distance) {
+    const d = distance / EARTH_RADIUS_NM;
+    const h = toRad(heading);
+    const lat1 = toRad(from.latitude);
+    const lon1 = toRad(from.longitude);
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(h));
+    const lon2 = lon1 + Math.atan2(Math.sin(h) * Math.sin(d) * Math.cos(lat1),
+        Math.cos(d) - Math.sin(lat1) * Math.sin(lat2));
+    return { latitude: toDeg(lat2), longitude: normaliseAngle(toDeg(lon2)) };
+}
+
+/**
+ * Point at `fraction` (0–1) of the great circle between two positions.
+ */
+function intermediatePoint(from, to, fraction) {
+    return destinationPoint(from, bearing(from, to), distanceNM(from, to) * fraction);
+}
+
+class IsochroneRouter {
+    /** Spherical helpers shared with the route planner */
+    static geo = { distanceNM, bearing, destinationPoint, intermediatePoint, normaliseAngle };
+
+    /**
+     * @param {object} options
+     * @param {function} options.polar     (tws kn, twa deg) → boat speed kn
+     * @param {function} options.windAt    (position, Date) → { speed kn, direction deg (from), gust } | null
+     * @param {number} [options.maxSailingWind]   TWS (kn) above which the boat does not sail
+     * @param {number} [options.comfortWindLimit] TWS (kn) above which speed is penalised
+     * @param {number} [options.comfortPenalty=0.7] Speed factor applied above the comfort limit
+     * @param {number} [options.motorBelowKnots=0] Motor when the polar speed is below this (0 = never)
+     * @param {number} [options.motorSpeed=0]       Speed under engine (kn)
+     * @param {number} [options.tackSeconds=0]
+     * @param {number} [options.gybeSeconds=0]
+     * @param {number} [options.stepMinutes=60]
+     * @param {number} [options.headingStep=10]  Degrees between tried headings
+     * @param {number} [options.sectorDegrees=3] Pruning resolution of the front
+     * @param {number} [options.maxHours=72]
+     */
+    constructor(options) {
+        this.polar = options.polar;
+        this.windAt = options.windAt;
+        this.maxSailingWind = options.maxSailingWind ?? Infinity;
+        this.comfortWindLimit = options.comfortWindLimit ?? Infinity;
+        this.comfortPenalty = options.comfortPenalty ?? 0.7;
+        this.motorBelowKnots = options.motorBelowKnots ?? 0;
+        this.motorSpeed = options.motorSpeed ?? 0;
+        this.tackSeconds = options.tackSeconds ?? 0;
+        this.gybeSeconds = options.gybeSeconds ?? 0;
+        this.stepMinutes = options.stepMinutes ?? 60;
+        this.headingStep = options.headingStep ?? 10;
+        this.sectorDegrees = options.sectorDegrees ?? 3;
+        this.maxHours = options.maxHours ?? 72;
+    }
+
+    /**
+     * Compute the fastest route.
+     * @param {{latitude: number, longitude: number}} start
+     * @param {{latitude: number, longitude: number}} destination
+     * @param {Date} [departure]
+     * @returns {object} { status: 'reached'|'unreachable'|'no_wind', departure, arrival,
+     *                     etaHours, distanceNM, track: [...], closestNM }
+     */
+    route(start, destination, departure = new Date()) {
+        const stepHours = this.stepMinutes / 60;
+        const maxSteps = Math.ceil(this.maxHours / stepHours);
+        const directNM = distanceNM(start, destination);
+        const t0 = departure.getTime();
+
+        let front = [{ position: start, time: t0, parent: null, tack: 0, sailedNM: 0 }];
+        let closest = front[0];
+        let closestNM = directNM;
+        let windSeen = false;
+
+        for (let step = 0; step < maxSteps; step++) {
+            // Arrival: earliest node of the front that can finish within one step
+            let arrival = null;
+            for (const node of front) {
+                const wind = this.windAt(node.position, new Date(node.time));
+                if (!wind) continue;
+                windSeen = true;
+                const candidate = this._tryArrival(node, destination, wind, stepHours);
+                if (candidate && (!arrival || candidate.time < arrival.time)) arrival = candidate;
+            }
+            if (arrival) {
+                return this._result('reached', arrival, t0, 0);
+            }
+
+            const candidates = [];
+            for (const node of front) {
+                const wind = this.windAt(node.position, new Date(node.time));
+                if (!wind || wind.speed > this.maxSailingWind) continue;
+                for (let heading = 0; heading < 360; heading += this.headingStep) {
+                    const next = this._sail(node, heading, wind, stepHours);
+                    if (next) candidates.push(next);
+                }
+            }
+            if (candidates.length === 0) break;
+
+            front = this._prune(candidates, start, destination, directNM);
+            for (const node of front) {
+                const d = distanceNM(node.position, destination);
+                if (d < closestNM) {
+                    closestNM = d;
+                    closest = node;
+                }
+            }
+        }
+
+        return this._result(windSeen ? 'unreachable' : 'no_wind', closest, t0, closestNM);
+    }
+
+    /**
+     * Boat speed on a heading: polar speed (penalised above the comfort
+     * limit), or engine speed when sailing would be slower than
+     * `motorBelowKnots`.
+     * @returns {{speed: number, motoring: boolean}}
+     */
+    _boatSpeed(wind, twa) {
+        let speed = this.polar(wind.speed, Math.abs(twa)) || 0;
+        if (wind.speed > this.comfortWindLimit) speed *= this.comfortPenalty;
+        if (this.motorSpeed > 0 && speed < this.motorBelowKnots) {
+            return { speed: this.motorSpeed, motoring: true };
+        }
+        return { speed, motoring: false };
+    }
+
+    /**
+     * Sail one step on a heading. Returns the new node or null when the
+     * heading is in the no-go zone.
+     */
+    _sail(node, heading, wind, stepHours) {
+        const twa = normaliseAngle(heading - wind.direction);
+        const { speed, motoring } = this._boatSpeed(wind, twa);
+        if (!(speed > 0.1)) return null;
+
+        const aboveComfort = wind.speed > this.comfortWindLimit;
+
+        // Manoeuvre cost when the wind changes side under sail
+        const tack = motoring ? node.tack : (Math.sign(twa) || node.tack);
+        let hours = stepHours;
+        if (!motoring && node.tack && tack !== node.tack) {
+            hours -= (Math.abs(twa) < 90 ? this.tackSeconds : this.gybeSeconds) / 3600;
+        }
+        const distance = speed * Math.max(0, hours);
+
+        return {
+            position: destinationPoint(node.position, heading, distance),
+            time: node.time + stepHours * 3_600_000,
+            parent: node,
+            heading,
+            tack,
+            tws: wind.speed,
+            twd: wind.direction,
+            gust: wind.gust ?? null,
+            twa: Math.round(twa),
+            speed,
+            motoring,
+            aboveComfort,
+            sailedNM: node.sailedNM + distance
+        };
+    }
+
+    /**
+     * Finish from `node` if the destination is within one step at the best
+     * VMG towards it (direct reach, or short beats/gybes).
+     */
+    _tryArrival(node, destination, wind, stepHours) {
+        const remaining = distanceNM(node.position, destination);
+        if (wind.speed > this.maxSailingWind) return null;
+        if (remaining < 0.01) {
+            return { ...node, position: destination, parent: node.parent };
+        }
+
+        const direct = bearing(node.position, destination);
+        let best = null;
+        for (let offset = -180; offset < 180; offset += 2) {
+            const heading = (direct + offset + 360) % 360;
+            const twa = normaliseAngle(heading - wind.direction);
+            const { speed, motoring } = this._boatSpeed(wind, twa);
+            const vmg = speed * Math.cos(toRad(offset));
+            if (vmg > 0.1 && (!best || vmg > best.vmg)) best = { vmg, heading, twa, speed, motoring };
+        }
+        if (!best) return null;
+
+        const hours = remaining / best.vmg;
+        if (hours > stepHours) return null;
+
+        return {
+            position: destination,
+            time: node.time + hours * 3_600_000,
+            parent: node,
+            heading: Math.round(direct),
+            tack: Math.sign(best.twa) || node.tack,
+            tws: wind.speed,
+            twd: wind.direction,
+            gust: wind.gust ?? null,
+            twa: Math.round(normaliseAngle(direct - wind.direction)),
+            speed: remaining / hours,
+            motoring: best.motoring,
+            aboveComfort: wind.speed > this.comfortWindLimit,
+            sailedNM: node.sailedNM + remaining
+        };
+    }
+
+    /**
+     * Keep the node furthest from the start in each bearing sector, and drop
+     * nodes that have wandered far off the direct route.
+     */
+    _prune(candidates, start, destination, directNM) {
+        const sectors = new Map();
+        for (const node of candidates) {
+            const fromStart = distanceNM(start, node.position);
+            if (distanceNM(node.position, destination) > directNM * 1.5 + 5) continue;
+            const sector = Math.floor(bearing(start, node.position) / this.sectorDegrees);
+            const kept = sectors.get(sector);
+            if (!kept || fromStart > kept.fromStart) {
+                sectors.set(sector, { node, fromStart });
+            }
+        }
+        return [...sectors.values()].map(s => s.node);
+    }
+
+    _result(status, last, t0, closestNM) {
+        const track = [];
+        for (let node = last; node; node = node.parent) {
+            track.unshift({
+                position: node.position,
+                time: new Date(node.time).toISOString(),
+                heading: node.heading ?? null,
+                tws: node.tws ?? null,
+                twd: node.twd ?? null,
+                gust: node.gust ?? null,
+                twa: node.twa ?? null,
+                speed: node.speed ?? null,
+                motoring: node.motoring ?? false,
+                aboveComfort: node.aboveComfort ?? false
+            });
+        }
+        return {
+            status,
+            departure: new Date(t0).toISOString(),
+            arrival: status === 'reached' ? new Date(last.time).toISOString() : null,
+            etaHours: status === 'reached' ? (last.time - t0) / 3_600_000 : null,
+            distanceNM: last.sailedNM,
+            closestNM,
+            track
+        };
+    }
+}
+
+module.exports = IsochroneRouter;
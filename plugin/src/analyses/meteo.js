@@ -64,9 +64,10 @@ class MeteoAnalyzer {
      * Perform comprehensive weather analysis.
      * @param {object} vesselData Current vessel data from SignalK
      * @param {object} context    Navigation context
+     * @param {object} [options]  streamSpeech(assessment) → sentence callback or null
      * @returns {object}          Full analysis result
      */
-    async analyzeConditions(vesselData, context) {
+    async analyzeConditions(vesselData, context, options = {}) {
         try {
             const weatherData = await this.weatherProvider.getWeatherData(vesselData.position);
             if (!weatherData?.current) {
@@ -85,7 +86,10 @@ class MeteoAnalyzer {
             this._recordPressure(weatherData.current.pressure);
 
             const assessment = this.assessConditions(weatherData, tideData, vesselData);
-            const analysis = await this.generateAnalysis(weatherData, tideData, vesselData, context, assessment);
+            // Caller may want the LLM answer spoken while it is generated; it
+            // decides from the assessment and returns a sentence callback or null.
+            const onSentence = options.streamSpeech ? options.streamSpeech(assessment) : null;
+            const analysis = await this.generateAnalysis(weatherData, tideData, vesselData, context, assessment, onSentence);
 
             return {
                 weatherData,
@@ -393,8 +397,10 @@ class MeteoAnalyzer {
             in_irons: 0, close_hauled: 0.4, close_reach: 0.6,
             beam_reach: 0.7, broad_reach: 0.65, running: 0.55, dead_run: 0.45
         };
-        const pos = this.getPointOfSail(twa);
-        const expected = windSpeed * (optimalRatio[pos] || 0.5);
+        // Boat polar (static, learned or blended) when available, else a generic ratio
+        const expected = this.cm
+            ? this.cm.polar(windSpeed, twa)
+            : windSpeed * (optimalRatio[this.getPointOfSail(twa)] || 0.5);
         if (expected <= 0) return 'unknown';
         const eff = boatSpeed / expected;
         if (eff > 0.9) return 'excellent';
@@ -576,7 +582,7 @@ class MeteoAnalyzer {
     /**
      * Generate analysis with LLM enrichment.
      */
-    async generateAnalysis(weatherData, tideData, vesselData, context, assessment) {
+    async generateAnalysis(weatherData, tideData, vesselData, context, assessment, onSentence = null) {
         // Bound the LLM time: on the RPi5 a single generation can take minutes
         // (CPU-capped Ollama, queued scheduled analyses). Callers — the UI's
         // "weather" button in particular — need an answer within a predictable
@@ -584,7 +590,7 @@ class MeteoAnalyzer {
         const budgetMs = (this.config.llm?.interactiveTimeoutSeconds || 45) * 1000;
         let budgetTimer;
         try {
-            const llmPromise = this.llm.analyzeWeather(weatherData, vesselData, context, { tideData, assessment });
+            const llmPromise = this.llm.analyzeWeather(weatherData, vesselData, context, { tideData, assessment, onSentence });
             llmPromise.catch(() => {}); // avoid unhandled rejection if the budget wins
             const llmResult = await Promise.race([
                 llmPromise,
@@ -32,10 +32,16 @@ class RacingAnalyzer {
         this.cm = cm;
         this.weatherProvider = weatherProvider;
 
-        // Manoeuvre penalties from boat config or defaults
-        const boatPenalties = cm.boatValue('maneuverPenalties', {});
-        this.tackPenalty = boatPenalties.tack || config.sailing?.tackPenalty || 45;  // seconds
-        this.gybePenalty = boatPenalties.gybe || config.sailing?.gybePenalty || 30;  // seconds
+        this.applyBoatProfile();
+    }
+
+    /**
+     * Read the manoeuvre penalties from the active boat profile or defaults.
+     */
+    applyBoatProfile() {
+        const boatPenalties = this.cm.boatValue('maneuverPenalties', {});
+        this.tackPenalty = boatPenalties.tack || this.config.sailing?.tackPenalty || 45;  // seconds
+        this.gybePenalty = boatPenalties.gybe || this.config.sailing?.gybePenalty || 30;  // seconds
     }
 
     /**
@@ -127,6 +133,7 @@ class RacingAnalyzer {
                 twaMark: Math.round(twaMark),
                 vmgMark: Math.round(vmgMark * 10) / 10,
                 efficiency: Math.round(efficiency * 100) / 100,
+                polarSource: this.cm.polarSource,
                 pointOfSail: this.cm.getPointOfSail(twaMark),
                 laylines,
                 courseOptions,
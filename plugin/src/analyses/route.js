@@ -4,14 +4,47 @@
  * Intelligent route planning and navigation assistance.
  * Analyzes weather forecasts, vessel polar performance, and destination
  * to recommend optimal routing strategies.
+ *
+ * Weather routing: hourly forecasts are fetched at points along the great
+ * circle, blended into a wind field (time interpolation, inverse-distance
+ * weighting in space) and fed to the IsochroneRouter with the boat's polar
+ * and wind limits. The result is published as a Signal K route resource.
+ *
+ * Departure planning runs the same router for a series of start times against
+ * one forecast and the tide timeline, and ranks them.
  */
 
+const crypto = require('crypto');
+const IsochroneRouter = require('./isochrone');
+
+const { distanceNM, bearing, intermediatePoint, normaliseAngle } = IsochroneRouter.geo;
+
 class RoutePlanner {
-    constructor(app, config, llm, cm) {
+    constructor(app, config, llm, cm, weatherProvider, tidesProvider) {
         this.app = app;
         this.config = config;
         this.llm = llm;
         this.cm = cm;
+        this.weatherProvider = weatherProvider;
+        this.tidesProvider = tidesProvider;
+
+        this.routing = {
+            enabled: config.routing?.enabled !== false,
+            stepMinutes: config.routing?.stepMinutes || 60,
+            headingStep: config.routing?.headingStep || 10,
+            maxHours: config.routing?.maxHours || 48,
+            forecastSpacingNM: config.routing?.forecastSpacingNM || 25,
+            maxForecastPoints: 6,
+            // Motoring is opt-in: 0 keeps the router under sail
+            motorBelowKnots: config.routing?.motorBelowKnots ?? 0,
+            motorSpeed: config.routing?.motorSpeed ?? 5,
+            // Direction the flood stream sets towards (deg); null = unknown
+            floodSetDegrees: config.routing?.floodSetDegrees ?? null,
+            publish: config.routing?.publishRoute !== false
+        };
+
+        // Re-planning overwrites the same route resource instead of piling up new ones
+        this._routeId = null;
     }
 
     /**
@@ -23,21 +56,21 @@ class RoutePlanner {
      */
     async planRoute(vesselData, weatherData, context) {
         try {
-            if (!context || !context.destination || !context.destination.position) {
+            const destination = this._resolveDestination(context?.destination);
+            if (!destination) {
                 return {
                     status: 'no_destination',
-                    message: this.cm.t('route.no_destination') || 'No destination set.',
+                    message: this.cm.t('route.no_destination'),
                     analysis: null
                 };
             }
 
-            const destination = context.destination.position;
             const currentPosition = vesselData.position;
 
             if (!currentPosition || !currentPosition.latitude || !currentPosition.longitude) {
                 return {
                     status: 'no_position',
-                    message: this.cm.t('route.no_position') || 'Current position unknown.',
+                    message: this.cm.t('route.no_position'),
                     analysis: null
                 };
             }
@@ -48,21 +81,47 @@ class RoutePlanner {
             const distanceNM = this._haversineDistanceNM(currentPosition, destination);
             const speedKts = vesselData.speed * 1.94384;
             const avgSpeed = speedKts > 1 ? speedKts : 5;
-            const etaHours = distanceNM / avgSpeed;
+            let etaHours = distanceNM / avgSpeed;
+
+            const expertAdvice = [];
+            let weatherRoute = null;
+
+            if (this.routing.enabled && this.weatherProvider) {
+                weatherRoute = await this.computeWeatherRoute(currentPosition, destination, {
+                    name: destination.name
+                });
+                if (weatherRoute?.status === 'reached') {
+                    etaHours = weatherRoute.etaHours;
+                }
+                expertAdvice.push(...this._routeAdvice(weatherRoute));
+            }
 
-            let expertAdvice = [];
             let llmAnalysis = null;
 
             if (this.config.sailing?.useLLMAnalysis !== false && this.llm.isConnected()) {
-                llmAnalysis = await this.generateRouteAnalysis(vesselData, weatherData, destination, distanceNM, bearing, etaHours);
+                llmAnalysis = await this.generateRouteAnalysis(vesselData, weatherData, destination, distanceNM, bearing, etaHours, weatherRoute);
             }
 
+            const reached = weatherRoute?.status === 'reached';
             return {
                 status: 'planned',
+                routing: reached ? 'isochrone' : 'great_circle',
                 destination,
                 distanceNM: Math.round(distanceNM * 10) / 10,
                 bearing: Math.round(bearing),
                 etaHours: Math.round(etaHours * 10) / 10,
+                speech: reached
+                    ? this.cm.t('route.planned', {
+                        distance: Math.round(weatherRoute.distanceNM),
+                        hours: Math.round(weatherRoute.etaHours * 10) / 10,
+                        legs: weatherRoute.legs.length
+                    })
+                    : this.cm.t('route.great_circle', {
+                        distance: Math.round(distanceNM * 10) / 10,
+                        bearing: Math.round(bearing),
+                        hours: Math.round(etaHours * 10) / 10
+                    }),
+                weatherRoute,
                 expertAdvice,
                 analysis: llmAnalysis,
                 timestamp: new Date().toISOString()
@@ -73,6 +132,409 @@ class RoutePlanner {
         }
     }
 
+    /**
+     * Accept the destination shapes found in the navigation context:
+     * { position: {latitude, longitude} }, { waypoint: {...} } or a bare position.
+     */
+    _resolveDestination(destination) {
+        const candidate = destination?.position || destination?.waypoint?.position ||
+            destination?.waypoint || destination;
+        if (typeof candidate?.latitude !== 'number' || typeof candidate?.longitude !== 'number') {
+            return null;
+        }
+        return {
+            latitude: candidate.latitude,
+            longitude: candidate.longitude,
+            name: destination.name || candidate.name || destination.waypoint?.name || null
+        };
+    }
+
+    // ─────────── WEATHER ROUTING ───────────
+
+    /**
+     * Isochrone route from `start` to `destination` over the Weather API forecast.
+     * @param {object} start        {latitude, longitude}
+     * @param {object} destination  {latitude, longitude}
+     * @param {object} [options]    { departure: Date, name: string, publish: boolean, forecasts, tideTimeline }
+     *                              `forecasts` ([{position, entries}]) skips the Weather API,
+     *                              e.g. to replay a recorded forecast. `tideTimeline` (from
+     *                              TidesDataProvider.getTideTimeline) adds windAgainstTideHours.
+     * @returns {object|null} Router result with legs and route resource, or null without forecast
+     */
+    async computeWeatherRoute(start, destination, options = {}) {
+        const forecasts = options.forecasts || await this._fetchRouteForecasts(start, destination);
+        if (!forecasts.length) {
+            this.app.debug('Weather routing skipped: no forecast available');
+            return null;
+        }
+
+        const route = this._runRouter(start, destination, options.departure || new Date(),
+            forecasts, options.tideTimeline);
+
+        if (route.status === 'reached') {
+            route.resource = this._toRouteResource(start, route.legs, {
+                name: options.name,
+                departure: route.departure,
+                arrival: route.arrival
+            });
+            if (this.routing.publish && options.publish !== false) {
+                route.href = await this._publishRoute(route.resource);
+            }
+        }
+        return route;
+    }
+
+    /**
+     * Run the isochrone router and summarise the track into legs and metrics.
+     */
+    _runRouter(start, destination, departure, forecasts, tideTimeline) {
+        const directNM = distanceNM(start, destination);
+        // Short hops need a finer step than the configured one
+        const stepMinutes = Math.max(10, Math.min(this.routing.stepMinutes, Math.round(directNM / 6 * 60 / 12)));
+
+        const router = new IsochroneRouter({
+            polar: (tws, twa) => this.cm.polar(tws, twa),
+            windAt: this._buildWindField(forecasts),
+            maxSailingWind: this.cm.boatValue('limits.maxSailingWind'),
+            comfortWindLimit: this.cm.boatValue('limits.comfortWindLimit'),
+            motorBelowKnots: this.routing.motorBelowKnots,
+            motorSpeed: this.routing.motorSpeed,
+            tackSeconds: this.cm.boatValue('maneuverPenalties.tackSeconds', 0),
+            gybeSeconds: this.cm.boatValue('maneuverPenalties.gybeSeconds', 0),
+            stepMinutes,
+            headingStep: this.routing.headingStep,
+            maxHours: this.routing.maxHours
+        });
+
+        const result = router.route(start, destination, departure);
+        const legs = this._buildLegs(result.track);
+        const route = {
+            ...result,
+            distanceNM: Math.round(result.distanceNM * 10) / 10,
+            etaHours: result.etaHours !== null ? Math.round(result.etaHours * 10) / 10 : null,
+            closestNM: Math.round(result.closestNM * 10) / 10,
+            stepMinutes,
+            legs,
+            maxWind: Math.max(0, ...legs.map(l => l.maxTws)),
+            maxGust: Math.max(0, ...legs.map(l => l.maxGust ?? 0)),
+            hoursAboveComfort: Math.round(legs.reduce((h, l) => h + (l.aboveComfort ? l.hours : 0), 0) * 10) / 10,
+            motoringHours: this._trackHours(result.track, step => step.motoring),
+            windAgainstTideHours: tideTimeline
+                ? this._trackHours(result.track, (step, prev) => this._windAgainstTide(step, prev.time, tideTimeline))
+                : null
+        };
+        delete route.track;
+        return route;
+    }
+
+    /**
+     * Hours of the track whose steps match predicate(step, previous). A track
+     * point carries the wind and mode of the step that reached it.
+     */
+    _trackHours(track, predicate) {
+        let hours = 0;
+        for (let i = 1; i < track.length; i++) {
+            if (predicate(track[i], track[i - 1])) {
+                hours += (new Date(track[i].time) - new Date(track[i - 1].time)) / 3_600_000;
+            }
+        }
+        return Math.round(hours * 10) / 10;
+    }
+
+    /**
+     * Wind against a strong tidal stream, which raises steep seas. With
+     * `routing.floodSetDegrees` the wind must blow against the stream set;
+     * without it, any wind above 15 kn in the strong hours counts, as in the
+     * meteo tide assessment.
+     */
+    _windAgainstTide(step, stepStart, tideTimeline) {
+        if (step.tws === null) return false;
+        const stream = this.tidesProvider?.streamAt(new Date(stepStart), tideTimeline);
+        if (!stream || stream.strength < 1) return false;
+
+        const floodSet = this.routing.floodSetDegrees;
+        if (floodSet === null) return step.tws > 15;
+
+        const streamSet = stream.state === 'flood' ? floodSet : floodSet + 180;
+        const windTo = step.twd + 180;
+        return step.tws > 12 && Math.abs(normaliseAngle(windTo - streamSet)) > 120;
+    }
+
+    /**
+     * Simulate several departure times against one forecast and the tide
+     * timeline, and rank them. Lower score is better:
+     *   duration + 0.5·motoring h + 1·wind-against-tide h
+     *   + 0.5·kn of wind and 0.25·kn of gust above the comfort limit.
+     * Departures that do not reach the destination rank last.
+     * @param {object} start
+     * @param {object} destination  {latitude, longitude, name?}
+     * @param {Date[]} departures
+     * @returns {Promise<object>} { status, departures: [...ranked], best }
+     */
+    async planDepartures(start, destination, departures) {
+        const forecasts = await this._fetchRouteForecasts(start, destination);
+        if (!forecasts.length) {
+            return { status: 'no_forecast', departures: [], best: null };
+        }
+
+        const sorted = [...departures].sort((a, b) => a - b);
+        const tideTimeline = this.tidesProvider
+            ? await this.tidesProvider.getTideTimeline(sorted[0],
+                new Date(sorted[sorted.length - 1].getTime() + this.routing.maxHours * 3_600_000))
+            : null;
+        const comfort = this.cm.boatValue('limits.comfortWindLimit', Infinity);
+
+        const candidates = [];
+        for (const departure of sorted) {
+            // Each run is synchronous and CPU-heavy: let the event loop breathe between them
+            await new Promise(resolve => setImmediate(resolve));
+            const route = this._runRouter(start, destination, departure, forecasts, tideTimeline);
+            const reached = route.status === 'reached';
+            const score = reached
+                ? route.etaHours +
+                    0.5 * route.motoringHours +
+                    (route.windAgainstTideHours || 0) +
+                    0.5 * Math.max(0, route.maxWind - comfort) +
+                    0.25 * Math.max(0, route.maxGust - comfort)
+                : null;
+            candidates.push({
+                departure: departure.toISOString(),
+                status: route.status,
+                arrival: route.arrival,
+                etaHours: route.etaHours,
+                distanceNM: route.distanceNM,
+                maxWind: Math.round(route.maxWind * 10) / 10,
+                maxGust: Math.round(route.maxGust * 10) / 10,
+                hoursAboveComfort: route.hoursAboveComfort,
+                windAgainstTideHours: route.windAgainstTideHours,
+                motoringHours: route.motoringHours,
+                legs: route.legs.length,
+                score: score !== null ? Math.round(score * 10) / 10 : null
+            });
+        }
+
+        const ranked = [...candidates].sort((a, b) =>
+            (a.score ?? Infinity) - (b.score ?? Infinity) || new Date(a.departure) - new Date(b.departure));
+        ranked.forEach((c, i) => { c.rank = i + 1; });
+        const best = ranked[0]?.score !== null ? ranked[0] : null;
+
+        return {
+            status: best ? 'planned' : 'unreachable',
+            destination,
+            tides: tideTimeline !== null,
+            departures: ranked,
+            best
+        };
+    }
+
+    /**
+     * Fetch hourly forecasts at points spread along the great circle.
+     * @returns {Promise<Array<{position: object, entries: Array}>>}
+     */
+    async _fetchRouteForecasts(start, destination) {
+        const directNM = distanceNM(start, destination);
+        const count = Math.min(this.routing.maxForecastPoints,
+            Math.max(2, Math.ceil(directNM / this.routing.forecastSpacingNM) + 1));
+
+        const forecasts = [];
+        for (let i = 0; i < count; i++) {
+            const position = intermediatePoint(start, destination, i / (count - 1));
+            // Sequential on purpose: the Weather API provider rate-limits bursts
+            const entries = await this.weatherProvider._fetchForecast(position);
+            if (entries?.length) forecasts.push({ position, entries });
+        }
+        return forecasts;
+    }
+
+    /**
+     * Wind field from point forecasts: linear in time between hourly entries,
+     * inverse-distance weighted in space. Interpolates wind vectors so that
+     * directions either side of north average correctly.
+     * @param {Array<{position: object, entries: Array}>} forecasts
+     * @returns {function(object, Date): ({speed: number, direction: number, gust: number|null}|null)}
+     */
+    _buildWindField(forecasts) {
+        const series = forecasts.map(f => ({
+            position: f.position,
+            entries: f.entries
+                .filter(e => e.date && e.windSpeed !== null && e.windDirection !== null)
+                .map(e => ({
+                    t: new Date(e.date).getTime(),
+                    u: -e.windSpeed * Math.sin(e.windDirection * Math.PI / 180),
+                    v: -e.windSpeed * Math.cos(e.windDirection * Math.PI / 180),
+                    gust: e.windGust
+                }))
+                .sort((a, b) => a.t - b.t)
+        })).filter(s => s.entries.length > 0);
+
+        const atTime = (entries, t) => {
+            // Hold the first hour for up to an hour before it; nothing past the horizon
+            if (t < entries[0].t - 3_600_000 || t > entries[entries.length - 1].t) return null;
+            if (t <= entries[0].t) return entries[0];
+            const i = entries.findIndex(e => e.t >= t);
+            const a = entries[i - 1];
+            const b = entries[i];
+            const f = (t - a.t) / (b.t - a.t);
+            return {
+                u: a.u + (b.u - a.u) * f,
+                v: a.v + (b.v - a.v) * f,
+                gust: a.gust != null && b.gust != null ? a.gust + (b.gust - a.gust) * f : (a.gust ?? b.gust)
+            };
+        };
+
+        return (position, time) => {
+            const t = time.getTime();
+            let u = 0;
+            let v = 0;
+            let gust = null;
+            let total = 0;
+            for (const s of series) {
+                const w = atTime(s.entries, t);
+                if (!w) continue;
+                const weight = 1 / Math.max(distanceNM(position, s.position), 0.5) ** 2;
+                u += w.u * weight;
+                v += w.v * weight;
+                if (w.gust != null) gust = Math.max(gust ?? 0, w.gust);
+                total += weight;
+            }
+            if (total === 0) return null;
+            u /= total;
+            v /= total;
+            return {
+                speed: Math.hypot(u, v),
+                direction: (Math.atan2(-u, -v) * 180 / Math.PI + 360) % 360,
+                gust
+            };
+        };
+    }
+
+    /**
+     * Merge consecutive track steps into legs: same tack, headings within
+     * 15° (the discrete heading fan makes the front zig-zag around the ideal
+     * course) and same side of the comfort limit.
+     */
+    _buildLegs(track) {
+        const legs = [];
+        for (let i = 1; i < track.length; i++) {
+            const from = track[i - 1];
+            const to = track[i];
+            const last = legs[legs.length - 1];
+            const hours = (new Date(to.time) - new Date(from.time)) / 3_600_000;
+            const dist = distanceNM(from.position, to.position);
+
+            if (last && Math.sign(last.twa) === Math.sign(to.twa) &&
+                Math.abs(normaliseAngle(last.heading - to.heading)) <= 15 &&
+                last.aboveComfort === to.aboveComfort) {
+                last.twa = (last.twa * last.hours + to.twa * hours) / (last.hours + hours);
+                last.to = to.position;
+                last.eta = to.time;
+                last.distanceNM += dist;
+                last.hours += hours;
+                last.maxTws = Math.max(last.maxTws, to.tws);
+                if (to.gust != null) last.maxGust = Math.max(last.maxGust ?? 0, to.gust);
+                continue;
+            }
+            legs.push({
+                from: from.position,
+                to: to.position,
+                heading: to.heading,
+                twa: to.twa,
+                tws: Math.round(to.tws * 10) / 10,
+                maxTws: to.tws,
+                maxGust: to.gust,
+                aboveComfort: to.aboveComfort,
+                distanceNM: dist,
+                hours,
+                start: from.time,
+                eta: to.time
+            });
+        }
+        return legs.map(l => ({
+            ...l,
+            heading: Math.round(bearing(l.from, l.to)),
+            twa: Math.round(l.twa),
+            distanceNM: Math.round(l.distanceNM * 10) / 10,
+            hours: Math.round(l.hours * 10) / 10,
+            speedKts: l.hours > 0 ? Math.round(l.distanceNM / l.hours * 10) / 10 : null,
+            maxTws: Math.round(l.maxTws * 10) / 10,
+            maxGust: l.maxGust != null ? Math.round(l.maxGust * 10) / 10 : null
+        }));
+    }
+
+    /**
+     * Signal K v2 route resource (GeoJSON LineString) with the per-leg ETAs
+     * in the point metadata.
+     */
+    _toRouteResource(start, legs, info) {
+        const points = [start, ...legs.map(l => l.to)];
+        const totalNM = legs.reduce((d, l) => d + l.distanceNM, 0);
+        return {
+            name: info.name ? `Ocearo → ${info.name}` : 'Ocearo weather route',
+            description: `Isochrone route, departure ${info.departure}, arrival ${info.arrival}`,
+            distance: Math.round(totalNM * 1852),
+            feature: {
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: points.map(p => [p.longitude, p.latitude])
+                },
+                properties: {
+                    coordinatesMeta: points.map((p, i) => ({
+                        name: i === 0 ? 'Start' : (i === points.length - 1 ? (info.name || 'Destination') : `WP${i}`),
+                        eta: i === 0 ? info.departure : legs[i - 1].eta
+                    })),
+                    legs: legs.map(l => ({
+                        heading: l.heading, twa: l.twa, tws: l.tws, maxGust: l.maxGust,
+                        distanceNM: l.distanceNM, eta: l.eta
+                    })),
+                    departure: info.departure,
+                    arrival: info.arrival
+                }
+            }
+        };
+    }
+
+    /**
+     * Store the route through the Signal K v2 Resources API.
+     * @returns {Promise<string|null>} Resource href, or null when unavailable
+     */
+    async _publishRoute(resource) {
+        const api = this.app.resourcesApi;
+        if (typeof api?.setResource !== 'function') {
+            this.app.debug('Resources API not available, route not published');
+            return null;
+        }
+        try {
+            this._routeId = this._routeId || crypto.randomUUID();
+            await api.setResource('routes', this._routeId, resource);
+            return `/resources/routes/${this._routeId}`;
+        } catch (error) {
+            this.app.debug('Failed to publish route resource:', error.message);
+            return null;
+        }
+    }
+
+    _routeAdvice(route) {
+        const advice = [];
+        if (!route) return advice;
+        const limits = this.cm.boatValue('limits', {});
+
+        if (route.status !== 'reached') {
+            advice.push({ type: 'route_unreachable', priority: 'high',
+                message: this.cm.t('route.advice.unreachable', {
+                    hours: this.routing.maxHours,
+                    limit: limits.maxSailingWind ?? '-'
+                }) });
+        } else if (route.hoursAboveComfort > 0) {
+            advice.push({ type: 'route_heavy_weather', priority: 'high',
+                message: this.cm.t('route.advice.above_comfort', {
+                    hours: route.hoursAboveComfort,
+                    limit: limits.comfortWindLimit
+                }) });
+        }
+        return advice;
+    }
+
     _haversineDistanceNM(pos1, pos2) {
         const toRad = x => x * Math.PI / 180;
         const R = 3440.065; // Radius of Earth in nautical miles
@@ -102,7 +564,7 @@ class RoutePlanner {
         return (brng + 360) % 360;
     }
 
-    async generateRouteAnalysis(vesselData, weatherData, destination, distanceNM, bearing, etaHours) {
+    async generateRouteAnalysis(vesselData, weatherData, destination, distanceNM, bearing, etaHours, weatherRoute = null) {
         try {
             const isFrench = this.cm.language === 'fr';
             
@@ -117,6 +579,15 @@ class RoutePlanner {
                 ? `Vent: ${windSpeed} nds, Direction: ${windDir}°. `
                 : `Wind: ${windSpeed} kts, Direction: ${windDir}°. `;
                                
+            if (weatherRoute?.status === 'reached') {
+                const legs = weatherRoute.legs
+                    .map(l => `${l.heading}° ${l.distanceNM} NM (TWA ${l.twa}°, ${l.tws} ${isFrench ? 'nds' : 'kts'})`)
+                    .join('; ');
+                prompt += isFrench
+                    ? `Routage isochrone: ${weatherRoute.distanceNM} NM en ${weatherRoute.etaHours}h, vent max ${weatherRoute.maxWind.toFixed(0)} nds. Bords: ${legs}. `
+                    : `Isochrone routing: ${weatherRoute.distanceNM} NM in ${weatherRoute.etaHours}h, max wind ${weatherRoute.maxWind.toFixed(0)} kts. Legs: ${legs}. `;
+            }
+
             prompt += isFrench 
                 ? `Fournis une stratégie de routage optimale, en tenant compte des polaires du navire, des dangers potentiels, et des allures recommandées.`
                 : `Provide an optimal routing strategy, considering vessel polars, potential dangers, and recommended points of sail.`;
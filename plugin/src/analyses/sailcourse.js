@@ -26,11 +26,18 @@ class SailCourseAnalyzer {
         this.llm = llm;
         this.cm = cm;
 
-        // Manoeuvre time penalties in seconds (boat config or defaults)
-        const boatPenalties = cm.boatValue('maneuverPenalties', {});
+        this.applyBoatProfile();
+    }
+
+    /**
+     * Read the manoeuvre time penalties in seconds from the active boat
+     * profile or defaults.
+     */
+    applyBoatProfile() {
+        const boatPenalties = this.cm.boatValue('maneuverPenalties', {});
         this.maneuverPenalty = {
-            tack: boatPenalties.tack || config.sailing?.tackPenalty || 45,
-            gybe: boatPenalties.gybe || config.sailing?.gybePenalty || 30
+            tack: boatPenalties.tack || this.config.sailing?.tackPenalty || 45,
+            gybe: boatPenalties.gybe || this.config.sailing?.gybePenalty || 30
         };
     }
 
@@ -109,6 +116,7 @@ class SailCourseAnalyzer {
             vmg: Math.round(vmg * 10) / 10,
             polarSpeed: Math.round(polarSpeed * 10) / 10,
             efficiency: Math.round(efficiency * 100) / 100,
+            polarSource: this.cm.polarSource,
             pointOfSail: this.cm.getPointOfSail(twa),
             optimalVMGUpwind: Math.round(vmgUpwind * 10) / 10,
             optimalVMGDownwind: Math.round(vmgDownwind * 10) / 10,
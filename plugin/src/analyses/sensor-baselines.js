@@ -0,0 +1,482 @@
+/**
+ * Sensor Baselines
+ *
+ * Learns the usual value of each engine sensor at a given operating point
+ * and scores new readings against it, so that wear shows up long before a
+ * fixed alarm threshold is crossed:
+ * - coolant temperature, exhaust temperature and oil pressure per engine
+ *   (`propulsion.*`), alternator voltage (`electrical.alternators.*`)
+ * - one baseline per engine speed band (`rpmStep`) and sea temperature band
+ *   (5 °C), learned over the first `learningSamples` steady readings of the
+ *   band and then frozen, skipping engine warm-up and speed changes
+ * - a z-score against the band, held for several readings
+ * - the rate of change over the last 10 minutes, projected to the limit
+ * - the drift of the deviation over the last 12 engine hours (impeller
+ *   wear, raw-water flow loss, belt slip), projected to the limit in
+ *   engine hours
+ *
+ * Readings are fed by the FailurePredictor with `observe()`; timestamps may
+ * be given so that recorded series can be replayed. A baseline is relearned
+ * with `reset()` after the matching part has been serviced.
+ *
+ * Persisted to <dataDir>/ocearo-baselines.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PERSIST_MS = 10 * 60_000;
+
+/** Engine considered running above this (Hz, 300 RPM) */
+const RUNNING_HZ = 5;
+
+/** Sea temperature band width (K) */
+const SEA_BAND_K = 5;
+
+/** Window of the rate of change */
+const RATE_WINDOW_MS = 10 * 60_000;
+const RATE_MIN_SPAN_MS = 3 * 60_000;
+const RATE_MIN_SAMPLES = 4;
+
+/** Consecutive readings beyond zThreshold before a deviation is reported */
+const DEVIATION_READINGS = 3;
+
+/** Engine hours of mean deviation fitted for the drift */
+const DRIFT_POINTS = 12;
+const DRIFT_MIN_POINTS = 6;
+
+/** A gap longer than this between readings is not counted as run time */
+const MAX_GAP_MS = 5 * 60_000;
+
+/**
+ * Monitored sensors.
+ * direction: +1 when a rise is bad, -1 when a fall is bad.
+ * minStd: floor of the standard deviation, in SI units.
+ * unit: SI value → spoken { value, unit } for the messages.
+ */
+const SENSORS = {
+    coolant: {
+        direction: 1,
+        minStd: 0.5,
+        limit: s => (s.maxCoolantTemperature ?? 95) + 273.15,
+        unit: v => ({ value: Math.round(v), unit: 'degrees' })
+    },
+    exhaust: {
+        direction: 1,
+        minStd: 1,
+        limit: s => (s.maxExhaustTemperature ?? 85) + 273.15,
+        unit: v => ({ value: Math.round(v), unit: 'degrees' })
+    },
+    oilPressure: {
+        direction: -1,
+        minStd: 5000,
+        limit: s => (s.minOilPressure ?? 1) * 100000,
+        unit: v => ({ value: Math.round(v / 10000) / 10, unit: 'bar' })
+    },
+    chargeVoltage: {
+        direction: -1,
+        minStd: 0.05,
+        limit: s => s.minChargeVoltage ?? 13.2,
+        unit: v => ({ value: Math.round(v * 10) / 10, unit: 'volts' })
+    }
+};
+
+class SensorBaselines {
+    /**
+     * @param {object} app     SignalK app object
+     * @param {object} config  Plugin configuration (uses failurePrediction)
+     * @param {object} sources { signalkProvider, cm }
+     */
+    constructor(app, config, sources) {
+        this.app = app;
+        this.signalkProvider = sources.signalkProvider;
+        this.cm = sources.cm;
+
+        const settings = config.failurePrediction || {};
+        this.settings = settings;
+        this.enabled = settings.enabled !== false && settings.trends !== false;
+        this.zThreshold = settings.zThreshold ?? 3;
+        this.learningSamples = settings.learningSamples ?? 600;
+        this.minSamples = Math.min(30, this.learningSamples);
+        this.rpmStep = settings.rpmStep ?? 200;
+        this.warmupMs = (settings.warmupMinutes ?? 15) * 60_000;
+        this.trendHorizonMs = (settings.trendHorizonMinutes ?? 30) * 60_000;
+        this.driftHorizonHours = settings.driftHorizonHours ?? 50;
+
+        this._filePath = path.join(app.getDataDirPath(), 'ocearo-baselines.json');
+        /**
+         * Persisted: { sensors: { key: { sensor, seconds, bins: { band: { n, mean, var } },
+         *   hour: { index, sum, n }, drift: [[engineHours, meanDeviation]] } } }
+         * key is the Signal K path of the reading.
+         */
+        this.state = { sensors: {} };
+        this._recent = {};      // key → [{ t, value }]
+        this._streak = {};      // key → readings beyond zThreshold
+        this._last = {};        // key → latest scored reading
+        this._engines = {};     // engine id → { startedAt, rpm, seenAt }
+        this._dirty = false;
+        this._persistTimer = null;
+    }
+
+    start() {
+        if (!this.enabled || this._persistTimer) return;
+        this.load();
+        this._persistTimer = setInterval(() => this.save(), PERSIST_MS);
+        this.app.debug(`Sensor baselines started (${Object.keys(this.state.sensors).length} sensors learned)`);
+    }
+
+    stop() {
+        if (this._persistTimer) {
+            clearInterval(this._persistTimer);
+            this._persistTimer = null;
+        }
+        this.save();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this._filePath)) return;
+            Object.assign(this.state, JSON.parse(fs.readFileSync(this._filePath, 'utf8')));
+        } catch (error) {
+            this.app.warn(`Could not load sensor baselines: ${error.message}`);
+        }
+    }
+
+    save() {
+        if (!this._dirty) return;
+        const tmp = `${this._filePath}.tmp`;
+        try {
+            fs.writeFileSync(tmp, JSON.stringify(this.state), 'utf8');
+            fs.renameSync(tmp, this._filePath);
+            this._dirty = false;
+        } catch (error) {
+            this.app.warn(`Could not save sensor baselines: ${error.message}`);
+            try { fs.unlinkSync(tmp); } catch { /* ignore cleanup failure */ }
+        }
+    }
+
+    /**
+     * Forget learned baselines, e.g. after replacing the impeller.
+     * @param {string} [key] Signal K path or sensor name; all when omitted
+     * @returns {number} Baselines removed
+     */
+    reset(key) {
+        const keys = Object.keys(this.state.sensors)
+            .filter(k => !key || k === key || this.state.sensors[k].sensor === key);
+        for (const k of keys) {
+            delete this.state.sensors[k];
+            delete this._recent[k];
+            delete this._streak[k];
+            delete this._last[k];
+        }
+        if (keys.length) this._dirty = true;
+        return keys.length;
+    }
+
+    // ────────── SAMPLING ──────────
+
+    /**
+     * Score and learn the readings of a vessel data snapshot.
+     * @param {object} vesselData Raw Signal K tree from getVesselData()
+     * @param {number} [now] ms timestamp
+     */
+    observe(vesselData, now = Date.now()) {
+        if (!this.enabled || !vesselData) return;
+
+        const seaTemp = this._number(vesselData.environment?.water?.temperature);
+        const seaBand = seaTemp === null ? 'x' : Math.floor((seaTemp - 273.15) / SEA_BAND_K);
+        let fastest = null;
+
+        for (const [id, engine] of Object.entries(vesselData.propulsion || {})) {
+            const operating = this._operatingPoint(id, engine || {}, now);
+            if (!operating) continue;
+            if (!fastest || operating.rpm > fastest.rpm) fastest = operating;
+            if (!operating.steady) continue;
+
+            const band = `${operating.band}:${seaBand}`;
+            this._observe(`propulsion.${id}.temperature`, 'coolant', id, engine.temperature, band, operating, now);
+            this._observe(`propulsion.${id}.exhaustTemperature`, 'exhaust', id, engine.exhaustTemperature, band, operating, now);
+            this._observe(`propulsion.${id}.oilPressure`, 'oilPressure', id, engine.oilPressure, `${operating.band}`, operating, now);
+        }
+
+        // Alternators are matched to the fastest running engine
+        if (fastest?.steady) {
+            const alternators = vesselData.electrical?.alternators
+                || this.signalkProvider?._getSelfPath('electrical.alternators') || {};
+            for (const [id, alternator] of Object.entries(alternators)) {
+                this._observe(`electrical.alternators.${id}.voltage`, 'chargeVoltage', fastest.id,
+                    alternator?.voltage, `${fastest.band}`, fastest, now);
+            }
+        }
+    }
+
+    /**
+     * Engine speed band, warm-up and steadiness of an engine.
+     * @returns {object|null} { id, rpm, band, steady }, null when stopped
+     */
+    _operatingPoint(id, engine, now) {
+        const hz = this._number(engine.revolutions);
+        const tracked = this._engines[id];
+
+        if (hz === null || hz < RUNNING_HZ) {
+            delete this._engines[id];
+            return null;
+        }
+
+        const rpm = hz * 60;
+        if (!tracked || now - tracked.seenAt > MAX_GAP_MS) {
+            this._engines[id] = { startedAt: now, rpm, seenAt: now };
+            return { id, rpm, band: Math.round(rpm / this.rpmStep), steady: false };
+        }
+
+        const steady = now - tracked.startedAt >= this.warmupMs
+            && Math.abs(rpm - tracked.rpm) < this.rpmStep / 2;
+        tracked.rpm = rpm;
+        tracked.seenAt = now;
+        return { id, rpm, band: Math.round(rpm / this.rpmStep), steady };
+    }
+
+    _observe(key, sensor, engineId, raw, band, operating, now) {
+        const value = this._number(raw);
+        if (value === null) return;
+
+        const def = SENSORS[sensor];
+        const stored = this.state.sensors[key]
+            || (this.state.sensors[key] = { sensor, seconds: 0, bins: {}, hour: null, drift: [] });
+        const previous = this._last[key];
+        const bin = stored.bins[band] || (stored.bins[band] = { n: 0, mean: value, var: 0 });
+
+        // Engine hours seen by this sensor
+        if (previous && now > previous.t && now - previous.t <= MAX_GAP_MS) {
+            stored.seconds += (now - previous.t) / 1000;
+        }
+
+        // Score against the band before learning from the reading
+        const std = Math.max(Math.sqrt(bin.var), def.minStd);
+        const mature = bin.n >= this.minSamples;
+        const deviation = value - bin.mean;
+        const z = mature ? deviation / std : null;
+        const adverse = z !== null && z * def.direction >= this.zThreshold;
+
+        if (bin.n < this.learningSamples && !adverse) {
+            bin.n++;
+            const alpha = 1 / bin.n;
+            bin.var = (1 - alpha) * (bin.var + alpha * deviation * deviation);
+            bin.mean += alpha * deviation;
+        }
+
+        this._streak[key] = adverse ? (this._streak[key] || 0) + 1 : 0;
+        if (mature) this._accumulateDrift(stored, deviation);
+
+        const recent = (this._recent[key] || []).filter(s => now - s.t <= RATE_WINDOW_MS);
+        recent.push({ t: now, value });
+        this._recent[key] = recent;
+
+        this._last[key] = {
+            t: now,
+            sensor,
+            engine: engineId,
+            rpm: Math.round(operating.rpm),
+            value,
+            mean: mature ? bin.mean : null,
+            std: mature ? std : null,
+            z
+        };
+        this._dirty = true;
+    }
+
+    /**
+     * Average the deviation over each engine hour for the drift fit.
+     */
+    _accumulateDrift(stored, deviation) {
+        const index = Math.floor(stored.seconds / 3600);
+        if (stored.hour && stored.hour.index !== index) {
+            stored.drift.push([stored.hour.index + 0.5, stored.hour.sum / stored.hour.n]);
+            if (stored.drift.length > DRIFT_POINTS) stored.drift.shift();
+            stored.hour = null;
+        }
+        if (!stored.hour) stored.hour = { index, sum: 0, n: 0 };
+        stored.hour.sum += deviation;
+        stored.hour.n++;
+    }
+
+    // ────────── EVALUATION ──────────
+
+    /**
+     * Warnings from the latest readings, each with the predicted time to the limit.
+     * @param {number} [now] ms timestamp
+     * @returns {object[]} { system, type, sensor, path, value, z, timeToThreshold, params }
+     */
+    evaluate(now = Date.now()) {
+        if (!this.enabled) return [];
+        const warnings = [];
+
+        for (const [key, last] of Object.entries(this._last)) {
+            if (now - last.t > MAX_GAP_MS) continue;
+            const def = SENSORS[last.sensor];
+            const limit = def.limit(this.settings);
+            const base = {
+                system: key.startsWith('electrical.') ? `alternator_${key.split('.')[2]}` : `engine_${last.engine}`,
+                sensor: last.sensor,
+                path: key,
+                value: last.value,
+                z: last.z === null ? null : this._round(last.z, 1)
+            };
+            const words = {
+                sensor: this.cm.t(`failure.sensor.${last.sensor}`),
+                hint: this.cm.t(`failure.hint.${last.sensor}`)
+            };
+
+            // Fast change towards the limit, while already off the baseline
+            const rate = this._rate(this._recent[key]);
+            if (rate !== null && rate * def.direction > 0 && last.z !== null && last.z * def.direction >= 2) {
+                const seconds = (limit - last.value) / rate;
+                if (seconds > 0 && seconds * 1000 <= this.trendHorizonMs) {
+                    warnings.push({
+                        ...base,
+                        type: 'approaching_limit',
+                        rate,
+                        timeToThreshold: Math.round(seconds),
+                        params: { ...words, minutes: Math.max(1, Math.round(seconds / 60)) }
+                    });
+                    continue;
+                }
+            }
+
+            // Slow drift of the deviation over engine hours
+            const drift = last.mean === null ? null : this._drift(this.state.sensors[key]);
+            const driftHours = drift ? (limit - last.mean - drift.deviation) / drift.slope : null;
+            if (driftHours !== null && driftHours > 0 && driftHours <= this.driftHorizonHours) {
+                warnings.push({
+                    ...base,
+                    type: 'drift_to_limit',
+                    rate: drift.slope / 3600,
+                    timeToThreshold: Math.round(driftHours * 3600),
+                    params: {
+                        ...words,
+                        delta: this._spoken(last.sensor, Math.abs(drift.deviation)),
+                        hours: Math.round(drift.span),
+                        remaining: Math.max(1, Math.round(driftHours))
+                    }
+                });
+                continue;
+            }
+
+            // Held deviation from the baseline at this operating point, with the
+            // time to the limit from the drift (engine hours) or the recent rate
+            if ((this._streak[key] || 0) >= DEVIATION_READINGS) {
+                let seconds = driftHours !== null && driftHours > 0 ? driftHours * 3600 : null;
+                if (seconds === null && rate !== null && rate * def.direction > 0) {
+                    seconds = (limit - last.value) / rate;
+                }
+                warnings.push({
+                    ...base,
+                    type: 'baseline_deviation',
+                    rate,
+                    timeToThreshold: seconds !== null && seconds > 0 ? Math.round(seconds) : null,
+                    params: {
+                        ...words,
+                        delta: this._spoken(last.sensor, Math.abs(last.value - last.mean)),
+                        rpm: Math.round(last.rpm / 100) * 100
+                    }
+                });
+            }
+        }
+
+        return warnings;
+    }
+
+    /**
+     * Least-squares rate of change over the recent window.
+     * @returns {number|null} SI units per second
+     */
+    _rate(samples) {
+        if (!samples || samples.length < RATE_MIN_SAMPLES) return null;
+        if (samples[samples.length - 1].t - samples[0].t < RATE_MIN_SPAN_MS) return null;
+        const fit = this._fit(samples.map(s => [s.t / 1000, s.value]));
+        return fit ? fit.slope : null;
+    }
+
+    /**
+     * Drift of the deviation per engine hour, when adverse and beyond one sigma.
+     * @returns {object|null} { slope (per engine hour), deviation (fitted now), span (engine hours) }
+     */
+    _drift(stored) {
+        if (!stored || stored.drift.length < DRIFT_MIN_POINTS) return null;
+        const def = SENSORS[stored.sensor];
+        const fit = this._fit(stored.drift);
+        if (!fit || fit.slope * def.direction <= 0) return null;
+
+        const lastHour = stored.drift[stored.drift.length - 1][0];
+        const deviation = fit.intercept + fit.slope * lastHour;
+        const stds = Object.values(stored.bins).filter(b => b.n >= this.minSamples).map(b => Math.sqrt(b.var));
+        const std = Math.max(stds.length ? Math.min(...stds) : 0, def.minStd);
+        if (deviation * def.direction < std) return null;
+
+        return { slope: fit.slope, deviation, span: lastHour - stored.drift[0][0] };
+    }
+
+    _fit(points) {
+        const n = points.length;
+        const mx = points.reduce((s, p) => s + p[0], 0) / n;
+        const my = points.reduce((s, p) => s + p[1], 0) / n;
+        let sxx = 0;
+        let sxy = 0;
+        for (const [x, y] of points) {
+            sxx += (x - mx) * (x - mx);
+            sxy += (x - mx) * (y - my);
+        }
+        if (sxx === 0) return null;
+        const slope = sxy / sxx;
+        return { slope, intercept: my - slope * mx };
+    }
+
+    // ────────── STATUS ──────────
+
+    /**
+     * Learned baselines and latest scores per sensor.
+     */
+    getStatus() {
+        const sensors = {};
+        for (const [key, stored] of Object.entries(this.state.sensors)) {
+            const last = this._last[key];
+            const drift = stored.drift.length >= DRIFT_MIN_POINTS ? this._fit(stored.drift) : null;
+            sensors[key] = {
+                sensor: stored.sensor,
+                engineHours: this._round(stored.seconds / 3600, 1),
+                bands: Object.entries(stored.bins).map(([band, bin]) => ({
+                    band,
+                    samples: bin.n,
+                    learned: bin.n >= this.learningSamples,
+                    mean: this._round(bin.mean, 3),
+                    std: this._round(Math.sqrt(bin.var), 3)
+                })),
+                driftPerHour: drift ? this._round(drift.slope, 4) : null,
+                latest: last ? {
+                    value: this._round(last.value, 3),
+                    z: last.z === null ? null : this._round(last.z, 1),
+                    rpm: last.rpm,
+                    at: new Date(last.t).toISOString()
+                } : null
+            };
+        }
+        return { enabled: this.enabled, zThreshold: this.zThreshold, sensors };
+    }
+
+    _spoken(sensor, delta) {
+        const { value, unit } = SENSORS[sensor].unit(delta);
+        return `${value} ${this.cm.t(`units.${unit}`)}`;
+    }
+
+    _number(raw) {
+        const value = raw !== null && typeof raw === 'object' && 'value' in raw ? raw.value : raw;
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    _round(value, digits = 1) {
+        const f = 10 ** digits;
+        return Math.round(value * f) / f;
+    }
+}
+
+module.exports = SensorBaselines;
@@ -0,0 +1,227 @@
+/**
+ * src/anchor/anchor-advisor.js
+ *
+ * Rode length and alarm radius recommendation at the anchor drop.
+ *
+ * The rode is the longer of:
+ *   - the boat's standard scope, `limits.anchoring.scopeRatio` × (depth at
+ *     the next high water + bow roller height)
+ *   - the all-chain catenary that keeps the pull on the anchor horizontal
+ *     in the forecast gusts: s = √(h² + 2·h·H / w), with the wind load H on a
+ *     windage area and the chain weight w scaled from the displacement
+ *
+ * The alarm radius is the horizontal reach of that rode at the next low
+ * water plus the boat length and a GPS margin.
+ *
+ * Inputs: depth from Signal K, tide from TidesDataProvider, forecast
+ * from MarineWeatherDataProvider, boat data from the ConfigManager profile.
+ */
+
+/** Bow roller height above the water (m) */
+const BOW_HEIGHT_M = 1;
+
+/** Margin added to the alarm radius for GPS error (m) */
+const GPS_MARGIN_M = 5;
+
+/** Gust factor applied to the sustained wind when no gust forecast exists */
+const GUST_FACTOR = 1.3;
+
+/** Clearance under the keel at low water below which grounding is reported (m) */
+const MIN_CLEARANCE_M = 0.5;
+
+const AIR_DENSITY = 1.225;
+const DRAG_COEFFICIENT = 1.0;
+const KNOTS_TO_MS = 0.514444;
+
+class AnchorAdvisor {
+    /**
+     * @param {object} app      Signal K app object
+     * @param {object} sources  { tidesProvider, weatherProvider, cm }
+     */
+    constructor(app, sources = {}) {
+        this.app = app;
+        this.tidesProvider = sources.tidesProvider;
+        this.weatherProvider = sources.weatherProvider;
+        this.cm = sources.cm;
+    }
+
+    /**
+     * Build the recommendation for anchoring here.
+     * @param {{ latitude, longitude }|null} position  Used for the forecast
+     * @returns {Promise<object>} { depth, tide, wind, scope, rodeLength, radius, warnings, speech }
+     *   rodeLength and radius are null when no depth is available
+     */
+    async recommend(position) {
+        const limits = this.cm?.boatValue('limits.anchoring', {}) ?? {};
+        const scopeRatio = limits.scopeRatio ?? 5;
+        const draft = this.cm?.boatValue('keel.draftDown', this.cm?.boatValue('keel.draft', null)) ?? null;
+        const loa = this.cm?.boatValue('dimensions.loa', 10) ?? 10;
+        const displacement = this.cm?.boatValue('dimensions.displacement', null) ?? null;
+
+        const depth = this._readDepth(draft);
+        const tide = await this._tide();
+        const wind = await this._wind(position);
+
+        const result = {
+            depth: depth === null ? null : this._round(depth, 1),
+            tide,
+            wind,
+            scopeRatio,
+            rodeLength: null,
+            scope: null,
+            radius: null,
+            warnings: [],
+            speech: null
+        };
+
+        if (depth === null) {
+            result.speech = this.cm.t('anchor.advice.no_depth');
+            return result;
+        }
+
+        const depthHigh = depth + (tide?.riseToHigh ?? 0);
+        const depthLow = Math.max(0, depth - (tide?.fallToLow ?? 0));
+        const high = depthHigh + BOW_HEIGHT_M;
+
+        let rode = scopeRatio * high;
+        const designWind = wind ? wind.gust ?? wind.max * GUST_FACTOR : null;
+        if (designWind !== null) {
+            rode = Math.max(rode, this._catenaryLength(high, designWind, displacement));
+        }
+        rode = Math.ceil(rode / 5) * 5;
+
+        const low = depthLow + BOW_HEIGHT_M;
+        const reach = Math.sqrt(Math.max(0, rode * rode - low * low));
+        Object.assign(result, {
+            depthAtHigh: this._round(depthHigh, 1),
+            depthAtLow: this._round(depthLow, 1),
+            rodeLength: rode,
+            scope: this._round(rode / high, 1),
+            radius: Math.ceil(reach + loa + GPS_MARGIN_M)
+        });
+
+        if (limits.maxDepth !== undefined && depthHigh > limits.maxDepth) {
+            result.warnings.push({
+                type: 'depth',
+                message: this.cm.t('anchor.advice.too_deep', { depth: result.depthAtHigh, max: limits.maxDepth })
+            });
+        }
+        if (limits.maxWind !== undefined && wind && wind.max > limits.maxWind) {
+            result.warnings.push({
+                type: 'wind',
+                message: this.cm.t('anchor.advice.too_windy', { wind: Math.round(wind.max), max: limits.maxWind })
+            });
+        }
+        if (draft !== null && depthLow - draft < MIN_CLEARANCE_M) {
+            result.warnings.push({
+                type: 'grounding',
+                message: this.cm.t('anchor.advice.grounding', { clearance: this._round(depthLow - draft, 1) })
+            });
+        }
+
+        result.speech = [
+            this.cm.t(tide?.riseToHigh > 0.1 ? 'anchor.advice.depth_tide' : 'anchor.advice.depth', {
+                depth: result.depth,
+                high: result.depthAtHigh
+            }),
+            this.cm.t('anchor.advice.rode', { rode, scope: result.scope, radius: result.radius }),
+            ...result.warnings.map(w => w.message)
+        ].join(' ');
+        return result;
+    }
+
+    /**
+     * All-chain length from the bow roller at height `h` that leaves the
+     * chain tangent to the bottom under the wind load.
+     * @param {number} h              Bow roller height above the bottom (m)
+     * @param {number} windKnots      Design wind (gusts)
+     * @param {number|null} displacementKg
+     * @returns {number} metres
+     */
+    _catenaryLength(h, windKnots, displacementKg) {
+        const tonnes = (displacementKg ?? 5000) / 1000;
+        // Windage grows with the hull's surface, ~ displacement^(2/3)
+        const windage = 2.2 * Math.pow(tonnes, 2 / 3);
+        const v = windKnots * KNOTS_TO_MS;
+        const load = 0.5 * AIR_DENSITY * DRAG_COEFFICIENT * windage * v * v;
+
+        // Usual chain size for the displacement; submerged weight ~0.87 of mass
+        const diameter = tonnes <= 6 ? 8 : tonnes <= 12 ? 10 : 12;
+        const weight = 0.0219 * diameter * diameter * 0.87 * 9.81;
+
+        return Math.sqrt(h * h + 2 * h * load / weight);
+    }
+
+    /**
+     * Depth below the surface: belowSurface, else belowTransducer, else
+     * belowKeel plus the draft.
+     */
+    _readDepth(draft) {
+        const read = path => {
+            const raw = this.app.getSelfPath?.(path);
+            const value = raw !== null && typeof raw === 'object' && 'value' in raw ? raw.value : raw;
+            return typeof value === 'number' && Number.isFinite(value) ? value : null;
+        };
+        const surface = read('environment.depth.belowSurface') ?? read('environment.depth.belowTransducer');
+        if (surface !== null) return surface;
+        const keel = read('environment.depth.belowKeel');
+        return keel !== null && draft !== null ? keel + draft : null;
+    }
+
+    /**
+     * Rise to the next high water and fall to the next low water from now.
+     */
+    async _tide() {
+        try {
+            const data = await this.tidesProvider?.getTideData();
+            const height = data?.current?.height;
+            if (typeof height !== 'number') return null;
+            const high = data.next?.high;
+            const low = data.next?.low;
+            return {
+                height: this._round(height, 2),
+                riseToHigh: high ? this._round(Math.max(0, high.height - height), 2) : 0,
+                fallToLow: low ? this._round(Math.max(0, height - low.height), 2) : 0,
+                nextHigh: high ? high.time.toISOString() : null,
+                nextLow: low ? low.time.toISOString() : null
+            };
+        } catch (error) {
+            this.app.debug('Anchor advice: tide unavailable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Strongest wind and gust over the current reading and the next 24 h.
+     */
+    async _wind(position) {
+        if (!this.weatherProvider) return null;
+        try {
+            const weather = await this.weatherProvider.getWeatherData(position);
+            const period = weather?.forecast?.hours24;
+            const max = this._max(weather?.current?.windSpeed, period?.windSpeedMax);
+            if (max === null) return null;
+            const gust = this._max(weather?.current?.windGust, period?.windGustMax);
+            return {
+                max: this._round(max, 1),
+                gust: gust === null ? null : this._round(gust, 1),
+                forecast: Boolean(period)
+            };
+        } catch (error) {
+            this.app.debug('Anchor advice: forecast unavailable:', error.message);
+            return null;
+        }
+    }
+
+    _max(...values) {
+        const numbers = values.filter(v => typeof v === 'number');
+        return numbers.length ? Math.max(...numbers) : null;
+    }
+
+    _round(value, digits) {
+        const f = 10 ** digits;
+        return Math.round(value * f) / f;
+    }
+}
+
+module.exports = AnchorAdvisor;
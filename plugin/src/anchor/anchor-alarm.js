@@ -2,9 +2,14 @@
  * src/anchor/anchor-alarm.js
  *
  * Anchor drag alarm.
- * Subscribes to navigation.position, computes distance from the recorded
- * anchor drop point, and emits Signal K notifications when the vessel
- * drifts beyond the configured radius.
+ * Subscribes to navigation.position and navigation.headingTrue, feeds the
+ * swing-circle learner (AnchorSwing) and emits Signal K notifications when
+ * the anchor drags:
+ *   - drag   the learned swing circle drifts or the distance rises steadily
+ *            beyond it, or the vessel stays beyond the configured radius
+ *   - watch  the vessel leaves the learned swing circle, a drag trend starts,
+ *            or it passes 80 % of the configured radius
+ * Until the swing circle is learned only the configured radius applies.
  *
  * Notification paths used:
  *   notifications.navigation.anchor.drag      — drag alarm (emergency)
@@ -12,23 +17,36 @@
  *   notifications.navigation.anchor.modeChange — mode changed while anchored (warn)
  */
 
+const AnchorSwing = require('./anchor-swing');
+
 /** Earth radius in metres for Haversine */
 const EARTH_RADIUS_M = 6371000;
 
+/** Consecutive positions beyond the configured radius before the alarm (GPS jumps) */
+const BEYOND_LIMIT_SAMPLES = 3;
+
 class AnchorAlarm {
     /**
      * @param {object}      app         Signal K app object
      * @param {AnchorState} anchorState shared state machine
      * @param {string}      pluginId
+     * @param {object}      [config]    plugin `anchor` settings
      */
-    constructor(app, anchorState, pluginId) {
+    constructor(app, anchorState, pluginId, config = {}) {
         this.app = app;
         this.anchorState = anchorState;
         this.pluginId = pluginId;
 
+        /** Swing-circle learning and drag trend detection */
+        this.swing = new AnchorSwing(config);
+
         /** Last computed distance vessel → anchor (metres) */
         this.currentRadius = null;
 
+        /** Last heading (degrees true) and consecutive positions beyond the radius */
+        this._heading = null;
+        this._beyondCount = 0;
+
         /** Whether a drag notification is currently active */
         this._dragActive = false;
 
@@ -55,7 +73,10 @@ class AnchorAlarm {
 
         const subscription = {
             context: 'vessels.self',
-            subscribe: [{ path: 'navigation.position', period: 2000 }]
+            subscribe: [
+                { path: 'navigation.position', period: 2000 },
+                { path: 'navigation.headingTrue', period: 2000 }
+            ]
         };
 
         const unsubscribes = [];
@@ -100,13 +121,25 @@ class AnchorAlarm {
         for (const update of delta.updates) {
             if (!Array.isArray(update.values)) continue;
             for (const pv of update.values) {
-                if (pv.path === 'navigation.position' && pv.value) {
+                if (pv.path === 'navigation.headingTrue') {
+                    this._heading = typeof pv.value === 'number' ? pv.value * 180 / Math.PI : null;
+                } else if (pv.path === 'navigation.position' && pv.value) {
                     this._evaluate(pv.value);
                 }
             }
         }
     }
 
+    /**
+     * Start learning a new swing circle from the current anchor position.
+     * Called on drop and reposition.
+     */
+    resetSwing() {
+        const since = this.anchorState.droppedAt ? new Date(this.anchorState.droppedAt).getTime() : Date.now();
+        this.swing.reset(this.anchorState.position, since);
+        this._beyondCount = 0;
+    }
+
     /**
      * Evaluate current vessel position against the anchor position.
      * @param {{ latitude: number, longitude: number }} vesselPos
@@ -118,14 +151,23 @@ class AnchorAlarm {
         const distance = this._haversine(anchorPos, vesselPos);
         this.currentRadius = distance;
 
+        // Anchor moved (reposition, restart) since the swing was learned
+        const swingAnchor = this.swing.anchor;
+        if (!swingAnchor || swingAnchor.latitude !== anchorPos.latitude || swingAnchor.longitude !== anchorPos.longitude) {
+            this.resetSwing();
+        }
+        this.swing.setRode(this.anchorState.rodeLength);
+        const swing = this.swing.add(vesselPos, this._heading);
+
         const maxRadius = this.anchorState.maxRadius;
         const watchRadius = maxRadius * 0.8; // warn at 80 % of limit
+        this._beyondCount = distance > maxRadius ? this._beyondCount + 1 : 0;
 
-        if (distance > maxRadius) {
-            this._emitDragAlarm(distance, maxRadius);
+        if (this._beyondCount >= BEYOND_LIMIT_SAMPLES || swing.state === 'dragging') {
+            this._emitDragAlarm(distance, maxRadius, swing);
             this._clearWatchNotification();
-        } else if (distance > watchRadius) {
-            this._emitWatchNotification(distance, maxRadius);
+        } else if (distance > watchRadius || swing.state === 'watch') {
+            this._emitWatchNotification(distance, maxRadius, swing);
             this._clearDragAlarm();
         } else {
             this._clearDragAlarm();
@@ -144,14 +186,22 @@ class AnchorAlarm {
      * Emit (or refresh) the drag alarm notification.
      * state = 'emergency' → cannot be silenced per Notifications API spec.
      */
-    _emitDragAlarm(distance, maxRadius) {
-        const drift = Math.round(distance - maxRadius);
+    _emitDragAlarm(distance, maxRadius, swing) {
+        let message;
+        if (distance > maxRadius) {
+            const drift = Math.round(distance - maxRadius);
+            message = `Anchor dragging! Drift ${Math.round(distance)}m (limit ${maxRadius}m, +${drift}m)`;
+        } else if (swing.reason === 'centre') {
+            message = `Anchor dragging! Swing circle moved ${swing.centreDrift}m and still moving`;
+        } else {
+            message = `Anchor dragging! Distance ${Math.round(distance)}m rising ${swing.trend}m/min (swing radius ${swing.radius}m)`;
+        }
         this.app.handleMessage(this.pluginId, {
             updates: [{
                 values: [{
                     path: 'notifications.navigation.anchor.drag',
                     value: {
-                        message: `Anchor dragging! Drift ${Math.round(distance)}m (limit ${maxRadius}m, +${drift}m)`,
+                        message,
                         method: ['sound', 'visual'],
                         state: 'emergency'
                     }
@@ -160,7 +210,7 @@ class AnchorAlarm {
         });
         this._dragActive = true;
         if (this.app.debug) {
-            this.app.debug(`Anchor drag alarm: ${Math.round(distance)}m > ${maxRadius}m`);
+            this.app.debug(`Anchor drag alarm: ${message}`);
         }
     }
 
@@ -168,13 +218,21 @@ class AnchorAlarm {
      * Emit (or refresh) the watch notification (approaching limit).
      * state = 'warn' → can be silenced.
      */
-    _emitWatchNotification(distance, maxRadius) {
+    _emitWatchNotification(distance, maxRadius, swing) {
+        let message = `Approaching anchor limit: ${Math.round(distance)}m of ${maxRadius}m`;
+        if (swing.state === 'watch' && swing.reason === 'outside') {
+            message = `Outside the learned swing circle: ${Math.round(distance)}m (swing radius ${swing.radius}m)`;
+        } else if (swing.state === 'watch') {
+            message = `Possible anchor drag: ${swing.reason === 'centre'
+                ? `swing circle moving (${swing.centreDrift}m)`
+                : `distance rising ${swing.trend}m/min`}`;
+        }
         this.app.handleMessage(this.pluginId, {
             updates: [{
                 values: [{
                     path: 'notifications.navigation.anchor.watch',
                     value: {
-                        message: `Approaching anchor limit: ${Math.round(distance)}m of ${maxRadius}m`,
+                        message,
                         method: ['visual'],
                         state: 'warn'
                     }
@@ -353,6 +411,20 @@ class AnchorAlarm {
     getCurrentRadius() {
         return this.currentRadius;
     }
+
+    /** @returns {boolean} true while the drag alarm is raised */
+    isDragging() {
+        return this._dragActive;
+    }
+
+    /**
+     * Swing trail and learned circle for /navigation/anchor/track.
+     * @param {number} [minutes]  Only the last `minutes`
+     * @returns {object}
+     */
+    getTrack(minutes) {
+        return this.swing.getTrack(minutes);
+    }
 }
 
 module.exports = AnchorAlarm;
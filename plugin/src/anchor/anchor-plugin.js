@@ -10,6 +10,11 @@
  * Additional read endpoints:
  *   GET  /signalk/v2/api/vessels/self/navigation/anchor          — full state snapshot
  *   GET  /signalk/v2/api/vessels/self/navigation/anchor/status   — lightweight status
+ *   GET  /signalk/v2/api/vessels/self/navigation/anchor/track    — swing trail + learned circle
+ *   GET  /signalk/v2/api/vessels/self/navigation/anchor/recommendation — rode and radius advice
+ *
+ * At the drop, AnchorAdvisor recommends rode length and alarm radius from
+ * depth, tide and forecast; the radius is applied and the advice spoken.
  *
  * Registered via plugin.registerWithRouter(router).
  * The router prefix is already /signalk/v2/api/plugins/ocearo-core so we
@@ -19,20 +24,24 @@
 
 const AnchorState = require('./anchor-state');
 const AnchorAlarm = require('./anchor-alarm');
+const AnchorAdvisor = require('./anchor-advisor');
 
 class AnchorPlugin {
     /**
      * @param {object} app       Signal K app object
      * @param {string} pluginId
      * @param {object} config    plugin configuration
+     * @param {object} [sources] { tidesProvider, weatherProvider, voice, cm } for the drop advice
      */
-    constructor(app, pluginId, config) {
+    constructor(app, pluginId, config, sources = {}) {
         this.app = app;
         this.pluginId = pluginId;
         this.config = config || {};
+        this.voice = sources.voice;
 
         this.anchorState = new AnchorState(app);
-        this.anchorAlarm = new AnchorAlarm(app, this.anchorState, pluginId);
+        this.anchorAlarm = new AnchorAlarm(app, this.anchorState, pluginId, this.config.anchor);
+        this.anchorAdvisor = new AnchorAdvisor(app, sources);
 
         /** Callback invoked when mode should change (set by brain) */
         this._onModeChangeCb = null;
@@ -107,6 +116,84 @@ class AnchorPlugin {
         }
     }
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // Anchor operations (shared by the REST API and voice commands)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Record the drop point at the current vessel position, start the alarm
+     * and switch the brain to 'anchored'. The rode/radius advice needs the
+     * forecast, so it is applied and spoken afterwards without holding up
+     * the caller.
+     * @returns {Promise<{position: object, anchorState: object}|null>} null when no position is available
+     */
+    async dropAnchor() {
+        const position = await this._getCurrentPosition();
+        if (!position) return null;
+
+        this.anchorState.drop(position);
+        this.anchorAlarm.resetSwing();
+        this.anchorAlarm.start();
+        this.anchorAlarm.publishAnchorData();
+
+        // Switch brain mode to 'anchored'
+        this._triggerModeChange('anchored');
+
+        this.app.debug(`Anchor dropped at ${position.latitude.toFixed(5)}, ${position.longitude.toFixed(5)}`);
+
+        this._adviseDrop(position);
+
+        return { position, anchorState: this.anchorState.snapshot() };
+    }
+
+    /**
+     * Apply the recommended alarm radius, unless the crew set one, and speak
+     * the advice.
+     * @param {{ latitude, longitude }} position
+     * @returns {Promise<object|null>} AnchorAdvisor recommendation
+     */
+    async _adviseDrop(position) {
+        try {
+            const advice = await this.anchorAdvisor.recommend(position);
+            // Raised or dropped elsewhere while the forecast was fetched
+            const anchorPos = this.anchorState.position;
+            if (!anchorPos || anchorPos.latitude !== position.latitude || anchorPos.longitude !== position.longitude) {
+                return null;
+            }
+            if (advice.radius !== null && !this.anchorState.radiusSetByUser) {
+                this.anchorState.setRadius(advice.radius, false);
+                this.anchorAlarm.publishAnchorData();
+            }
+            if (advice.speech && this.voice) {
+                this.voice.announce(advice.speech, 'high', { safety: advice.warnings.length > 0 });
+            }
+            return advice;
+        } catch (err) {
+            this.app.debug('Anchor advice failed:', err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Raise the anchor, stop the alarm and switch the brain back to 'sailing'.
+     * @returns {object} anchor state snapshot
+     */
+    raiseAnchor() {
+        this.anchorState.raise();
+        this.anchorAlarm.stop();
+        this.anchorAlarm.clearAnchorData();
+
+        // Confirm raised immediately (no windlass feedback in this implementation)
+        this.anchorState.confirmRaised();
+
+        // Switch brain mode back to 'sailing' (or 'motoring' if engine running)
+        this._triggerModeChange('sailing');
+
+        this.app.debug('Anchor raised');
+
+        return this.anchorState.snapshot();
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // Router registration
     // ─────────────────────────────────────────────────────────────────────────
@@ -121,8 +208,8 @@ class AnchorPlugin {
         // ── DROP ──────────────────────────────────────────────────────────────
         router.post('/navigation/anchor/drop', async (req, res) => {
             try {
-                const position = await this._getCurrentPosition();
-                if (!position) {
+                const result = await this.dropAnchor();
+                if (!result) {
                     return res.status(422).json({
                         state: 'FAILED',
                         statusCode: 422,
@@ -130,20 +217,10 @@ class AnchorPlugin {
                     });
                 }
 
-                this.anchorState.drop(position);
-                this.anchorAlarm.start();
-                this.anchorAlarm.publishAnchorData();
-
-                // Switch brain mode to 'anchored'
-                this._triggerModeChange('anchored');
-
-                this.app.debug(`Anchor dropped at ${position.latitude.toFixed(5)}, ${position.longitude.toFixed(5)}`);
-
                 res.json({
                     state: 'COMPLETED',
                     statusCode: 200,
-                    position,
-                    anchorState: this.anchorState.snapshot()
+                    ...result
                 });
             } catch (err) {
                 this.app.error('Anchor drop error:', err.message);
@@ -214,6 +291,7 @@ class AnchorPlugin {
                 this.anchorState.setRode(rode, depth);
                 this.anchorState.reposition(anchorPos || vesselPos);
                 this.anchorState.confirmDropped(anchorPos || vesselPos);
+                this.anchorAlarm.resetSwing();
                 this.anchorAlarm.publishAnchorData();
 
                 this.app.debug(`Anchor repositioned — rode ${rode}m, depth ${depth}m`);
@@ -233,22 +311,10 @@ class AnchorPlugin {
 
         // ── RAISE ─────────────────────────────────────────────────────────────
         router.post('/navigation/anchor/raise', (req, res) => {
-            this.anchorState.raise();
-            this.anchorAlarm.stop();
-            this.anchorAlarm.clearAnchorData();
-
-            // Confirm raised immediately (no windlass feedback in this implementation)
-            this.anchorState.confirmRaised();
-
-            // Switch brain mode back to 'sailing' (or 'motoring' if engine running)
-            this._triggerModeChange('sailing');
-
-            this.app.debug('Anchor raised');
-
             res.json({
                 state: 'COMPLETED',
                 statusCode: 200,
-                anchorState: this.anchorState.snapshot()
+                anchorState: this.raiseAnchor()
             });
         });
 
@@ -261,11 +327,41 @@ class AnchorPlugin {
                 currentRadius: this.anchorAlarm.getCurrentRadius(),
                 rodeLength: this.anchorState.rodeLength,
                 droppedAt: this.anchorState.droppedAt,
-                dragging: this.anchorAlarm.getCurrentRadius() !== null &&
-                    this.anchorAlarm.getCurrentRadius() > this.anchorState.maxRadius
+                dragging: this.anchorAlarm.isDragging(),
+                swing: this.anchorState.isMonitoring() ? this.anchorAlarm.swing.getAssessment() : null
             });
         });
 
+        // ── RECOMMENDATION (GET) ──────────────────────────────────────────────
+        router.get('/navigation/anchor/recommendation', async (req, res) => {
+            try {
+                res.json(await this.anchorAdvisor.recommend(await this._getCurrentPosition()));
+            } catch (err) {
+                this.app.error('Anchor recommendation error:', err.message);
+                res.status(500).json({ state: 'FAILED', statusCode: 500, message: err.message });
+            }
+        });
+
+        // ── SWING TRACK (GET) ─────────────────────────────────────────────────
+        router.get('/navigation/anchor/track', (req, res) => {
+            const minutes = req.query.minutes === undefined ? undefined : parseFloat(req.query.minutes);
+            if (minutes !== undefined && (isNaN(minutes) || minutes <= 0)) {
+                return res.status(400).json({
+                    state: 'FAILED',
+                    statusCode: 400,
+                    message: 'minutes must be a positive number'
+                });
+            }
+            if (!this.anchorState.isMonitoring()) {
+                return res.status(404).json({
+                    state: 'FAILED',
+                    statusCode: 404,
+                    message: 'Anchor is not down'
+                });
+            }
+            res.json(this.anchorAlarm.getTrack(minutes));
+        });
+
         // ── FULL SNAPSHOT (GET) ───────────────────────────────────────────────
         router.get('/navigation/anchor', (req, res) => {
             res.json({
@@ -378,6 +474,11 @@ class AnchorPlugin {
     getCurrentRadius() {
         return this.anchorAlarm.getCurrentRadius();
     }
+
+    /** @returns {boolean} true while the drag alarm is raised */
+    isDragging() {
+        return this.anchorAlarm.isDragging();
+    }
 }
 
 module.exports = AnchorPlugin;
@@ -27,6 +27,7 @@ class AnchorState {
             state: STATES.RAISED,
             position: null,       // { latitude, longitude } — anchor drop position
             maxRadius: 30,        // metres — alarm radius
+            radiusSetByUser: false, // true once the crew sets the radius, until the anchor is raised
             rodeLength: null,     // metres — chain/rope paid out
             anchorDepth: null,    // metres — water depth at drop point
             droppedAt: null,      // ISO timestamp
@@ -152,6 +153,7 @@ class AnchorState {
         this._state.position = null;
         this._state.rodeLength = null;
         this._state.anchorDepth = null;
+        this._state.radiusSetByUser = false;
         this.save();
         this.app.debug('Anchor state → RAISED');
     }
@@ -159,12 +161,18 @@ class AnchorState {
     /**
      * Update the alarm radius.
      * @param {number} radiusMetres
+     * @param {boolean} [byUser=true]  false for the advised radius, which never replaces the crew's
      */
-    setRadius(radiusMetres) {
+    setRadius(radiusMetres, byUser = true) {
         this._state.maxRadius = radiusMetres;
+        if (byUser) this._state.radiusSetByUser = true;
         this.save();
     }
 
+    get radiusSetByUser() {
+        return this._state.radiusSetByUser === true;
+    }
+
     /**
      * Update rode length and anchor depth (used for position calculation).
      * @param {number} rodeLength  metres
@@ -0,0 +1,315 @@
+/**
+ * src/anchor/anchor-swing.js
+ *
+ * Swing-circle learning for the anchor watch.
+ * Records the vessel track around the anchor, learns the swing circle once
+ * the anchor has settled, and looks for the two signatures of a dragging
+ * anchor instead of a single radius crossing:
+ *   - trend   distance to the anchor rising steadily beyond the learned circle
+ *   - centre  the swing circle itself moving away. Each sample estimates the
+ *             anchor at one swing radius ahead of the bow (a boat at anchor
+ *             lies head to its rode), so wind shifts and tide turns rotate the
+ *             boat around the centre without moving it.
+ *
+ * Positions are handled in metres east/north of the recorded anchor position
+ * (flat earth, fine at anchoring distances).
+ */
+
+/** Earth radius in metres */
+const EARTH_RADIUS_M = 6371000;
+
+/** Track spacing and length kept for learning and /navigation/anchor/track */
+const SAMPLE_SPACING_MS = 10_000;
+const HISTORY_MS = 24 * 3600_000;
+
+/** Window checked for a rising distance, split into TREND_BINS medians */
+const TREND_WINDOW_MS = 5 * 60_000;
+const TREND_BINS = 5;
+
+/** Window checked for a moving swing centre, split into CENTRE_BINS medians */
+const CENTRE_WINDOW_MS = 10 * 60_000;
+const CENTRE_BINS = 5;
+
+/** Re-learn the swing radius this often while holding (tide turns, wind shifts) */
+const RELEARN_MS = 10 * 60_000;
+
+const median = values => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const percentile = (values, p) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+/**
+ * Least-squares slope of value against time, in units per minute.
+ */
+const slopePerMinute = samples => {
+    const n = samples.length;
+    if (n < 2) return 0;
+    const t0 = samples[0].t;
+    const xs = samples.map(s => (s.t - t0) / 60_000);
+    const mx = xs.reduce((a, b) => a + b, 0) / n;
+    const my = samples.reduce((a, s) => a + s.v, 0) / n;
+    let num = 0;
+    let den = 0;
+    for (let i = 0; i < n; i++) {
+        num += (xs[i] - mx) * (samples[i].v - my);
+        den += (xs[i] - mx) ** 2;
+    }
+    return den > 0 ? num / den : 0;
+};
+
+class AnchorSwing {
+    /**
+     * @param {object} [config]  plugin `anchor` settings
+     */
+    constructor(config = {}) {
+        this.learnMs = (config.learnMinutes ?? 10) * 60_000;
+        this.toleranceM = config.dragToleranceMetres ?? 10;
+        this.dragRate = config.dragRateMetresPerMinute ?? 1;
+        this.reset(null);
+    }
+
+    /**
+     * Forget the track and the learned circle (new anchoring or raise).
+     * @param {{ latitude, longitude }|null} anchorPos
+     * @param {number} [since]  ms timestamp the anchor was set
+     */
+    reset(anchorPos, since = Date.now()) {
+        this.anchor = anchorPos ? { ...anchorPos } : null;
+        this.since = since;
+        this.points = [];
+        /** { radius, firstRadius, centre: {x, y}, learnedAt } once learned */
+        this.model = null;
+        this.assessment = { state: 'learning', reason: null };
+        this._relearnedAt = 0;
+        this.rodeLength = null;
+    }
+
+    /**
+     * Rode paid out, which bounds how far the swing circle may widen.
+     * @param {number|null} metres
+     */
+    setRode(metres) {
+        this.rodeLength = metres > 0 ? metres : null;
+    }
+
+    /**
+     * Add a vessel position and re-assess.
+     * @param {{ latitude, longitude }} pos
+     * @param {number|null} heading  Degrees true, null when unknown
+     * @param {number} [now]         ms timestamp
+     * @returns {object} Assessment, see getAssessment()
+     */
+    add(pos, heading, now = Date.now()) {
+        if (!this.anchor) return this.getAssessment();
+
+        const { x, y } = this._toLocal(pos);
+        const sample = { t: now, x, y, d: Math.hypot(x, y), h: heading };
+        const last = this.points[this.points.length - 1];
+        if (!last || now - last.t >= SAMPLE_SPACING_MS) {
+            this.points.push({ ...sample, latitude: pos.latitude, longitude: pos.longitude });
+            while (this.points.length && now - this.points[0].t > HISTORY_MS) this.points.shift();
+        }
+
+        if (!this.model) {
+            if (now - this.since >= this.learnMs && this.points.length >= 10) this._learn(now);
+        } else if (this.assessment.state === 'holding' && now - this._relearnedAt >= RELEARN_MS) {
+            this._learn(now);
+        }
+
+        this.assessment = this._assess(sample, now);
+        return this.getAssessment();
+    }
+
+    /**
+     * @returns {object} { state: learning|holding|watch|dragging, reason, distance, radius, trend, centreDrift }
+     */
+    getAssessment() {
+        return {
+            ...this.assessment,
+            radius: this.model ? Math.round(this.model.radius) : null,
+            learnedAt: this.model ? new Date(this.model.learnedAt).toISOString() : null
+        };
+    }
+
+    /**
+     * Swing trail for the UI.
+     * @param {number} [minutes]  Only the last `minutes`
+     * @returns {object}
+     */
+    getTrack(minutes) {
+        const from = minutes > 0 ? Date.now() - minutes * 60_000 : 0;
+        const centre = this.model && this.anchor ? this._toGeo(this.model.centre) : null;
+        return {
+            anchor: this.anchor,
+            since: new Date(this.since).toISOString(),
+            swingCircle: this.model ? { centre, radius: Math.round(this.model.radius) } : null,
+            assessment: this.getAssessment(),
+            points: this.points.filter(p => p.t >= from).map(p => ({
+                time: new Date(p.t).toISOString(),
+                latitude: p.latitude,
+                longitude: p.longitude,
+                distance: Math.round(p.d * 10) / 10,
+                heading: p.h === null ? null : Math.round(p.h)
+            }))
+        };
+    }
+
+    // ────────── LEARNING ──────────
+
+    /**
+     * Learn the swing radius (95th percentile of distances) and the centre
+     * (median of the per-sample anchor estimates) from the track so far.
+     * Re-learning only widens the circle, up to the rode length when known,
+     * else by at most dragToleranceMetres over the first learned radius, so
+     * a slow drag cannot carry the circle with it.
+     */
+    _learn(now) {
+        const held = this.points.filter(p => now - p.t <= HISTORY_MS);
+        const radius = Math.max(percentile(held.map(p => p.d), 0.95), 1);
+        const estimates = held.filter(p => p.h !== null).map(p => this._centreEstimate(p, radius));
+        const centre = estimates.length >= held.length / 2
+            ? { x: median(estimates.map(e => e.x)), y: median(estimates.map(e => e.y)) }
+            : { x: 0, y: 0 };
+
+        // Keep the first centre and radius: later estimates are checked against them
+        const firstRadius = this.model?.firstRadius ?? radius;
+        const limit = this.rodeLength !== null
+            ? Math.max(this.rodeLength, firstRadius)
+            : firstRadius + this.toleranceM;
+        this.model = {
+            radius: this.model ? Math.min(Math.max(this.model.radius, radius), limit) : radius,
+            firstRadius,
+            centre: this.model?.centre ?? centre,
+            learnedAt: this.model?.learnedAt ?? now
+        };
+        this._relearnedAt = now;
+    }
+
+    _centreEstimate(p, radius) {
+        const h = p.h * Math.PI / 180;
+        return { x: p.x + radius * Math.sin(h), y: p.y + radius * Math.cos(h) };
+    }
+
+    // ────────── ASSESSMENT ──────────
+
+    _assess(sample, now) {
+        const base = { distance: Math.round(sample.d), trend: null, centreDrift: null };
+        if (!this.model) return { ...base, state: 'learning', reason: null };
+
+        const { radius, centre } = this.model;
+        const fromCentre = Math.hypot(sample.x - centre.x, sample.y - centre.y);
+        const outside = fromCentre > radius + this.toleranceM;
+
+        const trend = this._distanceTrend(now);
+        const drift = this._centreDrift(now);
+        base.trend = trend ? Math.round(trend.rate * 10) / 10 : null;
+        base.centreDrift = drift ? Math.round(drift.distance) : null;
+
+        const rising = trend && trend.rate >= this.dragRate && trend.monotonic;
+        const moving = drift && drift.rate >= this.dragRate && drift.monotonic;
+
+        if (rising && outside) return { ...base, state: 'dragging', reason: 'trend' };
+        if (moving && drift.distance >= this.toleranceM) return { ...base, state: 'dragging', reason: 'centre' };
+        if (outside) return { ...base, state: 'watch', reason: 'outside' };
+        // Rising inside the circle is the rode straightening in a gust
+        if (rising && fromCentre > radius) return { ...base, state: 'watch', reason: 'trend' };
+        if (moving) return { ...base, state: 'watch', reason: 'centre' };
+        return { ...base, state: 'holding', reason: null };
+    }
+
+    /**
+     * Distance-to-centre trend over TREND_WINDOW_MS: slope and whether the
+     * bin medians rise (one dip allowed).
+     */
+    _distanceTrend(now) {
+        const { centre } = this.model;
+        const window = this.points.filter(p => now - p.t <= TREND_WINDOW_MS)
+            .map(p => ({ t: p.t, v: Math.hypot(p.x - centre.x, p.y - centre.y) }));
+        if (window.length < TREND_BINS * 2) return null;
+        return {
+            rate: slopePerMinute(window),
+            monotonic: this._rising(this._bins(window, now, TREND_WINDOW_MS, TREND_BINS))
+        };
+    }
+
+    /**
+     * Displacement of the swing centre estimate from the learned centre over
+     * CENTRE_WINDOW_MS. The boat's own centroid must move the same way, so
+     * heading noise while lying across the tide is not taken for a drag.
+     */
+    _centreDrift(now) {
+        const { radius, centre } = this.model;
+        const window = this.points.filter(p => now - p.t <= CENTRE_WINDOW_MS && p.h !== null);
+        if (window.length < CENTRE_BINS * 2) return null;
+
+        const drifts = window.map(p => {
+            const e = this._centreEstimate(p, radius);
+            return { t: p.t, v: Math.hypot(e.x - centre.x, e.y - centre.y), ex: e.x, ey: e.y };
+        });
+        const bins = this._bins(drifts, now, CENTRE_WINDOW_MS, CENTRE_BINS);
+        const recent = drifts.slice(-Math.ceil(drifts.length / CENTRE_BINS));
+        const moved = { x: median(recent.map(d => d.ex)) - centre.x, y: median(recent.map(d => d.ey)) - centre.y };
+
+        const half = Math.floor(window.length / 2);
+        const centroid = list => ({
+            x: list.reduce((a, p) => a + p.x, 0) / list.length,
+            y: list.reduce((a, p) => a + p.y, 0) / list.length
+        });
+        const before = centroid(window.slice(0, half));
+        const after = centroid(window.slice(half));
+        const sameWay = (after.x - before.x) * moved.x + (after.y - before.y) * moved.y > 0;
+
+        return {
+            distance: Math.hypot(moved.x, moved.y),
+            rate: slopePerMinute(drifts),
+            monotonic: sameWay && this._rising(bins)
+        };
+    }
+
+    _bins(samples, now, windowMs, count) {
+        const size = windowMs / count;
+        const bins = [];
+        for (let i = 0; i < count; i++) {
+            const from = now - windowMs + i * size;
+            const values = samples.filter(s => s.t > from && s.t <= from + size).map(s => s.v);
+            if (values.length) bins.push(median(values));
+        }
+        return bins;
+    }
+
+    _rising(bins) {
+        if (bins.length < 3) return false;
+        let up = 0;
+        for (let i = 1; i < bins.length; i++) {
+            if (bins[i] > bins[i - 1]) up++;
+        }
+        return up >= bins.length - 2 && bins[bins.length - 1] > bins[0];
+    }
+
+    // ────────── COORDINATES ──────────
+
+    _toLocal(pos) {
+        const toRad = deg => deg * Math.PI / 180;
+        return {
+            x: toRad(pos.longitude - this.anchor.longitude) * EARTH_RADIUS_M * Math.cos(toRad(this.anchor.latitude)),
+            y: toRad(pos.latitude - this.anchor.latitude) * EARTH_RADIUS_M
+        };
+    }
+
+    _toGeo({ x, y }) {
+        const toDeg = rad => rad * 180 / Math.PI;
+        return {
+            latitude: this.anchor.latitude + toDeg(y / EARTH_RADIUS_M),
+            longitude: this.anchor.longitude +
+                toDeg(x / (EARTH_RADIUS_M * Math.cos(this.anchor.latitude * Math.PI / 180)))
+        };
+    }
+}
+
+module.exports = AnchorSwing;
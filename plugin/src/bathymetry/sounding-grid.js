@@ -0,0 +1,405 @@
+/**
+ * src/bathymetry/sounding-grid.js
+ *
+ * Personal bathymetry from the boat's own soundings.
+ *
+ * Depth updates arrive through the `data.updated` events emitted by
+ * SignalKDataProvider. Each sounding is taken with the latest position,
+ * reduced to chart datum with the tide height from TidesDataProvider
+ * (depth below the surface minus the tide height; non-tidal water counts
+ * as a zero tide) and folded into a grid of `bathymetry.cellMetres`
+ * squares. A cell keeps only a count, the shallowest and mean datum depth,
+ * and the last visit (time, depth and tide height then).
+ *
+ * lookAhead() reads the cells along the course for "last time we were here"
+ * warnings, toGeoJSON() exports the cells for a chart plotter overlay.
+ *
+ * Persisted to <dataDir>/ocearo-soundings.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { skPaths } = require('../common');
+const { destinationPoint } = require('../analyses/isochrone').geo;
+
+const METRES_PER_DEGREE = 111_320;
+const METRES_PER_NM = 1852;
+
+/** One sounding per SAMPLE_MS at most */
+const SAMPLE_MS = 5000;
+
+/** Ignore soundings when the last position is older than this */
+const POSITION_MAX_AGE_MS = 5000;
+
+/** Refresh the tide timeline used for the datum reduction */
+const TIDE_REFRESH_MS = 30 * 60_000;
+
+/** Stored cell layout: [count, minDatum, meanDatum, lastTime (s), lastDepth, lastTide] */
+const COUNT = 0;
+const MIN = 1;
+const MEAN = 2;
+const LAST_TIME = 3;
+const LAST_DEPTH = 4;
+const LAST_TIDE = 5;
+
+const round = (v, d = 2) => Math.round(v * 10 ** d) / 10 ** d;
+
+class SoundingGrid {
+    /**
+     * @param {object} app     Signal K app object
+     * @param {object} config  Plugin options (uses the `bathymetry` section)
+     * @param {object} deps    { tidesProvider, configManager }
+     */
+    constructor(app, config = {}, deps = {}) {
+        this.app = app;
+        this.tidesProvider = deps.tidesProvider;
+        this.cm = deps.configManager;
+
+        const settings = config.bathymetry || {};
+        this.enabled = settings.record !== false;
+        this.cellMetres = settings.cellMetres || 25;
+        this.maxCells = settings.maxCells || 100_000;
+
+        this._filePath = path.join(app.getDataDirPath(), 'ocearo-soundings.json');
+        this._cells = new Map();    // 'row:col' → cell array
+        this._latest = {};
+        this._lastSampleAt = 0;
+        this._tideTimeline = null;
+        this._tideLoadedAt = 0;
+        this._dirty = false;
+        this._onData = this._handleData.bind(this);
+        this._persistTimer = null;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Lifecycle
+    // ─────────────────────────────────────────────────────────────────────────
+
+    start() {
+        this.load();
+        if (!this.enabled) {
+            this.app.debug('Sounding recorder disabled — bathymetry is read-only');
+            return;
+        }
+        if (typeof this.app.on === 'function') {
+            this.app.on('data.updated', this._onData);
+        }
+        this._persistTimer = setInterval(() => this.save(), 10 * 60 * 1000);
+        this.app.debug(`Sounding recorder started — ${this._cells.size} cells loaded`);
+    }
+
+    stop() {
+        if (typeof this.app.removeListener === 'function') {
+            this.app.removeListener('data.updated', this._onData);
+        }
+        if (this._persistTimer) {
+            clearInterval(this._persistTimer);
+            this._persistTimer = null;
+        }
+        this.save();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this._filePath)) return;
+            const saved = JSON.parse(fs.readFileSync(this._filePath, 'utf8'));
+            this._cells.clear();
+            // Cells of another size do not line up: start again
+            if (saved.cellMetres !== this.cellMetres) {
+                this.app.debug(`Sounding grid cell size changed (${saved.cellMetres} → ${this.cellMetres} m), starting a new grid`);
+                return;
+            }
+            for (const [key, cell] of Object.entries(saved.cells || {})) {
+                if (Array.isArray(cell) && cell.length === 6) this._cells.set(key, cell);
+            }
+        } catch (err) {
+            this.app.warn(`Could not load soundings: ${err.message}`);
+        }
+    }
+
+    /**
+     * Persist the grid. Atomic write (temp file + rename), skipped when
+     * nothing changed since the last save.
+     */
+    save() {
+        if (!this._dirty) return;
+        const data = {
+            version: 1,
+            cellMetres: this.cellMetres,
+            datum: 'chart datum (depth below surface minus tide height)',
+            cells: Object.fromEntries(this._cells)
+        };
+        const tmp = `${this._filePath}.tmp`;
+        try {
+            fs.writeFileSync(tmp, JSON.stringify(data), 'utf8');
+            fs.renameSync(tmp, this._filePath);
+            this._dirty = false;
+        } catch (err) {
+            this.app.warn(`Could not save soundings: ${err.message}`);
+            try { fs.unlinkSync(tmp); } catch { /* ignore cleanup failure */ }
+        }
+    }
+
+    /**
+     * Forget every sounding.
+     */
+    reset() {
+        this._cells.clear();
+        this._dirty = true;
+        this.save();
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Recording
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Track the latest position and depths; depth updates record a sounding.
+     * @param {{path: string, value: *}} update
+     */
+    _handleData({ path: skPath, value } = {}) {
+        switch (skPath) {
+            case skPaths.navigation.position:
+                if (typeof value?.latitude === 'number' && typeof value?.longitude === 'number') {
+                    this._latest.position = { latitude: value.latitude, longitude: value.longitude, t: Date.now() };
+                }
+                break;
+            case skPaths.environment.depthBelowSurface:
+                this._latest.belowSurface = value;
+                this._onDepth(Date.now());
+                break;
+            case skPaths.environment.depthBelowKeel:
+                this._latest.belowKeel = value;
+                this._onDepth(Date.now());
+                break;
+            case skPaths.environment.depthBelowTransducer:
+                this._latest.belowTransducer = value;
+                this._onDepth(Date.now());
+                break;
+            default:
+                break;
+        }
+    }
+
+    _onDepth(now) {
+        if (now - this._lastSampleAt < SAMPLE_MS) return;
+        const position = this._latest.position;
+        if (!position || now - position.t > POSITION_MAX_AGE_MS) return;
+        const depth = this._surfaceDepth();
+        if (depth === null) return;
+
+        this._lastSampleAt = now;
+        this._tideHeight(now)
+            .then(tide => this.addSounding(position, depth, tide, now))
+            .catch(err => this.app.debug('Sounding not recorded:', err.message));
+    }
+
+    /**
+     * Depth below the surface: belowSurface, else belowKeel plus the keel
+     * fully down, else belowTransducer.
+     * @returns {number|null}
+     */
+    _surfaceDepth() {
+        const num = v => (typeof v === 'number' && Number.isFinite(v) ? v : null);
+        const { belowSurface, belowKeel, belowTransducer } = this._latest;
+        if (num(belowSurface) !== null) return belowSurface;
+        if (num(belowKeel) !== null) {
+            const draft = this.cm?.boatValue('keel.draftDown', this.cm?.boatValue('keel.draft', null));
+            if (typeof draft === 'number') return belowKeel + draft;
+        }
+        return num(belowTransducer);
+    }
+
+    /**
+     * Fold one sounding into its cell.
+     * @param {{latitude, longitude}} position
+     * @param {number} depth        Depth below the surface (m)
+     * @param {number|null} tide    Tide height above chart datum (m), null for non-tidal water
+     * @param {number} [now]        Epoch ms
+     */
+    addSounding(position, depth, tide, now = Date.now()) {
+        const datum = depth - (tide ?? 0);
+        const key = this._key(position);
+        const cell = this._cells.get(key);
+        const last = [round(depth), tide === null ? null : round(tide)];
+
+        if (cell) {
+            cell[COUNT] += 1;
+            cell[MIN] = round(Math.min(cell[MIN], datum));
+            cell[MEAN] = round(cell[MEAN] + (datum - cell[MEAN]) / cell[COUNT]);
+            cell[LAST_TIME] = Math.round(now / 1000);
+            [cell[LAST_DEPTH], cell[LAST_TIDE]] = last;
+        } else {
+            this._cells.set(key, [1, round(datum), round(datum), Math.round(now / 1000), ...last]);
+            if (this._cells.size > this.maxCells) this._evictOldest();
+        }
+        this._dirty = true;
+    }
+
+    _evictOldest() {
+        let oldestKey = null;
+        let oldest = Infinity;
+        for (const [key, cell] of this._cells) {
+            if (cell[LAST_TIME] < oldest) {
+                oldest = cell[LAST_TIME];
+                oldestKey = key;
+            }
+        }
+        if (oldestKey) this._cells.delete(oldestKey);
+    }
+
+    /**
+     * Tide height now, from the cached tide timeline.
+     * @returns {Promise<number|null>}
+     */
+    async _tideHeight(now) {
+        if (!this.tidesProvider?.getTideTimeline) return null;
+        if (!this._tideTimeline || now - this._tideLoadedAt >= TIDE_REFRESH_MS) {
+            this._tideTimeline = await this.tidesProvider.getTideTimeline(new Date(now), new Date(now + TIDE_REFRESH_MS));
+            this._tideLoadedAt = now;
+        }
+        return this.tidesProvider.heightAt(new Date(now), this._tideTimeline);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Queries
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Logged cells along the course, nearest first, the boat's own cell
+     * excluded (the sounder already measures it).
+     * @param {{latitude, longitude}} position
+     * @param {number} cog        Course over ground (degrees)
+     * @param {number} metres     Distance ahead to read
+     * @param {number|null} tide  Tide height now, for the expected depth
+     * @returns {Array<object>} { cell, distance, minDatum, expectedDepth, count, lastSeen, lastDepth, lastTide }
+     */
+    lookAhead(position, cog, metres, tide) {
+        const own = this._key(position);
+        const seen = new Set([own]);
+        const found = [];
+        for (let d = this.cellMetres / 2; d <= metres; d += this.cellMetres / 2) {
+            const point = destinationPoint(position, cog, d / METRES_PER_NM);
+            const key = this._key(point);
+            if (seen.has(key)) continue;
+            seen.add(key);
+            const cell = this._cells.get(key);
+            if (cell) {
+                found.push({
+                    cell: key,
+                    distance: Math.round(d),
+                    ...this._describe(cell),
+                    expectedDepth: round(cell[MIN] + (tide ?? 0), 1)
+                });
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Tide height now for callers comparing with lookAhead().
+     * @returns {Promise<number|null>}
+     */
+    async tideNow() {
+        try {
+            return await this._tideHeight(Date.now());
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * @returns {object} { cells, soundings, cellMetres, lastSounding }
+     */
+    getStatistics() {
+        let soundings = 0;
+        let last = 0;
+        for (const cell of this._cells.values()) {
+            soundings += cell[COUNT];
+            last = Math.max(last, cell[LAST_TIME]);
+        }
+        return {
+            enabled: this.enabled,
+            cellMetres: this.cellMetres,
+            cells: this._cells.size,
+            soundings,
+            lastSounding: last ? new Date(last * 1000).toISOString() : null
+        };
+    }
+
+    /**
+     * Cells as a GeoJSON FeatureCollection of square polygons, depths
+     * reduced to chart datum.
+     * @param {number[]} [bbox] [minLon, minLat, maxLon, maxLat]
+     * @returns {object}
+     */
+    toGeoJSON(bbox) {
+        const features = [];
+        for (const [key, cell] of this._cells) {
+            const [row, col] = key.split(':').map(Number);
+            const { south, north, west, east } = this._bounds(row, col);
+            if (bbox && (east < bbox[0] || west > bbox[2] || north < bbox[1] || south > bbox[3])) continue;
+            features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'Polygon',
+                    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+                },
+                properties: {
+                    depth: cell[MIN],
+                    ...this._describe(cell)
+                }
+            });
+        }
+        return {
+            type: 'FeatureCollection',
+            properties: { datum: 'chart datum', units: 'm', cellMetres: this.cellMetres },
+            features
+        };
+    }
+
+    _describe(cell) {
+        return {
+            minDatum: cell[MIN],
+            meanDatum: cell[MEAN],
+            count: cell[COUNT],
+            lastSeen: new Date(cell[LAST_TIME] * 1000).toISOString(),
+            lastDepth: cell[LAST_DEPTH],
+            lastTide: cell[LAST_TIDE]
+        };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Grid
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Rows are `cellMetres` of latitude; each row is split into columns of
+     * `cellMetres` of longitude at the row's latitude.
+     */
+    _key({ latitude, longitude }) {
+        const latStep = this.cellMetres / METRES_PER_DEGREE;
+        const row = Math.floor(latitude / latStep);
+        const col = Math.floor(longitude / this._lonStep(row));
+        return `${row}:${col}`;
+    }
+
+    _lonStep(row) {
+        const latStep = this.cellMetres / METRES_PER_DEGREE;
+        const centre = (row + 0.5) * latStep;
+        return latStep / Math.max(Math.cos(centre * Math.PI / 180), 0.01);
+    }
+
+    _bounds(row, col) {
+        const latStep = this.cellMetres / METRES_PER_DEGREE;
+        const lonStep = this._lonStep(row);
+        return {
+            south: round(row * latStep, 7),
+            north: round((row + 1) * latStep, 7),
+            west: round(col * lonStep, 7),
+            east: round((col + 1) * lonStep, 7)
+        };
+    }
+}
+
+module.exports = SoundingGrid;
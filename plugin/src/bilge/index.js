@@ -0,0 +1,415 @@
+/**
+ * Bilge Monitor
+ *
+ * Water-ingress watch from the bilge pumps and bilge level sensors:
+ * - pumps come from `bilge.pumps` ({ id, name, statePath, currentPath,
+ *   runningAmps }), else any `electrical.<group>.<id>` whose id contains
+ *   "bilge" (its `state`, else its `current`). A pump runs while its state
+ *   is on or its current is above `runningAmps`.
+ * - each run is recorded as a cycle; the cycles of the last hour are
+ *   compared with the usual hourly rate over the day before (after
+ *   6 hours of history) and with `maxCyclesPerHour`
+ * - a run longer than `maxRunSeconds` is reported while it lasts, as an
+ *   alarm past three times that
+ * - level sensors come from `bilge.levels` ({ id, name, path, warn, alarm },
+ *   ratio 0–1; a float switch reads 0/1 or false/true)
+ *
+ * Conditions raise `notifications.<pluginId>.bilge.<id>.<kind>` and are
+ * returned by evaluate() once when raised or escalated, for the brain to
+ * pass through the AlertAnalyzer. getHourSummary() feeds the hourly
+ * logbook entry.
+ *
+ * Cycles of the last 7 days, and the periods the pumps were watched, are
+ * persisted to <dataDir>/ocearo-bilge.json; the usual rate only counts
+ * watched time, so downtime does not dilute it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLE_MS = 2000;
+const PERSIST_MS = 10 * 60_000;
+const HOUR_MS = 3_600_000;
+
+/** Cycles kept */
+const HISTORY_MS = 7 * 24 * HOUR_MS;
+
+/** Window of the usual cycle rate, and history needed before using it */
+const BASELINE_MS = 24 * HOUR_MS;
+const MIN_BASELINE_MS = 6 * HOUR_MS;
+
+/** Cycles in the last hour needed before a rise over the usual rate counts */
+const MIN_RISING_CYCLES = 3;
+
+/** A longer pause between samples (plugin or server down) splits the watched periods */
+const MAX_GAP_MS = 5 * 60_000;
+
+/** Pumps are looked up again this often when discovered */
+const DISCOVERY_MS = 60_000;
+
+const SEVERITY = { warn: 1, alarm: 2 };
+
+class BilgeMonitor {
+    /**
+     * @param {object} app     SignalK app object
+     * @param {object} config  Plugin configuration (uses bilge)
+     * @param {object} sources { signalkProvider, cm }
+     */
+    constructor(app, config, sources) {
+        this.app = app;
+        this.signalkProvider = sources.signalkProvider;
+        this.cm = sources.cm;
+
+        const settings = config.bilge || {};
+        this.enabled = settings.enabled !== false;
+        this.maxCyclesPerHour = settings.maxCyclesPerHour ?? 6;
+        this.risingFactor = settings.risingFactor ?? 2;
+        this.maxRunMs = (settings.maxRunSeconds ?? 120) * 1000;
+        this.runningAmps = settings.runningAmps ?? 0.5;
+        this.configuredPumps = (settings.pumps || []).filter(p => p && p.id !== undefined && (p.statePath || p.currentPath));
+        this.levels = (settings.levels || []).filter(l => l && l.id !== undefined && l.path);
+
+        this._notificationPrefix = `notifications.${this.signalkProvider.pluginId || 'ocearo-core'}.bilge`;
+        this._filePath = path.join(app.getDataDirPath(), 'ocearo-bilge.json');
+        /** Persisted: { monitored: [[fromMs, toMs]], cycles: { pumpId: [[startMs, seconds]] } } */
+        this.state = { monitored: [], cycles: {} };
+        this._pumps = [];
+        this._discoveredAt = 0;
+        this._runs = {};        // pump id → run start (ms) while running
+        this._levels = {};      // level id → [{ t, value }] over the last hour
+        this._active = {};      // condition key → raised state
+        this._dirty = false;
+        this._timer = null;
+        this._persistTimer = null;
+    }
+
+    start() {
+        if (!this.enabled || this._timer) return;
+        this.load();
+        this._timer = setInterval(() => this.sample(), SAMPLE_MS);
+        this._persistTimer = setInterval(() => this.save(), PERSIST_MS);
+        this.app.debug(`Bilge monitor started (${this.configuredPumps.length || 'discovered'} pumps, ${this.levels.length} level sensors)`);
+    }
+
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        if (this._persistTimer) {
+            clearInterval(this._persistTimer);
+            this._persistTimer = null;
+        }
+        for (const key of Object.keys(this._active)) {
+            this.signalkProvider.writePath(`${this._notificationPrefix}.${key}`, null);
+        }
+        this._active = {};
+        this.save();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this._filePath)) return;
+            const stored = JSON.parse(fs.readFileSync(this._filePath, 'utf8'));
+            // Older files only kept the first start, which counted downtime as watched
+            delete stored.since;
+            Object.assign(this.state, stored);
+        } catch (error) {
+            this.app.warn(`Could not load bilge history: ${error.message}`);
+        }
+    }
+
+    save() {
+        if (!this._dirty) return;
+        const tmp = `${this._filePath}.tmp`;
+        try {
+            fs.writeFileSync(tmp, JSON.stringify(this.state), 'utf8');
+            fs.renameSync(tmp, this._filePath);
+            this._dirty = false;
+        } catch (error) {
+            this.app.warn(`Could not save bilge history: ${error.message}`);
+            try { fs.unlinkSync(tmp); } catch { /* ignore cleanup failure */ }
+        }
+    }
+
+    // ────────── SAMPLING ──────────
+
+    /**
+     * Read the pumps and level sensors.
+     * @param {number} [now] ms timestamp
+     */
+    sample(now = Date.now()) {
+        this._markMonitored(now);
+        for (const pump of this._currentPumps(now)) {
+            const running = this._isRunning(pump);
+            if (running === null) continue;
+            this._samplePump(pump.id, running, now);
+        }
+
+        for (const level of this.levels) {
+            const raw = this.signalkProvider._getSelfPath(level.path);
+            const reading = raw !== null && typeof raw === 'object' && 'value' in raw ? raw.value : raw;
+            const value = typeof reading === 'boolean' ? Number(reading) : this._number(reading);
+            if (value === null) continue;
+            const history = (this._levels[level.id] || []).filter(s => now - s.t <= HOUR_MS);
+            history.push({ t: now, value });
+            this._levels[level.id] = history;
+        }
+    }
+
+    /**
+     * Record a pump reading; a run ending is stored as a cycle.
+     * @param {string} id
+     * @param {boolean} running
+     * @param {number} now ms timestamp
+     */
+    _samplePump(id, running, now) {
+        const startedAt = this._runs[id];
+        if (running && startedAt === undefined) {
+            this._runs[id] = now;
+        } else if (!running && startedAt !== undefined) {
+            delete this._runs[id];
+            const cycles = (this.state.cycles[id] || []).filter(c => now - c[0] <= HISTORY_MS);
+            cycles.push([startedAt, Math.round((now - startedAt) / 1000)]);
+            this.state.cycles[id] = cycles;
+            this._dirty = true;
+        }
+    }
+
+    /**
+     * Extend the current watched period, or open a new one after a gap.
+     */
+    _markMonitored(now) {
+        const monitored = this.state.monitored;
+        const current = monitored.at(-1);
+        if (current && now >= current[1] && now - current[1] <= MAX_GAP_MS) {
+            current[1] = now;
+        } else {
+            monitored.push([now, now]);
+            while (monitored.length && now - monitored[0][1] > HISTORY_MS) monitored.shift();
+        }
+        this._dirty = true;
+    }
+
+    /**
+     * Watched time between two instants.
+     */
+    _monitoredMs(from, to) {
+        return this.state.monitored.reduce((sum, [start, end]) =>
+            sum + Math.max(0, Math.min(end, to) - Math.max(start, from)), 0);
+    }
+
+    _currentPumps(now) {
+        if (this.configuredPumps.length) return this.configuredPumps;
+        if (now - this._discoveredAt < DISCOVERY_MS) return this._pumps;
+
+        this._discoveredAt = now;
+        const electrical = this.signalkProvider._getSelfPath('electrical') || {};
+        const pumps = [];
+        for (const [group, items] of Object.entries(electrical)) {
+            if (!items || typeof items !== 'object') continue;
+            for (const [id, node] of Object.entries(items)) {
+                if (!/bilge/i.test(id) || !node || typeof node !== 'object') continue;
+                const base = `electrical.${group}.${id}`;
+                if (node.state !== undefined) pumps.push({ id, statePath: `${base}.state` });
+                else if (node.current !== undefined) pumps.push({ id, currentPath: `${base}.current` });
+            }
+        }
+        this._pumps = pumps;
+        return pumps;
+    }
+
+    /**
+     * @returns {boolean|null} Pump running, null when unknown
+     */
+    _isRunning(pump) {
+        if (pump.statePath) {
+            const raw = this.signalkProvider._getSelfPath(pump.statePath);
+            const state = raw !== null && typeof raw === 'object' && 'value' in raw ? raw.value : raw;
+            if (typeof state === 'boolean') return state;
+            if (typeof state === 'number') return state > 0;
+            if (typeof state === 'string') return ['on', 'true', 'running'].includes(state.toLowerCase());
+        }
+        if (pump.currentPath) {
+            const current = this._number(this.signalkProvider._getSelfPath(pump.currentPath));
+            if (current !== null) return Math.abs(current) > (pump.runningAmps ?? this.runningAmps);
+        }
+        return null;
+    }
+
+    // ────────── EVALUATION ──────────
+
+    /**
+     * Raise and clear the bilge notifications.
+     * @param {number} [now] ms timestamp
+     * @returns {object[]} Notifications raised or escalated since the last call,
+     *                     as { path, value: { state, message, value }, timestamp }
+     */
+    evaluate(now = Date.now()) {
+        if (!this.enabled) return [];
+        const conditions = {};
+
+        for (const pump of this._knownPumps()) {
+            const stats = this._pumpStats(pump.id, now);
+            const name = pump.name || pump.id;
+
+            if (stats.runningForMs !== null && stats.runningForMs > this.maxRunMs) {
+                conditions[`${pump.id}.longRun`] = {
+                    state: stats.runningForMs > 3 * this.maxRunMs ? 'alarm' : 'warn',
+                    value: Math.round(stats.runningForMs / 1000),
+                    message: this.cm.t('bilge.long_run', {
+                        pump: name,
+                        minutes: Math.max(1, Math.round(stats.runningForMs / 60_000))
+                    })
+                };
+            }
+
+            const rising = stats.usualPerHour !== null && stats.cyclesLastHour >= MIN_RISING_CYCLES
+                && stats.cyclesLastHour >= this.risingFactor * Math.max(stats.usualPerHour, 0.5);
+            if (rising || stats.cyclesLastHour >= this.maxCyclesPerHour) {
+                conditions[`${pump.id}.cycles`] = {
+                    state: 'warn',
+                    value: stats.cyclesLastHour,
+                    message: rising
+                        ? this.cm.t('bilge.cycles_rising', { pump: name, count: stats.cyclesLastHour, usual: stats.usualPerHour })
+                        : this.cm.t('bilge.cycles_high', { pump: name, count: stats.cyclesLastHour })
+                };
+            }
+        }
+
+        for (const level of this.levels) {
+            const latest = this._levels[level.id]?.at(-1);
+            if (!latest || now - latest.t > 5 * 60_000) continue;
+            const state = latest.value >= (level.alarm ?? 0.8) ? 'alarm'
+                : latest.value >= (level.warn ?? 0.5) ? 'warn' : null;
+            if (!state) continue;
+            conditions[`${level.id}.level`] = {
+                state,
+                value: latest.value,
+                message: this.cm.t('bilge.level', {
+                    sensor: level.name || level.id,
+                    percent: Math.round(latest.value * 100)
+                })
+            };
+        }
+
+        return this._publish(conditions, now);
+    }
+
+    _publish(conditions, now) {
+        const raised = [];
+        const timestamp = new Date(now).toISOString();
+
+        for (const [key, condition] of Object.entries(conditions)) {
+            const previous = this._active[key];
+            if (previous === condition.state) continue;
+            const notification = {
+                state: condition.state,
+                message: condition.message,
+                method: condition.state === 'alarm' ? ['visual', 'sound'] : ['visual'],
+                timestamp,
+                value: condition.value
+            };
+            this.signalkProvider.writePath(`${this._notificationPrefix}.${key}`, notification);
+            this._active[key] = condition.state;
+            if (!previous || SEVERITY[condition.state] > SEVERITY[previous]) {
+                raised.push({ path: `${this._notificationPrefix}.${key}`, value: notification, timestamp });
+            }
+        }
+
+        for (const key of Object.keys(this._active)) {
+            if (conditions[key]) continue;
+            this.signalkProvider.writePath(`${this._notificationPrefix}.${key}`, null);
+            delete this._active[key];
+        }
+
+        return raised;
+    }
+
+    _knownPumps() {
+        const pumps = this.configuredPumps.length ? this.configuredPumps : this._pumps;
+        const ids = new Set(pumps.map(p => String(p.id)));
+        // Pumps seen before but not discovered now still have a history
+        const history = Object.keys(this.state.cycles)
+            .filter(id => !ids.has(id))
+            .map(id => ({ id }));
+        return [...pumps, ...history];
+    }
+
+    /**
+     * Cycle statistics of a pump.
+     * @returns {object} { running, runningForMs, cyclesLastHour, runSecondsLastHour, usualPerHour, lastCycle }
+     */
+    _pumpStats(id, now) {
+        const cycles = this.state.cycles[id] || [];
+        const startedAt = this._runs[id];
+        const lastHour = cycles.filter(c => now - c[0] <= HOUR_MS);
+
+        // Usual rate over the day before the last hour, per hour actually watched
+        const observedMs = this._monitoredMs(now - HOUR_MS - BASELINE_MS, now - HOUR_MS);
+        let usualPerHour = null;
+        if (observedMs >= MIN_BASELINE_MS) {
+            const before = cycles.filter(c => now - c[0] > HOUR_MS && now - c[0] <= HOUR_MS + BASELINE_MS);
+            usualPerHour = Math.round(before.length / (observedMs / HOUR_MS) * 10) / 10;
+        }
+
+        const last = cycles.at(-1);
+        return {
+            running: startedAt !== undefined,
+            runningForMs: startedAt !== undefined ? now - startedAt : null,
+            cyclesLastHour: lastHour.length + (startedAt !== undefined && now - startedAt <= HOUR_MS ? 1 : 0),
+            runSecondsLastHour: lastHour.reduce((sum, c) => sum + c[1], 0)
+                + (startedAt !== undefined ? Math.round((now - Math.max(startedAt, now - HOUR_MS)) / 1000) : 0),
+            usualPerHour,
+            lastCycle: last ? { start: new Date(last[0]).toISOString(), seconds: last[1] } : null
+        };
+    }
+
+    // ────────── STATUS ──────────
+
+    getStatus(now = Date.now()) {
+        const pumps = {};
+        for (const pump of this._knownPumps()) {
+            const { runningForMs, ...stats } = this._pumpStats(pump.id, now);
+            pumps[pump.id] = {
+                ...stats,
+                runningForSeconds: runningForMs === null ? null : Math.round(runningForMs / 1000)
+            };
+        }
+        const levels = {};
+        for (const level of this.levels) {
+            levels[level.id] = this._levels[level.id]?.at(-1)?.value ?? null;
+        }
+        return { enabled: this.enabled, pumps, levels, active: { ...this._active } };
+    }
+
+    /**
+     * Pump cycles and run time over the last hour, for the hourly logbook entry.
+     * @returns {object} { cycles, runSeconds, maxLevel, pumps: { id: { cycles, runSeconds } } }
+     */
+    getHourSummary(now = Date.now()) {
+        const pumps = {};
+        let cycles = 0;
+        let runSeconds = 0;
+        for (const pump of this._knownPumps()) {
+            const stats = this._pumpStats(pump.id, now);
+            pumps[pump.id] = { cycles: stats.cyclesLastHour, runSeconds: stats.runSecondsLastHour };
+            cycles += stats.cyclesLastHour;
+            runSeconds += stats.runSecondsLastHour;
+        }
+        const levels = Object.values(this._levels).flat().filter(s => now - s.t <= HOUR_MS).map(s => s.value);
+        return {
+            cycles,
+            runSeconds,
+            maxLevel: levels.length ? Math.max(...levels) : null,
+            pumps
+        };
+    }
+
+    _number(raw) {
+        const value = raw !== null && typeof raw === 'object' && 'value' in raw ? raw.value : raw;
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+}
+
+module.exports = BilgeMonitor;
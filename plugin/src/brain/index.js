@@ -12,11 +12,22 @@ const MeteoAnalyzer = require('../analyses/meteo');
 const SailCourseAnalyzer = require('../analyses/sailcourse');
 const SailSettingsAnalyzer = require('../analyses/sailsettings');
 const AISAnalyzer = require('../analyses/ais');
+const AISDistressWatch = require('../analyses/ais-distress');
 const FailurePredictor = require('../analyses/failure');
+const SensorBaselines = require('../analyses/sensor-baselines');
+const DepthLookahead = require('../analyses/depth-lookahead');
 const RoutePlanner = require('../analyses/route');
 const RacingAnalyzer = require('../analyses/racing');
 const LogbookManager = require('../logbook');
 const AnchorPlugin = require('../anchor/anchor-plugin');
+const MOBManager = require('../mob');
+const ModeInference = require('../mode');
+const FuelMonitor = require('../fuel');
+const EnergyMonitor = require('../energy');
+const MaintenanceScheduler = require('../maintenance');
+const BilgeMonitor = require('../bilge');
+const TankMonitor = require('../tanks');
+const VesselTools = require('../llm/tools');
 
 class OrchestratorBrain {
     constructor(app, config, components) {
@@ -31,24 +42,101 @@ class OrchestratorBrain {
         this.llm = components.llm;
         this.voice = components.voice;
         this.cm = components.configManager;
+        this.soundingGrid = components.soundingGrid;
         
         // Logbook integration
         this.logbookManager = components.logbookManager;
 
         // Anchor plugin
-        this.anchorPlugin = new AnchorPlugin(app, 'ocearo-core', config);
+        this.anchorPlugin = new AnchorPlugin(app, 'ocearo-core', config, {
+            tidesProvider: this.tidesProvider,
+            weatherProvider: this.weatherProvider,
+            voice: this.voice,
+            cm: this.cm
+        });
         this.anchorPlugin.onModeChange(mode => this.updateMode(mode));
         
         // Analysis modules — pass ConfigManager to all analyzers
         this.alertAnalyzer = new AlertAnalyzer(app, config, this.llm, this.memoryManager, this.cm);
         this.meteoAnalyzer = new MeteoAnalyzer(app, config, this.llm, 
             this.weatherProvider, this.tidesProvider, this.cm);
-        this.sailCourseAnalyzer = new SailCourseAnalyzer(app, config, this.llm, this.cm);
-        this.sailSettingsAnalyzer = new SailSettingsAnalyzer(app, config, this.llm, this.cm);
         this.aisAnalyzer = new AISAnalyzer(app, config, this.voice, this.cm);
-        this.failurePredictor = new FailurePredictor(app, config, this.llm, this.cm);
-        this.routePlanner = new RoutePlanner(app, config, this.llm, this.cm);
-        this.racingAnalyzer = new RacingAnalyzer(app, config, this.llm, this.cm, this.weatherProvider);
+        this.distressWatch = new AISDistressWatch(app, config, {
+            aisAnalyzer: this.aisAnalyzer,
+            signalkProvider: this.signalkProvider,
+            voice: this.voice,
+            cm: this.cm,
+            logbookManager: this.logbookManager
+        });
+        this.fuelMonitor = new FuelMonitor(app, config, {
+            signalkProvider: this.signalkProvider,
+            logbookManager: this.logbookManager,
+            cm: this.cm
+        });
+        this.energyMonitor = new EnergyMonitor(app, config, {
+            signalkProvider: this.signalkProvider,
+            cm: this.cm
+        });
+        this.sensorBaselines = new SensorBaselines(app, config, {
+            signalkProvider: this.signalkProvider,
+            cm: this.cm
+        });
+        this.failurePredictor = new FailurePredictor(app, config, this.llm, this.cm, {
+            fuelMonitor: this.fuelMonitor,
+            energyMonitor: this.energyMonitor,
+            baselines: this.sensorBaselines
+        });
+        this.maintenance = new MaintenanceScheduler(app, config, {
+            signalkProvider: this.signalkProvider,
+            logbookManager: this.logbookManager,
+            sensorBaselines: this.sensorBaselines,
+            cm: this.cm
+        });
+        this.bilgeMonitor = new BilgeMonitor(app, config, {
+            signalkProvider: this.signalkProvider,
+            cm: this.cm
+        });
+        this.tankMonitor = new TankMonitor(app, config, {
+            signalkProvider: this.signalkProvider,
+            cm: this.cm,
+            getMode: () => this.state.mode
+        });
+        this.depthLookahead = new DepthLookahead(app, config, {
+            tidesProvider: this.tidesProvider,
+            cm: this.cm
+        });
+        this._createBoatAnalyzers();
+
+        // Man overboard workflow ('mob' mode)
+        this.mobManager = new MOBManager(app, config, {
+            signalkProvider: this.signalkProvider,
+            tidesProvider: this.tidesProvider,
+            voice: this.voice,
+            cm: this.cm,
+            logbookManager: this.logbookManager
+        });
+        // Mode and DND in force when MOB was triggered, restored on recovery
+        this._beforeMOB = null;
+        this._mobUnsubscribes = [];
+
+        // Mode inferred from SOG, engine, position and marinas, confirmed by voice
+        this.modeInference = new ModeInference(app, config, {
+            signalkProvider: this.signalkProvider,
+            voice: this.voice,
+            cm: this.cm,
+            anchorPlugin: this.anchorPlugin,
+            getMode: () => this.state.mode,
+            applyMode: mode => this.updateMode(mode, { source: 'inference' })
+        });
+
+        // Read-only tools the LLM may call for live data (llm.toolCalling)
+        this.llm.setTools(new VesselTools(app, {
+            signalkProvider: this.signalkProvider,
+            aisAnalyzer: this.aisAnalyzer,
+            tidesProvider: this.tidesProvider,
+            configManager: this.cm,
+            logbookStore: this.logbookManager?.store
+        }));
         
         // Scheduling intervals (ms)
         this.schedules = {
@@ -74,6 +162,13 @@ class OrchestratorBrain {
         this._aisLogbookCooldownMs = 30 * 60 * 1000;
         this._lastHourlyStationary = false;
 
+        // Depth look-ahead level and keel advice last announced
+        this._depthAheadAnnounced = null;
+        // Logged cell behind the last "last time here" warning
+        this._depthHistoryCell = null;
+        // Day of the last night energy outlook at anchor
+        this._energyOutlookDay = null;
+
         // State
         this.state = {
             mode: config.mode || 'sailing',
@@ -86,6 +181,7 @@ class OrchestratorBrain {
             aisTargetsInRange: 0,
             started: false,
             depthAlertLevel: null,
+            depthAhead: null,
             dnd: 'off',
             dndUntil: null
         };
@@ -108,6 +204,41 @@ class OrchestratorBrain {
         };
     }
 
+    /**
+     * Create the analyzers that read boat settings (polars, sail plan,
+     * manoeuvre penalties) from the active boat profile.
+     */
+    _createBoatAnalyzers() {
+        const { app, config } = this;
+        this.sailCourseAnalyzer = new SailCourseAnalyzer(app, config, this.llm, this.cm);
+        this.sailSettingsAnalyzer = new SailSettingsAnalyzer(app, config, this.llm, this.cm);
+        this.routePlanner = new RoutePlanner(app, config, this.llm, this.cm, this.weatherProvider, this.tidesProvider);
+        this.racingAnalyzer = new RacingAnalyzer(app, config, this.llm, this.cm, this.weatherProvider);
+    }
+
+    /**
+     * Hot-switch the boat profile: reload ConfigManager and refresh the
+     * settings the boat analyzers keep (manoeuvre penalties). The analyzers
+     * are not rebuilt, so the published route id and the racing timer
+     * survive; polars are read through ConfigManager on every call.
+     * @param {string} [boatId] Defaults to reloading the current profile
+     */
+    async reloadBoatProfile(boatId = this.cm.boatId) {
+        const previous = this.cm.boatId;
+        this.cm.reload({ boat: boatId });
+        this.sailCourseAnalyzer.applyBoatProfile();
+        this.racingAnalyzer.applyBoatProfile();
+        this.app.debug(`Boat profile ${previous} → ${this.cm.boatId} (${this.cm.boatValue('name', 'unknown')})`);
+
+        if (previous !== this.cm.boatId) {
+            await this.logSystemEvent('boat_change', {
+                summary: `Boat profile: ${this.cm.boatValue('name', this.cm.boatId)}`,
+                previousBoat: previous,
+                boat: this.cm.boatId
+            });
+        }
+    }
+
     /**
      * Monitor depth and raise warnings/alarms with TTS guidance.
      * Warn < 3.0 m, Alarm < 2.5 m (below keel when available, else transducer).
@@ -163,11 +294,135 @@ class OrchestratorBrain {
             }
 
             this.state.depthAlertLevel = level;
+
+            await this._checkDepthAhead(vesselData, depth, belowKeel);
+            await this._checkDepthHistory(vesselData);
         } catch (error) {
             this.app.debug('Depth safety check error:', error.message);
         }
     }
 
+    /**
+     * Depth look-ahead: warn before the tide or the shoaling track takes
+     * the clearance away, with the keel advice. Announced when the level or
+     * the advice changes.
+     * @param {object} vesselData  From SignalKDataProvider.getVesselData()
+     * @param {object} depth       environment.depth readings
+     * @param {number|null} belowKeel
+     */
+    async _checkDepthAhead(vesselData, depth, belowKeel) {
+        // belowKeel is taken against the keel fully down
+        const draftDown = this.cm.boatValue('keel.draftDown', this.cm.boatValue('keel.draft', 0));
+        const surface = typeof depth?.belowSurface === 'number' ? depth.belowSurface
+            : belowKeel !== null ? belowKeel + draftDown
+                : typeof depth?.belowTransducer === 'number' ? depth.belowTransducer : null;
+        if (surface === null) return;
+
+        const assessment = await this.depthLookahead.assess({
+            depth: surface,
+            sog: vesselData.sog,
+            keelPosition: this.logbookMemory.keelPosition,
+            mode: this.state.mode
+        });
+        this.state.depthAhead = assessment;
+
+        const previous = this._depthAheadAnnounced;
+        if (previous && previous.level === assessment.level && previous.advice === assessment.advice) return;
+        this._depthAheadAnnounced = { level: assessment.level, advice: assessment.advice };
+
+        const path = `notifications.${this.config.pluginId || 'ocearo-core'}.depthAhead`;
+        if (assessment.level) {
+            this.signalkProvider.writePath(path, {
+                state: assessment.level,
+                message: assessment.message,
+                method: ['visual', 'sound'],
+                timestamp: new Date().toISOString(),
+                value: assessment.minDepth
+            });
+        } else if (previous?.level) {
+            this.signalkProvider.writePath(path, null);
+        }
+
+        if (assessment.message) {
+            this.voice.announce(assessment.message, assessment.level === 'alarm' ? 'high' : 'normal', {
+                safety: assessment.level !== null
+            });
+        }
+    }
+
+    /**
+     * Personal bathymetry: warn when the soundings logged on an earlier
+     * visit give too little water ahead at the current tide. Announced once
+     * per logged cell.
+     * @param {object} vesselData  From SignalKDataProvider.getVesselData()
+     */
+    async _checkDepthHistory(vesselData) {
+        if (!this.soundingGrid) return;
+        const position = vesselData.position?.value ?? vesselData.position;
+        if (typeof position?.latitude !== 'number' || typeof position?.longitude !== 'number') return;
+        // Only ahead of a boat making way
+        if (!((vesselData.sog ?? 0) >= 1) || typeof vesselData.cog !== 'number') return;
+
+        const settings = this.config.bathymetry || {};
+        const warnClearance = this.config.depth?.warnClearanceMetres ?? 1.0;
+        const draft = this.state.depthAhead?.keel?.draft
+            ?? this.cm.boatValue('keel.draftDown', this.cm.boatValue('keel.draft', 0));
+
+        const tide = await this.soundingGrid.tideNow();
+        const shoal = this.soundingGrid
+            .lookAhead(position, vesselData.cog, settings.lookAheadMetres ?? 300, tide)
+            .find(cell => cell.expectedDepth - draft < warnClearance) || null;
+
+        const path = `notifications.${this.config.pluginId || 'ocearo-core'}.depthHistory`;
+        if (!shoal) {
+            if (this._depthHistoryCell) this.signalkProvider.writePath(path, null);
+            this._depthHistoryCell = null;
+            return;
+        }
+        if (shoal.cell === this._depthHistoryCell) return;
+        this._depthHistoryCell = shoal.cell;
+
+        const message = this.cm.t('depth.history.warn', {
+            depth: shoal.expectedDepth,
+            distance: Math.round(shoal.distance / 10) * 10,
+            clearance: Math.max(0, Math.round((shoal.expectedDepth - draft) * 10) / 10)
+        });
+        this.signalkProvider.writePath(path, {
+            state: 'warn',
+            message,
+            method: ['visual', 'sound'],
+            timestamp: new Date().toISOString(),
+            value: shoal.expectedDepth
+        });
+        this.voice.announce(message, 'normal', { safety: true });
+    }
+
+    /**
+     * Record the position of a retractable keel for the depth look-ahead.
+     * Kept in the logbook memory across restarts.
+     * @param {'up'|'down'} position
+     * @returns {object} Keel state
+     */
+    setKeelPosition(position) {
+        if (!['up', 'down'].includes(position)) {
+            throw new Error(`Invalid keel position: ${position}. Valid positions are: up, down`);
+        }
+        this.logbookMemory.keelPosition = position;
+        // Re-announce the advice for the new position
+        if (this._depthAheadAnnounced) this._depthAheadAnnounced.advice = undefined;
+        this.app.debug(`Keel ${position}`);
+        return this.getKeelStatus();
+    }
+
+    getKeelStatus() {
+        return {
+            position: this.logbookMemory.keelPosition,
+            draftDown: this.cm.boatValue('keel.draftDown', this.cm.boatValue('keel.draft', null)),
+            draftUp: this.cm.boatValue('keel.draftUp', null),
+            depthAhead: this.state.depthAhead
+        };
+    }
+
     /**
      * Start orchestrator
      */
@@ -186,8 +441,18 @@ class OrchestratorBrain {
         // Start anchor plugin (loads persisted state, resumes monitoring if needed)
         this.anchorPlugin.start();
 
+        // MOB button on another device (notifications.mob)
+        this._subscribeMOBNotifications();
+
         // Initialize components
         this.initializeSchedules();
+        this.modeInference.start();
+        await this.fuelMonitor.start();
+        this.energyMonitor.start();
+        this.sensorBaselines.start();
+        await this.maintenance.start();
+        this.bilgeMonitor.start();
+        this.tankMonitor.start();
         
         // Perform initial analyses
         await this.performInitialChecks();
@@ -233,6 +498,24 @@ class OrchestratorBrain {
         // Stop anchor plugin
         this.anchorPlugin.stop();
 
+        // Stop MOB guidance
+        for (const unsubscribe of this._mobUnsubscribes) {
+            try { unsubscribe(); } catch (e) { /* ignore */ }
+        }
+        this._mobUnsubscribes = [];
+        this.mobManager.stop();
+        this.modeInference.stop();
+        this.fuelMonitor.stop();
+        this.energyMonitor.stop();
+        this.sensorBaselines.stop();
+        this.maintenance.stop();
+        this.bilgeMonitor.stop();
+        this.tankMonitor.stop();
+
+        // Clear AIS collision, guard zone and distress notifications
+        this.aisAnalyzer.stop();
+        this.distressWatch.stop();
+
         // Persist memory
         await this.memoryManager.persistData();
         
@@ -288,6 +571,27 @@ class OrchestratorBrain {
             }, this.schedules.aisCheck);
         }
 
+        // Night energy outlook at anchor
+        if (this.energyMonitor.enabled) {
+            this.timers.energyOutlook = setInterval(() => {
+                this.checkEnergyOutlook();
+            }, 5 * 60_000);
+        }
+
+        // Bilge pump cycles and level, escalated like the Signal K alerts
+        if (this.bilgeMonitor.enabled) {
+            this.timers.bilgeCheck = setInterval(() => {
+                this.checkBilge();
+            }, this.schedules.alertCheck);
+        }
+
+        // Water and holding tank forecasts
+        if (this.tankMonitor.enabled) {
+            this.timers.tankCheck = setInterval(() => {
+                this.checkTanks();
+            }, 10 * 60_000);
+        }
+
         // Failure prediction monitoring
         if (this.config.failurePrediction?.enabled !== false) {
             this.timers.failureCheck = setInterval(() => {
@@ -357,7 +661,9 @@ class OrchestratorBrain {
                 tides: null,
                 sailRecommendations: null,
                 tankLevels: null,
-                batteryLevels: null
+                batteryLevels: null,
+                fuel: null,
+                energy: null
             };
             
             // Weather forecast analysis
@@ -416,6 +722,26 @@ class OrchestratorBrain {
                 }
             }
             
+            // Water and holding tank forecasts
+            if (startupConfig.includeTankForecast !== false && this.tankMonitor.enabled) {
+                analysisResults.tankForecast = this.tankMonitor.getForecasts();
+            }
+            
+            // Energy outlook
+            if (startupConfig.includeEnergyOutlook !== false && this.energyMonitor.enabled) {
+                analysisResults.energy = this.energyMonitor.getOutlook();
+            }
+            
+            // Fuel estimate and range under power
+            if (startupConfig.includeFuelRange !== false && this.fuelMonitor.enabled) {
+                analysisResults.fuel = this.fuelMonitor.getStatus();
+            }
+            
+            // Due and overdue maintenance tasks
+            if (startupConfig.includeMaintenance !== false && this.maintenance.enabled) {
+                analysisResults.maintenance = this.maintenance.getDue();
+            }
+            
             // Generate comprehensive startup report (template-based, always available)
             const startupReport = this.generateStartupReport(analysisResults, startupConfig);
 
@@ -508,6 +834,30 @@ class OrchestratorBrain {
         }
     }
 
+    /**
+     * Spoken energy outlook for the night at anchor, once an evening from
+     * `energy.nightOutlookHour`: the hours to the floor against the hours
+     * until `energy.morningHour`.
+     * @param {Date} [now]
+     */
+    checkEnergyOutlook(now = new Date()) {
+        if (!this.state.started || this.state.mode !== 'anchored') return;
+        const settings = this.config.energy || {};
+        if (now.getHours() < (settings.nightOutlookHour ?? 21)) return;
+        const day = now.toDateString();
+        if (this._energyOutlookDay === day) return;
+
+        const morning = new Date(now);
+        morning.setDate(morning.getDate() + 1);
+        morning.setHours(settings.morningHour ?? 8, 0, 0, 0);
+        const outlook = this.energyMonitor.getOutlook((morning - now) / 3_600_000);
+        if (!outlook) return;
+
+        this._energyOutlookDay = day;
+        const short = outlook.enough === false;
+        this.voice.announce(outlook.speech, short ? 'high' : 'normal', { safety: short });
+    }
+
     /**
      * Check for potential system failures
      */
@@ -526,8 +876,12 @@ class OrchestratorBrain {
                     const criticalAdvice = result.expertAdvice.filter(a => a.priority === 'critical');
                     const adviceToSpeak = criticalAdvice.length > 0 ? criticalAdvice : [result.expertAdvice[0]];
                     
+                    // A lasting condition (e.g. a fuel burn anomaly until the next refuel) is not repeated every check,
+                    // even as the figures in its message change
                     for (const advice of adviceToSpeak) {
-                        this.voice.speak(advice.message, { priority: advice.priority });
+                        if (this._shouldSpeak(`failure.${advice.key}`, advice.key)) {
+                            this.voice.speak(advice.message, { priority: advice.priority });
+                        }
                     }
                 }
 
@@ -558,6 +912,53 @@ class OrchestratorBrain {
         }
     }
 
+    /**
+     * Pass the bilge conditions raised since the last check through the
+     * alert analyzer. The plugin's own notifications are not part of
+     * checkAlerts(), so they are escalated here.
+     */
+    async checkBilge() {
+        if (!this.state.started) return;
+
+        try {
+            const raised = this.bilgeMonitor.evaluate();
+            if (raised.length === 0) return;
+
+            const vesselData = await this.signalkProvider.getVesselData();
+            vesselData.bilge = this.bilgeMonitor.getStatus();
+
+            for (const notification of raised) {
+                const result = await this.alertAnalyzer.processAlert(notification, vesselData);
+                if (!result) continue;
+
+                if (result.shouldSpeak) {
+                    this.voice.announce(result.speech, result.severity === 'alarm' ? 'high' : 'normal', { safety: true });
+                }
+                if (result.severity === 'alarm') {
+                    await this.logAnalysisToLogbook('alert', result);
+                }
+            }
+        } catch (error) {
+            this.app.debug('Bilge check error:', error.message);
+        }
+    }
+
+    /**
+     * Announce fresh water running short and holding tanks filling up,
+     * once when the warning is raised.
+     */
+    checkTanks() {
+        if (!this.state.started) return;
+
+        try {
+            for (const forecast of this.tankMonitor.check()) {
+                this.voice.announce(forecast.message, 'normal');
+            }
+        } catch (error) {
+            this.app.debug('Tank check error:', error.message);
+        }
+    }
+
     /**
      * Check AIS targets for collision risks.
      * Runs frequently (every 15s) to detect developing situations early.
@@ -567,25 +968,38 @@ class OrchestratorBrain {
 
         try {
             const vesselData = this.signalkProvider.getVesselData();
+
+            // SART / MOB / EPIRB beacons first: they bypass mode and DND
+            this.distressWatch.check(vesselData);
+
             const result = this.aisAnalyzer.checkCollisionRisks(vesselData);
 
             this.state.aisTargetsInRange = result.totalInRange;
+            const nearest = (result.targets || []).find(x => x.risk === 'danger') || (result.targets || [])[0];
             this.state.lastAISCheck = {
                 dangerCount: result.dangerCount,
                 cautionCount: result.cautionCount,
                 totalInRange: result.totalInRange,
+                nearest: nearest
+                    ? { name: nearest.name, cpa: nearest.cpa, tcpa: nearest.tcpa, bearing: nearest.bearing }
+                    : null,
                 timestamp: new Date().toISOString()
             };
 
-            if (result.alerts.length > 0) {
-                // In racing mode, suppress non-critical AIS voice announcements
-                // to avoid disrupting tactical focus. Danger-level alerts still announce.
-                const isRacing = this.state.mode === 'racing';
-                const hasDangerTargets = result.dangerCount > 0;
+            // In racing mode, suppress non-critical AIS voice announcements
+            // to avoid disrupting tactical focus. Danger-level alerts still announce.
+            const isRacing = this.state.mode === 'racing';
+            const hasDangerTargets = result.dangerCount > 0;
 
-                if (result.speech && (!isRacing || hasDangerTargets)) {
-                    this.voice.speak(result.speech, { priority: 'critical' });
-                }
+            if (result.speech && (!isRacing || hasDangerTargets)) {
+                // Target manoeuvres and warn-level zone entries are advisory
+                const urgent = result.alerts.length > 0 ||
+                    result.zoneEntries.some(e => e.announce && (e.severity === 'alarm' || e.severity === 'emergency'));
+                const priority = urgent ? 'critical' : 'high';
+                this.voice.speak(result.speech, { priority });
+            }
+
+            if (result.alerts.length > 0) {
 
                 // Try LLM-enriched analysis for danger-level targets
                 const dangerTargets = result.targets.filter(t => t.risk === 'danger');
@@ -717,16 +1131,32 @@ class OrchestratorBrain {
             const vesselData = await this.signalkProvider.getVesselData();
             const context = this._enrichedContext();
 
-            // Perform weather analysis
-            const analysis = await this.meteoAnalyzer.analyzeConditions(
-                vesselData,
-                context
-            );
+            // Decide on the announcement as soon as conditions are assessed so
+            // the LLM answer is spoken sentence by sentence while it generates.
+            let announce = null;
+            let streamed = false;
+            let streamOpen = true;
+            const analysis = await this.meteoAnalyzer.analyzeConditions(vesselData, context, {
+                streamSpeech: (assessment) => {
+                    announce = this.shouldAnnounceWeather({ assessment });
+                    if (!announce) return null;
+                    return (sentence) => {
+                        if (!streamOpen) return;
+                        streamed = true;
+                        this.voice.speak(sentence, { streamed: true });
+                    };
+                }
+            });
+            // A late stream (LLM past its budget) must not talk over the fallback.
+            streamOpen = streamed;
 
+            if (announce === null) {
+                announce = this.shouldAnnounceWeather(analysis);
+            }
             this.state.lastWeatherAnalysis = analysis;
 
-            // Check for significant changes
-            if (this.shouldAnnounceWeather(analysis)) {
+            // Speak the full answer unless it was already streamed
+            if (announce && !streamed) {
                 this.voice.speak(analysis.analysis?.speech || analysis.speech);
             }
 
@@ -871,9 +1301,11 @@ class OrchestratorBrain {
                 : null;
 
             // At the dock/anchor nothing changes hour after hour: write ONE
-            // stationary entry, then stay quiet until the boat moves again.
+            // stationary entry, then stay quiet until the boat moves again
+            // (or the bilge pump ran).
+            const bilge = this.bilgeMonitor.enabled ? this.bilgeMonitor.getHourSummary() : null;
             const stationary = sogKts !== null && sogKts < 0.5;
-            if (stationary && this._lastHourlyStationary) {
+            if (stationary && this._lastHourlyStationary && !bilge?.cycles) {
                 this.app.debug('Hourly logbook entry skipped (still stationary)');
                 return;
             }
@@ -908,6 +1340,9 @@ class OrchestratorBrain {
             if (course !== null) parts.push(`COG ${course}°`);
             if (windSpeed !== null) parts.push(`${this.cm.t('logbook.wind')} ${windSpeed} ${ktsLabel}`);
             if (depth !== null) parts.push(`${depth} m`);
+            if (bilge?.cycles) {
+                parts.push(this.cm.t('logbook.bilge', { cycles: bilge.cycles, seconds: bilge.runSeconds }));
+            }
             const summary = parts.length > 0 ? parts.join(', ') : this.cm.t('general.no_data');
 
             // Create logbook entry
@@ -920,7 +1355,8 @@ class OrchestratorBrain {
                     heading,
                     depth: depth ? parseFloat(depth) : null,
                     windSpeed: windSpeed ? parseFloat(windSpeed) : null,
-                    windAngle
+                    windAngle,
+                    bilge
                 },
                 position,
                 automatic: true,
@@ -1132,13 +1568,15 @@ class OrchestratorBrain {
                     const routeAnalysis = await this.routePlanner.planRoute(vesselData, weatherData, context);
                     
                     if (routeAnalysis.status === 'planned') {
-                        const message = routeAnalysis.analysis?.speech || `Route to destination planned. Distance: ${routeAnalysis.distanceNM} nautical miles, Bearing: ${routeAnalysis.bearing} degrees, ETA: ${routeAnalysis.etaHours} hours.`;
+                        const message = routeAnalysis.analysis?.speech || routeAnalysis.speech;
                         this.voice.speak(message, { priority: 'high' });
                         
                         await this.logAnalysisToLogbook('navigation', {
                             summary: 'Route planned',
                             distanceNM: routeAnalysis.distanceNM,
                             etaHours: routeAnalysis.etaHours,
+                            routing: routeAnalysis.routing,
+                            routeHref: routeAnalysis.weatherRoute?.href,
                             manual: true,
                             requestType: 'manual_route_analysis'
                         });
@@ -1206,8 +1644,14 @@ class OrchestratorBrain {
                 }
                 case 'briefing': {
                     // Holistic situation report synthesising weather, tide, route and AIS.
-                    const briefing = await this.generateSituationBriefing();
-                    if (briefing?.speech) {
+                    let streamed = false;
+                    const briefing = await this.generateSituationBriefing({
+                        onSentence: (sentence) => {
+                            streamed = true;
+                            this.voice.speak(sentence, { priority: 'high', streamed: true });
+                        }
+                    });
+                    if (briefing?.speech && !streamed) {
                         this.voice.speak(briefing.speech, { priority: 'high' });
                     }
                     await this.logAnalysisToLogbook('briefing', {
@@ -1233,20 +1677,76 @@ class OrchestratorBrain {
         }
     }
 
+    /**
+     * Rank candidate departure times for a passage from the current position
+     * and speak the best one.
+     * @param {object} destination  {latitude, longitude, name?}
+     * @param {object} options      { departures: Date[], speak: boolean }
+     * @returns {Promise<object>} Ranked plan from RoutePlanner.planDepartures
+     */
+    async planDeparture(destination, { departures, speak = true } = {}) {
+        const vesselData = await this.signalkProvider.getVesselData();
+        const position = vesselData?.position;
+        if (typeof position?.latitude !== 'number' || typeof position?.longitude !== 'number') {
+            return { status: 'no_position', message: this.cm.t('route.no_position') };
+        }
+
+        const plan = await this.routePlanner.planDepartures(position, destination, departures);
+
+        const dateLocale = this.cm.t('meta.dateLocale') || 'en-US';
+        const when = (iso) => new Date(iso).toLocaleString(dateLocale,
+            { weekday: 'long', hour: '2-digit', minute: '2-digit' });
+        if (plan.best) {
+            const best = plan.best;
+            plan.speech = this.cm.t('route.departure.best', {
+                time: when(best.departure),
+                hours: best.etaHours,
+                wind: Math.round(best.maxWind),
+                gust: Math.round(best.maxGust)
+            });
+            if (best.windAgainstTideHours > 0) {
+                plan.speech += ' ' + this.cm.t('route.departure.wind_against_tide', { hours: best.windAgainstTideHours });
+            }
+            if (best.motoringHours > 0) {
+                plan.speech += ' ' + this.cm.t('route.departure.motoring', { hours: best.motoringHours });
+            }
+        } else {
+            plan.speech = this.cm.t(plan.status === 'no_forecast' ? 'route.departure.no_forecast' : 'route.departure.none');
+        }
+
+        if (speak) {
+            this.voice.speak(plan.speech, { priority: 'normal' });
+        }
+        return plan;
+    }
+
     /**
      * Update operating mode.
      * Notifies the anchor plugin so it can manage alarm lifecycle and
      * emit mode-change warnings if the anchor is still deployed.
+     * @param {string} mode
+     * @param {object} [options] { source: 'inference' when ModeInference switches }
      */
-    updateMode(mode) {
-        const validModes = ['sailing', 'anchored', 'motoring', 'moored', 'racing'];
+    updateMode(mode, options = {}) {
+        const validModes = ['sailing', 'anchored', 'motoring', 'moored', 'racing', 'mob'];
 
         if (!validModes.includes(mode)) {
             throw new Error(`Invalid mode: ${mode}. Valid modes are: ${validModes.join(', ')}`);
         }
+
+        // MOB mode only exists while the MOB workflow runs
+        if (mode === 'mob' && !this.mobManager.active) {
+            this.startMOB({ source: 'mode' });
+            return;
+        }
+        if (mode !== 'mob' && this.mobManager.active) {
+            this._leaveMOB();
+        }
         
         const previousMode = this.state.mode;
         this.state.mode = mode;
+        this.aisAnalyzer.setMode(mode);
+        this.modeInference.noteModeChange(mode, options.source);
 
         // Delegate anchor lifecycle to AnchorPlugin
         try {
@@ -1256,7 +1756,7 @@ class OrchestratorBrain {
         }
         
         // Adjust schedules based on mode
-        if (mode === 'anchored' || mode === 'moored') {
+        if (mode === 'anchored' || mode === 'moored' || mode === 'mob') {
             // Stop sail analysis and racing timer
             if (this.timers.sailAnalysis) {
                 clearInterval(this.timers.sailAnalysis);
@@ -1286,13 +1786,115 @@ class OrchestratorBrain {
             summary: `Mode: ${previousMode} -> ${mode}`,
             previousMode,
             newMode: mode,
+            source: options.source || 'manual',
             confidence: 1.0
         });
         
+        // In MOB the guidance announcements replace the mode confirmation
+        if (mode === 'mob') return;
         const localizedMode = this.cm.t(`mode.${mode}`);
         this.voice.speak(this.cm.t('mode.changed', { mode: localizedMode }));
     }
 
+    // ────────── MAN OVERBOARD ──────────
+
+    /**
+     * Trigger man overboard: mark the position, silence everything but
+     * safety speech and switch to 'mob' mode. A second trigger while MOB is
+     * active returns the running event.
+     * @param {object} [options] { position, source } for MOBManager.activate
+     * @returns {object} MOB status
+     * @throws {Error} When no position is available
+     */
+    startMOB(options = {}) {
+        if (this.mobManager.active) return this.mobManager.getStatus();
+
+        const before = {
+            mode: this.state.mode,
+            dnd: this.state.dnd,
+            dndMinutes: this.state.dndUntil
+                ? Math.max(1, Math.round((new Date(this.state.dndUntil) - Date.now()) / 60000))
+                : undefined
+        };
+        // Switched first: DND activation drops the speech queue. No
+        // duration, so a pending auto-revert cannot lift it mid-recovery.
+        this.setDnd(before.dnd === 'all' ? 'all' : 'safety');
+
+        let status;
+        try {
+            status = this.mobManager.activate(options);
+        } catch (error) {
+            this.setDnd(before.dnd, before.dndMinutes);
+            throw error;
+        }
+        this._beforeMOB = before;
+        this.updateMode('mob');
+        return status;
+    }
+
+    /**
+     * End man overboard and return to the mode in force before it.
+     * @returns {object|null} Final MOB status, null when MOB was not active
+     */
+    endMOB() {
+        if (!this.mobManager.active) return null;
+        const mode = this._beforeMOB?.mode || 'sailing';
+        const status = this._leaveMOB();
+        this.updateMode(mode);
+        return status;
+    }
+
+    _leaveMOB() {
+        const before = this._beforeMOB;
+        this._beforeMOB = null;
+        // Restored before the recovery announcement so a flush cannot drop it
+        if (before) this.setDnd(before.dnd, before.dndMinutes);
+        return this.mobManager.deactivate();
+    }
+
+    /**
+     * Subscribe to notifications.mob so a MOB button on another device
+     * starts the MOB workflow here.
+     */
+    _subscribeMOBNotifications() {
+        const manager = this.app.subscriptionmanager || this.app.signalk?.subscriptionmanager;
+        if (!manager) {
+            this.app.debug('No subscription manager, notifications.mob not monitored');
+            return;
+        }
+        manager.subscribe(
+            { context: 'vessels.self', subscribe: [{ path: 'notifications.mob', policy: 'instant' }] },
+            this._mobUnsubscribes,
+            err => { if (err) this.app.error('MOB notification subscription error:', err); },
+            delta => {
+                for (const update of delta?.updates || []) {
+                    for (const pv of update.values || []) {
+                        if (pv.path === 'notifications.mob') this._handleMOBNotification(pv.value);
+                    }
+                }
+            }
+        );
+    }
+
+    /**
+     * notifications.mob from another device starts MOB; clearing it (null
+     * value or 'normal' state) ends a MOB it started.
+     * @param {object|null} notification
+     */
+    _handleMOBNotification(notification) {
+        try {
+            if (notification && notification.state !== 'normal') {
+                if (this.mobManager.active) return;
+                const position = notification.position ?? notification.data?.position;
+                this.startMOB({ source: 'notification', position });
+            } else if (this.mobManager.getStatus().source === 'notification') {
+                this.endMOB();
+            }
+        } catch (error) {
+            this.app.error('MOB notification handling failed:', error.message);
+        }
+    }
+
     /**
      * Log analysis results to SignalK-Logbook
      */
@@ -1584,13 +2186,22 @@ class OrchestratorBrain {
             memorySize: this.memoryManager.getStatistics(),
             logbookConnected: this.logbookManager.isConnected,
             logbookBackend: this.logbookManager.backend,
-            ais: this.state.lastAISCheck || { totalInRange: 0 },
+            ais: {
+                ...(this.state.lastAISCheck || { totalInRange: 0 }),
+                distress: this.distressWatch.getActive()
+            },
+            mob: this.mobManager.getStatus(),
+            fuel: this.fuelMonitor.getStatus(),
+            energy: this.energyMonitor.getStatus(),
+            maintenance: this.maintenance.getDue(),
+            bilge: this.bilgeMonitor.getStatus(),
+            tanks: this.tankMonitor.getForecasts().filter(t => t.warning).map(t => t.message),
+            depthAhead: this.state.depthAhead,
+            modeInference: this.modeInference.getStatus(),
             anchor: {
                 state: this.anchorPlugin.getState(),
                 currentRadius: this.anchorPlugin.getCurrentRadius(),
-                dragging: this.anchorPlugin.isDropped() &&
-                    this.anchorPlugin.getCurrentRadius() !== null &&
-                    this.anchorPlugin.getCurrentRadius() > 0
+                dragging: this.anchorPlugin.isDragging()
             },
             weather: weatherAssessment ? {
                 beaufort: weatherAssessment.beaufort?.force,
@@ -1702,14 +2313,16 @@ class OrchestratorBrain {
                     if (batteryData) {
                         const voltage = batteryData.voltage?.value;
                         const current = batteryData.current?.value;
-                        const capacity = batteryData.capacity?.stateOfCharge?.value;
+                        // Modelled state of charge and chemistry limits when the BMS gives none
+                        const model = this.energyMonitor.getBattery(batteryId);
+                        const capacity = batteryData.capacity?.stateOfCharge?.value ?? model?.soc ?? undefined;
                         
                         if (voltage !== undefined || capacity !== undefined) {
                             batteries[batteryId] = {
                                 voltage: voltage ? Math.round(voltage * 10) / 10 : null,
                                 current: current ? Math.round(current * 10) / 10 : null,
                                 capacity: capacity ? Math.round(capacity * 100) : null,
-                                status: this.getBatteryStatus(voltage, capacity)
+                                status: this.getBatteryStatus(voltage, capacity, model)
                             };
                         }
                     }
@@ -1725,16 +2338,21 @@ class OrchestratorBrain {
 
     /**
      * Determine battery status based on voltage and capacity
+     * @param {number} [voltage]
+     * @param {number} [capacity]  State of charge 0-1
+     * @param {object} [model]     EnergyMonitor battery status (chemistry floor and low voltage)
      */
-    getBatteryStatus(voltage, capacity) {
+    getBatteryStatus(voltage, capacity, model) {
         if (capacity !== undefined) {
-            if (capacity < 0.2) return 'critical';
-            if (capacity < 0.5) return 'low';
+            const floor = model ? model.floorPercent / 100 : 0.2;
+            if (capacity < floor) return 'critical';
+            if (capacity < (model ? floor + 0.15 : 0.5)) return 'low';
             if (capacity < 0.8) return 'medium';
             return 'good';
         }
         
         if (voltage !== undefined) {
+            if (model && voltage < model.lowVoltage) return 'critical';
             // Rough estimation for 12V system
             if (voltage < 11.8) return 'critical';
             if (voltage < 12.2) return 'low';
@@ -1803,6 +2421,18 @@ class OrchestratorBrain {
             }
         }
         
+        if (analysisResults.tankForecast && config.includeTankForecast !== false) {
+            for (const tank of analysisResults.tankForecast) {
+                if (tank.kind === 'fresh' && tank.daysLeft !== null) {
+                    parts.push(tank.message);
+                    summary.push(this.cm.t('reports.water_days', { days: tank.daysLeft }));
+                } else if (tank.kind === 'holding' && tank.warning) {
+                    parts.push(tank.message);
+                    summary.push(this.cm.t('reports.holding_percent', { percent: Math.round(tank.level * 100) }));
+                }
+            }
+        }
+        
         if (analysisResults.batteryLevels && config.includeBatteryLevels !== false) {
             const batteries = analysisResults.batteryLevels;
             const lowBatteries = Object.entries(batteries).filter(([_, b]) => 
@@ -1823,6 +2453,35 @@ class OrchestratorBrain {
             }
         }
         
+        if (analysisResults.energy && config.includeEnergyOutlook !== false) {
+            parts.push(analysisResults.energy.speech);
+            summary.push(`${this.cm.t('reports.energy')}: ${Math.round(analysisResults.energy.soc * 100)}%`);
+        }
+        
+        if (analysisResults.fuel && config.includeFuelRange !== false) {
+            const fuel = analysisResults.fuel;
+            if (fuel.level !== null && fuel.range) {
+                const key = fuel.range.nm !== null ? 'reports.fuel_range' : 'reports.fuel_hours';
+                parts.push(this.cm.t(key, {
+                    liters: Math.round(fuel.level),
+                    percent: fuel.percent ?? '?',
+                    hours: fuel.range.hours,
+                    range: fuel.range.nm
+                }));
+                summary.push(`${this.cm.t('reports.fuel')}: ${Math.round(fuel.level)} L`);
+            }
+            if (fuel.anomaly) {
+                parts.push(this.cm.t('failure.advice.fuel_consumption_high', {
+                    percent: Math.round((fuel.anomaly.ratio - 1) * 100)
+                }));
+            }
+        }
+        
+        if (analysisResults.maintenance?.length && config.includeMaintenance !== false) {
+            parts.push(analysisResults.maintenance.map(task => task.message).join('. '));
+            summary.push(`${this.cm.t('reports.maintenance')}: ${analysisResults.maintenance.length}`);
+        }
+        
         let confidence = 0.5;
         if (analysisResults.weather) confidence += 0.2;
         if (analysisResults.tides) confidence += 0.1;
@@ -2213,15 +2872,10 @@ class OrchestratorBrain {
             } catch { /* weather optional */ }
         }
 
-        // AIS (fresh, pure computation)
-        let ais = this.state.lastAISCheck;
-        let nearest = null;
-        try {
-            const r = this.aisAnalyzer.checkCollisionRisks(vesselData);
-            ais = { totalInRange: r.totalInRange, dangerCount: r.dangerCount, cautionCount: r.cautionCount };
-            const t = (r.targets || []).find(x => x.risk === 'danger') || (r.targets || [])[0];
-            if (t) nearest = { name: t.name, cpa: t.cpa, tcpa: t.tcpa, bearing: t.bearing };
-        } catch { /* AIS optional */ }
+        // AIS from the last periodic check: running the collision check here
+        // would advance the tracks and use up manoeuvres and guard-zone entries
+        // before checkAIS() can announce them
+        const ais = this.state.lastAISCheck;
 
         // Destination / ETA
         let destination = null;
@@ -2267,17 +2921,56 @@ class OrchestratorBrain {
                 coefficient: tide.current.coefficient
             } : null,
             destination,
-            ais: ais ? { ...ais, nearest } : null
+            ais: ais ? {
+                totalInRange: ais.totalInRange,
+                dangerCount: ais.dangerCount,
+                cautionCount: ais.cautionCount,
+                nearest: ais.nearest
+            } : null
         };
     }
 
     /**
      * Produce a holistic, spoken situation briefing (LLM synthesis of buildSituation()).
+     * @param {object} [options] onSentence — receive spoken sentences as they stream
      * @returns {Promise<{speech:string, text:string}|null>}
      */
-    async generateSituationBriefing() {
+    async generateSituationBriefing(options = {}) {
         const situation = await this.buildSituation();
-        return this.llm.generateBriefing(situation);
+        return this.llm.generateBriefing(situation, options);
+    }
+
+    /**
+     * Answer a free-form crew question ("can we make the entrance before the ebb?").
+     * Grounded in a fresh buildSituation() snapshot; the conversation of the
+     * session is kept by MemoryManager so follow-up questions have context.
+     * @param {string} question
+     * @param {string} sessionId
+     * @param {object} [options] speak — stream the spoken answer to the voice queue
+     * @returns {Promise<{sessionId:string, speech:string, text:string}>}
+     */
+    async ask(question, sessionId, options = {}) {
+        const situation = await this.buildSituation();
+        const history = this.memoryManager.getConversation(sessionId);
+
+        let streamed = false;
+        const onSentence = options.speak
+            ? (sentence) => {
+                streamed = true;
+                this.voice.speak(sentence, { priority: 'high', streamed: true });
+            }
+            : undefined;
+
+        const answer = await this.llm.answerQuestion(question, situation, history, { onSentence });
+
+        if (options.speak && !streamed && answer.speech) {
+            this.voice.speak(answer.speech, { priority: 'high' });
+        }
+
+        this.memoryManager.addConversationTurn(sessionId, 'user', question);
+        this.memoryManager.addConversationTurn(sessionId, 'assistant', answer.text || answer.speech);
+
+        return { sessionId, speech: answer.speech, text: answer.text };
     }
 }
 
@@ -149,6 +149,31 @@ const textUtils = {
     return this.cleanForTTS(text, lang);
   },
 
+  /**
+   * Split streamed text into finished sentences.
+   * A sentence ends on . ! ? or … followed by whitespace; fragments shorter
+   * than minLength are merged into the next one so TTS is not fed "Yes."-sized
+   * chunks. Decimals ("12.5") never match since no space follows the dot.
+   * @param {string} text Accumulated text
+   * @param {number} minLength Minimum sentence length in characters
+   * @returns {{sentences: string[], rest: string}} rest = unfinished tail
+   */
+  splitSentences: (text = '', minLength = 20) => {
+    const sentences = [];
+    const boundary = /[.!?…]+["')\]»]*\s+/g;
+    let start = 0;
+    let match;
+    while ((match = boundary.exec(text)) !== null) {
+      const end = match.index + match[0].length;
+      const sentence = text.slice(start, end).trim();
+      if (sentence.length >= minLength) {
+        sentences.push(sentence);
+        start = end;
+      }
+    }
+    return { sentences, rest: text.slice(start) };
+  },
+
   /**
    * Truncate text to specified length
    */
@@ -596,7 +621,9 @@ const skPaths = {
     headingMagnetic: 'navigation.headingMagnetic',
     position: 'navigation.position',
     destination: 'navigation.destination',
-    rateOfTurn: 'navigation.rateOfTurn'
+    rateOfTurn: 'navigation.rateOfTurn',
+    speedThroughWater: 'navigation.speedThroughWater',
+    attitude: 'navigation.attitude'
   },
   environment: {
     depthBelowKeel: 'environment.depth.belowKeel',
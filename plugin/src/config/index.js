@@ -2,7 +2,8 @@
  * ConfigManager — Central configuration and i18n system.
  *
  * Loads:
- * - Boat config  (config/boats/{boatId}.json)   → polars, sails, keel, dimensions, limits
+ * - Boat config  (<dataDir>/ocearo-boats/{boatId}.json, else config/boats/{boatId}.json)
+ *                                               → polars, sails, keel, dimensions, limits
  * - Locale files (config/locales/{lang}.json)    → all human-readable strings
  * - Actions      (config/actions.json)           → trim guides, reef rules, safety triggers
  *
@@ -10,7 +11,11 @@
  * - t(key, params)        → translated string with variable interpolation
  * - boat()                → boat configuration object
  * - actions()             → actions configuration object
- * - polar(tws, twa)       → interpolated boat speed from polar table
+ * - polar(tws, twa)       → boat speed from the static, learned or blended polar
+ * - staticPolar(tws, twa) → interpolated boat speed from the boat config table
+ * - importPolar(content)  → new boat profile from an Expedition/ORC/CSV/.pol polar file
+ * - listBoats()           → built-in and user boat profiles
+ * - saveBoat(profile)     → validate (config/boat.schema.json) and store a user profile
  * - getWindStrength(kts)  → wind strength category
  * - getPointOfSail(twa)   → point of sail name
  * - getTrim(pointOfSail)  → trim guide for given point of sail
@@ -19,8 +24,12 @@
 
 const path = require('path');
 const fs = require('fs');
+const { parsePolar, deriveOptimalTWA } = require('../polar/polar-importer');
+const { validate } = require('./schema-validator');
 
 const CONFIG_DIR = path.resolve(__dirname, '../../config');
+const BOAT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{1,47}$/;
+const BOAT_SCHEMA = JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, 'boat.schema.json'), 'utf8'));
 
 class ConfigManager {
     /**
@@ -37,6 +46,15 @@ class ConfigManager {
         this._boat = {};
         this._actions = {};
 
+        // User boat profiles live in the data dir so plugin updates keep them
+        this._userBoatsDir = typeof app?.getDataDirPath === 'function'
+            ? path.join(app.getDataDirPath(), 'ocearo-boats')
+            : null;
+
+        // Learned polar (PolarRecorder) and which polar polar() answers from
+        this._learnedPolar = null;
+        this.polarSource = 'static';
+
         this._load();
     }
 
@@ -45,7 +63,7 @@ class ConfigManager {
      */
     _load() {
         this._locales = this._loadJson(`locales/${this.language}.json`, {});
-        this._boat = this._loadJson(`boats/${this.boatId}.json`, {});
+        this._boat = this._loadBoat(this.boatId);
         this._actions = this._loadJson('actions.json', {});
 
         // Also preload fallback locale (en) if current is not en
@@ -75,6 +93,54 @@ class ConfigManager {
         }
     }
 
+    /**
+     * Load a boat profile, user profiles first. A profile may reference a
+     * polar file (`polarFile`, relative to the profile) instead of inlining
+     * the `polars` matrix.
+     * @param {string} boatId
+     * @returns {object}
+     */
+    _loadBoat(boatId) {
+        let boat = null;
+        let dir = path.join(CONFIG_DIR, 'boats');
+
+        const userPath = this._userBoatPath(boatId);
+        if (userPath && fs.existsSync(userPath)) {
+            try {
+                boat = JSON.parse(fs.readFileSync(userPath, 'utf8'));
+                dir = this._userBoatsDir;
+            } catch (error) {
+                this._debug(`User boat profile invalid: ${userPath} — ${error.message}`);
+            }
+        }
+        if (!boat) {
+            boat = this._loadJson(`boats/${boatId}.json`, {});
+        }
+
+        if (!boat.polars && boat.polarFile) {
+            const polarPath = path.resolve(dir, String(boat.polarFile));
+            // The profile may come from the REST API: only files next to it are read
+            if (path.dirname(polarPath) !== path.resolve(dir)) {
+                this._debug(`Polar file ${boat.polarFile} ignored: outside ${dir}`);
+                return boat;
+            }
+            try {
+                boat.polars = parsePolar(fs.readFileSync(polarPath, 'utf8'), { filename: polarPath });
+            } catch (error) {
+                this._debug(`Polar file ${polarPath} not loaded — ${error.message}`);
+            }
+        }
+        return boat;
+    }
+
+    /**
+     * Path of a user boat profile, or null for an unsafe id / no data dir.
+     */
+    _userBoatPath(boatId) {
+        if (!this._userBoatsDir || !BOAT_ID_PATTERN.test(String(boatId))) return null;
+        return path.join(this._userBoatsDir, `${boatId}.json`);
+    }
+
     // ─────────── I18N ───────────
 
     /**
@@ -144,6 +210,152 @@ class ConfigManager {
         return this._boat;
     }
 
+    /**
+     * List available boat profiles. User profiles shadow built-in ones with the same id.
+     * @returns {Array<{id: string, name: string, source: string}>}
+     */
+    listBoats() {
+        const boats = new Map();
+        const scan = (dir, source) => {
+            let files = [];
+            try {
+                files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
+            } catch {
+                return;
+            }
+            for (const file of files) {
+                const id = file.slice(0, -5);
+                try {
+                    const profile = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+                    boats.set(id, { id, name: profile.name || id, source });
+                } catch (error) {
+                    this._debug(`Skipping invalid boat profile ${file}: ${error.message}`);
+                }
+            }
+        };
+        scan(path.join(CONFIG_DIR, 'boats'), 'builtin');
+        if (this._userBoatsDir) scan(this._userBoatsDir, 'user');
+        return [...boats.values()];
+    }
+
+    /**
+     * Read a stored boat profile as written on disk (polarFile not expanded).
+     * @param {string} boatId
+     * @returns {{profile: object, source: string}|null}
+     */
+    getBoatProfile(boatId) {
+        if (!BOAT_ID_PATTERN.test(String(boatId))) return null;
+        const candidates = [
+            [this._userBoatPath(boatId), 'user'],
+            [path.join(CONFIG_DIR, 'boats', `${boatId}.json`), 'builtin']
+        ];
+        for (const [file, source] of candidates) {
+            if (file && fs.existsSync(file)) {
+                return { profile: JSON.parse(fs.readFileSync(file, 'utf8')), source };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Validate a boat profile against config/boat.schema.json plus the
+     * cross-field rules a schema cannot express.
+     * @param {object} profile
+     * @returns {string[]} Errors, empty when valid
+     */
+    validateBoat(profile) {
+        const errors = validate(BOAT_SCHEMA, profile);
+        if (errors.length) return errors;
+
+        const { polars, keel, limits } = profile;
+        if (polars) {
+            ['tws', 'twa'].forEach(axis => {
+                for (let i = 1; i < polars[axis].length; i++) {
+                    if (polars[axis][i] <= polars[axis][i - 1]) {
+                        errors.push(`polars.${axis}: must be strictly increasing`);
+                        break;
+                    }
+                }
+            });
+            if (polars.speeds.length !== polars.tws.length) {
+                errors.push(`polars.speeds: needs one row per TWS (${polars.tws.length})`);
+            }
+            polars.speeds.forEach((row, i) => {
+                if (row.length !== polars.twa.length) {
+                    errors.push(`polars.speeds[${i}]: needs one value per TWA (${polars.twa.length})`);
+                }
+            });
+        }
+        if (keel.draftUp !== undefined && keel.draftUp > keel.draftDown) {
+            errors.push('keel.draftUp: must not exceed keel.draftDown');
+        }
+        if (keel.raiseThresholdDepth !== undefined && keel.lowerThresholdDepth !== undefined &&
+            keel.raiseThresholdDepth > keel.lowerThresholdDepth) {
+            errors.push('keel.raiseThresholdDepth: must not exceed keel.lowerThresholdDepth');
+        }
+        const ascending = [
+            ['reef1Trigger', 'reef2Trigger'],
+            ['reef2Trigger', 'stormSailsTrigger'],
+            ['maxComfortHeel', 'maxSafeHeel'],
+            ['comfortWindLimit', 'maxSailingWind']
+        ];
+        for (const [low, high] of ascending) {
+            if (limits[low] !== undefined && limits[high] !== undefined && limits[low] > limits[high]) {
+                errors.push(`limits.${low}: must not exceed limits.${high}`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Validate and store a user boat profile. Reloads the active boat if it
+     * is the one being saved.
+     * @param {object} profile  Boat profile; `profile.id` names the file
+     * @param {object} [options] { overwrite }
+     * @returns {{id: string, path: string}}
+     */
+    saveBoat(profile, options = {}) {
+        const errors = this.validateBoat(profile);
+        if (errors.length) {
+            throw new Error(`Invalid boat profile: ${errors.join('; ')}`);
+        }
+        const target = this._userBoatPath(profile.id);
+        if (!target) {
+            throw new Error('No data directory available for boat profiles');
+        }
+        if (!options.overwrite && fs.existsSync(target)) {
+            throw new Error(`Boat profile ${profile.id} already exists`);
+        }
+
+        fs.mkdirSync(this._userBoatsDir, { recursive: true });
+        const tmp = `${target}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(profile, null, 2), 'utf8');
+        fs.renameSync(tmp, target);
+        this._debug(`Boat profile ${profile.id} saved`);
+
+        if (profile.id === this.boatId) {
+            this._load();
+        }
+        return { id: profile.id, path: target };
+    }
+
+    /**
+     * Delete a user boat profile. Built-in profiles are read-only; deleting a
+     * user profile that shadows a built-in one restores the built-in one.
+     * @param {string} boatId
+     * @returns {boolean} false when there is no user profile with this id
+     */
+    deleteBoat(boatId) {
+        const target = this._userBoatPath(boatId);
+        if (!target || !fs.existsSync(target)) return false;
+        fs.unlinkSync(target);
+        this._debug(`Boat profile ${boatId} deleted`);
+        if (boatId === this.boatId) {
+            this._load();
+        }
+        return true;
+    }
+
     /**
      * Get a specific boat config value by dotted path.
      * @param {string} key  e.g. 'keel.draftDown' or 'limits.reef1Trigger'
@@ -240,14 +452,57 @@ class ConfigManager {
 
     // ─────────── POLARS ───────────
 
+    /**
+     * Attach the learned polar and choose the default polar source.
+     * @param {object} learnedPolar  PolarRecorder (anything with lookup(tws, twa))
+     * @param {string} source        'static' | 'learned' | 'blend'
+     */
+    setLearnedPolar(learnedPolar, source = 'blend') {
+        this._learnedPolar = learnedPolar;
+        this.polarSource = ['static', 'learned', 'blend'].includes(source) ? source : 'blend';
+    }
+
+    /**
+     * Expected boat speed from the selected polar source.
+     * 'learned' uses the learned polar where it has data, 'blend' weights
+     * learned against static by how many samples back the learned value.
+     * Both fall back to the static table where nothing has been learned.
+     * @param {number} tws True wind speed in knots
+     * @param {number} twa True wind angle in degrees
+     * @param {string} [source] Override polarSource for this call
+     * @returns {number} Expected boat speed in knots
+     */
+    polar(tws, twa, source = this.polarSource) {
+        const staticSpeed = this.staticPolar(tws, twa);
+        if (source === 'static' || !this._learnedPolar) {
+            return staticSpeed;
+        }
+
+        const learned = this._learnedPolar.lookup(tws, twa);
+        if (!learned) {
+            return staticSpeed;
+        }
+        if (source === 'learned') {
+            return learned.speed;
+        }
+        const blended = learned.speed * learned.weight + staticSpeed * (1 - learned.weight);
+        return Math.round(blended * 10) / 10;
+    }
+
     /**
      * Interpolate boat speed from the boat's polar table.
      * @param {number} tws True wind speed in knots
      * @param {number} twa True wind angle in degrees
      * @returns {number} Expected boat speed in knots
      */
-    polar(tws, twa) {
-        const polars = this._boat.polars;
+    staticPolar(tws, twa) {
+        return this._interpolatePolar(this._boat.polars, tws, twa);
+    }
+
+    /**
+     * Bilinear interpolation in a { tws, twa, speeds[tws][twa] } table.
+     */
+    _interpolatePolar(polars, tws, twa) {
         if (!polars || !polars.tws || !polars.twa || !polars.speeds) {
             return tws * 0.5;
         }
@@ -301,6 +556,64 @@ class ConfigManager {
         return Math.round((sLow + (sHigh - sLow) * twsFrac) * 10) / 10;
     }
 
+    /**
+     * Create a user boat profile from a polar file. The profile copies the
+     * base boat (dimensions, keel, sails, limits…) and replaces its polars
+     * and optimal VMG angles with those of the imported file.
+     *
+     * @param {string} content  Polar file content
+     * @param {object} options  { boatId, name, baseBoat, format, filename, overwrite, activate }
+     * @returns {{id: string, path: string, polars: object, optimalTWA: object}}
+     */
+    importPolar(content, options = {}) {
+        const { boatId, name, baseBoat, format, filename, overwrite = false, activate = false } = options;
+
+        if (!BOAT_ID_PATTERN.test(String(boatId))) {
+            throw new Error('boatId must be 2-48 lowercase letters, digits, "-" or "_"');
+        }
+        if (!overwrite && this.getBoatProfile(boatId)) {
+            throw new Error(`Boat profile ${boatId} already exists`);
+        }
+
+        if (baseBoat !== undefined && !this.getBoatProfile(baseBoat)) {
+            throw new Error(`Base boat profile ${baseBoat} not found`);
+        }
+
+        const polars = parsePolar(content, { format, filename });
+
+        const base = baseBoat ? this._loadBoat(baseBoat) : this._boat;
+        if (!Object.keys(base).length) {
+            throw new Error(`Base boat profile ${baseBoat || this.boatId} not found`);
+        }
+
+        const profile = JSON.parse(JSON.stringify(base));
+        delete profile.polarFile;
+        profile.id = boatId;
+        profile.name = name || boatId;
+        profile.polars = {
+            description: `Imported from ${filename || format || 'polar file'}`,
+            ...polars
+        };
+        profile.optimalTWA = deriveOptimalTWA(
+            (tws, twa) => this._interpolatePolar(polars, tws, twa),
+            polars.twa[polars.twa.length - 1]
+        );
+
+        const { path: target } = this.saveBoat(profile, { overwrite: true });
+        this._debug(`Imported polar: ${polars.tws.length} TWS × ${polars.twa.length} TWA`);
+
+        if (activate) {
+            this.reload({ boat: boatId });
+        }
+
+        return {
+            id: boatId,
+            path: target,
+            polars: { tws: polars.tws, twa: polars.twa },
+            optimalTWA: profile.optimalTWA
+        };
+    }
+
     // ─────────── WIND / POINT OF SAIL CLASSIFICATION ───────────
 
     /**
@@ -0,0 +1,107 @@
+/**
+ * Minimal JSON Schema validator
+ *
+ * Covers the subset of draft-07 used by the configuration schemas
+ * (config/boat.schema.json): type, enum, properties, required,
+ * additionalProperties, items, minItems, maxItems, minimum, maximum,
+ * exclusiveMinimum, minLength, maxLength and pattern.
+ *
+ * validate(schema, value) → array of "path: message" strings, empty when valid.
+ */
+
+function _typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function _matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return _typeOf(value) === type;
+}
+
+function _validate(schema, value, path, errors) {
+    if (!schema || typeof schema !== 'object') return;
+    const at = path || '(root)';
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => _matchesType(value, t))) {
+            errors.push(`${at}: must be ${types.join(' or ')}`);
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${at}: must be >= ${schema.minimum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push(`${at}: must be > ${schema.exclusiveMinimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${at}: must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${at}: must have at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${at}: must have at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${at}: must match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${at}: must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${at}: must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => _validate(schema.items, item, `${path}[${i}]`, errors));
+        }
+    }
+
+    if (_typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${at}: missing required property "${key}"`);
+        }
+        const properties = schema.properties || {};
+        for (const [key, child] of Object.entries(value)) {
+            const childPath = path ? `${path}.${key}` : key;
+            // Own keys only: "constructor" or "toString" are not declared properties
+            if (Object.hasOwn(properties, key)) {
+                _validate(properties[key], child, childPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}: unknown property "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                _validate(schema.additionalProperties, child, childPath, errors);
+            }
+        }
+    }
+}
+
+/**
+ * Validate a value against a JSON schema.
+ * @param {object} schema
+ * @param {*} value
+ * @returns {string[]} Validation errors, empty when valid
+ */
+function validate(schema, value) {
+    const errors = [];
+    _validate(schema, value, '', errors);
+    return errors;
+}
+
+module.exports = { validate };
@@ -13,6 +13,8 @@ const MS_TO_KNOTS = 1.94384;
 const RAD_TO_DEG = 180 / Math.PI;
 const KELVIN_OFFSET = 273.15;
 const PA_TO_HPA = 0.01;
+// Forecast points kept in cache: own position plus the sample points of a route
+const FORECAST_CACHE_ENTRIES = 8;
 
 class MarineWeatherDataProvider {
     constructor(app, config) {
@@ -26,7 +28,7 @@ class MarineWeatherDataProvider {
         // avoid re-fetching on every analysis cycle (every 10–30 s). Keyed by rounded
         // position so small GPS jitter does not invalidate the cache.
         this._forecastCacheTtl = (config.weatherProvider?.cacheSeconds || 600) * 1000;
-        this._forecastCache = null; // { key, data, ts }
+        this._forecastCache = new Map(); // key → { data, ts }, oldest first
         // Backoff after rate-limit / repeated failures, to stop hammering the API.
         this._backoffUntil = 0;
     }
@@ -138,17 +140,17 @@ class MarineWeatherDataProvider {
 
         const key = this._cacheKey(position);
         const now = Date.now();
+        const cached = this._forecastCache.get(key);
 
         // Serve from cache while fresh.
-        if (this._forecastCache && this._forecastCache.key === key &&
-            now - this._forecastCache.ts < this._forecastCacheTtl) {
-            return this._forecastCache.data;
+        if (cached && now - cached.ts < this._forecastCacheTtl) {
+            return cached.data;
         }
 
         // Respect an active backoff window (rate-limit / repeated failures):
         // return stale cache if we have one, otherwise null.
         if (now < this._backoffUntil) {
-            return this._forecastCache?.data ?? null;
+            return cached?.data ?? null;
         }
 
         if (!this._serverUrl) {
@@ -174,7 +176,7 @@ class MarineWeatherDataProvider {
                     const waitMs = Number.isFinite(retryAfter) ? retryAfter * 1000 : 60_000;
                     this._backoffUntil = Date.now() + waitMs;
                     this.app.debug(`Weather API rate-limited; backing off ${Math.round(waitMs / 1000)}s`);
-                    return this._forecastCache?.data ?? null;
+                    return cached?.data ?? null;
                 }
 
                 if (!response.ok) {
@@ -187,7 +189,11 @@ class MarineWeatherDataProvider {
 
                 const raw = await response.json();
                 const data = this._parseForecastResponse(raw);
-                this._forecastCache = { key, data, ts: Date.now() };
+                this._forecastCache.delete(key);
+                this._forecastCache.set(key, { data, ts: Date.now() });
+                if (this._forecastCache.size > FORECAST_CACHE_ENTRIES) {
+                    this._forecastCache.delete(this._forecastCache.keys().next().value);
+                }
                 return data;
             } catch (error) {
                 clearTimeout(timeoutId);
@@ -204,11 +210,11 @@ class MarineWeatherDataProvider {
                 }
                 // Give up: short backoff and return stale cache if available.
                 this._backoffUntil = Date.now() + 30_000;
-                return this._forecastCache?.data ?? null;
+                return cached?.data ?? null;
             }
         }
 
-        return this._forecastCache?.data ?? null;
+        return cached?.data ?? null;
     }
 
     /**
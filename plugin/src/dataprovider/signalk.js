@@ -102,8 +102,12 @@ class SignalKDataProvider {
       skPaths.navigation.speedOverGround,
       skPaths.navigation.headingTrue,
       skPaths.navigation.headingMagnetic,
+      skPaths.navigation.speedThroughWater,
+      skPaths.navigation.attitude,
+      skPaths.navigation.rateOfTurn,
       skPaths.environment.depthBelowKeel,
       skPaths.environment.depthBelowTransducer,
+      skPaths.environment.depthBelowSurface,
       skPaths.environment.wind.speedTrue,
       skPaths.environment.wind.angleTrueWater,
       skPaths.environment.wind.speedApparent,
@@ -356,7 +360,8 @@ class SignalKDataProvider {
         environment: {
           depth: {
             belowKeel: this._getSelfPath(skPaths.environment.depthBelowKeel),
-            belowTransducer: this._getSelfPath(skPaths.environment.depthBelowTransducer)
+            belowTransducer: this._getSelfPath(skPaths.environment.depthBelowTransducer),
+            belowSurface: this._getSelfPath(skPaths.environment.depthBelowSurface)
           },
           wind: {
             speedApparent: this._getSelfPath(skPaths.environment.wind.speedApparent),
@@ -8,8 +8,14 @@
  * - Current tide height, tendency and coefficient
  * - Next high/low tide times and heights
  * - Rule of Twelfths estimation when current height is unavailable
+ * - Tide timeline over a passage, extrapolated from the next high/low
  */
 
+// Mean semi-diurnal (M2) half period: high to low water
+const HALF_TIDE_MS = 6.21 * 3_600_000;
+// Rule of Twelfths: share of the range flowing in each sixth of the tide
+const TWELFTHS_RATE = [1, 2, 3, 3, 2, 1];
+
 class TidesDataProvider {
     constructor(app, config) {
         this.app = app;
@@ -80,6 +86,75 @@ class TidesDataProvider {
         }
     }
 
+    /**
+     * High and low waters between two dates. SignalK only gives the next high
+     * and low, so the series is extrapolated with the semi-diurnal period
+     * (the interval between the two known extremes when it is plausible).
+     * @param {Date} from
+     * @param {Date} to
+     * @returns {Promise<Array<{type: string, time: Date, height: number}>|null>}
+     */
+    async getTideTimeline(from, to) {
+        const data = await this.getTideData();
+        const known = data?.extremes || [];
+        if (known.length === 0) return null;
+
+        const anchor = known[0];
+        const other = known.find(e => e.type !== anchor.type);
+        const measured = other ? Math.abs(other.time - anchor.time) : 0;
+        const half = measured > 4 * 3_600_000 && measured < 8 * 3_600_000 ? measured : HALF_TIDE_MS;
+        const heights = {
+            [anchor.type]: anchor.height,
+            [anchor.type === 'High' ? 'Low' : 'High']: other?.height ?? null
+        };
+
+        const start = from.getTime() - half;
+        const end = to.getTime() + half;
+        let k = Math.floor((start - anchor.time.getTime()) / half);
+        const timeline = [];
+        for (let t = anchor.time.getTime() + k * half; t <= end; t += half, k++) {
+            const type = k % 2 === 0 ? anchor.type : (anchor.type === 'High' ? 'Low' : 'High');
+            timeline.push({ type, time: new Date(t), height: heights[type] });
+        }
+        return timeline;
+    }
+
+    /**
+     * Tidal stream state at a time: flood between low and high water, ebb
+     * after. Strength follows the Rule of Twelfths (1 in the 3rd and 4th hours).
+     * @param {Date} time
+     * @param {Array} timeline From getTideTimeline()
+     * @returns {{state: string, strength: number}|null}
+     */
+    streamAt(time, timeline) {
+        const t = time.getTime();
+        for (let i = 0; i < (timeline?.length || 0) - 1; i++) {
+            const prev = timeline[i];
+            const next = timeline[i + 1];
+            if (prev.time.getTime() <= t && next.time.getTime() > t) {
+                const fraction = (t - prev.time) / (next.time - prev.time);
+                const sixth = Math.min(Math.floor(fraction * 6), 5);
+                return {
+                    state: prev.type === 'Low' ? 'flood' : 'ebb',
+                    strength: TWELFTHS_RATE[sixth] / 3
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Tide height at a time, by the Rule of Twelfths between the surrounding
+     * extremes.
+     * @param {Date} time
+     * @param {Array} timeline From getTideTimeline()
+     * @returns {number|null} Height in metres, null outside the timeline
+     */
+    heightAt(time, timeline) {
+        const height = timeline?.length >= 2 ? this._estimateHeight(timeline, time) : null;
+        return Number.isFinite(height) ? height : null;
+    }
+
     /**
      * Read all tide paths from the SignalK data model.
      * @returns {Object|null} Raw tide values keyed by short name
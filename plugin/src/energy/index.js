@@ -0,0 +1,455 @@
+/**
+ * Energy Monitor
+ *
+ * Battery state of charge and energy budget:
+ * - coulomb counting from `electrical.batteries.*.current` (charge counted
+ *   at the chemistry's charge efficiency), against `capacityAh` from
+ *   `energy.batteries` or the battery's `capacity.nominal`
+ * - chemistry profiles (lead-acid, AGM, LiFePO4) map the rest voltage to
+ *   a state of charge. The count is re-based on it after `restMinutes`
+ *   without current (outside the flat LiFePO4 plateau) and set to full at
+ *   the end of absorption (charge voltage reached, current below the tail).
+ * - charge sources are read from `electrical.solar.*`,
+ *   `electrical.alternators.*` and `electrical.chargers.*` (shore), with the
+ *   Ah delivered today
+ *
+ * A BMS reporting `capacity.stateOfCharge` is trusted as is. Otherwise the
+ * modelled state of charge and the time to the floor (`floorPercent`, per
+ * chemistry by default) at the last hour's mean draw are published to
+ * `capacity.stateOfCharge` and `capacity.timeToEmpty`.
+ *
+ * Persisted to <dataDir>/ocearo-energy.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLE_MS = 10_000;
+const PERSIST_MS = 10 * 60_000;
+
+/** Window of the mean draw used for the forecast */
+const DRAW_WINDOW_MS = 60 * 60_000;
+
+/** Below this the battery is at rest (A) */
+const REST_AMPS = 0.5;
+
+/** Charge source current counted as charging (A) */
+const CHARGING_AMPS = 0.5;
+
+/**
+ * Chemistry profiles for a 12 V bank; voltages scale with the nominal voltage.
+ * restCurve: [rest voltage, SoC %], ascending.
+ */
+const CHEMISTRIES = {
+    'lead-acid': {
+        restCurve: [[11.89, 0], [12.06, 25], [12.24, 50], [12.45, 75], [12.65, 100]],
+        floorPercent: 50,
+        chargeEfficiency: 0.85,
+        restMinutes: 120,
+        absorptionVoltage: 14.2,
+        lowVoltage: 11.8
+    },
+    agm: {
+        restCurve: [[11.8, 0], [12.0, 25], [12.2, 50], [12.5, 75], [12.8, 100]],
+        floorPercent: 50,
+        chargeEfficiency: 0.9,
+        restMinutes: 60,
+        absorptionVoltage: 14.3,
+        lowVoltage: 11.9
+    },
+    lifepo4: {
+        restCurve: [[10.0, 0], [12.0, 9], [12.5, 14], [12.8, 17], [12.9, 20], [13.0, 30],
+            [13.1, 40], [13.2, 70], [13.3, 90], [13.4, 99], [13.6, 100]],
+        plateau: [13.05, 13.3],
+        floorPercent: 20,
+        chargeEfficiency: 0.99,
+        restMinutes: 30,
+        absorptionVoltage: 14.0,
+        lowVoltage: 12.8
+    }
+};
+
+/** Tail current ending absorption, fraction of capacity per hour */
+const TAIL_FRACTION = 0.02;
+
+const SOURCE_TYPES = {
+    solar: 'electrical.solar',
+    alternator: 'electrical.alternators',
+    shore: 'electrical.chargers'
+};
+
+class EnergyMonitor {
+    /**
+     * @param {object} app     SignalK app object
+     * @param {object} config  Plugin configuration (uses energy)
+     * @param {object} sources { signalkProvider, cm }
+     */
+    constructor(app, config, sources) {
+        this.app = app;
+        this.signalkProvider = sources.signalkProvider;
+        this.cm = sources.cm;
+
+        const settings = config.energy || {};
+        this.enabled = settings.enabled !== false;
+        this.defaultChemistry = CHEMISTRIES[settings.chemistry] ? settings.chemistry : 'agm';
+        this.floorPercent = settings.floorPercent ?? null;
+        this.publish = settings.publish !== false;
+        this.batteryConfig = new Map((settings.batteries || [])
+            .filter(b => b && b.id !== undefined)
+            .map(b => [String(b.id), b]));
+        this._sourceLabel = this.signalkProvider.pluginId || 'ocearo-core';
+
+        this._filePath = path.join(app.getDataDirPath(), 'ocearo-energy.json');
+        /**
+         * Persisted: { batteries: { id: { soc, method, calibratedAt } }, sources: { day, ah: { type: Ah } } }
+         * method is what the count was last based on: 'bms' | 'voltage' | 'rest' | 'full'
+         */
+        this.state = { batteries: {}, sources: { day: null, ah: {} } };
+        this._batteries = {};   // id → latest computed status
+        this._charge = {};      // type → { current }
+        this._rest = {};        // id → { since, calibrated }
+        this._draw = {};        // id → [{ t, current }]
+        this._lastSampleAt = null;
+        this._dirty = false;
+        this._timer = null;
+        this._persistTimer = null;
+    }
+
+    start() {
+        if (!this.enabled || this._timer) return;
+        this.load();
+        this._timer = setInterval(() => this.sample(), SAMPLE_MS);
+        this._persistTimer = setInterval(() => this.save(), PERSIST_MS);
+        this.app.debug(`Energy monitor started (default chemistry ${this.defaultChemistry})`);
+    }
+
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        if (this._persistTimer) {
+            clearInterval(this._persistTimer);
+            this._persistTimer = null;
+        }
+        this.save();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this._filePath)) return;
+            Object.assign(this.state, JSON.parse(fs.readFileSync(this._filePath, 'utf8')));
+        } catch (error) {
+            this.app.warn(`Could not load energy state: ${error.message}`);
+        }
+    }
+
+    save() {
+        if (!this._dirty) return;
+        const tmp = `${this._filePath}.tmp`;
+        try {
+            fs.writeFileSync(tmp, JSON.stringify(this.state), 'utf8');
+            fs.renameSync(tmp, this._filePath);
+            this._dirty = false;
+        } catch (error) {
+            this.app.warn(`Could not save energy state: ${error.message}`);
+            try { fs.unlinkSync(tmp); } catch { /* ignore cleanup failure */ }
+        }
+    }
+
+    // ────────── SAMPLING ──────────
+
+    /**
+     * Count the charge since the previous sample and publish the result.
+     * @param {number} [now] ms timestamp
+     */
+    sample(now = Date.now()) {
+        const vessel = this.signalkProvider.getVesselData() || {};
+        const dtHours = this._lastSampleAt === null ? 0
+            : Math.min(now - this._lastSampleAt, 3 * SAMPLE_MS) / 3_600_000;
+        this._lastSampleAt = now;
+
+        this._sampleSources(now, dtHours);
+        for (const [id, raw] of Object.entries(vessel.electrical?.batteries || {})) {
+            const status = this._sampleBattery(String(id), raw || {}, now, dtHours);
+            if (status) this._batteries[id] = status;
+        }
+    }
+
+    _sampleBattery(id, raw, now, dtHours) {
+        const voltage = this._number(raw.voltage);
+        const current = this._number(raw.current);
+        if (voltage === null && current === null) return null;
+
+        const profile = this._profile(id, voltage);
+        const bmsSoc = this._external(raw.capacity?.stateOfCharge);
+        const stored = this.state.batteries[id] || (this.state.batteries[id] = { soc: null, method: null, calibratedAt: null });
+
+        if (bmsSoc !== null) {
+            stored.soc = bmsSoc;
+            stored.method = 'bms';
+        } else {
+            if (voltage !== null && (stored.soc === null || current === null || !profile.capacityAh)) {
+                // Nothing to count: voltage estimate, until a rest or a full charge when counting
+                stored.soc = this._restSoc(voltage, profile);
+                stored.method = 'voltage';
+            }
+            if (stored.soc !== null && current !== null && profile.capacityAh && dtHours > 0) {
+                const ah = current * dtHours * (current > 0 ? profile.chargeEfficiency : 1);
+                stored.soc = Math.min(1, Math.max(0, stored.soc + ah / profile.capacityAh));
+            }
+            this._calibrate(id, stored, profile, voltage, current, now);
+        }
+        this._dirty = true;
+
+        // Mean draw over the last hour for the forecast
+        const draw = this._draw[id] || (this._draw[id] = []);
+        if (current !== null) draw.push({ t: now, current });
+        while (draw.length && now - draw[0].t > DRAW_WINDOW_MS) draw.shift();
+        const meanCurrent = draw.length ? draw.reduce((a, s) => a + s.current, 0) / draw.length : null;
+
+        const floor = profile.floorPercent / 100;
+        let hoursToFloor = null;
+        let hoursToEmpty = null;
+        if (stored.soc !== null && profile.capacityAh && meanCurrent !== null && meanCurrent < -0.05) {
+            hoursToFloor = Math.max(0, (stored.soc - floor) * profile.capacityAh / -meanCurrent);
+            hoursToEmpty = stored.soc * profile.capacityAh / -meanCurrent;
+        }
+
+        const status = {
+            id,
+            chemistry: profile.chemistry,
+            nominalVoltage: profile.nominalVoltage,
+            capacityAh: profile.capacityAh,
+            voltage: voltage !== null ? this._round(voltage, 2) : null,
+            current: current !== null ? this._round(current, 1) : null,
+            meanCurrent: meanCurrent !== null ? this._round(meanCurrent, 1) : null,
+            soc: stored.soc !== null ? this._round(stored.soc, 3) : null,
+            method: stored.method,
+            floorPercent: profile.floorPercent,
+            lowVoltage: this._round(profile.lowVoltage, 2),
+            hoursToFloor: hoursToFloor !== null ? this._round(hoursToFloor, 1) : null
+        };
+
+        if (this.publish && bmsSoc === null && stored.soc !== null) {
+            const base = `electrical.batteries.${id}.capacity`;
+            this.signalkProvider.writePath(`${base}.stateOfCharge`, status.soc);
+            if (this._external(raw.capacity?.timeToEmpty) === null) {
+                this.signalkProvider.writePath(`${base}.timeToEmpty`, hoursToEmpty !== null ? Math.round(hoursToEmpty * 3600) : null);
+            }
+        }
+        // Time to the floor is not a Signal K key: published under the plugin's own branch
+        if (this.publish) {
+            this.signalkProvider.writePath(`electrical.batteries.${id}.ocearo.timeToFloor`,
+                hoursToFloor !== null ? Math.round(hoursToFloor * 3600) : null);
+        }
+        return status;
+    }
+
+    /**
+     * Re-base the count on the rest voltage, or on a completed absorption.
+     */
+    _calibrate(id, stored, profile, voltage, current, now) {
+        if (voltage === null || current === null) return;
+        const scale = profile.nominalVoltage / 12;
+
+        // End of absorption: full
+        if (current > 0 && voltage >= profile.absorptionVoltage * scale &&
+            profile.capacityAh && current <= TAIL_FRACTION * profile.capacityAh) {
+            stored.soc = 1;
+            stored.method = 'full';
+            stored.calibratedAt = new Date(now).toISOString();
+            return;
+        }
+
+        const rest = this._rest[id] || (this._rest[id] = { since: null, calibrated: false });
+        if (Math.abs(current) >= REST_AMPS) {
+            rest.since = null;
+            rest.calibrated = false;
+            return;
+        }
+        if (rest.since === null) rest.since = now;
+        if (rest.calibrated || now - rest.since < profile.restMinutes * 60_000) return;
+
+        rest.calibrated = true;
+        const v12 = voltage / scale;
+        // A flat LiFePO4 curve says nothing in its plateau
+        if (profile.plateau && v12 > profile.plateau[0] && v12 < profile.plateau[1]) return;
+        stored.soc = this._restSoc(voltage, profile);
+        stored.method = 'rest';
+        stored.calibratedAt = new Date(now).toISOString();
+    }
+
+    _sampleSources(now, dtHours) {
+        const day = new Date(now).toDateString();
+        if (this.state.sources.day !== day) {
+            this.state.sources = { day, ah: {} };
+        }
+        for (const [type, skPath] of Object.entries(SOURCE_TYPES)) {
+            const tree = this.signalkProvider._getSelfPath(skPath);
+            let current = null;
+            for (const source of Object.values(tree && typeof tree === 'object' ? tree : {})) {
+                let amps = this._number(source?.current);
+                if (amps === null) {
+                    const power = this._number(source?.panelPower) ?? this._number(source?.power);
+                    const volts = this._number(source?.voltage);
+                    if (power !== null && volts) amps = power / volts;
+                }
+                if (amps !== null) current = (current ?? 0) + Math.max(0, amps);
+            }
+            this._charge[type] = { current: current !== null ? this._round(current, 1) : null };
+            if (current !== null && dtHours > 0) {
+                this.state.sources.ah[type] = (this.state.sources.ah[type] ?? 0) + current * dtHours;
+            }
+        }
+    }
+
+    // ────────── STATUS ──────────
+
+    /**
+     * @param {string} id
+     * @returns {object|null} Latest status of a battery
+     */
+    getBattery(id) {
+        return this._batteries[id] || null;
+    }
+
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            batteries: this._batteries,
+            sources: Object.fromEntries(Object.entries(this._charge).map(([type, s]) => [type, {
+                current: s.current,
+                ahToday: this._round(this.state.sources.ah[type] ?? 0, 1)
+            }])),
+            outlook: this.getOutlook()
+        };
+    }
+
+    /**
+     * Bank-wide energy outlook.
+     * @param {number} [hoursNeeded] Hours the energy must last (e.g. until morning)
+     * @returns {object|null} { soc, floorPercent, current, meanCurrent, charging, sources, hoursToFloor, enough, speech }
+     */
+    getOutlook(hoursNeeded) {
+        const counted = Object.values(this._batteries).filter(b => b.soc !== null);
+        if (!counted.length) return null;
+
+        // Capacity-weighted state of charge across the bank
+        const weight = b => b.capacityAh || 1;
+        const total = counted.reduce((a, b) => a + weight(b), 0);
+        const soc = counted.reduce((a, b) => a + b.soc * weight(b), 0) / total;
+        const floorPercent = Math.max(...counted.map(b => b.floorPercent));
+        const current = counted.reduce((a, b) => a + (b.current ?? 0), 0);
+        const meanCurrent = counted.reduce((a, b) => a + (b.meanCurrent ?? b.current ?? 0), 0);
+        const forecasts = counted.map(b => b.hoursToFloor).filter(h => h !== null);
+        const hoursToFloor = forecasts.length ? Math.min(...forecasts) : null;
+
+        const active = Object.entries(this._charge)
+            .filter(([, s]) => s.current !== null && s.current >= CHARGING_AMPS)
+            .map(([type]) => type);
+        const charging = current > 0.05 || active.length > 0;
+
+        const percent = Math.round(soc * 100);
+        const parts = [];
+        if (charging && current > 0.05) {
+            parts.push(this.cm.t('energy.outlook.charging', {
+                percent,
+                amps: this._round(current, 1),
+                sources: active.map(t => this.cm.t(`energy.source.${t}`)).join(', ') || this.cm.t('energy.source.unknown')
+            }));
+        } else if (hoursToFloor !== null) {
+            parts.push(this.cm.t('energy.outlook.draw', {
+                percent,
+                amps: this._round(-meanCurrent, 1),
+                hours: Math.round(hoursToFloor),
+                floor: floorPercent
+            }));
+        } else {
+            parts.push(this.cm.t('energy.outlook.level', { percent }));
+        }
+
+        let enough = null;
+        if (hoursNeeded !== undefined && !charging && hoursToFloor !== null) {
+            enough = hoursToFloor >= hoursNeeded;
+            parts.push(this.cm.t(enough ? 'energy.outlook.enough' : 'energy.outlook.not_enough', {
+                hours: Math.round(hoursNeeded)
+            }));
+        }
+
+        return {
+            soc: this._round(soc, 3),
+            floorPercent,
+            current: this._round(current, 1),
+            meanCurrent: this._round(meanCurrent, 1),
+            charging,
+            sources: active,
+            hoursToFloor: hoursToFloor !== null ? this._round(hoursToFloor, 1) : null,
+            enough,
+            speech: parts.join(' ')
+        };
+    }
+
+    // ────────── HELPERS ──────────
+
+    _profile(id, voltage) {
+        const cfg = this.batteryConfig.get(id) || {};
+        const chemistry = CHEMISTRIES[cfg.chemistry] ? cfg.chemistry : this.defaultChemistry;
+        const base = CHEMISTRIES[chemistry];
+        const nominalVoltage = cfg.nominalVoltage
+            ?? (voltage === null ? 12 : voltage > 36 ? 48 : voltage > 18 ? 24 : 12);
+        const scale = nominalVoltage / 12;
+
+        let capacityAh = cfg.capacityAh ?? null;
+        if (capacityAh === null) {
+            // Signal K capacity.nominal is in joules
+            const joules = this._number(this.signalkProvider._getSelfPath(`electrical.batteries.${id}.capacity.nominal`));
+            if (joules) capacityAh = joules / (nominalVoltage * 3600);
+        }
+
+        return {
+            ...base,
+            chemistry,
+            nominalVoltage,
+            capacityAh,
+            floorPercent: cfg.floorPercent ?? this.floorPercent ?? base.floorPercent,
+            lowVoltage: base.lowVoltage * scale
+        };
+    }
+
+    /**
+     * State of charge (0-1) from a rest voltage.
+     */
+    _restSoc(voltage, profile) {
+        const v = voltage / (profile.nominalVoltage / 12);
+        const curve = profile.restCurve;
+        if (v <= curve[0][0]) return 0;
+        if (v >= curve[curve.length - 1][0]) return 1;
+        const i = curve.findIndex(([cv]) => cv >= v);
+        const [v0, s0] = curve[i - 1];
+        const [v1, s1] = curve[i];
+        return (s0 + (s1 - s0) * (v - v0) / (v1 - v0)) / 100;
+    }
+
+    /**
+     * A value written by another source (a BMS), null when absent or our own.
+     */
+    _external(raw) {
+        const value = this._number(raw);
+        if (value === null) return null;
+        const source = typeof raw === 'object' ? raw.$source : null;
+        return typeof source === 'string' && source.startsWith(this._sourceLabel) ? null : value;
+    }
+
+    _number(raw) {
+        const value = raw !== null && typeof raw === 'object' && 'value' in raw ? raw.value : raw;
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    _round(value, digits = 1) {
+        const f = 10 ** digits;
+        return Math.round(value * f) / f;
+    }
+}
+
+module.exports = EnergyMonitor;
@@ -0,0 +1,435 @@
+/**
+ * Fuel Monitor
+ *
+ * Fuel-burn model linking the engines to the fuel log:
+ * - every sample integrates the consumption of each running engine from its
+ *   RPM through the boat's `engine.consumption` curve ({ rpm, litersPerHour }
+ *   points, linearly interpolated). Without a curve, the propeller law
+ *   (load ∝ RPM³) is applied to `engine.power` in kW.
+ * - refuels from the fuel log (POST /logbook/fuel) reset the tank estimate:
+ *   to `engine.fuelCapacity` for a full tank, else adding the litres. Between
+ *   two full refuels the litres taken on measure the real burn, compared with
+ *   the model over the same engine hours.
+ * - a `propulsion.*.fuel.rate` sensor is compared with the model over a
+ *   rolling window.
+ *
+ * A burn above the model by more than `fuel.anomalyPercent` is reported
+ * through getAnomaly() for the FailurePredictor (a refuel anomaly for a day
+ * after the refuel). The range under power is the fuel above
+ * `fuel.reservePercent` at cruising RPM and the motoring speed
+ * (`engine.cruisingSpeed`, else the mean SOG learned under power, else 80 %
+ * of hull speed).
+ *
+ * Persisted to <dataDir>/ocearo-fuel.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLE_MS = 10_000;
+const PERSIST_MS = 10 * 60_000;
+
+/** Rolling window for the flow sensor comparison */
+const FLOW_WINDOW_MS = 10 * 60_000;
+
+/** Model litres needed before a ratio is trusted (flow window / refuel interval) */
+const MIN_FLOW_LITRES = 0.2;
+const MIN_REFUEL_LITRES = 5;
+
+/** How long a full-to-full burn above the model stays reported */
+const REFUEL_ANOMALY_MS = 24 * 3_600_000;
+
+/** Refuel intervals kept */
+const MAX_INTERVALS = 10;
+
+/** Idle burn as a fraction of full-load burn for the propeller-law fallback */
+const IDLE_FRACTION = 0.08;
+
+/** Diesel specific consumption ≈ 0.21 kg/kWh at 0.84 kg/L */
+const LITRES_PER_KWH = 0.25;
+
+const MS_TO_KNOTS = 1.94384;
+
+class FuelMonitor {
+    /**
+     * @param {object} app     SignalK app object
+     * @param {object} config  Plugin configuration (uses fuel)
+     * @param {object} sources { signalkProvider, logbookManager, cm }
+     */
+    constructor(app, config, sources) {
+        this.app = app;
+        this.signalkProvider = sources.signalkProvider;
+        this.logbookManager = sources.logbookManager;
+        this.cm = sources.cm;
+
+        const settings = config.fuel || {};
+        this.enabled = settings.enabled !== false;
+        this.anomalyRatio = 1 + (settings.anomalyPercent ?? 25) / 100;
+        this.reservePercent = settings.reservePercent ?? 15;
+
+        this._filePath = path.join(app.getDataDirPath(), 'ocearo-fuel.json');
+        this.state = {
+            level: null,
+            lastRefuel: null,       // { id, datetime, liters, full }
+            sinceRefuel: { modelLiters: 0, hours: 0 },
+            intervals: [],          // { from, to, hours, modelLiters, refuelLiters, ratio }
+            motoringSpeed: { mean: null, samples: 0 }
+        };
+        this._flow = [];            // { t, measured, model } litres per sample
+        this._current = { litersPerHour: 0, measuredLitersPerHour: null, engines: {} };
+        this._lastSampleAt = null;
+        this._dirty = false;
+        this._timer = null;
+        this._persistTimer = null;
+    }
+
+    async start() {
+        if (!this.enabled || this._timer) return;
+        this.load();
+        await this.syncRefuels();
+        this._timer = setInterval(() => this.sample(), SAMPLE_MS);
+        this._persistTimer = setInterval(() => this.save(), PERSIST_MS);
+        this.app.debug(`Fuel monitor started (${this.state.level === null ? 'level unknown' : `${this._round(this.state.level)} L`})`);
+    }
+
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        if (this._persistTimer) {
+            clearInterval(this._persistTimer);
+            this._persistTimer = null;
+        }
+        this.save();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this._filePath)) return;
+            Object.assign(this.state, JSON.parse(fs.readFileSync(this._filePath, 'utf8')));
+        } catch (error) {
+            this.app.warn(`Could not load fuel state: ${error.message}`);
+        }
+    }
+
+    save() {
+        if (!this._dirty) return;
+        const tmp = `${this._filePath}.tmp`;
+        try {
+            fs.writeFileSync(tmp, JSON.stringify(this.state), 'utf8');
+            fs.renameSync(tmp, this._filePath);
+            this._dirty = false;
+        } catch (error) {
+            this.app.warn(`Could not save fuel state: ${error.message}`);
+            try { fs.unlinkSync(tmp); } catch { /* ignore cleanup failure */ }
+        }
+    }
+
+    // ────────── REFUELS ──────────
+
+    /**
+     * Apply the fuel log entries newer than the last refuel applied.
+     * Called at start and after POST /logbook/fuel.
+     */
+    async syncRefuels() {
+        let entries;
+        try {
+            entries = await this.logbookManager.getFuelLogEntries();
+        } catch (error) {
+            this.app.debug('Fuel monitor: fuel log unavailable:', error.message);
+            return;
+        }
+        const sorted = (entries || [])
+            .filter(e => Number(e.liters) > 0 && e.datetime)
+            .sort((a, b) => a.datetime.localeCompare(b.datetime));
+        if (!sorted.length) {
+            this._initialiseFromSensor();
+            return;
+        }
+
+        // First run with an existing log: take the latest refuel as the starting point
+        if (!this.state.lastRefuel) {
+            const latest = sorted[sorted.length - 1];
+            this.state.lastRefuel = this._refuelRecord(latest);
+            this.state.level = latest.full === false ? this._sensorLevel() : this._capacity();
+            this._dirty = true;
+            return;
+        }
+
+        for (const entry of sorted) {
+            if (entry.datetime > this.state.lastRefuel.datetime) this._applyRefuel(entry);
+        }
+    }
+
+    _applyRefuel(entry) {
+        const liters = Number(entry.liters);
+        const full = entry.full !== false;
+        const capacity = this._capacity();
+        const since = this.state.sinceRefuel;
+
+        // Full to full: the litres taken on are the real burn since the last fill
+        if (full && this.state.lastRefuel?.full && since.modelLiters >= MIN_REFUEL_LITRES) {
+            this.state.intervals.push({
+                from: this.state.lastRefuel.datetime,
+                to: entry.datetime,
+                hours: this._round(since.hours, 1),
+                modelLiters: this._round(since.modelLiters),
+                refuelLiters: liters,
+                ratio: this._round(liters / since.modelLiters, 2)
+            });
+            this.state.intervals = this.state.intervals.slice(-MAX_INTERVALS);
+        }
+
+        if (full && capacity !== null) {
+            this.state.level = capacity;
+        } else if (this.state.level !== null) {
+            this.state.level = capacity !== null ? Math.min(capacity, this.state.level + liters) : this.state.level + liters;
+        }
+        this.state.lastRefuel = this._refuelRecord(entry);
+        this.state.sinceRefuel = { modelLiters: 0, hours: 0 };
+        this._dirty = true;
+        this.app.debug(`Fuel monitor: refuel ${liters} L (${full ? 'full' : 'partial'}), level ${this.state.level === null ? 'unknown' : this._round(this.state.level)} L`);
+    }
+
+    _refuelRecord(entry) {
+        return { id: entry.id, datetime: entry.datetime, liters: Number(entry.liters), full: entry.full !== false };
+    }
+
+    /**
+     * Set the tank estimate by hand, e.g. after a dipstick reading.
+     * @param {number} liters
+     * @returns {object} Status
+     */
+    setLevel(liters) {
+        if (typeof liters !== 'number' || !Number.isFinite(liters) || liters < 0) {
+            throw new Error('liters must be a non-negative number');
+        }
+        const capacity = this._capacity();
+        this.state.level = capacity !== null ? Math.min(capacity, liters) : liters;
+        this._dirty = true;
+        return this.getStatus();
+    }
+
+    _initialiseFromSensor() {
+        if (this.state.level !== null) return;
+        const level = this._sensorLevel();
+        if (level !== null) {
+            this.state.level = level;
+            this._dirty = true;
+        }
+    }
+
+    // ────────── BURN MODEL ──────────
+
+    /**
+     * Integrate the burn since the previous sample.
+     * @param {number} [now] ms timestamp
+     */
+    sample(now = Date.now()) {
+        const vessel = this.signalkProvider.getVesselData() || {};
+        const dtHours = this._lastSampleAt === null ? 0
+            : Math.min(now - this._lastSampleAt, 3 * SAMPLE_MS) / 3_600_000;
+        this._lastSampleAt = now;
+
+        const cruisingRpm = this.cm.boatValue('engine.cruisingRpm', null);
+        const engines = {};
+        let model = 0;
+        let measured = null;
+        let running = false;
+        let nearCruise = false;
+
+        for (const [id, engine] of Object.entries(vessel.propulsion || {})) {
+            const hz = this._number(engine?.revolutions);
+            const state = engine?.state?.value ?? engine?.state;
+            const rpm = hz !== null ? hz * 60 : null;
+            const on = (rpm !== null && rpm > 0) || (rpm === null && state === 'started');
+            if (!on) continue;
+
+            running = true;
+            const effectiveRpm = rpm ?? cruisingRpm;
+            const lph = this.litersPerHour(effectiveRpm);
+            const rate = this._number(engine?.fuel?.rate);
+            engines[id] = {
+                rpm: rpm !== null ? Math.round(rpm) : null,
+                litersPerHour: this._round(lph, 2),
+                measuredLitersPerHour: rate !== null ? this._round(rate * 3_600_000, 2) : null
+            };
+            model += lph;
+            if (rate !== null) measured = (measured ?? 0) + rate * 3_600_000;
+            if (cruisingRpm !== null && effectiveRpm !== null && Math.abs(effectiveRpm - cruisingRpm) <= 300) nearCruise = true;
+        }
+
+        this._current = {
+            litersPerHour: this._round(model, 2),
+            measuredLitersPerHour: measured !== null ? this._round(measured, 2) : null,
+            engines
+        };
+
+        if (!running || dtHours <= 0) return;
+
+        const burned = model * dtHours;
+        if (this.state.level !== null) this.state.level = Math.max(0, this.state.level - burned);
+        this.state.sinceRefuel.modelLiters += burned;
+        this.state.sinceRefuel.hours += dtHours;
+        this._dirty = true;
+
+        if (measured !== null) {
+            this._flow.push({ t: now, measured: measured * dtHours, model: burned });
+        }
+        while (this._flow.length && now - this._flow[0].t > FLOW_WINDOW_MS) this._flow.shift();
+
+        // Motoring speed at cruising RPM, for the range
+        const sogMs = this._number(vessel.navigation?.speedOverGround);
+        if (nearCruise && sogMs !== null && sogMs * MS_TO_KNOTS >= 1) {
+            const m = this.state.motoringSpeed;
+            m.samples = Math.min(m.samples + 1, 1000);
+            m.mean = m.mean === null ? sogMs * MS_TO_KNOTS : m.mean + (sogMs * MS_TO_KNOTS - m.mean) / m.samples;
+        }
+    }
+
+    /**
+     * Modelled burn at an RPM.
+     * @param {number|null} rpm
+     * @returns {number} L/h
+     */
+    litersPerHour(rpm) {
+        if (rpm === null || rpm === undefined) return 0;
+        const curve = (this.cm.boatValue('engine.consumption', null) || [])
+            .filter(p => typeof p?.rpm === 'number' && typeof p?.litersPerHour === 'number')
+            .sort((a, b) => a.rpm - b.rpm);
+
+        if (curve.length >= 2) {
+            if (rpm <= curve[0].rpm) return curve[0].litersPerHour;
+            const last = curve[curve.length - 1];
+            if (rpm >= last.rpm) return last.litersPerHour;
+            const i = curve.findIndex(p => p.rpm >= rpm);
+            const a = curve[i - 1];
+            const b = curve[i];
+            return a.litersPerHour + (b.litersPerHour - a.litersPerHour) * (rpm - a.rpm) / (b.rpm - a.rpm);
+        }
+
+        const power = this.cm.boatValue('engine.power', null);
+        const maxRpm = this.cm.boatValue('engine.maxRpm', null);
+        if (typeof power !== 'number' || typeof maxRpm !== 'number' || maxRpm <= 0) return 0;
+        const full = power * LITRES_PER_KWH;
+        const load = Math.min(1, rpm / maxRpm) ** 3;
+        return full * (IDLE_FRACTION + (1 - IDLE_FRACTION) * load);
+    }
+
+    // ────────── STATUS ──────────
+
+    /**
+     * Burn above the model, from the flow sensor window or the last full-to-full refuel.
+     * @returns {{ source: 'flow'|'refuel', ratio: number, measured: number, model: number }|null}
+     */
+    getAnomaly() {
+        const model = this._flow.reduce((a, s) => a + s.model, 0);
+        if (model >= MIN_FLOW_LITRES) {
+            const measured = this._flow.reduce((a, s) => a + s.measured, 0);
+            const ratio = measured / model;
+            if (ratio > this.anomalyRatio) {
+                return { source: 'flow', ratio: this._round(ratio, 2), measured: this._round(measured, 2), model: this._round(model, 2) };
+            }
+        }
+        // A refuel anomaly is reported for a day after the refuel that revealed it
+        const last = this.state.intervals[this.state.intervals.length - 1];
+        if (last && last.ratio > this.anomalyRatio && Date.now() - Date.parse(last.to) < REFUEL_ANOMALY_MS) {
+            return { source: 'refuel', ratio: last.ratio, measured: last.refuelLiters, model: last.modelLiters };
+        }
+        return null;
+    }
+
+    /**
+     * Range under power from the tank estimate.
+     * @returns {{ cruisingRpm, litersPerHour, speed, hours, nm }|null} null without level or cruise data
+     */
+    getRange() {
+        const level = this.state.level;
+        const cruisingRpm = this.cm.boatValue('engine.cruisingRpm', null);
+        const lph = this.litersPerHour(cruisingRpm);
+        if (level === null || !(lph > 0)) return null;
+
+        const capacity = this._capacity();
+        const reserve = capacity !== null ? capacity * this.reservePercent / 100 : 0;
+        const usable = Math.max(0, level - reserve);
+        const speed = this._motoringSpeed();
+        const hours = usable / lph;
+        return {
+            cruisingRpm,
+            litersPerHour: this._round(lph, 2),
+            speed: speed !== null ? this._round(speed) : null,
+            hours: this._round(hours),
+            nm: speed !== null ? Math.round(hours * speed) : null
+        };
+    }
+
+    getStatus() {
+        const capacity = this._capacity();
+        const level = this.state.level;
+        return {
+            enabled: this.enabled,
+            level: level !== null ? this._round(level) : null,
+            capacity,
+            percent: level !== null && capacity ? Math.round(level / capacity * 100) : null,
+            sensorLevel: this._sensorLevel(),
+            ...this._current,
+            range: this.getRange(),
+            reservePercent: this.reservePercent,
+            lastRefuel: this.state.lastRefuel,
+            sinceRefuel: {
+                modelLiters: this._round(this.state.sinceRefuel.modelLiters),
+                hours: this._round(this.state.sinceRefuel.hours, 1)
+            },
+            intervals: this.state.intervals,
+            anomaly: this.getAnomaly()
+        };
+    }
+
+    // ────────── HELPERS ──────────
+
+    _capacity() {
+        const capacity = this.cm.boatValue('engine.fuelCapacity', this.cm.boatValue('tanks.fuel', null));
+        return typeof capacity === 'number' && capacity > 0 ? capacity : null;
+    }
+
+    /**
+     * Fuel from the tanks.fuel.* sensors (litres), null without a sensor.
+     */
+    _sensorLevel() {
+        const tanks = this.signalkProvider._getSelfPath?.('tanks.fuel');
+        if (!tanks || typeof tanks !== 'object') return null;
+        let total = null;
+        for (const tank of Object.values(tanks)) {
+            const level = this._number(tank?.currentLevel);
+            if (level === null) continue;
+            const volume = this._number(tank?.currentVolume);
+            const capacity = this._number(tank?.capacity);
+            const liters = volume !== null ? volume * 1000
+                : capacity !== null ? level * capacity * 1000
+                    : this._capacity() !== null ? level * this._capacity() : null;
+            if (liters !== null) total = (total ?? 0) + liters;
+        }
+        return total !== null ? this._round(total) : null;
+    }
+
+    _motoringSpeed() {
+        const configured = this.cm.boatValue('engine.cruisingSpeed', null);
+        if (typeof configured === 'number') return configured;
+        if (this.state.motoringSpeed.samples >= 30) return this.state.motoringSpeed.mean;
+        const lwl = this.cm.boatValue('dimensions.lwl', null);
+        return typeof lwl === 'number' ? 0.8 * 2.43 * Math.sqrt(lwl) : null;
+    }
+
+    _number(raw) {
+        const value = raw !== null && typeof raw === 'object' && 'value' in raw ? raw.value : raw;
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    _round(value, digits = 1) {
+        const f = 10 ** digits;
+        return Math.round(value * f) / f;
+    }
+}
+
+module.exports = FuelMonitor;
@@ -1,30 +1,48 @@
 /**
  * LLM Integration Module
  *
- * Communicates with Ollama for natural language processing.
+ * Communicates with a local LLM server for natural language processing.
  * Uses the chat API for structured system/user message flows.
- * Default model: llama3.2:3b (optimised for RPi5 4-8GB RAM).
+ * The backend (Ollama, OpenAI-compatible, llama.cpp) is selected with
+ * `llm.provider`; see ./providers.js for the per-server adapters.
+ * Default model: gemma3n:e2b (optimised for RPi5 4-8GB RAM).
  */
 
 const { textUtils } = require('../common');
+const { createProvider } = require('./providers');
 
 class LLMModule {
     constructor(app, config, cm) {
         this.app = app;
         this.config = config;
         this.cm = cm;
-        this.baseUrl = config.llm?.ollamaHost || 'http://localhost:11434';
-        this.model = config.llm?.model || 'gemma3n:e2b';
+        this.provider = createProvider(config.llm || {});
+        this.baseUrl = this.provider.baseUrl;
+        this.model = config.llm?.customModel || config.llm?.model || 'gemma3n:e2b';
         this.timeout = (config.llm?.timeoutSeconds || 30) * 1000;
         this._connected = false;
         this._lastConnectionCheck = 0;
         this._connectionCheckInterval = 60000;
 
-        // Circuit breaker — stop hammering Ollama if it is hanging/failing on the RPi5.
+        // Circuit breaker — stop hammering the LLM server if it is hanging/failing on the RPi5.
         this._consecutiveFailures = 0;
         this._circuitOpenUntil = 0;
         this._maxConsecutiveFailures = config.llm?.maxConsecutiveFailures || 3;
         this._circuitCooldownMs = (config.llm?.circuitCooldownSeconds || 120) * 1000;
+
+        // Read-only vessel tools the model may query before answering (see ./tools.js).
+        // Registered by the brain once the analyzers exist.
+        this.tools = null;
+        this.toolCalling = config.llm?.toolCalling === true;
+        this._maxToolCalls = config.llm?.maxToolCalls || 3;
+    }
+
+    /**
+     * Register the tool whitelist used by gatherToolData().
+     * @param {VesselTools} tools
+     */
+    setTools(tools) {
+        this.tools = tools;
     }
 
     /**
@@ -63,36 +81,26 @@ class LLMModule {
     }
 
     /**
-     * Test LLM connection
+     * Test LLM connection through the active provider's health check.
      */
     async testConnection() {
         const controller = new AbortController();
         const timeout = setTimeout(() => controller.abort(), 5000);
 
         try {
-            const response = await fetch(`${this.baseUrl}/api/tags`, {
-                method: 'GET',
-                signal: controller.signal
-            });
+            const { models } = await this.provider.checkHealth(controller.signal);
 
             clearTimeout(timeout);
 
-            if (!response.ok) {
-                this._connected = false;
-                throw new Error(`HTTP ${response.status}`);
-            }
-
-            const data = await response.json();
-            const hasModel = data.models?.some(m => m.name === this.model);
-            
             this._connected = true;
             this._lastConnectionCheck = Date.now();
 
             return {
                 connected: true,
+                provider: this.provider.name,
                 model: this.model,
-                available: hasModel,
-                models: data.models?.map(m => m.name) || []
+                available: this.provider.hasModel(models, this.model),
+                models
             };
         } catch (error) {
             clearTimeout(timeout);
@@ -100,6 +108,7 @@ class LLMModule {
             this._lastConnectionCheck = Date.now();
             return {
                 connected: false,
+                provider: this.provider.name,
                 error: error.message
             };
         }
@@ -135,12 +144,23 @@ class LLMModule {
      * Generate two completions from a prompt: one for voice TTS, one for UI/logbook.
      * The voice version is short and uses full unit words.
      * The UI version is richer and may use compact notation.
+     * When `options.onSentence` is given, the voice version is streamed and
+     * each finished sentence is handed to the callback as soon as it is
+     * generated, so speech can start before the answer is complete.
+     * With `options.tools` (and `llm.toolCalling` enabled) the model first
+     * picks the live data it needs through gatherToolData(); the results are
+     * appended to the prompt for both versions.
      * @param {string} basePrompt Base prompt (data context)
-     * @param {Object} options temperature, top_p
+     * @param {Object} options temperature, top_p, onSentence(sentence), tools, history
      * @returns {{speech: string, text: string}}
      */
     async generateDualOutput(basePrompt, options = {}) {
         const lang = this._lang;
+        const { onSentence, tools, ...genOptions } = options;
+
+        if (tools && this.toolCalling && this.tools) {
+            basePrompt += this._formatToolData(await this.gatherToolData(basePrompt));
+        }
 
         const voicePrompt = lang === 'fr'
             ? `${basePrompt}\n\nRéponds comme à l'oral, d'une voix de skipper posée: une à deux phrases courtes et naturelles (max 25 mots), en français. Va droit au conseil concret. Unités en toutes lettres (nœuds, mètres, milles nautiques, degrés). Pas de chiffres décimaux, pas de symboles, pas de liste.`
@@ -152,8 +172,10 @@ class LLMModule {
 
         // Sequential on purpose: parallel generations contend for the RPi5's
         // CPU-capped Ollama (CPUQuota) and both end up exceeding the timeout.
-        const speechRaw = await this.generateCompletion(voicePrompt, { ...options, max_tokens: 80 });
-        const textRaw = await this.generateCompletion(textPrompt, { ...options, max_tokens: 250 });
+        const speechRaw = typeof onSentence === 'function'
+            ? await this._streamSentences(voicePrompt, { ...genOptions, max_tokens: 80 }, onSentence)
+            : await this.generateCompletion(voicePrompt, { ...genOptions, max_tokens: 80 });
+        const textRaw = await this.generateCompletion(textPrompt, { ...genOptions, max_tokens: 250 });
 
         return {
             speech: textUtils.cleanForTTS(speechRaw, lang),
@@ -164,7 +186,7 @@ class LLMModule {
     /**
      * Generate completion from a prompt string.
      * @param {string} prompt User prompt text
-     * @param {Object} options temperature, top_p, max_tokens
+     * @param {Object} options temperature, top_p, max_tokens, history (earlier turns)
      * @returns {string} Generated text
      */
     async generateCompletion(prompt, options = {}) {
@@ -172,6 +194,18 @@ class LLMModule {
             throw new Error('Invalid prompt: Prompt must be a non-empty string');
         }
 
+        return this._chat(this._buildMessages(prompt, options.history), options);
+    }
+
+    /**
+     * Send a chat request through the active provider.
+     * Shared by single-turn completions and the tool loop; owns the
+     * availability checks, timeout and circuit breaker.
+     * @param {Array<{role: string, content: string}>} messages
+     * @param {Object} options temperature, top_p, max_tokens, json
+     * @returns {string} Generated text
+     */
+    async _chat(messages, options = {}) {
         if (this._circuitOpen()) {
             throw new Error('LLM service not available');
         }
@@ -184,34 +218,22 @@ class LLMModule {
         const timeout = setTimeout(() => controller.abort(), this.timeout);
 
         try {
-            const response = await fetch(`${this.baseUrl}/api/chat`, {
+            const response = await fetch(this.provider.chatUrl(), {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: this.model,
-                    messages: [
-                        { role: 'system', content: this._buildSystemMessage() },
-                        { role: 'user', content: prompt }
-                    ],
-                    stream: false,
-                    options: {
-                        temperature: options.temperature || 0.7,
-                        top_p: options.top_p || 0.9,
-                        num_predict: options.max_tokens || 150
-                    }
-                }),
+                headers: this.provider.headers(),
+                body: JSON.stringify(this.provider.buildChatBody(this.model, messages, options)),
                 signal: controller.signal
             });
 
             clearTimeout(timeout);
 
             if (!response.ok) {
-                throw new Error(`Ollama error: ${response.status}`);
+                throw new Error(`${this.provider.label} error: ${response.status}`);
             }
 
             const data = await response.json();
             this._recordOutcome(true);
-            return data.message?.content || data.response || '';
+            return this.provider.parseChatResponse(data);
         } catch (error) {
             clearTimeout(timeout);
             this._recordOutcome(false);
@@ -222,6 +244,220 @@ class LLMModule {
         }
     }
 
+    // ─────────── TOOL CALLING ───────────
+
+    /**
+     * Let the model query read-only vessel tools before answering.
+     * Bounded loop: at most `llm.maxToolCalls` calls, stops on {"done": true},
+     * on an unparseable reply or when the model repeats a call. Failures end
+     * the loop quietly — whatever was gathered so far is still returned.
+     * @param {string} prompt The question/data context the model will answer
+     * @returns {Promise<Array<{tool: string, arguments: object, result: object}>>}
+     */
+    async gatherToolData(prompt) {
+        const calls = [];
+        if (!this.tools) return calls;
+
+        const fr = this._lang === 'fr';
+        const instructions = fr
+            ? `${prompt}\n\nAvant de répondre, tu peux demander des données en direct au bord. Outils disponibles:\n${this.tools.describe('fr')}\n` +
+              `Réponds UNIQUEMENT en JSON: {"tool": "<nom>", "arguments": {...}} pour appeler un outil, ou {"done": true} quand tu as ce qu'il te faut. Ne réponds pas encore à la question.`
+            : `${prompt}\n\nBefore answering you may request live data from the boat. Available tools:\n${this.tools.describe('en')}\n` +
+              `Reply with JSON ONLY: {"tool": "<name>", "arguments": {...}} to call one tool, or {"done": true} once you have what you need. Do not answer the question yet.`;
+
+        const messages = this._buildMessages(instructions);
+        const seen = new Set();
+
+        try {
+            while (calls.length < this._maxToolCalls) {
+                const reply = await this._chat(messages, { temperature: 0.1, max_tokens: 80, json: true });
+                const request = this._parseToolRequest(reply);
+                if (!request || request.done) break;
+
+                const signature = `${request.tool}:${JSON.stringify(request.arguments)}`;
+                if (seen.has(signature)) break;
+                seen.add(signature);
+
+                const result = await this.tools.call(request.tool, request.arguments);
+                calls.push({ tool: request.tool, arguments: request.arguments, result });
+                this.app.debug(`LLM tool call ${request.tool}`, request.arguments);
+
+                messages.push({ role: 'assistant', content: reply.trim() });
+                messages.push({
+                    role: 'user',
+                    content: fr
+                        ? `Résultat de ${request.tool}: ${JSON.stringify(result)}. Appelle un autre outil ou réponds {"done": true}.`
+                        : `Result of ${request.tool}: ${JSON.stringify(result)}. Call another tool or reply {"done": true}.`
+                });
+            }
+        } catch (error) {
+            this.app.debug('LLM tool loop stopped:', error.message);
+        }
+
+        return calls;
+    }
+
+    /**
+     * Extract a tool request from a model reply.
+     * Tolerates prose or code fences around the JSON object.
+     * @param {string} reply
+     * @returns {{tool: string, arguments: object}|{done: true}|null}
+     */
+    _parseToolRequest(reply) {
+        const text = String(reply || '');
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start === -1 || end <= start) return null;
+
+        try {
+            const data = JSON.parse(text.slice(start, end + 1));
+            if (data.done === true) return { done: true };
+            if (typeof data.tool !== 'string') return null;
+            const args = data.arguments && typeof data.arguments === 'object' ? data.arguments : {};
+            return { tool: data.tool, arguments: args };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Render gathered tool results as a prompt block.
+     * @param {Array} calls Output of gatherToolData()
+     * @returns {string} Empty when nothing was gathered
+     */
+    _formatToolData(calls) {
+        if (!calls || calls.length === 0) return '';
+        const header = this._lang === 'fr' ? 'Données en direct demandées' : 'Live data you requested';
+        const lines = calls.map(c => `- ${c.tool}(${JSON.stringify(c.arguments)}): ${JSON.stringify(c.result)}`);
+        return `\n\n${header}:\n${lines.join('\n')}`;
+    }
+
+    /**
+     * Stream a completion token by token.
+     * Same guards and circuit breaker as generateCompletion(); the timeout is
+     * an idle timeout, re-armed on every chunk received.
+     * @param {string} prompt User prompt text
+     * @param {Object} options temperature, top_p, max_tokens
+     * @yields {string} Text fragments as the model produces them
+     */
+    async *streamCompletion(prompt, options = {}) {
+        if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+            throw new Error('Invalid prompt: Prompt must be a non-empty string');
+        }
+
+        if (this._circuitOpen()) {
+            throw new Error('LLM service not available');
+        }
+
+        if (!await this.checkConnectionAsync()) {
+            throw new Error('LLM service not available');
+        }
+
+        const controller = new AbortController();
+        let timeout = setTimeout(() => controller.abort(), this.timeout);
+        const rearm = () => {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => controller.abort(), this.timeout);
+        };
+
+        try {
+            const response = await fetch(this.provider.chatUrl(), {
+                method: 'POST',
+                headers: this.provider.headers(),
+                body: JSON.stringify(this.provider.buildChatBody(this.model, this._buildMessages(prompt, options.history), options, true)),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`${this.provider.label} error: ${response.status}`);
+            }
+
+            const decoder = new TextDecoder();
+            let pending = '';
+            for await (const chunk of response.body) {
+                rearm();
+                pending += decoder.decode(chunk, { stream: true });
+                const lines = pending.split('\n');
+                pending = lines.pop();
+                for (const line of lines) {
+                    const parsed = this.provider.parseStreamLine(line);
+                    if (!parsed) continue;
+                    if (parsed.token) yield parsed.token;
+                    if (parsed.done) {
+                        this._recordOutcome(true);
+                        return;
+                    }
+                }
+            }
+
+            const last = this.provider.parseStreamLine(pending);
+            if (last?.token) yield last.token;
+            this._recordOutcome(true);
+        } catch (error) {
+            this._recordOutcome(false);
+            if (!error.message.includes('LLM service not available')) {
+                this.app.debug('LLM streaming failed:', error.message);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeout);
+            // Releases the connection if the consumer stopped reading early.
+            controller.abort();
+        }
+    }
+
+    /**
+     * Stream a completion and hand each finished sentence, TTS-cleaned, to
+     * `onSentence` while the rest is still being generated.
+     * @param {string} prompt
+     * @param {Object} options Generation options
+     * @param {Function} onSentence Called with each sentence
+     * @returns {Promise<string>} Full raw answer
+     */
+    async _streamSentences(prompt, options, onSentence) {
+        const lang = this._lang;
+        let full = '';
+        let buffer = '';
+
+        const emit = (sentence) => {
+            const cleaned = textUtils.cleanForTTS(sentence, lang);
+            if (!cleaned) return;
+            try {
+                onSentence(cleaned);
+            } catch (error) {
+                this.app.debug('Sentence consumer failed:', error.message);
+            }
+        };
+
+        for await (const token of this.streamCompletion(prompt, options)) {
+            full += token;
+            buffer += token;
+            const { sentences, rest } = textUtils.splitSentences(buffer);
+            buffer = rest;
+            sentences.forEach(emit);
+        }
+
+        if (buffer.trim()) {
+            emit(buffer);
+        }
+        return full;
+    }
+
+    /**
+     * Build the chat message list for a prompt, optionally preceded by
+     * earlier conversation turns.
+     * @param {string} prompt
+     * @param {Array<{role: string, content: string}>} [history]
+     * @returns {Array<{role: string, content: string}>}
+     */
+    _buildMessages(prompt, history = []) {
+        return [
+            { role: 'system', content: this._buildSystemMessage() },
+            ...history.map(turn => ({ role: turn.role, content: turn.content })),
+            { role: 'user', content: prompt }
+        ];
+    }
+
     /**
      * Build the system message for all LLM interactions.
      * @returns {string} System prompt
@@ -515,7 +751,7 @@ class LLMModule {
     async analyzeWeather(weatherData, vesselData, context = {}, extra = {}) {
         try {
             const prompt = this.buildWeatherPrompt(weatherData, vesselData, context, extra);
-            const result = await this.generateDualOutput(prompt, { temperature: 0.6 });
+            const result = await this.generateDualOutput(prompt, { temperature: 0.6, onSentence: extra.onSentence, tools: true });
             return result;
         } catch (error) {
             this.app.error('Failed to analyze weather with LLM:', error);
@@ -531,6 +767,22 @@ class LLMModule {
      * @returns {string}
      */
     buildBriefingPrompt(situation = {}) {
+        const fr = this._lang === 'fr';
+        const brief = this._situationBrief(situation);
+        const ask = fr
+            ? `\n\nFais un point de situation de skipper: synthétise l'état actuel, le risque principal à surveiller dans les prochaines heures, et le conseil prioritaire. Croise les paramètres entre eux. Reste concret et naturel.`
+            : `\n\nGive a skipper's situation report: synthesise the current state, the main risk to watch over the next few hours, and the priority advice. Connect the parameters. Keep it concrete and natural.`;
+
+        return brief + ask;
+    }
+
+    /**
+     * Render a situation object as a compact one-paragraph brief.
+     * Shared by the briefing and free-form question prompts.
+     * @param {object} situation  see OrchestratorBrain.buildSituation()
+     * @returns {string}
+     */
+    _situationBrief(situation = {}) {
         const fr = this._lang === 'fr';
         const s = situation;
         const L = [];
@@ -588,36 +840,52 @@ class LLMModule {
             L.push(a);
         }
 
-        const brief = L.length ? L.join('. ') : (fr ? 'Données limitées disponibles.' : 'Limited data available.');
-        const ask = fr
-            ? `\n\nFais un point de situation de skipper: synthétise l'état actuel, le risque principal à surveiller dans les prochaines heures, et le conseil prioritaire. Croise les paramètres entre eux. Reste concret et naturel.`
-            : `\n\nGive a skipper's situation report: synthesise the current state, the main risk to watch over the next few hours, and the priority advice. Connect the parameters. Keep it concrete and natural.`;
-
-        return brief + ask;
+        return L.length ? L.join('. ') : (fr ? 'Données limitées disponibles.' : 'Limited data available.');
     }
 
     /**
      * Generate a holistic situation briefing (dual voice/text output).
      * @param {object} situation
+     * @param {object} [options] onSentence — stream the spoken version, see generateDualOutput()
      * @returns {{speech:string, text:string}}
      */
-    async generateBriefing(situation) {
+    async generateBriefing(situation, options = {}) {
         try {
             const prompt = this.buildBriefingPrompt(situation);
-            return await this.generateDualOutput(prompt, { temperature: 0.6 });
+            return await this.generateDualOutput(prompt, { ...options, temperature: 0.6, tools: true });
         } catch (error) {
             this.app.debug('LLM briefing failed:', error.message);
             return null;
         }
     }
 
+    /**
+     * Answer a free-form crew question, grounded in the current situation.
+     * Earlier turns of the conversation are replayed as chat history; the
+     * situation snapshot is only attached to the new question so it is
+     * always current. Errors propagate so callers can report unavailability.
+     * @param {string} question
+     * @param {object} situation  see OrchestratorBrain.buildSituation()
+     * @param {Array<{role: string, content: string}>} history Earlier turns
+     * @param {object} [options] onSentence — stream the spoken version
+     * @returns {Promise<{speech: string, text: string}>}
+     */
+    async answerQuestion(question, situation = {}, history = [], options = {}) {
+        const fr = this._lang === 'fr';
+        const prompt = fr
+            ? `Situation actuelle: ${this._situationBrief(situation)}\n\nQuestion de l'équipage: ${question}\n\nRéponds à cette question précisément en t'appuyant sur la situation ci-dessus et sur la conversation. Si les données ne suffisent pas pour conclure, dis-le et indique ce qu'il faudrait vérifier.`
+            : `Current situation: ${this._situationBrief(situation)}\n\nCrew question: ${question}\n\nAnswer this question precisely, based on the situation above and the conversation so far. If the data is not enough to conclude, say so and state what should be checked.`;
+
+        return this.generateDualOutput(prompt, { ...options, temperature: 0.5, history, tools: true });
+    }
+
     /**
      * Get sail recommendations
      */
     async getSailRecommendations(vesselData, targetHeading, windData, extra = {}) {
         try {
             const prompt = this.buildSailPrompt(vesselData, targetHeading, windData, extra);
-            const result = await this.generateDualOutput(prompt, { temperature: 0.5 });
+            const result = await this.generateDualOutput(prompt, { temperature: 0.5, tools: true });
             return result;
         } catch (error) {
             this.app.error('Failed to get sail recommendations:', error);
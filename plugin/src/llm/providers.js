@@ -0,0 +1,251 @@
+/**
+ * LLM Provider Adapters
+ *
+ * Translate LLMModule's provider-neutral chat requests into the wire format
+ * of each supported inference server and normalise the responses.
+ *
+ * Supported providers:
+ * - ollama   — native Ollama API (/api/chat, /api/tags), NDJSON streaming
+ * - openai   — any OpenAI-compatible server (/chat/completions, /models), SSE streaming
+ * - llamacpp — llama.cpp server (OpenAI-compatible chat, /health probe)
+ *
+ * Adapters only describe requests and parse responses; timeouts, the circuit
+ * breaker and connection caching stay in LLMModule so they behave the same
+ * whatever the backend.
+ */
+
+/**
+ * Strip trailing slashes so paths can be appended safely.
+ * @param {string} url
+ * @returns {string}
+ */
+function trimUrl(url) {
+    return String(url || '').replace(/\/+$/, '');
+}
+
+/**
+ * Native Ollama API.
+ */
+class OllamaProvider {
+    constructor(llmConfig = {}) {
+        this.name = 'ollama';
+        this.label = 'Ollama';
+        this.baseUrl = trimUrl(llmConfig.ollamaHost || 'http://localhost:11434');
+    }
+
+    headers() {
+        return { 'Content-Type': 'application/json' };
+    }
+
+    chatUrl() {
+        return `${this.baseUrl}/api/chat`;
+    }
+
+    /**
+     * @param {string} model
+     * @param {Array<{role: string, content: string}>} messages
+     * @param {Object} options temperature, top_p, max_tokens, json
+     * @param {boolean} stream Request incremental output
+     * @returns {Object} Request body
+     */
+    buildChatBody(model, messages, options = {}, stream = false) {
+        const body = {
+            model,
+            messages,
+            stream,
+            options: {
+                temperature: options.temperature || 0.7,
+                top_p: options.top_p || 0.9,
+                num_predict: options.max_tokens || 150
+            }
+        };
+        if (options.json) {
+            body.format = 'json';
+        }
+        return body;
+    }
+
+    parseChatResponse(data) {
+        return data?.message?.content || data?.response || '';
+    }
+
+    /**
+     * Parse one line of a streamed answer (one JSON object per line).
+     * @param {string} line
+     * @returns {{token: string, done: boolean}|null} null for blank/unparseable lines
+     */
+    parseStreamLine(line) {
+        const trimmed = line.trim();
+        if (!trimmed) return null;
+        try {
+            const data = JSON.parse(trimmed);
+            return { token: data.message?.content || data.response || '', done: data.done === true };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Probe the server and list installed models.
+     * @param {AbortSignal} signal
+     * @returns {Promise<{models: string[]}>}
+     */
+    async checkHealth(signal) {
+        const response = await fetch(`${this.baseUrl}/api/tags`, {
+            method: 'GET',
+            signal
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        return { models: data.models?.map(m => m.name) || [] };
+    }
+
+    hasModel(models, model) {
+        return models.includes(model);
+    }
+}
+
+/**
+ * OpenAI-compatible chat completions API (vLLM, LM Studio, LocalAI, LiteLLM…).
+ * `apiUrl` is the API root, i.e. the part before `/chat/completions`.
+ */
+class OpenAICompatibleProvider {
+    constructor(llmConfig = {}) {
+        this.name = 'openai';
+        this.label = 'OpenAI-compatible';
+        this.baseUrl = trimUrl(llmConfig.apiUrl || 'http://localhost:8000/v1');
+        this.apiKey = llmConfig.apiKey || '';
+    }
+
+    headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    chatUrl() {
+        return `${this.baseUrl}/chat/completions`;
+    }
+
+    buildChatBody(model, messages, options = {}, stream = false) {
+        const body = {
+            model,
+            messages,
+            stream,
+            temperature: options.temperature || 0.7,
+            top_p: options.top_p || 0.9,
+            max_tokens: options.max_tokens || 150
+        };
+        if (options.json) {
+            body.response_format = { type: 'json_object' };
+        }
+        return body;
+    }
+
+    parseChatResponse(data) {
+        return data?.choices?.[0]?.message?.content || '';
+    }
+
+    /**
+     * Parse one server-sent-events line (`data: {...}` / `data: [DONE]`).
+     * @param {string} line
+     * @returns {{token: string, done: boolean}|null}
+     */
+    parseStreamLine(line) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) return null;
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return { token: '', done: true };
+        try {
+            const data = JSON.parse(payload);
+            return { token: data.choices?.[0]?.delta?.content || '', done: false };
+        } catch {
+            return null;
+        }
+    }
+
+    async checkHealth(signal) {
+        const response = await fetch(`${this.baseUrl}/models`, {
+            method: 'GET',
+            headers: this.headers(),
+            signal
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        return { models: data.data?.map(m => m.id) || [] };
+    }
+
+    hasModel(models, model) {
+        return models.includes(model);
+    }
+}
+
+/**
+ * llama.cpp `llama-server`. Chat goes through its OpenAI-compatible
+ * endpoint; health uses the native /health probe, which answers 503 while
+ * the model is still loading.
+ */
+class LlamaCppProvider extends OpenAICompatibleProvider {
+    constructor(llmConfig = {}) {
+        super(llmConfig);
+        this.name = 'llamacpp';
+        this.label = 'llama.cpp';
+        this.serverUrl = trimUrl(llmConfig.apiUrl || 'http://localhost:8080').replace(/\/v1$/, '');
+        this.baseUrl = `${this.serverUrl}/v1`;
+    }
+
+    async checkHealth(signal) {
+        const response = await fetch(`${this.serverUrl}/health`, {
+            method: 'GET',
+            headers: this.headers(),
+            signal
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        // Model listing is informational only — older builds lack /v1/models.
+        try {
+            return await super.checkHealth(signal);
+        } catch {
+            return { models: [] };
+        }
+    }
+
+    /**
+     * llama-server serves the single model it was started with, whatever
+     * name the request carries.
+     */
+    hasModel() {
+        return true;
+    }
+}
+
+const PROVIDERS = {
+    ollama: OllamaProvider,
+    openai: OpenAICompatibleProvider,
+    llamacpp: LlamaCppProvider
+};
+
+/**
+ * Instantiate the adapter selected by `llm.provider` (defaults to Ollama).
+ * @param {Object} llmConfig The `llm` section of the plugin options
+ * @returns {OllamaProvider|OpenAICompatibleProvider|LlamaCppProvider}
+ */
+function createProvider(llmConfig = {}) {
+    const Provider = PROVIDERS[llmConfig.provider] || OllamaProvider;
+    return new Provider(llmConfig);
+}
+
+module.exports = {
+    createProvider,
+    OllamaProvider,
+    OpenAICompatibleProvider,
+    LlamaCppProvider
+};
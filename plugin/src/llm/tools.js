@@ -0,0 +1,205 @@
+/**
+ * LLM Vessel Tools
+ *
+ * Whitelist of read-only tools the co-pilot may call while preparing an
+ * answer, so advice is based on data the model actually asked for rather
+ * than only on the snapshot packed into the prompt. Every tool wraps an
+ * existing data source; none of them writes to Signal K, the logbook or
+ * the configuration.
+ *
+ * Tools:
+ * - get_depth            SignalKDataProvider (depth below keel / transducer)
+ * - list_ais_targets     AISAnalyzer.getLastTargets (range, bearing, CPA/TCPA of the last AIS check)
+ * - get_tide_extremes    TidesDataProvider.getTideData
+ * - get_polar_speed      ConfigManager.polar
+ * - get_recent_logbook   LogbookStore entries, newest first
+ */
+
+const { textUtils } = require('../common');
+
+const round = (v, d = 1) => (typeof v === 'number' && !isNaN(v) ? Math.round(v * 10 ** d) / 10 ** d : null);
+
+class VesselTools {
+    /**
+     * @param {object} app     Signal K app object
+     * @param {object} sources { signalkProvider, aisAnalyzer, tidesProvider, configManager, logbookStore }
+     */
+    constructor(app, sources = {}) {
+        this.app = app;
+        this.signalkProvider = sources.signalkProvider;
+        this.aisAnalyzer = sources.aisAnalyzer;
+        this.tidesProvider = sources.tidesProvider;
+        this.cm = sources.configManager;
+        this.logbookStore = sources.logbookStore;
+
+        this._tools = {
+            get_depth: {
+                description: {
+                    en: 'current depth in meters below keel and below transducer',
+                    fr: 'profondeur actuelle en mètres sous la quille et sous le sondeur'
+                },
+                params: {},
+                run: () => this._getDepth()
+            },
+            list_ais_targets: {
+                description: {
+                    en: 'AIS targets in range, most dangerous first, with range and CPA in nautical miles and TCPA in minutes',
+                    fr: 'cibles AIS en portée, les plus dangereuses d\'abord, distance et CPA en milles nautiques, TCPA en minutes'
+                },
+                params: {
+                    maxRangeNM: { min: 0.1, max: 24, default: 12 },
+                    limit: { min: 1, max: 10, default: 5 }
+                },
+                run: (args) => this._listAISTargets(args)
+            },
+            get_tide_extremes: {
+                description: {
+                    en: 'current tide height, tendency, coefficient and next high/low times',
+                    fr: 'hauteur de marée actuelle, tendance, coefficient et heures des prochaines pleine et basse mer'
+                },
+                params: {},
+                run: () => this._getTideExtremes()
+            },
+            get_polar_speed: {
+                description: {
+                    en: 'target boat speed in knots from the boat polar for a true wind speed (knots) and true wind angle (degrees)',
+                    fr: 'vitesse cible du bateau en nœuds selon les polaires pour un vent réel (nœuds) et un angle de vent réel (degrés)'
+                },
+                params: {
+                    tws: { min: 0, max: 60, required: true },
+                    twa: { min: 0, max: 180, required: true }
+                },
+                run: (args) => this._getPolarSpeed(args)
+            },
+            get_recent_logbook: {
+                description: {
+                    en: 'most recent logbook entries, newest first',
+                    fr: 'dernières entrées du journal de bord, la plus récente d\'abord'
+                },
+                params: {
+                    limit: { min: 1, max: 10, default: 5 }
+                },
+                run: (args) => this._getRecentLogbook(args)
+            }
+        };
+    }
+
+    /**
+     * Names of the whitelisted tools.
+     * @returns {string[]}
+     */
+    names() {
+        return Object.keys(this._tools);
+    }
+
+    /**
+     * One line per tool for the tool-selection prompt.
+     * @param {string} lang 'en' | 'fr'
+     * @returns {string}
+     */
+    describe(lang = 'en') {
+        return Object.entries(this._tools).map(([name, tool]) => {
+            const args = Object.entries(tool.params)
+                .map(([key, p]) => `${key}: ${p.min}-${p.max}${p.required ? '' : '?'}`)
+                .join(', ');
+            return `- ${name}(${args}): ${tool.description[lang] || tool.description.en}`;
+        }).join('\n');
+    }
+
+    /**
+     * Run a whitelisted tool. Never throws: failures are returned as
+     * `{ error }` so the model can see them and move on.
+     * @param {string} name Tool name
+     * @param {object} rawArgs Arguments as produced by the model
+     * @returns {Promise<object>} JSON-safe result
+     */
+    async call(name, rawArgs = {}) {
+        const tool = Object.prototype.hasOwnProperty.call(this._tools, name) ? this._tools[name] : null;
+        if (!tool) {
+            return { error: `unknown tool ${name}` };
+        }
+
+        const args = {};
+        for (const [key, p] of Object.entries(tool.params)) {
+            const value = Number(rawArgs?.[key]);
+            if (!Number.isFinite(value)) {
+                if (p.required) return { error: `missing argument ${key}` };
+                args[key] = p.default;
+                continue;
+            }
+            args[key] = Math.max(p.min, Math.min(p.max, value));
+        }
+
+        try {
+            return await tool.run(args);
+        } catch (error) {
+            this.app.debug(`Tool ${name} failed:`, error.message);
+            return { error: error.message };
+        }
+    }
+
+    _getDepth() {
+        if (!this.signalkProvider) return { available: false };
+        const depth = this.signalkProvider.getVesselData()?.environment?.depth || {};
+        const belowKeel = round(depth.belowKeel);
+        const belowTransducer = round(depth.belowTransducer);
+        if (belowKeel === null && belowTransducer === null) return { available: false };
+        return { belowKeel, belowTransducer };
+    }
+
+    _listAISTargets({ maxRangeNM, limit }) {
+        if (!this.aisAnalyzer) return { available: false };
+        // The brain's AIS check owns the scan; scanning here would advance the tracker
+        const { targets: scanned, timestamp } = this.aisAnalyzer.getLastTargets();
+        if (!timestamp) return { available: false };
+        const targets = scanned.filter(t => t.range <= maxRangeNM);
+        return {
+            asOf: timestamp,
+            count: targets.length,
+            targets: targets.slice(0, limit).map(t => ({
+                name: t.name,
+                mmsi: t.mmsi,
+                range: t.range,
+                bearing: t.bearing,
+                cpa: t.cpa,
+                tcpa: t.tcpa,
+                risk: t.risk,
+                colregs: t.colregs,
+                sog: round(t.sog),
+                cog: round(t.cog, 0)
+            }))
+        };
+    }
+
+    async _getTideExtremes() {
+        const tide = this.tidesProvider ? await this.tidesProvider.getTideData() : null;
+        if (!tide) return { available: false };
+        const iso = (t) => (t instanceof Date ? t.toISOString() : t);
+        return {
+            height: round(tide.current?.height, 2),
+            tendency: tide.current?.tendency ?? null,
+            coefficient: tide.current?.coefficient ?? null,
+            extremes: (tide.extremes || []).map(e => ({ type: e.type, time: iso(e.time), height: round(e.height, 2) })),
+            now: new Date().toISOString()
+        };
+    }
+
+    _getPolarSpeed({ tws, twa }) {
+        if (!this.cm) return { available: false };
+        return { tws, twa, boatSpeed: round(this.cm.polar(tws, twa)) };
+    }
+
+    async _getRecentLogbook({ limit }) {
+        if (!this.logbookStore) return { available: false };
+        const entries = await this.logbookStore.getAllEntries({ limit });
+        return {
+            entries: entries.slice(0, limit).map(e => ({
+                datetime: e.datetime,
+                category: e.category,
+                text: textUtils.truncate(e.text || '', 200)
+            }))
+        };
+    }
+}
+
+module.exports = VesselTools;
@@ -577,6 +577,39 @@ class LogbookManager {
         }
     }
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // Maintenance log (always local)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Add a maintenance task record (task done, snoozed, or tracking started).
+     * @param {object} record  { task, action, engineHours, notes, ... }
+     * @returns {Promise<{success: boolean, id: string}>}
+     */
+    async addMaintenanceLogEntry(record) {
+        try {
+            const id = await this.store.addMaintenanceEntry(record);
+            this.app.debug(`Maintenance log entry added: ${record.task} ${record.action} (${id})`);
+            return { success: true, id };
+        } catch (err) {
+            this.app.error('Failed to add maintenance log entry:', err.message);
+            return { success: false, error: err.message };
+        }
+    }
+
+    /**
+     * Return all maintenance log entries.
+     * @returns {Promise<Array>}
+     */
+    async getMaintenanceLogEntries() {
+        try {
+            return await this.store.getMaintenanceEntries();
+        } catch (err) {
+            this.app.error('Failed to get maintenance log entries:', err.message);
+            return [];
+        }
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // Logbook entries — route to active backend
     // ─────────────────────────────────────────────────────────────────────────
@@ -12,8 +12,9 @@
  *     entries/
  *       <uuid>.json       — full logbook entry
  *
- * Fuel log entries are stored separately:
- *   <dataDir>/ocearo-logbook/fuel-log.json  — array of fuel refill records
+ * Fuel and maintenance log entries are stored separately:
+ *   <dataDir>/ocearo-logbook/fuel-log.json         — array of fuel refill records
+ *   <dataDir>/ocearo-logbook/maintenance-log.json  — array of maintenance task records
  */
 
 const fs = require('fs');
@@ -31,6 +32,7 @@ class LogbookStore {
         this._entriesDir = path.join(this._baseDir, 'entries');
         this._indexPath = path.join(this._baseDir, 'index.json');
         this._fuelLogPath = path.join(this._baseDir, 'fuel-log.json');
+        this._maintenanceLogPath = path.join(this._baseDir, 'maintenance-log.json');
         this._index = {};
     }
 
@@ -258,6 +260,31 @@ class LogbookStore {
         return this._loadFuelLog();
     }
 
+    /**
+     * Append a maintenance task record.
+     * @param {object} record  { task, action: 'start'|'complete'|'snooze', engineHours, ... }
+     * @returns {Promise<string>}  record id
+     */
+    async addMaintenanceEntry(record) {
+        const entries = this._loadJsonArray(this._maintenanceLogPath, 'maintenance log');
+        const id = this.generateId();
+        entries.push({
+            ...record,
+            id,
+            datetime: record.datetime || new Date().toISOString()
+        });
+        await this._atomicWrite(this._maintenanceLogPath, JSON.stringify(entries, null, 2));
+        return id;
+    }
+
+    /**
+     * Return all maintenance log entries.
+     * @returns {Promise<Array>}
+     */
+    async getMaintenanceEntries() {
+        return this._loadJsonArray(this._maintenanceLogPath, 'maintenance log');
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // Private helpers
     // ─────────────────────────────────────────────────────────────────────────
@@ -297,12 +324,16 @@ class LogbookStore {
     }
 
     _loadFuelLog() {
+        return this._loadJsonArray(this._fuelLogPath, 'fuel log');
+    }
+
+    _loadJsonArray(filePath, label) {
         try {
-            if (fs.existsSync(this._fuelLogPath)) {
-                return JSON.parse(fs.readFileSync(this._fuelLogPath, 'utf8'));
+            if (fs.existsSync(filePath)) {
+                return JSON.parse(fs.readFileSync(filePath, 'utf8'));
             }
         } catch (err) {
-            this.app.warn('LogbookStore: could not load fuel log:', err.message);
+            this.app.warn(`LogbookStore: could not load ${label}:`, err.message);
         }
         return [];
     }
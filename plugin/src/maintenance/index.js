@@ -0,0 +1,343 @@
+/**
+ * Maintenance Scheduler
+ *
+ * Maintenance tasks due by engine hours, by calendar, or by whichever
+ * comes first:
+ * - tasks come from `maintenance.tasks` ({ id, name, engineHours, months,
+ *   engine, resetBaselines }), else the defaults below
+ * - engine hours are read from `propulsion.*.runTime` (the task's `engine`,
+ *   else the highest), so a task without it is followed by calendar only
+ * - records are kept in the maintenance log next to the logbook
+ *   (<dataDir>/ocearo-logbook/maintenance-log.json): `complete`, `snooze`,
+ *   and `start` when a task is first tracked with no record
+ * - a task is due within `warnHours` engine hours or `warnDays` days, and
+ *   overdue past its interval. Due and overdue tasks that are not snoozed
+ *   raise `notifications.<pluginId>.maintenance.<task>` and are read in the
+ *   startup briefing.
+ *
+ * Completing a task relearns the sensor baselines it lists in
+ * `resetBaselines` (e.g. coolant after an impeller change).
+ */
+
+const CHECK_MS = 10 * 60_000;
+const DAY_MS = 86_400_000;
+
+/** Snooze applied when neither days nor hours are given */
+const DEFAULT_SNOOZE_DAYS = 7;
+
+const DEFAULT_TASKS = [
+    { id: 'oil_change', engineHours: 100, resetBaselines: ['oilPressure'] },
+    { id: 'impeller', engineHours: 200, months: 12, resetBaselines: ['coolant', 'exhaust'] },
+    { id: 'anodes', months: 6 },
+    { id: 'rigging', months: 12 }
+];
+
+class MaintenanceScheduler {
+    /**
+     * @param {object} app     SignalK app object
+     * @param {object} config  Plugin configuration (uses maintenance)
+     * @param {object} sources { signalkProvider, logbookManager, sensorBaselines, cm }
+     */
+    constructor(app, config, sources) {
+        this.app = app;
+        this.signalkProvider = sources.signalkProvider;
+        this.logbookManager = sources.logbookManager;
+        this.sensorBaselines = sources.sensorBaselines;
+        this.cm = sources.cm;
+
+        const settings = config.maintenance || {};
+        this.enabled = settings.enabled !== false;
+        this.notify = settings.notifications !== false;
+        this.warnHours = settings.warnHours ?? 10;
+        this.warnDays = settings.warnDays ?? 14;
+        this.tasks = (settings.tasks?.length ? settings.tasks : DEFAULT_TASKS)
+            .filter(t => t && t.id !== undefined && (t.engineHours > 0 || t.months > 0))
+            .map(t => ({ ...t, id: String(t.id) }));
+
+        this._notificationPrefix = `notifications.${this.signalkProvider.pluginId || 'ocearo-core'}.maintenance`;
+        this._records = [];
+        this._raised = {};      // task id → notification state raised
+        this._timer = null;
+    }
+
+    async start() {
+        if (!this.enabled || this._timer) return;
+        await this.refresh();
+        // Clear notifications left from the previous run, then raise the current ones
+        this._raised = Object.fromEntries(this.tasks.map(t => [t.id, 'previous']));
+        await this.check();
+        this._timer = setInterval(() => {
+            this.check().catch(error => this.app.debug('Maintenance check failed:', error.message));
+        }, CHECK_MS);
+        this.app.debug(`Maintenance scheduler started (${this.tasks.length} tasks)`);
+    }
+
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /**
+     * Reload the maintenance log.
+     */
+    async refresh() {
+        try {
+            this._records = await this.logbookManager.getMaintenanceLogEntries();
+        } catch (error) {
+            this.app.debug('Maintenance scheduler: maintenance log unavailable:', error.message);
+        }
+    }
+
+    /**
+     * Tasks with no record start counting from now. A task first tracked
+     * before the engine hours were known starts counting hours once they are.
+     */
+    async _trackTasks() {
+        for (const task of this.tasks) {
+            const last = this._lastDone(task.id);
+            const engineHours = this.engineHours(task.engine);
+            if (!last) {
+                await this._record(task, { action: 'start', engineHours });
+            } else if (last.action === 'start' && last.engineHours == null && task.engineHours > 0 && engineHours !== null) {
+                await this._record(task, { action: 'start', engineHours, datetime: last.datetime });
+            }
+        }
+    }
+
+    // ────────── TASKS ──────────
+
+    /**
+     * @param {string} [engine] Engine id, else the highest run time
+     * @returns {number|null} Engine hours from propulsion.*.runTime
+     */
+    engineHours(engine) {
+        const propulsion = this.signalkProvider._getSelfPath('propulsion') || {};
+        const ids = engine !== undefined ? [String(engine)] : Object.keys(propulsion);
+        const hours = ids
+            .map(id => this._number(propulsion[id]?.runTime))
+            .filter(seconds => seconds !== null)
+            .map(seconds => seconds / 3600);
+        return hours.length ? this._round(Math.max(...hours), 1) : null;
+    }
+
+    /**
+     * Status of every task.
+     * @param {number} [now] ms timestamp
+     * @returns {object[]} { id, name, engineHours, months, last, hoursLeft, dueDate, daysLeft, status, snoozed, message }
+     */
+    getTasks(now = Date.now()) {
+        return this.tasks.map(task => this._status(task, now));
+    }
+
+    /**
+     * Due and overdue tasks that are not snoozed, most urgent first.
+     */
+    getDue(now = Date.now()) {
+        const rank = { overdue: 0, due: 1 };
+        return this.getTasks(now)
+            .filter(t => t.status !== 'ok' && !t.snoozed)
+            .sort((a, b) => rank[a.status] - rank[b.status]);
+    }
+
+    /**
+     * Record a task as done.
+     * @param {string} id
+     * @param {object} [details] { engineHours, datetime, notes }
+     * @returns {Promise<object>} Task status
+     */
+    async complete(id, details = {}) {
+        const task = this._task(id);
+        const engineHours = this._number(details.engineHours) ?? this.engineHours(task.engine);
+        await this._record(task, {
+            action: 'complete',
+            engineHours,
+            datetime: details.datetime,
+            notes: details.notes
+        });
+
+        for (const sensor of task.resetBaselines || []) {
+            this.sensorBaselines?.reset(sensor);
+        }
+
+        await this.check();
+        return this._status(task, Date.now());
+    }
+
+    /**
+     * Silence a due task for some days and/or engine hours.
+     * @param {string} id
+     * @param {object} [options] { days, hours }
+     * @returns {Promise<object>} Task status
+     */
+    async snooze(id, options = {}) {
+        const task = this._task(id);
+        const days = this._number(options.days);
+        const hours = this._number(options.hours);
+        const current = this.engineHours(task.engine);
+
+        const record = { action: 'snooze', engineHours: current };
+        if (days !== null || hours === null || current === null) {
+            record.until = new Date(Date.now() + (days ?? DEFAULT_SNOOZE_DAYS) * DAY_MS).toISOString();
+        }
+        if (hours !== null && current !== null) {
+            record.untilHours = this._round(current + hours, 1);
+        }
+        await this._record(task, record);
+
+        await this.check();
+        return this._status(task, Date.now());
+    }
+
+    async _record(task, record) {
+        const entry = { task: task.id, ...record };
+        const result = await this.logbookManager.addMaintenanceLogEntry(entry);
+        if (!result.success) throw new Error(result.error || 'Could not write the maintenance log');
+        this._records.push({ ...entry, id: result.id, datetime: record.datetime || new Date().toISOString() });
+    }
+
+    _task(id) {
+        const task = this.tasks.find(t => t.id === String(id));
+        if (!task) throw new Error(`Unknown maintenance task: ${id}`);
+        return task;
+    }
+
+    /**
+     * Latest completion; the automatic 'start' record only counts until the
+     * task is first completed, so a backfilled earlier completion replaces it.
+     */
+    _lastDone(id) {
+        return this._latest(id, r => r.action === 'complete') ||
+            this._latest(id, r => r.action === 'start');
+    }
+
+    _latest(id, predicate) {
+        let latest = null;
+        for (const record of this._records) {
+            if (record.task !== id || !predicate(record)) continue;
+            if (!latest || Date.parse(record.datetime) >= Date.parse(latest.datetime)) latest = record;
+        }
+        return latest;
+    }
+
+    _status(task, now) {
+        const last = this._lastDone(task.id);
+        const current = this.engineHours(task.engine);
+        const since = last ? Date.parse(last.datetime) : now;
+
+        let hoursLeft = null;
+        if (task.engineHours > 0 && current !== null && typeof last?.engineHours === 'number') {
+            hoursLeft = this._round(task.engineHours - (current - last.engineHours), 1);
+        }
+
+        let dueDate = null;
+        let daysLeft = null;
+        if (task.months > 0) {
+            const due = new Date(since);
+            due.setMonth(due.getMonth() + task.months);
+            dueDate = due.toISOString();
+            daysLeft = Math.floor((due.getTime() - now) / DAY_MS);
+        }
+
+        let status = 'ok';
+        if ((hoursLeft !== null && hoursLeft < 0) || (daysLeft !== null && daysLeft < 0)) {
+            status = 'overdue';
+        } else if ((hoursLeft !== null && hoursLeft <= this.warnHours) || (daysLeft !== null && daysLeft <= this.warnDays)) {
+            status = 'due';
+        }
+
+        // A snooze counts until its date or engine hours, and ends with the next completion
+        const snooze = this._latest(task.id, r => r.action === 'snooze');
+        const snoozed = !!snooze && Date.parse(snooze.datetime) >= since
+            && ((snooze.until && Date.parse(snooze.until) > now)
+                || (typeof snooze.untilHours === 'number' && current !== null && current < snooze.untilHours));
+
+        const result = {
+            id: task.id,
+            name: this._name(task),
+            engineHours: task.engineHours ?? null,
+            months: task.months ?? null,
+            last: last ? {
+                action: last.action,
+                datetime: last.datetime,
+                engineHours: last.engineHours ?? null,
+                notes: last.notes
+            } : null,
+            currentEngineHours: current,
+            hoursLeft,
+            dueDate,
+            daysLeft,
+            status,
+            snoozed: snoozed ? { until: snooze.until || null, untilHours: snooze.untilHours ?? null } : null
+        };
+        result.message = status === 'ok' ? null : this._message(result);
+        return result;
+    }
+
+    /**
+     * "Oil change overdue by 5 engine hours": engine hours when they set
+     * the status, else days.
+     */
+    _message(task) {
+        const byHours = task.hoursLeft !== null && task.hoursLeft <= this.warnHours;
+        const useHours = byHours && (task.hoursLeft < 0 || !(task.daysLeft !== null && task.daysLeft < 0));
+        const left = useHours ? task.hoursLeft : task.daysLeft;
+        const key = `maintenance.${left < 0 ? 'overdue' : 'due'}_${useHours ? 'hours' : 'days'}`;
+        return this.cm.t(key, {
+            task: task.name,
+            hours: Math.abs(Math.round(task.hoursLeft ?? 0)),
+            days: Math.abs(task.daysLeft ?? 0)
+        });
+    }
+
+    _name(task) {
+        if (task.name) return task.name;
+        const key = `maintenance.task.${task.id}`;
+        const name = this.cm.t(key);
+        return name === key ? task.id : name;
+    }
+
+    // ────────── NOTIFICATIONS ──────────
+
+    /**
+     * Raise or clear the notification of each task.
+     * @param {number} [now] ms timestamp
+     */
+    async check(now = Date.now()) {
+        if (!this.enabled) return;
+        await this._trackTasks();
+
+        for (const task of this.getTasks(now)) {
+            const path = `${this._notificationPrefix}.${task.id}`;
+            const state = !this.notify || task.snoozed || task.status === 'ok' ? null
+                : (task.status === 'overdue' ? 'alert' : 'warn');
+
+            if (state === (this._raised[task.id] ?? null)) continue;
+            if (state) {
+                this.signalkProvider.writePath(path, {
+                    state,
+                    message: task.message,
+                    method: ['visual'],
+                    timestamp: new Date(now).toISOString()
+                });
+                this._raised[task.id] = state;
+            } else {
+                this.signalkProvider.writePath(path, null);
+                delete this._raised[task.id];
+            }
+        }
+    }
+
+    _number(raw) {
+        const value = raw !== null && typeof raw === 'object' && 'value' in raw ? raw.value : raw;
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    _round(value, digits = 1) {
+        const f = 10 ** digits;
+        return Math.round(value * f) / f;
+    }
+}
+
+module.exports = MaintenanceScheduler;
@@ -37,6 +37,12 @@ class MemoryManager {
         this.navigationHistory = [];
         this.maxHistorySize = config.memory?.maxHistorySize || 1000;
         this.persistInterval = null;
+
+        // Co-pilot conversations (POST /ask): sessionId → { turns, updatedAt }
+        this.conversations = new Map();
+        this.maxConversationTurns = (config.memory?.conversationTurns || 6) * 2;
+        this.conversationTtlMs = (config.memory?.conversationTtlMinutes || 120) * 60 * 1000;
+        this.maxConversations = 20;
     }
 
     /**
@@ -126,6 +132,16 @@ class MemoryManager {
             } catch (err) {
                 this.app.debug('No persisted navigation history found');
             }
+
+            // Load co-pilot conversations
+            const convPath = path.join(this.dataDir, 'conversations.json');
+            try {
+                const convData = await fs.readFile(convPath, 'utf8');
+                this.conversations = new Map(Object.entries(JSON.parse(convData)));
+                this._pruneConversations();
+            } catch (err) {
+                this.app.debug('No persisted conversations found');
+            }
         } catch (error) {
             this.app.error('Error loading persisted data:', error);
         }
@@ -156,6 +172,13 @@ class MemoryManager {
                 JSON.stringify(recentNav, null, 2)
             );
 
+            // Save co-pilot conversations (expired sessions dropped)
+            this._pruneConversations();
+            await this._atomicWrite(
+                path.join(this.dataDir, 'conversations.json'),
+                JSON.stringify(Object.fromEntries(this.conversations), null, 2)
+            );
+
             this.app.debug('Memory data persisted successfully');
         } catch (error) {
             this.app.error('Error persisting data:', error);
@@ -310,6 +333,55 @@ class MemoryManager {
         };
     }
 
+    /**
+     * Get the turns of a co-pilot conversation, oldest first.
+     * @param {string} sessionId
+     * @returns {Array<{role: string, content: string, timestamp: string}>}
+     */
+    getConversation(sessionId) {
+        this._pruneConversations();
+        return [...(this.conversations.get(sessionId)?.turns || [])];
+    }
+
+    /**
+     * Append a turn to a co-pilot conversation, keeping only the most recent
+     * exchanges so prompts stay small.
+     * @param {string} sessionId
+     * @param {string} role 'user' | 'assistant'
+     * @param {string} content
+     */
+    addConversationTurn(sessionId, role, content) {
+        const conversation = this.conversations.get(sessionId) || { turns: [] };
+        conversation.turns.push({ role, content, timestamp: new Date().toISOString() });
+        if (conversation.turns.length > this.maxConversationTurns) {
+            conversation.turns = conversation.turns.slice(-this.maxConversationTurns);
+        }
+        conversation.updatedAt = Date.now();
+        this.conversations.set(sessionId, conversation);
+        this._pruneConversations();
+    }
+
+    /**
+     * Forget a co-pilot conversation.
+     * @param {string} sessionId
+     * @returns {boolean} true if the session existed
+     */
+    clearConversation(sessionId) {
+        return this.conversations.delete(sessionId);
+    }
+
+    /**
+     * Drop expired conversations and cap the number of sessions kept.
+     */
+    _pruneConversations() {
+        const cutoff = Date.now() - this.conversationTtlMs;
+        const live = [...this.conversations]
+            .filter(([, c]) => c?.updatedAt > cutoff && Array.isArray(c.turns))
+            .sort((a, b) => b[1].updatedAt - a[1].updatedAt)
+            .slice(0, this.maxConversations);
+        this.conversations = new Map(live);
+    }
+
     /**
      * Clear old history entries
      */
@@ -339,12 +411,14 @@ class MemoryManager {
         return {
             alertCount: this.alertHistory.length,
             navigationCount: this.navigationHistory.length,
+            conversationCount: this.conversations.size,
             hasContext: !!this.vesselContext.profile,
             lastContextUpdate: this.vesselContext.lastUpdate,
             memoryUsage: {
                 alerts: JSON.stringify(this.alertHistory).length,
                 navigation: JSON.stringify(this.navigationHistory).length,
-                context: JSON.stringify(this.vesselContext).length
+                context: JSON.stringify(this.vesselContext).length,
+                conversations: JSON.stringify(Object.fromEntries(this.conversations)).length
             }
         };
     }
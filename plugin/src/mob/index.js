@@ -0,0 +1,396 @@
+/**
+ * Man Overboard
+ *
+ * Guidance back to a casualty once MOB is triggered (REST, voice command or
+ * a notifications.mob raised by the MOB button of another device):
+ * - MOB position and time recorded, set as the Course API destination
+ * - emergency notification notifications.<pluginId>.mob
+ * - bearing and distance announced every `mob.announceSeconds`, bypassing
+ *   do-not-disturb
+ * - casualty position projected from the MOB point with the measured
+ *   current (environment.current), or the tidal stream estimate, plus
+ *   wind leeway; the destination follows the projected position
+ * - timestamped MOB log, written to the logbook at start, every
+ *   LOG_INTERVAL_MS and on recovery
+ *
+ * The brain owns the 'mob' mode and the do-not-disturb switch; this module
+ * only runs the MOB workflow.
+ */
+
+const { distanceNM, bearing, destinationPoint } = require('../analyses/isochrone').geo;
+
+/** Re-set the destination when the projected casualty has moved this far (NM, ~50 m) */
+const DESTINATION_MOVE_NM = 0.027;
+
+const LOG_INTERVAL_MS = 2 * 60_000;
+
+/** Refresh the tide timeline used for the stream estimate */
+const TIDE_REFRESH_MS = 30 * 60_000;
+
+const MS_TO_KNOTS = 1.94384;
+
+class MOBManager {
+    /**
+     * @param {object} app     SignalK app object
+     * @param {object} config  Plugin configuration (uses mob, routing.floodSetDegrees)
+     * @param {object} sources { signalkProvider, tidesProvider, voice, cm, logbookManager }
+     */
+    constructor(app, config, sources) {
+        this.app = app;
+        this.config = config;
+        this.signalkProvider = sources.signalkProvider;
+        this.tidesProvider = sources.tidesProvider;
+        this.voice = sources.voice;
+        this.cm = sources.cm;
+        this.logbookManager = sources.logbookManager;
+        this.pluginId = config.pluginId || 'ocearo-core';
+
+        const mob = config.mob || {};
+        this.announceMs = (mob.announceSeconds ?? 10) * 1000;
+        this.leewayPercent = mob.leewayPercent ?? 2;
+        this.tidalStreamKnots = mob.tidalStreamKnots ?? 0;
+        this.floodSetDegrees = config.routing?.floodSetDegrees ?? null;
+
+        /** Current MOB event, null when none is active */
+        this.event = null;
+        this._timer = null;
+        this._tideTimeline = null;
+        this._tideLoadedAt = 0;
+    }
+
+    get active() {
+        return this.event !== null;
+    }
+
+    /**
+     * Start the MOB workflow.
+     * @param {object} [options]
+     * @param {{latitude, longitude}} [options.position] MOB position; own position when omitted
+     * @param {string} [options.source]                  'rest', 'voice', 'notification' or 'mode'
+     * @returns {object} Status, see getStatus()
+     * @throws {Error} When no position is available
+     */
+    activate(options = {}) {
+        if (this.event) return this.getStatus();
+
+        const position = this._validPosition(options.position) ?? this._ownPosition();
+        if (!position) {
+            throw new Error('No vessel position available — cannot mark the MOB position');
+        }
+
+        const now = Date.now();
+        this.event = {
+            position,
+            time: now,
+            source: options.source || 'rest',
+            projected: position,
+            drift: null,
+            range: null,
+            bearing: null,
+            destination: null,
+            lastLogged: now,
+            log: []
+        };
+        this.app.debug(`MOB at ${position.latitude.toFixed(5)}, ${position.longitude.toFixed(5)} (${this.event.source})`);
+
+        const message = this.cm.t('mob.started', { time: this._clock(now) });
+        this._record('start', message);
+        this._announce(message);
+        this._notify(message);
+        this._setDestination(position);
+        this._loadTides();
+
+        this._timer = setInterval(() => this._guide(), this.announceMs);
+        return this.getStatus();
+    }
+
+    /**
+     * End the MOB workflow (casualty recovered or false alarm).
+     * @returns {object|null} Final status, null when no MOB was active
+     */
+    deactivate() {
+        if (!this.event) return null;
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+
+        const minutes = Math.round((Date.now() - this.event.time) / 60_000);
+        const message = this.cm.t('mob.ended', { minutes });
+        this._record('end', message);
+        this._announce(message);
+        this._notify(null);
+        this._clearDestination();
+
+        const status = this.getStatus();
+        this.event = null;
+        this.app.debug('MOB ended');
+        return status;
+    }
+
+    getStatus() {
+        const e = this.event;
+        if (!e) return { active: false };
+        return {
+            active: true,
+            source: e.source,
+            time: new Date(e.time).toISOString(),
+            elapsedSeconds: Math.round((Date.now() - e.time) / 1000),
+            position: e.position,
+            projectedPosition: e.projected,
+            drift: e.drift,
+            range: e.range,
+            bearing: e.bearing,
+            log: e.log
+        };
+    }
+
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        if (this.event) this._notify(null);
+        this.event = null;
+    }
+
+    // ────────── GUIDANCE ──────────
+
+    /**
+     * Project the casualty, announce the way back and keep the destination
+     * and the log up to date.
+     */
+    _guide() {
+        try {
+            const e = this.event;
+            if (!e) return;
+            const now = Date.now();
+
+            const drift = this._driftEstimate();
+            e.drift = drift;
+            e.projected = this._project(e.position, drift, (now - e.time) / 3_600_000);
+
+            const own = this._ownPosition();
+            if (own) {
+                e.range = Math.round(distanceNM(own, e.projected) * 1000) / 1000;
+                e.bearing = Math.round(bearing(own, e.projected));
+            }
+
+            const message = this._guidanceMessage(e, now);
+            this._announce(message);
+            this._notify(message);
+
+            if (!e.destination || distanceNM(e.destination, e.projected) > DESTINATION_MOVE_NM) {
+                this._setDestination(e.projected);
+            }
+            if (now - e.lastLogged >= LOG_INTERVAL_MS) {
+                e.lastLogged = now;
+                this._record('update', message);
+            }
+            if (now - this._tideLoadedAt > TIDE_REFRESH_MS) this._loadTides();
+        } catch (error) {
+            this.app.debug('MOB guidance failed:', error.message);
+        }
+    }
+
+    _guidanceMessage(e, now) {
+        const minutes = Math.floor((now - e.time) / 60_000);
+        if (e.range === null) {
+            return this.cm.t('mob.no_position', { minutes });
+        }
+        const distance = e.range < 1
+            ? this.cm.t('mob.metres', { value: Math.round(e.range * 1852 / 10) * 10 })
+            : this.cm.t('mob.miles', { value: e.range.toFixed(1) });
+        return this.cm.t('mob.guidance', {
+            bearing: String(e.bearing % 360).padStart(3, '0'),
+            distance,
+            minutes
+        });
+    }
+
+    /**
+     * Surface drift of a person in the water: the measured current when the
+     * boat reports one, otherwise the tidal stream estimate, plus leeway
+     * downwind at `mob.leewayPercent` of the true wind speed.
+     * @returns {{set: number, speed: number, source: string}|null} Set (° true) and speed (kn)
+     */
+    _driftEstimate() {
+        let east = 0;
+        let north = 0;
+        const sources = [];
+
+        const current = this._current();
+        const stream = current ?? this._tidalStream();
+        if (stream) {
+            east += stream.speed * Math.sin(stream.set * Math.PI / 180);
+            north += stream.speed * Math.cos(stream.set * Math.PI / 180);
+            sources.push(current ? 'current' : 'tide');
+        }
+
+        const wind = this.signalkProvider.getVesselData()?.environment?.wind;
+        const tws = this._number(wind?.speedTrue);
+        const twd = this._number(wind?.directionTrue);
+        if (tws !== null && twd !== null && this.leewayPercent > 0) {
+            const leeway = tws * MS_TO_KNOTS * this.leewayPercent / 100;
+            const downwind = twd * 180 / Math.PI + 180;
+            east += leeway * Math.sin(downwind * Math.PI / 180);
+            north += leeway * Math.cos(downwind * Math.PI / 180);
+            sources.push('leeway');
+        }
+
+        if (sources.length === 0) return null;
+        return {
+            set: Math.round((Math.atan2(east, north) * 180 / Math.PI + 360) % 360),
+            speed: Math.round(Math.hypot(east, north) * 100) / 100,
+            source: sources.join('+')
+        };
+    }
+
+    _project(position, drift, hours) {
+        if (!drift || drift.speed === 0) return position;
+        return destinationPoint(position, drift.set, drift.speed * hours);
+    }
+
+    /**
+     * Measured current, environment.current.{setTrue,drift} (rad, m/s).
+     */
+    _current() {
+        const read = path => this._number(this.app.getSelfPath?.(path));
+        let set = read('environment.current.setTrue');
+        let drift = read('environment.current.drift');
+        if (set === null || drift === null) {
+            const raw = this.app.getSelfPath?.('environment.current');
+            const value = raw?.value ?? raw;
+            set = this._number(value?.setTrue);
+            drift = this._number(value?.drift);
+        }
+        if (set === null || drift === null) return null;
+        return { set: set * 180 / Math.PI, speed: drift * MS_TO_KNOTS };
+    }
+
+    /**
+     * Tidal stream from the tide timeline, when `mob.tidalStreamKnots` and
+     * `routing.floodSetDegrees` describe the local stream.
+     */
+    _tidalStream() {
+        if (!(this.tidalStreamKnots > 0) || this.floodSetDegrees === null || !this._tideTimeline) return null;
+        const stream = this.tidesProvider?.streamAt(new Date(), this._tideTimeline);
+        if (!stream) return null;
+        return {
+            set: stream.state === 'flood' ? this.floodSetDegrees : (this.floodSetDegrees + 180) % 360,
+            speed: this.tidalStreamKnots * stream.strength
+        };
+    }
+
+    async _loadTides() {
+        if (!(this.tidalStreamKnots > 0) || this.floodSetDegrees === null || !this.tidesProvider) return;
+        this._tideLoadedAt = Date.now();
+        try {
+            const now = new Date();
+            this._tideTimeline = await this.tidesProvider.getTideTimeline(now, new Date(now.getTime() + 6 * 3_600_000));
+        } catch (error) {
+            this.app.debug('MOB tide timeline unavailable:', error.message);
+        }
+    }
+
+    // ────────── OUTPUTS ──────────
+
+    _announce(message) {
+        this.voice.announce(message, 'high', { safety: true, emergency: true });
+    }
+
+    _notify(message) {
+        if (typeof this.app.handleMessage !== 'function') return;
+        this.app.handleMessage(this.pluginId, {
+            updates: [{
+                values: [{
+                    path: `notifications.${this.pluginId}.mob`,
+                    value: message === null ? null : {
+                        message,
+                        method: ['visual', 'sound'],
+                        state: 'emergency',
+                        position: this.event.projected
+                    }
+                }]
+            }]
+        });
+    }
+
+    /**
+     * Point the Course API at the (projected) MOB position.
+     */
+    async _setDestination(position) {
+        this.event.destination = position;
+        if (typeof this.app.setDestination !== 'function') {
+            this.app.debug('Course API not available, MOB destination not set');
+            return;
+        }
+        try {
+            await this.app.setDestination({ position });
+        } catch (error) {
+            this.app.debug('Failed to set MOB destination:', error.message);
+        }
+    }
+
+    async _clearDestination() {
+        if (typeof this.app.clearDestination !== 'function') return;
+        try {
+            await this.app.clearDestination();
+        } catch (error) {
+            this.app.debug('Failed to clear MOB destination:', error.message);
+        }
+    }
+
+    /**
+     * Append to the MOB log and write it to the logbook.
+     */
+    async _record(type, message) {
+        const e = this.event;
+        const position = type === 'start' ? e.position : (this._ownPosition() ?? e.projected);
+        e.log.push({
+            time: new Date().toISOString(),
+            type,
+            message,
+            position,
+            projectedPosition: e.projected,
+            range: e.range,
+            bearing: e.bearing
+        });
+
+        if (!this.logbookManager) return;
+        const result = await this.logbookManager.addLogbookEntry({
+            author: this.logbookManager.logbookAuthor,
+            category: 'navigation',
+            text: `MOB: ${message}`,
+            position
+        });
+        if (result?.success === false) {
+            this.app.debug('Failed to log MOB event:', result.error);
+        }
+    }
+
+    // ────────── HELPERS ──────────
+
+    _ownPosition() {
+        const nav = this.signalkProvider.getVesselData()?.navigation;
+        return this._validPosition(nav?.position?.value ?? nav?.position);
+    }
+
+    _validPosition(pos) {
+        return typeof pos?.latitude === 'number' && typeof pos?.longitude === 'number'
+            ? { latitude: pos.latitude, longitude: pos.longitude }
+            : null;
+    }
+
+    _number(raw) {
+        const value = raw !== null && typeof raw === 'object' && 'value' in raw ? raw.value : raw;
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    _clock(ms) {
+        const dateLocale = this.cm.t('meta.dateLocale') || 'en-US';
+        return new Date(ms).toLocaleTimeString(dateLocale, { hour: '2-digit', minute: '2-digit' });
+    }
+}
+
+module.exports = MOBManager;
@@ -0,0 +1,333 @@
+/**
+ * Mode Inference
+ *
+ * Works out the operating mode from the sensors so the brain is not left
+ * in 'sailing' at the dock when the crew forgets to switch:
+ * - moving (SOG at or above `movingKnots`) with an engine running → motoring,
+ *   without → sailing ('racing' is kept: it is only ever set by the crew)
+ * - stopped (SOG at or below `stoppedKnots`) and the position held within
+ *   `stationaryRadiusMetres` for `stationaryMinutes` → moored inside a
+ *   known marina, anchored elsewhere
+ *
+ * Hysteresis: moving/stopped use two speed thresholds, an inferred mode must
+ * hold for `confirmMinutes` before anything is said, a mode set by the crew
+ * is left alone for `manualHoldMinutes`, and a declined proposal is not
+ * repeated until the inference changes.
+ *
+ * A proposal is spoken as a question. Without `autoApply` the mode changes
+ * only on a "yes" (voice or POST /mode/inference/answer); with it, the
+ * change is applied after `confirmSeconds` unless the crew says "no".
+ */
+
+const { distanceNM } = require('../analyses/isochrone').geo;
+
+const MS_TO_KNOTS = 1.94384;
+const METRES_PER_NM = 1852;
+
+const SAMPLE_MS = 30_000;
+
+class ModeInference {
+    /**
+     * @param {object} app     SignalK app object
+     * @param {object} config  Plugin configuration (uses modeInference)
+     * @param {object} sources { signalkProvider, voice, cm, anchorPlugin, getMode, applyMode }
+     *   getMode() returns the brain mode, applyMode(mode) switches it
+     */
+    constructor(app, config, sources) {
+        this.app = app;
+        this.signalkProvider = sources.signalkProvider;
+        this.voice = sources.voice;
+        this.cm = sources.cm;
+        this.anchorPlugin = sources.anchorPlugin;
+        this.getMode = sources.getMode;
+        this.applyMode = sources.applyMode;
+
+        const settings = config.modeInference || {};
+        this.enabled = settings.enabled !== false;
+        this.autoApply = settings.autoApply === true;
+        this.confirmMs = (settings.confirmMinutes ?? 3) * 60_000;
+        this.manualHoldMs = (settings.manualHoldMinutes ?? 30) * 60_000;
+        this.answerMs = (settings.confirmSeconds ?? 60) * 1000;
+        this.movingKnots = settings.movingKnots ?? 1.5;
+        this.stoppedKnots = settings.stoppedKnots ?? 0.5;
+        this.stationaryMs = (settings.stationaryMinutes ?? 10) * 60_000;
+        this.stationaryRadius = settings.stationaryRadiusMetres ?? 30;
+        this.marinas = (settings.marinas || []).filter(m =>
+            typeof m?.latitude === 'number' && typeof m?.longitude === 'number');
+
+        this._samples = [];
+        this._moving = null;
+        /** Inferred mode waiting out confirmMinutes: { mode, since } */
+        this._candidate = null;
+        /** Spoken proposal waiting for an answer: { mode, from, reason, askedAt, expiresAt } */
+        this.pending = null;
+        this._pendingTimer = null;
+        this._declined = null;
+        this._holdUntil = 0;
+        this._lastEvidence = null;
+        this._timer = null;
+    }
+
+    start() {
+        if (!this.enabled || this._timer) return;
+        this._timer = setInterval(() => this.update(), SAMPLE_MS);
+        this.app.debug(`Mode inference started (${this.autoApply ? 'auto-apply' : 'confirm'}, ${this.marinas.length} marinas)`);
+    }
+
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        this._clearPending();
+    }
+
+    /**
+     * Take a sample and propose a mode change once the inference has held.
+     * @param {number} [now] ms timestamp
+     * @returns {object} Status, see getStatus()
+     */
+    update(now = Date.now()) {
+        const mode = this.getMode();
+        const evidence = this._sample(now);
+        this._lastEvidence = evidence;
+
+        // MOB owns the mode until recovery
+        if (mode === 'mob') {
+            this._candidate = null;
+            this._clearPending();
+            return this.getStatus();
+        }
+
+        const inferred = this._infer(evidence, mode);
+        // A declined mode stays declined until the inference moves on
+        if (inferred && inferred.mode !== this._declined) this._declined = null;
+        if (!inferred || inferred.mode === mode) {
+            this._candidate = null;
+            return this.getStatus();
+        }
+
+        if (this._candidate?.mode !== inferred.mode) {
+            this._candidate = { mode: inferred.mode, since: now };
+        }
+
+        if (!this.pending &&
+            !this._declined &&
+            now >= this._holdUntil &&
+            now - this._candidate.since >= this.confirmMs) {
+            this._propose(inferred, mode, now);
+        }
+        return this.getStatus();
+    }
+
+    /**
+     * Answer the spoken proposal.
+     * @param {boolean} accept
+     * @returns {object|null} Status, null when no proposal is pending
+     */
+    answer(accept) {
+        if (!this.pending) return null;
+        const { mode, from } = this.pending;
+        this._clearPending();
+
+        if (accept) {
+            this._apply(mode);
+        } else {
+            this._declined = mode;
+            this._candidate = null;
+            this._speak('mode.inference.kept', { mode: this.cm.t(`mode.${from}`) });
+        }
+        return this.getStatus();
+    }
+
+    /**
+     * Called by the brain on every mode change. A change by the crew
+     * cancels any proposal and holds inference for manualHoldMinutes.
+     * @param {string} mode
+     * @param {string} [source] 'inference' for changes made here
+     */
+    noteModeChange(mode, source) {
+        if (source === 'inference') return;
+        this._clearPending();
+        this._candidate = null;
+        this._declined = null;
+        this._holdUntil = Date.now() + this.manualHoldMs;
+    }
+
+    getStatus() {
+        const iso = ms => new Date(ms).toISOString();
+        return {
+            enabled: this.enabled,
+            autoApply: this.autoApply,
+            evidence: this._lastEvidence,
+            candidate: this._candidate ? { mode: this._candidate.mode, since: iso(this._candidate.since) } : null,
+            pending: this.pending ? {
+                mode: this.pending.mode,
+                from: this.pending.from,
+                reason: this.pending.reason,
+                askedAt: iso(this.pending.askedAt),
+                expiresAt: iso(this.pending.expiresAt)
+            } : null,
+            declined: this._declined,
+            holdUntil: this._holdUntil > Date.now() ? iso(this._holdUntil) : null
+        };
+    }
+
+    // ────────── INFERENCE ──────────
+
+    _sample(now) {
+        const vessel = this.signalkProvider.getVesselData() || {};
+        const nav = vessel.navigation || {};
+        const sogMs = this._number(nav.speedOverGround);
+        const position = this._validPosition(nav.position?.value ?? nav.position);
+        const sog = sogMs === null ? null : Math.round(sogMs * MS_TO_KNOTS * 10) / 10;
+
+        if (position) {
+            this._samples.push({ t: now, position });
+            while (this._samples.length && now - this._samples[0].t > this.stationaryMs) this._samples.shift();
+        }
+
+        const marina = position ? this._marinaAt(position) : null;
+        return {
+            sog,
+            engine: this._engineRunning(vessel.propulsion),
+            stationary: this._stationary(now),
+            marina: marina ? marina.name || null : null,
+            inMarina: marina !== null
+        };
+    }
+
+    /**
+     * @returns {{ mode: string, reason: string, params: object }|null} null when undecided
+     */
+    _infer(evidence, mode) {
+        const { sog, engine } = evidence;
+        if (sog === null) return null;
+
+        // Two thresholds: between them the previous state holds
+        if (sog >= this.movingKnots) this._moving = true;
+        else if (sog <= this.stoppedKnots) this._moving = false;
+        if (this._moving === null) return null;
+
+        if (this._moving) {
+            // No engine data: motoring and sailing look the same
+            if (engine === null) return null;
+            if (engine) return { mode: 'motoring', reason: 'motoring', params: { speed: Math.round(sog) } };
+            // A dragging anchor moves without the engine: leave that to the anchor watch
+            if (this.anchorPlugin?.isDropped()) return null;
+            return { mode: mode === 'racing' ? 'racing' : 'sailing', reason: 'sailing', params: { speed: Math.round(sog) } };
+        }
+
+        if (!evidence.stationary) return null;
+        if (evidence.inMarina) {
+            return { mode: 'moored', reason: 'moored', params: { marina: evidence.marina || this.cm.t('mode.inference.marina') } };
+        }
+        // Stopped outside a marina with no anchor down: a mooring buoy or a raft-up
+        if (this.anchorPlugin?.isDropped()) return { mode: 'anchored', reason: 'anchored', params: {} };
+        return { mode: 'moored', reason: 'mooring', params: {} };
+    }
+
+    /**
+     * Position held within stationaryRadiusMetres of its centroid over a
+     * full stationaryMinutes window.
+     */
+    _stationary(now) {
+        const samples = this._samples;
+        if (samples.length < 3 || now - samples[0].t < this.stationaryMs * 0.9) return false;
+        const centre = {
+            latitude: samples.reduce((a, s) => a + s.position.latitude, 0) / samples.length,
+            longitude: samples.reduce((a, s) => a + s.position.longitude, 0) / samples.length
+        };
+        return samples.every(s => distanceNM(centre, s.position) * METRES_PER_NM <= this.stationaryRadius);
+    }
+
+    _marinaAt(position) {
+        return this.marinas.find(m =>
+            distanceNM(m, position) * METRES_PER_NM <= (m.radiusMetres ?? 300)) || null;
+    }
+
+    /**
+     * @returns {boolean|null} true when an engine reports revolutions or
+     *   'started', null when no engine reports either
+     */
+    _engineRunning(propulsion) {
+        let known = false;
+        for (const engine of Object.values(propulsion || {})) {
+            const rev = this._number(engine?.revolutions);
+            const state = engine?.state?.value ?? engine?.state;
+            if (rev !== null || typeof state === 'string') known = true;
+            if ((rev !== null && rev > 0) || state === 'started') return true;
+        }
+        return known ? false : null;
+    }
+
+    // ────────── PROPOSAL ──────────
+
+    _propose(inferred, from, now) {
+        const params = {
+            ...inferred.params,
+            mode: this.cm.t(`mode.${inferred.mode}`),
+            current: this.cm.t(`mode.${from}`)
+        };
+        const reason = this.cm.t(`mode.inference.reason.${inferred.reason}`, params);
+        this.pending = {
+            mode: inferred.mode,
+            from,
+            reason,
+            askedAt: now,
+            expiresAt: now + this.answerMs
+        };
+        this._pendingTimer = setTimeout(() => this._expire(), this.answerMs);
+
+        this.app.debug(`Mode inference: proposing ${from} → ${inferred.mode} (${reason})`);
+        this._speak(this.autoApply ? 'mode.inference.apply' : 'mode.inference.propose', { ...params, reason });
+    }
+
+    /**
+     * No answer: auto-apply switches, otherwise the proposal lapses like a "no".
+     */
+    _expire() {
+        const pending = this.pending;
+        this._clearPending();
+        if (!pending || this.getMode() !== pending.from) return;
+        if (this.autoApply) {
+            this._apply(pending.mode);
+        } else {
+            this._declined = pending.mode;
+            this._candidate = null;
+        }
+    }
+
+    _apply(mode) {
+        this._candidate = null;
+        this._declined = null;
+        this.app.debug(`Mode inference: switching to ${mode}`);
+        this.applyMode(mode);
+    }
+
+    _clearPending() {
+        if (this._pendingTimer) {
+            clearTimeout(this._pendingTimer);
+            this._pendingTimer = null;
+        }
+        this.pending = null;
+    }
+
+    _speak(key, params) {
+        // Tagged safety so a proposal, and an auto-applied switch, is heard under DND
+        this.voice.announce(this.cm.t(key, params), 'normal', { replayable: false, safety: true });
+    }
+
+    _validPosition(pos) {
+        return typeof pos?.latitude === 'number' && typeof pos?.longitude === 'number'
+            ? { latitude: pos.latitude, longitude: pos.longitude }
+            : null;
+    }
+
+    _number(raw) {
+        const value = raw !== null && typeof raw === 'object' && 'value' in raw ? raw.value : raw;
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+}
+
+module.exports = ModeInference;
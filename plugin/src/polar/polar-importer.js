@@ -0,0 +1,298 @@
+/**
+ * src/polar/polar-importer.js
+ *
+ * Turns polar files from common tools into the `polars` block of a boat
+ * profile: { tws: [...], twa: [...], speeds: [twsIndex][twaIndex] } in knots.
+ *
+ * Supported formats:
+ * - csv         grid, first row `twa/tws` + TWS columns, one row per TWA;
+ *               tab, semicolon or comma separated (ORC-style exports, qtVlm,
+ *               the learned polar export)
+ * - pol         OpenCPN / weather routing `.pol`, same grid layout (`TWA\TWS`)
+ * - expedition  Expedition `.txt`: one line per TWS, `TWS TWA1 BSP1 TWA2 BSP2 …`
+ * - orc         ORC certificate JSON: WindSpeeds, WindAngles, R<angle> allowances
+ *               (s/NM) plus Beat/BeatAngle and Run/GybeAngle VMG allowances
+ *
+ * Axes must be strictly increasing as written in the file. Missing cells
+ * (empty, `-`, or 0 away from head to wind) are filled by interpolation along
+ * the TWA row, then between neighbouring TWS rows, then by holding the
+ * nearest known value.
+ */
+
+const FORMATS = ['csv', 'pol', 'expedition', 'orc'];
+const MAX_SPEED = 40; // knots — anything above is a unit or parsing error
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+/**
+ * Guess the format from the file extension, then from the content.
+ * @param {string} content
+ * @param {string} [filename]
+ * @returns {string} One of FORMATS
+ */
+function detectFormat(content, filename = '') {
+    const ext = filename.toLowerCase().split('.').pop();
+    if (ext === 'json') return 'orc';
+    if (ext === 'pol') return 'pol';
+
+    const trimmed = content.trim();
+    if (trimmed.startsWith('{')) return 'orc';
+
+    // Expedition lines are purely numeric with an odd number of fields;
+    // grids start with a text header such as `twa/tws`.
+    const first = trimmed.split(/\r?\n/).find(l => l.trim() && !l.trim().startsWith('!'));
+    if (first && !/[a-z]/i.test(first)) {
+        const fields = first.trim().split(/[\s;,]+/);
+        if (fields.length % 2 === 1 && fields.length >= 3) return 'expedition';
+    }
+    return 'csv';
+}
+
+/**
+ * Parse a polar file into rows of measured points.
+ * @param {string} content File content
+ * @param {object} [options] { format, filename }
+ * @returns {{tws: number[], twa: number[], speeds: number[][]}}
+ */
+function parsePolar(content, options = {}) {
+    if (typeof content !== 'string' || !content.trim()) {
+        throw new Error('Polar file is empty');
+    }
+    const format = options.format || detectFormat(content, options.filename);
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unsupported polar format: ${format}`);
+    }
+
+    let rows;
+    switch (format) {
+        case 'expedition':
+            rows = _parseExpedition(content);
+            break;
+        case 'orc':
+            rows = _parseOrc(content);
+            break;
+        default:
+            rows = _parseGrid(content);
+    }
+    return buildPolarMatrix(rows);
+}
+
+/**
+ * Split a line on tabs, semicolons, commas or runs of spaces.
+ */
+function _fields(line) {
+    const separator = line.includes('\t') ? '\t' : line.includes(';') ? ';' : line.includes(',') ? ',' : /\s+/;
+    return line.split(separator).map(f => f.trim());
+}
+
+function _number(field) {
+    if (field === undefined || field === '' || field === '-') return null;
+    const value = Number(String(field).replace(',', '.'));
+    return Number.isFinite(value) ? value : null;
+}
+
+function _assertIncreasing(values, label) {
+    for (let i = 1; i < values.length; i++) {
+        if (!(values[i] > values[i - 1])) {
+            throw new Error(`${label} axis must be strictly increasing (${values[i - 1]} then ${values[i]})`);
+        }
+    }
+}
+
+/**
+ * Grid: header row of TWS, first column TWA.
+ * @returns {Array<{tws: number, points: Array<[number, number]>}>}
+ */
+function _parseGrid(content) {
+    const lines = content.split(/\r?\n/).filter(l => l.trim() && !/^[!#]/.test(l.trim()));
+    if (lines.length < 2) throw new Error('Polar grid needs a header row and at least one TWA row');
+
+    const header = _fields(lines[0]);
+    const tws = header.slice(1).map(_number);
+    if (!tws.length || tws.some(v => v === null)) {
+        throw new Error('Polar grid header must list numeric TWS values after the first cell');
+    }
+    _assertIncreasing(tws, 'TWS');
+
+    const rows = tws.map(t => ({ tws: t, points: [] }));
+    const twaAxis = [];
+    for (const line of lines.slice(1)) {
+        const cells = _fields(line);
+        const twa = _number(cells[0]);
+        if (twa === null) throw new Error(`Invalid TWA value "${cells[0]}"`);
+        twaAxis.push(twa);
+        tws.forEach((_, i) => {
+            const speed = _number(cells[i + 1]);
+            if (speed !== null) rows[i].points.push([twa, speed]);
+        });
+    }
+    _assertIncreasing(twaAxis, 'TWA');
+    return rows;
+}
+
+/**
+ * Expedition: `TWS TWA1 BSP1 TWA2 BSP2 …` per line, `!` starts a comment.
+ */
+function _parseExpedition(content) {
+    const rows = [];
+    for (const line of content.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('!')) continue;
+        const values = trimmed.split(/[\s;,]+/).map(_number);
+        if (values.some(v => v === null) || values.length < 3 || values.length % 2 === 0) {
+            throw new Error(`Invalid Expedition polar line: "${trimmed}"`);
+        }
+        const points = [];
+        for (let i = 1; i < values.length; i += 2) {
+            points.push([values[i], values[i + 1]]);
+        }
+        _assertIncreasing(points.map(p => p[0]), `TWA (TWS ${values[0]})`);
+        rows.push({ tws: values[0], points });
+    }
+    if (!rows.length) throw new Error('Expedition polar contains no data lines');
+    _assertIncreasing(rows.map(r => r.tws), 'TWS');
+    return rows;
+}
+
+/**
+ * ORC certificate JSON. Allowances are seconds per mile; beat and run
+ * allowances are VMG, converted back to boat speed at the beat/gybe angle.
+ */
+function _parseOrc(content) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid ORC JSON: ${error.message}`);
+    }
+    const source = data.Allowances || data.allowances || data;
+    const windSpeeds = source.WindSpeeds;
+    const windAngles = source.WindAngles || [];
+    if (!Array.isArray(windSpeeds) || !windSpeeds.length) {
+        throw new Error('ORC JSON must contain Allowances.WindSpeeds');
+    }
+    _assertIncreasing(windSpeeds, 'TWS');
+    _assertIncreasing(windAngles, 'TWA');
+
+    const speed = (allowance) => (allowance > 0 ? 3600 / allowance : null);
+
+    return windSpeeds.map((tws, i) => {
+        const points = [];
+        for (const angle of windAngles) {
+            const s = speed(source[`R${angle}`]?.[i]);
+            if (s !== null) points.push([angle, s]);
+        }
+        const beatAngle = source.BeatAngle?.[i];
+        const beatVmg = speed(source.Beat?.[i]);
+        if (beatAngle > 0 && beatVmg !== null) {
+            points.push([beatAngle, beatVmg / Math.cos(beatAngle * Math.PI / 180)]);
+        }
+        const gybeAngle = source.GybeAngle?.[i];
+        const runVmg = speed(source.Run?.[i]);
+        if (gybeAngle > 0 && runVmg !== null) {
+            points.push([gybeAngle, runVmg / Math.cos((180 - gybeAngle) * Math.PI / 180)]);
+        }
+        points.sort((a, b) => a[0] - b[0]);
+        return { tws, points: points.filter((p, k) => k === 0 || p[0] !== points[k - 1][0]) };
+    });
+}
+
+/**
+ * Merge per-TWS measured points onto one TWA axis and fill missing cells.
+ * @param {Array<{tws: number, points: Array<[number, number]>}>} rows
+ * @returns {{tws: number[], twa: number[], speeds: number[][]}}
+ */
+function buildPolarMatrix(rows) {
+    const cleaned = rows.map(row => ({
+        tws: row.tws,
+        // 0 is "no data" except head to wind, where it is the real value
+        points: row.points.filter(([twa, s]) => twa >= 0 && twa <= 180 && (s > 0 || twa === 0))
+    }));
+
+    for (const row of cleaned) {
+        if (row.points.some(([, s]) => s > MAX_SPEED)) {
+            throw new Error(`Boat speed above ${MAX_SPEED} kn at TWS ${row.tws} — check the file units`);
+        }
+    }
+    if (cleaned.every(row => row.points.length === 0)) {
+        throw new Error('Polar contains no boat speeds');
+    }
+
+    const tws = cleaned.map(r => r.tws);
+    _assertIncreasing(tws, 'TWS');
+
+    const twaSet = new Set([0]);
+    cleaned.forEach(r => r.points.forEach(([twa]) => twaSet.add(round1(twa))));
+    const twa = [...twaSet].sort((a, b) => a - b);
+
+    // Pass 1: measured values, interpolated along the row between known TWAs
+    const speeds = cleaned.map(row => {
+        const known = new Map(row.points.map(([a, s]) => [round1(a), s]));
+        known.set(0, 0);
+        const knownAngles = [...known.keys()].sort((a, b) => a - b);
+        return twa.map(a => {
+            if (known.has(a)) return known.get(a);
+            const hiIdx = knownAngles.findIndex(k => k > a);
+            if (hiIdx <= 0) return null; // beyond the last measured angle
+            const lo = knownAngles[hiIdx - 1];
+            const hi = knownAngles[hiIdx];
+            return known.get(lo) + (known.get(hi) - known.get(lo)) * (a - lo) / (hi - lo);
+        });
+    });
+
+    // Pass 2: remaining gaps from neighbouring TWS rows, else hold the nearest value
+    twa.forEach((_, j) => {
+        speeds.forEach((row, i) => {
+            if (row[j] !== null) return;
+            let below = i - 1;
+            while (below >= 0 && speeds[below][j] === null) below--;
+            let above = i + 1;
+            while (above < speeds.length && speeds[above][j] === null) above++;
+            if (below >= 0 && above < speeds.length) {
+                const f = (tws[i] - tws[below]) / (tws[above] - tws[below]);
+                row[j] = speeds[below][j] + (speeds[above][j] - speeds[below][j]) * f;
+            }
+        });
+    });
+    speeds.forEach(row => {
+        for (let j = 1; j < row.length; j++) {
+            if (row[j] === null) row[j] = row[j - 1];
+        }
+    });
+
+    return {
+        tws,
+        twa,
+        speeds: speeds.map(row => row.map(s => round1(s ?? 0)))
+    };
+}
+
+/**
+ * Best VMG angles per wind range, for the `optimalTWA` block of a profile.
+ * @param {function} polarFn (tws, twa) → boat speed
+ * @param {number} [maxTwa=180] Last measured angle — beyond it the table only holds values
+ * @returns {object} { light: {upwind, downwind}, moderate, fresh, heavy }
+ */
+function deriveOptimalTWA(polarFn, maxTwa = 180) {
+    const ranges = { light: 8, moderate: 14, fresh: 22, heavy: 30 };
+    const result = {};
+    for (const [range, windSpeed] of Object.entries(ranges)) {
+        let upwind = { twa: 45, vmg: -Infinity };
+        let downwind = { twa: 150, vmg: -Infinity };
+        for (let a = 25; a <= maxTwa; a++) {
+            const vmg = polarFn(windSpeed, a) * Math.cos(a * Math.PI / 180);
+            if (a <= 90 && vmg > upwind.vmg) upwind = { twa: a, vmg };
+            if (a >= 90 && -vmg > downwind.vmg) downwind = { twa: a, vmg: -vmg };
+        }
+        result[range] = { upwind: upwind.twa, downwind: downwind.twa };
+    }
+    return result;
+}
+
+module.exports = {
+    FORMATS,
+    detectFormat,
+    parsePolar,
+    buildPolarMatrix,
+    deriveOptimalTWA
+};
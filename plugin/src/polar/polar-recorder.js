@@ -0,0 +1,448 @@
+/**
+ * src/polar/polar-recorder.js
+ *
+ * Learns the boat's real polar from sailing data.
+ *
+ * TWS / TWA / STW readings arrive through the `data.updated` events emitted
+ * by SignalKDataProvider for every subscribed delta. Samples are only kept
+ * while the boat is sailing steadily — no tack or gybe, no heel or speed
+ * transient, no engine — and are binned by TWS (2 kn) and TWA (5°). Each bin
+ * keeps a bounded set of boat speeds from which percentiles are computed; the
+ * target percentile becomes the learned polar speed for that bin.
+ *
+ * Persisted to <dataDir>/ocearo-learned-polar.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { skPaths, conversions } = require('../common');
+
+const BIN_TWS = 2;   // knots
+const BIN_TWA = 5;   // degrees
+const MOTORING_MODES = ['motoring', 'anchored', 'moored'];
+
+/**
+ * Linear-interpolated percentile of a numeric array.
+ * @param {number[]} values
+ * @param {number} p 0-100
+ * @returns {number|null}
+ */
+function percentile(values, p) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = (p / 100) * (sorted.length - 1);
+    const lo = Math.floor(rank);
+    const hi = Math.ceil(rank);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
+
+const spread = (values) => Math.max(...values) - Math.min(...values);
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+const round = (v, d = 2) => Math.round(v * 10 ** d) / 10 ** d;
+
+class PolarRecorder {
+    /**
+     * @param {object} app     Signal K app object
+     * @param {object} config  Plugin options (uses the `polars` section)
+     * @param {object} deps    { signalkProvider, getMode }
+     */
+    constructor(app, config = {}, deps = {}) {
+        this.app = app;
+        this.signalkProvider = deps.signalkProvider;
+        this.getMode = deps.getMode || (() => null);
+
+        const polarConfig = config.polars || {};
+        this.enabled = polarConfig.record !== false;
+        this.targetPercentile = polarConfig.targetPercentile || 90;
+        this.minSamples = polarConfig.minSamples || 20;
+        this.blendFullSamples = polarConfig.blendFullSamples || 100;
+        this.maxSamplesPerBin = 300;
+
+        // Steady-state filter
+        this.steadySeconds = polarConfig.steadySeconds || 20;
+        this.sampleSeconds = 5;
+        this.maxTwaSpread = 10;     // degrees
+        this.maxHeelSpread = 6;     // degrees
+        this.maxHeel = 35;          // degrees
+        this.maxRateOfTurn = 3;     // degrees per second
+        this.maxStwSpread = 0.15;   // fraction of mean STW
+        this.minTws = 3;            // knots
+        this.minStw = 1;            // knots
+
+        this._filePath = path.join(app.getDataDirPath(), 'ocearo-learned-polar.json');
+        this._bins = new Map();     // 'tws:twa' → { samples: number[], target: number|null }
+        this._latest = {};
+        this._readings = [];
+        this._lastReadingAt = 0;
+        this._lastSampleAt = 0;
+        this._dirty = false;
+        this._updatedAt = null;
+        this._onData = this._handleData.bind(this);
+        this._persistTimer = null;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Lifecycle
+    // ─────────────────────────────────────────────────────────────────────────
+
+    start() {
+        this.load();
+        if (!this.enabled) {
+            this.app.debug('Polar recorder disabled — learned polar is read-only');
+            return;
+        }
+        if (typeof this.app.on === 'function') {
+            this.app.on('data.updated', this._onData);
+        }
+        this._persistTimer = setInterval(() => this.save(), 10 * 60 * 1000);
+        this.app.debug(`Polar recorder started — ${this._bins.size} bins loaded`);
+    }
+
+    stop() {
+        if (typeof this.app.removeListener === 'function') {
+            this.app.removeListener('data.updated', this._onData);
+        }
+        if (this._persistTimer) {
+            clearInterval(this._persistTimer);
+            this._persistTimer = null;
+        }
+        this.save();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this._filePath)) return;
+            const saved = JSON.parse(fs.readFileSync(this._filePath, 'utf8'));
+            this._bins.clear();
+            for (const [key, samples] of Object.entries(saved.bins || {})) {
+                if (Array.isArray(samples)) {
+                    this._bins.set(key, { samples: samples.slice(-this.maxSamplesPerBin), target: null });
+                }
+            }
+            this._updatedAt = saved.updatedAt || null;
+        } catch (err) {
+            this.app.warn(`Could not load learned polar: ${err.message}`);
+        }
+    }
+
+    /**
+     * Persist the bins. Atomic write (temp file + rename), skipped when
+     * nothing changed since the last save.
+     */
+    save() {
+        if (!this._dirty) return;
+        const bins = {};
+        for (const [key, bin] of this._bins) {
+            bins[key] = bin.samples;
+        }
+        const data = {
+            version: 1,
+            updatedAt: this._updatedAt,
+            binWidth: { tws: BIN_TWS, twa: BIN_TWA },
+            bins
+        };
+        const tmp = `${this._filePath}.tmp`;
+        try {
+            fs.writeFileSync(tmp, JSON.stringify(data), 'utf8');
+            fs.renameSync(tmp, this._filePath);
+            this._dirty = false;
+        } catch (err) {
+            this.app.warn(`Could not save learned polar: ${err.message}`);
+            try { fs.unlinkSync(tmp); } catch { /* ignore cleanup failure */ }
+        }
+    }
+
+    /**
+     * Forget everything learned (e.g. after antifouling or a new sail wardrobe).
+     */
+    reset() {
+        this._bins.clear();
+        this._readings = [];
+        this._updatedAt = new Date().toISOString();
+        this._dirty = true;
+        this.save();
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Sampling
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Track the latest value of the paths we need; speed-through-water
+     * updates drive the 1 Hz reading clock.
+     * @param {{path: string, value: *}} update
+     */
+    _handleData({ path: skPath, value } = {}) {
+        switch (skPath) {
+            case skPaths.environment.wind.speedTrue:
+                this._latest.tws = value;
+                break;
+            case skPaths.environment.wind.angleTrueWater:
+                this._latest.twa = value;
+                break;
+            case skPaths.navigation.attitude:
+                this._latest.heel = value?.roll;
+                break;
+            case skPaths.navigation.rateOfTurn:
+                this._latest.rot = value;
+                break;
+            case skPaths.navigation.speedThroughWater:
+                this._latest.stw = value;
+                this._addReading(Date.now());
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Append a 1 Hz reading (display units) and try to record a sample.
+     * @param {number} now Epoch ms
+     */
+    _addReading(now) {
+        if (now - this._lastReadingAt < 1000) return;
+        this._lastReadingAt = now;
+
+        const { tws, twa, stw, heel, rot } = this._latest;
+        if (![tws, twa, stw].every(v => typeof v === 'number' && !isNaN(v))) return;
+
+        this._readings.push({
+            t: now,
+            tws: conversions.msToKnots(tws),
+            twa: conversions.radToDeg(twa),
+            stw: conversions.msToKnots(stw),
+            heel: typeof heel === 'number' ? conversions.radToDeg(heel) : null,
+            rot: typeof rot === 'number' ? conversions.radToDeg(rot) : null
+        });
+
+        const horizon = now - this.steadySeconds * 1000;
+        while (this._readings.length && this._readings[0].t < horizon) {
+            this._readings.shift();
+        }
+
+        if (now - this._lastSampleAt >= this.sampleSeconds * 1000 && this._isSteady(now)) {
+            this._lastSampleAt = now;
+            this._recordSample(now);
+        }
+    }
+
+    /**
+     * True when the last `steadySeconds` of readings describe steady sailing.
+     * @param {number} now Epoch ms
+     * @returns {boolean}
+     */
+    _isSteady(now) {
+        const readings = this._readings;
+        if (readings.length < this.steadySeconds * 0.6) return false;
+        if (readings[0].t > now - this.steadySeconds * 1000 + 2000) return false;
+
+        if (this._isMotoring()) return false;
+
+        // Tack or gybe: true wind crossed the bow or stern
+        const sides = new Set(readings.map(r => Math.sign(r.twa)));
+        if (sides.size > 1) return false;
+
+        const twa = readings.map(r => Math.abs(r.twa));
+        const tws = readings.map(r => r.tws);
+        const stw = readings.map(r => r.stw);
+        const meanTws = mean(tws);
+        const meanStw = mean(stw);
+
+        if (meanTws < this.minTws || meanStw < this.minStw) return false;
+        if (spread(twa) > this.maxTwaSpread) return false;
+        if (spread(tws) > Math.max(2, meanTws * 0.2)) return false;
+        if (spread(stw) > meanStw * this.maxStwSpread) return false;
+
+        const heel = readings.map(r => r.heel).filter(h => h !== null);
+        if (heel.length) {
+            if (spread(heel) > this.maxHeelSpread) return false;
+            if (Math.max(...heel.map(Math.abs)) > this.maxHeel) return false;
+        }
+
+        const rot = readings.map(r => r.rot).filter(r => r !== null);
+        if (rot.length && Math.max(...rot.map(Math.abs)) > this.maxRateOfTurn) return false;
+
+        return true;
+    }
+
+    /**
+     * Motoring if the brain says so or any engine reports revolutions / started.
+     * @returns {boolean}
+     */
+    _isMotoring() {
+        if (MOTORING_MODES.includes(this.getMode())) return true;
+        const propulsion = this.signalkProvider?.getVesselData()?.propulsion || {};
+        return Object.values(propulsion).some(engine => {
+            const rev = engine?.revolutions?.value ?? engine?.revolutions;
+            const state = engine?.state?.value ?? engine?.state;
+            return (typeof rev === 'number' && rev > 0) || state === 'started';
+        });
+    }
+
+    /**
+     * Average the most recent `sampleSeconds` of readings into one bin sample.
+     * @param {number} now Epoch ms
+     */
+    _recordSample(now) {
+        const recent = this._readings.filter(r => r.t >= now - this.sampleSeconds * 1000);
+        const tws = mean(recent.map(r => r.tws));
+        const twa = mean(recent.map(r => Math.abs(r.twa)));
+        const stw = mean(recent.map(r => r.stw));
+        this.addSample(tws, twa, stw);
+    }
+
+    /**
+     * Add one steady-state sample to its bin.
+     * @param {number} tws True wind speed, knots
+     * @param {number} twa True wind angle, degrees (0-180)
+     * @param {number} stw Speed through water, knots
+     */
+    addSample(tws, twa, stw) {
+        const key = this._binKey(tws, twa);
+        let bin = this._bins.get(key);
+        if (!bin) {
+            bin = { samples: [], target: null };
+            this._bins.set(key, bin);
+        }
+        if (bin.samples.length < this.maxSamplesPerBin) {
+            bin.samples.push(round(stw));
+        } else {
+            // Keep the bin bounded but still representative of the whole history
+            bin.samples[Math.floor(Math.random() * bin.samples.length)] = round(stw);
+        }
+        bin.target = null;
+        this._updatedAt = new Date().toISOString();
+        this._dirty = true;
+    }
+
+    _binKey(tws, twa) {
+        const twsBin = Math.round(tws / BIN_TWS) * BIN_TWS;
+        const twaBin = Math.round(Math.min(180, Math.abs(twa)) / BIN_TWA) * BIN_TWA;
+        return `${twsBin}:${twaBin}`;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Learned polar
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Target speed and sample count of one bin, or null if it has too few samples.
+     */
+    _binTarget(twsBin, twaBin) {
+        const bin = this._bins.get(`${twsBin}:${twaBin}`);
+        if (!bin || bin.samples.length < this.minSamples) return null;
+        if (bin.target === null) {
+            bin.target = percentile(bin.samples, this.targetPercentile);
+        }
+        return { speed: bin.target, count: bin.samples.length };
+    }
+
+    /**
+     * Learned speed at an arbitrary TWS/TWA, bilinearly interpolated between
+     * the surrounding bins that have enough samples.
+     * @param {number} tws Knots
+     * @param {number} twa Degrees
+     * @returns {{speed: number, weight: number}|null} weight (0-1) grows with sample count, for blending
+     */
+    lookup(tws, twa) {
+        twa = Math.max(0, Math.min(180, Math.abs(twa)));
+        const twsLo = Math.floor(tws / BIN_TWS) * BIN_TWS;
+        const twaLo = Math.floor(twa / BIN_TWA) * BIN_TWA;
+        const fTws = (tws - twsLo) / BIN_TWS;
+        const fTwa = (twa - twaLo) / BIN_TWA;
+
+        const corners = [
+            [twsLo, twaLo, (1 - fTws) * (1 - fTwa)],
+            [twsLo, twaLo + BIN_TWA, (1 - fTws) * fTwa],
+            [twsLo + BIN_TWS, twaLo, fTws * (1 - fTwa)],
+            [twsLo + BIN_TWS, twaLo + BIN_TWA, fTws * fTwa]
+        ];
+
+        let weightSum = 0;
+        let speed = 0;
+        let count = 0;
+        for (const [tBin, aBin, w] of corners) {
+            if (w <= 0) continue;
+            const target = this._binTarget(tBin, aBin);
+            if (!target) continue;
+            weightSum += w;
+            speed += target.speed * w;
+            count += target.count * w;
+        }
+
+        // Less than half of the interpolation footprint learned: not trustworthy
+        if (weightSum < 0.5) return null;
+
+        return {
+            speed: round(speed / weightSum, 1),
+            weight: Math.min(1, count / weightSum / this.blendFullSamples)
+        };
+    }
+
+    /**
+     * Learned polar as a grid, rows by TWA and columns by TWS.
+     * @returns {{tws: number[], twa: number[], speeds: Array<Array<number|null>>, counts: number[][]}}
+     */
+    getTable() {
+        const twsSet = new Set();
+        const twaSet = new Set();
+        for (const key of this._bins.keys()) {
+            const [tws, twa] = key.split(':').map(Number);
+            twsSet.add(tws);
+            twaSet.add(twa);
+        }
+        const tws = [...twsSet].sort((a, b) => a - b);
+        const twa = [...twaSet].sort((a, b) => a - b);
+
+        return {
+            tws,
+            twa,
+            speeds: twa.map(a => tws.map(t => {
+                const target = this._binTarget(t, a);
+                return target ? round(target.speed, 1) : null;
+            })),
+            counts: twa.map(a => tws.map(t => this._bins.get(`${t}:${a}`)?.samples.length || 0))
+        };
+    }
+
+    /**
+     * Export as an ORC/Expedition-style grid: first row `twa/tws` then the TWS
+     * columns, one row per TWA. Cells without enough samples are left empty
+     * unless a `fill(tws, twa)` function supplies a value (e.g. a blended polar).
+     * @param {object} [options] { separator: ';', fill }
+     * @returns {string}
+     */
+    toCsv({ separator = ';', fill = null } = {}) {
+        const table = this.getTable();
+        const lines = [['twa/tws', ...table.tws].join(separator)];
+        table.twa.forEach((twa, i) => {
+            const cells = table.tws.map((tws, j) => {
+                const speed = table.speeds[i][j] ?? (fill ? fill(tws, twa) : null);
+                return speed === null || speed === undefined ? '' : speed.toFixed(1);
+            });
+            lines.push([twa, ...cells].join(separator));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    getStatistics() {
+        let samples = 0;
+        let ready = 0;
+        for (const [key, bin] of this._bins) {
+            samples += bin.samples.length;
+            const [tws, twa] = key.split(':').map(Number);
+            if (this._binTarget(tws, twa)) ready++;
+        }
+        return {
+            recording: this.enabled,
+            targetPercentile: this.targetPercentile,
+            minSamples: this.minSamples,
+            bins: this._bins.size,
+            binsReady: ready,
+            samples,
+            updatedAt: this._updatedAt
+        };
+    }
+}
+
+module.exports = PolarRecorder;
@@ -0,0 +1,411 @@
+/**
+ * Tank Monitor
+ *
+ * Level history and consumption forecast of the water and holding tanks:
+ * - `tanks.freshWater.*`, `tanks.wasteWater.*` and `tanks.blackWater.*`
+ *   are read every minute and recorded every 15 minutes (median of the
+ *   readings, against sloshing under way) with the brain mode
+ * - daily use is the level change between records, split at anchor
+ *   (anchored or moored) and under way. A jump over `refillPercent`
+ *   between two records is a refill (fresh water) or a pump-out (holding
+ *   tank) and is left out.
+ * - fresh water: days left at the use of the current mode
+ * - holding tanks: days to `holdingFullPercent`, with a warning above
+ *   `holdingWarnPercent` or within `holdingWarnDays`, and the distance to
+ *   the nearest of `tanks.pumpouts`
+ *
+ * Litres need the tank capacity: `capacity` from Signal K, else the boat
+ * profile (`tanks.freshWater`, `tanks.holding`) for a single tank of its
+ * type. Warnings raise `notifications.<pluginId>.tanks.<type>.<id>`.
+ *
+ * History of the last 30 days is persisted to <dataDir>/ocearo-tanks.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLE_MS = 60_000;
+const RECORD_MS = 15 * 60_000;
+const PERSIST_MS = 10 * 60_000;
+const DAY_MS = 86_400_000;
+const HISTORY_MS = 30 * DAY_MS;
+
+/** Records further apart than this are not compared (plugin stopped) */
+const MAX_GAP_MS = 2 * RECORD_MS;
+
+/** Time needed in a mode before its daily use is trusted */
+const MIN_MODE_MS = 6 * 3_600_000;
+
+const TANK_TYPES = {
+    freshWater: { kind: 'fresh', profileKey: 'tanks.freshWater' },
+    wasteWater: { kind: 'holding', profileKey: 'tanks.holding' },
+    blackWater: { kind: 'holding', profileKey: 'tanks.holding' }
+};
+
+const ANCHORED_MODES = ['anchored', 'moored'];
+
+class TankMonitor {
+    /**
+     * @param {object} app     SignalK app object
+     * @param {object} config  Plugin configuration (uses tanks)
+     * @param {object} sources { signalkProvider, cm, getMode }
+     *   getMode() returns the brain mode
+     */
+    constructor(app, config, sources) {
+        this.app = app;
+        this.signalkProvider = sources.signalkProvider;
+        this.cm = sources.cm;
+        this.getMode = sources.getMode || (() => null);
+
+        const settings = config.tanks || {};
+        this.enabled = settings.enabled !== false;
+        this.windowMs = (settings.windowDays ?? 7) * DAY_MS;
+        this.refillStep = (settings.refillPercent ?? 5) / 100;
+        this.freshWarnDays = settings.freshWaterWarnDays ?? 2;
+        this.holdingWarnLevel = (settings.holdingWarnPercent ?? 75) / 100;
+        this.holdingFullLevel = (settings.holdingFullPercent ?? 90) / 100;
+        this.holdingWarnDays = settings.holdingWarnDays ?? 1;
+        this.pumpouts = (settings.pumpouts || []).filter(p =>
+            p && Number.isFinite(p.latitude) && Number.isFinite(p.longitude));
+
+        this._notificationPrefix = `notifications.${this.signalkProvider.pluginId || 'ocearo-core'}.tanks`;
+        this._filePath = path.join(app.getDataDirPath(), 'ocearo-tanks.json');
+        /** Persisted: { history: { 'type.id': [[t, level, mode]] } } */
+        this.state = { history: {} };
+        this._readings = {};    // tank key → levels since the last record
+        this._tanks = {};       // tank key → { type, id, name, capacity (m³) } from the last reading
+        this._lastRecord = 0;
+        this._raised = {};      // tank key → warning message raised
+        this._dirty = false;
+        this._timer = null;
+        this._persistTimer = null;
+    }
+
+    start() {
+        if (!this.enabled || this._timer) return;
+        this.load();
+        this.sample();
+        this._timer = setInterval(() => this.sample(), SAMPLE_MS);
+        this._persistTimer = setInterval(() => this.save(), PERSIST_MS);
+        this.app.debug(`Tank monitor started (${Object.keys(this._tanks).length} tanks)`);
+    }
+
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        if (this._persistTimer) {
+            clearInterval(this._persistTimer);
+            this._persistTimer = null;
+        }
+        for (const key of Object.keys(this._raised)) {
+            this.signalkProvider.writePath(`${this._notificationPrefix}.${key}`, null);
+        }
+        this._raised = {};
+        this.save();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this._filePath)) return;
+            Object.assign(this.state, JSON.parse(fs.readFileSync(this._filePath, 'utf8')));
+        } catch (error) {
+            this.app.warn(`Could not load tank history: ${error.message}`);
+        }
+    }
+
+    save() {
+        if (!this._dirty) return;
+        const tmp = `${this._filePath}.tmp`;
+        try {
+            fs.writeFileSync(tmp, JSON.stringify(this.state), 'utf8');
+            fs.renameSync(tmp, this._filePath);
+            this._dirty = false;
+        } catch (error) {
+            this.app.warn(`Could not save tank history: ${error.message}`);
+            try { fs.unlinkSync(tmp); } catch { /* ignore cleanup failure */ }
+        }
+    }
+
+    // ────────── SAMPLING ──────────
+
+    /**
+     * Read the tank levels, and record them every RECORD_MS.
+     * @param {number} [now] ms timestamp
+     */
+    sample(now = Date.now()) {
+        for (const type of Object.keys(TANK_TYPES)) {
+            const tanks = this.signalkProvider._getSelfPath(`tanks.${type}`);
+            if (!tanks || typeof tanks !== 'object') continue;
+            for (const [id, data] of Object.entries(tanks)) {
+                const level = this._number(data?.currentLevel);
+                if (level === null) continue;
+                const key = `${type}.${id}`;
+                this._tanks[key] = {
+                    type,
+                    id,
+                    name: this._text(data.name),
+                    capacity: this._number(data.capacity)
+                };
+                (this._readings[key] = this._readings[key] || []).push(level);
+            }
+        }
+
+        if (now - this._lastRecord < RECORD_MS) return;
+        this._lastRecord = now;
+        const mode = ANCHORED_MODES.includes(this.getMode()) ? 'anchored' : 'underway';
+        for (const [key, levels] of Object.entries(this._readings)) {
+            if (levels.length === 0) continue;
+            const history = (this.state.history[key] || []).filter(r => now - r[0] <= HISTORY_MS);
+            history.push([now, this._round(this._median(levels), 3), mode]);
+            this.state.history[key] = history;
+            this._dirty = true;
+        }
+        this._readings = {};
+    }
+
+    // ────────── FORECAST ──────────
+
+    /**
+     * Daily use of a tank over `windowDays`, per mode.
+     * Fresh water counts the level going down, holding tanks the level going up.
+     * @param {string} key 'type.id'
+     * @param {number} [now] ms timestamp
+     * @returns {object} { anchored, underway, overall }, each { perDay (ratio), litresPerDay, hours } or null
+     */
+    getConsumption(key, now = Date.now()) {
+        const [type] = key.split('.');
+        const sign = TANK_TYPES[type]?.kind === 'fresh' ? -1 : 1;
+        const history = (this.state.history[key] || []).filter(r => now - r[0] <= this.windowMs);
+        const totals = {
+            anchored: { used: 0, ms: 0 },
+            underway: { used: 0, ms: 0 }
+        };
+
+        for (let i = 1; i < history.length; i++) {
+            const [t0, level0, mode] = history[i - 1];
+            const [t1, level1] = history[i];
+            if (t1 - t0 > MAX_GAP_MS) continue;
+            const used = sign * (level1 - level0);
+            if (used < -this.refillStep) continue;      // refill or pump-out
+            const bucket = totals[mode] || totals.underway;
+            bucket.used += used;
+            bucket.ms += t1 - t0;
+        }
+
+        const capacity = this._capacityLitres(key);
+        const rate = ({ used, ms }) => {
+            if (ms < MIN_MODE_MS) return null;
+            const perDay = Math.max(0, used) / (ms / DAY_MS);
+            return {
+                perDay: this._round(perDay, 3),
+                litresPerDay: capacity !== null ? this._round(perDay * capacity, 1) : null,
+                hours: this._round(ms / 3_600_000, 1)
+            };
+        };
+        return {
+            anchored: rate(totals.anchored),
+            underway: rate(totals.underway),
+            overall: rate({
+                used: totals.anchored.used + totals.underway.used,
+                ms: totals.anchored.ms + totals.underway.ms
+            })
+        };
+    }
+
+    /**
+     * Level, daily use and forecast of every tank seen.
+     * @param {number} [now] ms timestamp
+     * @returns {object[]} { key, type, id, kind, name, level, capacity, litres, consumption,
+     *                      basis, daysLeft (fresh), daysToFull (holding), warning, message }
+     */
+    getForecasts(now = Date.now()) {
+        const mode = ANCHORED_MODES.includes(this.getMode()) ? 'anchored' : 'underway';
+        const forecasts = [];
+
+        for (const [key, tank] of Object.entries(this._tanks)) {
+            const level = this.state.history[key]?.at(-1)?.[1] ?? null;
+            if (level === null) continue;
+            const kind = TANK_TYPES[tank.type].kind;
+            const capacity = this._capacityLitres(key);
+            const consumption = this.getConsumption(key, now);
+            const basis = consumption[mode] ? mode : consumption.overall ? 'overall' : null;
+            const perDay = basis ? consumption[basis].perDay : null;
+
+            const forecast = {
+                key,
+                type: tank.type,
+                id: tank.id,
+                kind,
+                name: this._name(key),
+                level,
+                capacity,
+                litres: capacity !== null ? this._round(level * capacity, 0) : null,
+                consumption,
+                basis
+            };
+
+            if (kind === 'fresh') {
+                forecast.daysLeft = perDay > 0 ? this._round(level / perDay, 1) : null;
+                forecast.warning = forecast.daysLeft !== null && forecast.daysLeft <= this.freshWarnDays;
+            } else {
+                const room = Math.max(0, this.holdingFullLevel - level);
+                forecast.daysToFull = room === 0 ? 0 : perDay > 0 ? this._round(room / perDay, 1) : null;
+                forecast.warning = level >= this.holdingWarnLevel
+                    || (forecast.daysToFull !== null && forecast.daysToFull <= this.holdingWarnDays);
+            }
+            forecast.message = this._message(forecast);
+            forecasts.push(forecast);
+        }
+        return forecasts;
+    }
+
+    /**
+     * Level records of a tank.
+     * @param {string} key 'type.id'
+     * @param {number} [hours] Records of the last hours, all by default
+     * @returns {object[]|null} { datetime, level, mode }, null for an unknown tank
+     */
+    getHistory(key, hours, now = Date.now()) {
+        // The key comes from the URL: '__proto__' or 'constructor' are not tanks
+        if (!Object.hasOwn(this.state.history, key)) return null;
+        const history = this.state.history[key];
+        const since = hours ? now - hours * 3_600_000 : 0;
+        return history
+            .filter(r => r[0] >= since)
+            .map(([t, level, mode]) => ({ datetime: new Date(t).toISOString(), level, mode }));
+    }
+
+    /**
+     * Nearest configured pump-out station to the boat.
+     * @returns {object|null} { name, latitude, longitude, distance (NM) }
+     */
+    nearestPumpout() {
+        const raw = this.signalkProvider._getSelfPath('navigation.position');
+        const position = raw && typeof raw === 'object' && 'value' in raw ? raw.value : raw;
+        if (!position || !Number.isFinite(position.latitude) || !this.pumpouts.length) return null;
+
+        let nearest = null;
+        for (const station of this.pumpouts) {
+            const distance = this._distanceNM(position, station);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { name: station.name || null, latitude: station.latitude, longitude: station.longitude, distance: this._round(distance, 1) };
+            }
+        }
+        return nearest;
+    }
+
+    _message(forecast) {
+        if (forecast.kind === 'fresh') {
+            if (forecast.daysLeft === null) return null;
+            return this.cm.t('tanks.fresh_days', { tank: forecast.name, days: forecast.daysLeft });
+        }
+
+        const percent = Math.round(forecast.level * 100);
+        let message;
+        if (forecast.daysToFull !== null && forecast.daysToFull > 0 && forecast.daysToFull < 2) {
+            message = this.cm.t('tanks.holding_full_hours', { tank: forecast.name, percent, hours: Math.max(1, Math.round(forecast.daysToFull * 24)) });
+        } else if (forecast.daysToFull !== null && forecast.daysToFull > 0) {
+            message = this.cm.t('tanks.holding_full_days', { tank: forecast.name, percent, days: Math.round(forecast.daysToFull) });
+        } else {
+            message = this.cm.t('tanks.holding_level', { tank: forecast.name, percent });
+        }
+
+        const pumpout = forecast.warning ? this.nearestPumpout() : null;
+        if (pumpout) {
+            message += `. ${this.cm.t('tanks.pumpout', { name: pumpout.name || this.cm.t('tanks.pumpout_station'), distance: pumpout.distance })}`;
+        }
+        return message;
+    }
+
+    // ────────── NOTIFICATIONS ──────────
+
+    /**
+     * Raise or clear the tank warnings.
+     * @param {number} [now] ms timestamp
+     * @returns {object[]} Forecasts warned about since the last check
+     */
+    check(now = Date.now()) {
+        if (!this.enabled) return [];
+        const raised = [];
+        const warned = new Set();
+
+        for (const forecast of this.getForecasts(now)) {
+            if (!forecast.warning) continue;
+            warned.add(forecast.key);
+            if (this._raised[forecast.key] === forecast.message) continue;
+
+            this.signalkProvider.writePath(`${this._notificationPrefix}.${forecast.key}`, {
+                state: 'warn',
+                message: forecast.message,
+                method: ['visual'],
+                timestamp: new Date(now).toISOString()
+            });
+            if (!this._raised[forecast.key]) raised.push(forecast);
+            this._raised[forecast.key] = forecast.message;
+        }
+
+        for (const key of Object.keys(this._raised)) {
+            if (warned.has(key)) continue;
+            this.signalkProvider.writePath(`${this._notificationPrefix}.${key}`, null);
+            delete this._raised[key];
+        }
+        return raised;
+    }
+
+    // ────────── HELPERS ──────────
+
+    /**
+     * Capacity in litres: Signal K, else the boat profile for a single tank of the type.
+     */
+    _capacityLitres(key) {
+        const tank = this._tanks[key];
+        if (!tank) return null;
+        if (tank.capacity !== null) return this._round(tank.capacity * 1000, 0);
+        const sameType = Object.values(this._tanks).filter(t => t.type === tank.type).length;
+        const profile = this.cm.boatValue(TANK_TYPES[tank.type].profileKey, null);
+        return sameType === 1 && typeof profile === 'number' && profile > 0 ? profile : null;
+    }
+
+    _name(key) {
+        const tank = this._tanks[key];
+        if (tank.name) return tank.name;
+        const typeName = this.cm.t(`tanks.type.${tank.type}`);
+        const sameType = Object.values(this._tanks).filter(t => t.type === tank.type).length;
+        return sameType > 1 ? `${typeName} ${tank.id}` : typeName;
+    }
+
+    _distanceNM(from, to) {
+        const R = 3440.065;
+        const toRad = d => d * Math.PI / 180;
+        const dLat = toRad(to.latitude - from.latitude);
+        const dLon = toRad(to.longitude - from.longitude);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.sin(dLon / 2) ** 2;
+        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    _median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    _text(raw) {
+        const value = raw !== null && typeof raw === 'object' && 'value' in raw ? raw.value : raw;
+        return typeof value === 'string' && value ? value : null;
+    }
+
+    _number(raw) {
+        const value = raw !== null && typeof raw === 'object' && 'value' in raw ? raw.value : raw;
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    _round(value, digits = 1) {
+        const f = 10 ** digits;
+        return Math.round(value * f) / f;
+    }
+}
+
+module.exports = TankMonitor;
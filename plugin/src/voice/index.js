@@ -68,6 +68,9 @@ class VoiceModule {
         this.queue = [];
         this.speaking = false;
 
+        // Last utterance actually played, kept for "say again" requests
+        this.lastSpoken = null;
+
         // Persistent Kokoro daemon (keeps the ONNX model resident between utterances)
         this.kokoroProc = null;
         this._kokoroReady = false;
@@ -394,7 +397,8 @@ class VoiceModule {
     /**
      * Set do-not-disturb mode: 'off' | 'safety' | 'all'.
      * 'safety' lets only safety-tagged or critical-priority messages through,
-     * 'all' silences everything. Pending queue is dropped on activation.
+     * 'all' silences everything but emergencies (options.emergency, e.g. an
+     * AIS-SART in range). Pending queue is dropped on activation.
      */
     setDnd(mode) {
         this.dndMode = mode;
@@ -404,7 +408,7 @@ class VoiceModule {
     }
 
     _dndBlocks(options = {}) {
-        if (this.dndMode === 'off') return false;
+        if (this.dndMode === 'off' || options.emergency === true) return false;
         if (this.dndMode === 'all') return true;
         return !(options.safety === true || options.priority === 'critical');
     }
@@ -457,12 +461,18 @@ class VoiceModule {
                     await this.speakToConsole(text, options);
                     break;
             }
+            // Command acknowledgements are flagged so "say again" skips them
+            if (options?.replayable !== false) {
+                this.lastSpoken = { text, options };
+            }
         } catch (error) {
             this.app.error('Speech failed:', error);
         }
         
-        // Continue with next item
-        setTimeout(() => this.processQueue(), 500);
+        // Continue with next item; sentences streamed from the same LLM
+        // answer follow each other with a short breath instead of a pause.
+        const gap = options?.streamed && this.queue[0]?.options?.streamed ? 150 : 500;
+        setTimeout(() => this.processQueue(), gap);
     }
 
     /**
@@ -617,6 +627,22 @@ class VoiceModule {
         }
     }
 
+    /**
+     * Queue the last played utterance again, ahead of anything pending.
+     * @returns {boolean} false when there is nothing to repeat or DND blocks it
+     */
+    replayLast() {
+        if (!this.lastSpoken || !this.enabled || this._dndBlocks(this.lastSpoken.options)) {
+            return false;
+        }
+        // Text is already formatted for TTS, so bypass speak()
+        this.queue.unshift({ ...this.lastSpoken });
+        if (!this.speaking) {
+            this.processQueue();
+        }
+        return true;
+    }
+
     /**
      * Get queue status
      */
@@ -0,0 +1,528 @@
+/**
+ * Voice Command Listener
+ *
+ * Hands-free commands for the helm. A local, offline speech-to-text engine
+ * (Vosk, via scripts/ocearo-stt.py) runs as a persistent subprocess managed
+ * like the Kokoro TTS daemon. Transcripts are gated by a wake word, matched
+ * against English and French intents, and mapped to existing actions:
+ * - mode change          → OrchestratorBrain.updateMode
+ * - do-not-disturb       → OrchestratorBrain.setDnd
+ * - weather/sail/…       → OrchestratorBrain.requestAnalysis
+ * - anchor drop / raise  → AnchorPlugin.dropAnchor / raiseAnchor
+ * - man overboard / end  → OrchestratorBrain.startMOB / endMOB
+ * - yes / no             → ModeInference.answer, while a mode proposal waits
+ * - "say again"          → VoiceModule.replayLast
+ *
+ * The microphone is optional: WAV files can be fed through transcribeFile()
+ * or processFile() (and POST /voice/command) to exercise the same pipeline.
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+
+const MARKER = '__OCEARO_STT__';
+
+const MODE_KEYWORDS = [
+    { mode: 'anchored', pattern: /\b(anchored|at anchor|mouillage)\b/ },
+    { mode: 'moored', pattern: /\b(moored|docked|alongside|in port|amarre|au port|a quai|au ponton)\b/ },
+    { mode: 'motoring', pattern: /\b(motoring|under (engine|power)|moteur)\b/ },
+    { mode: 'racing', pattern: /\b(racing|race|regate|course)\b/ },
+    { mode: 'sailing', pattern: /\b(sailing|under sail|voile)\b/ }
+];
+
+const ANALYSIS_KEYWORDS = [
+    { type: 'briefing', pattern: /\b(briefing|sitrep|situation report|point de situation|point complet)\b/ },
+    { type: 'weather', pattern: /\b(weather|forecast|meteo|previsions?)\b/ },
+    { type: 'sail', pattern: /\b(sails?|trim|voiles?|reglages?)\b/ },
+    { type: 'ais', pattern: /\b(ais|traffic|trafic|ships?|navires?)\b/ },
+    { type: 'alerts', pattern: /\b(alerts?|alarms?|alertes?|alarmes?)\b/ },
+    { type: 'logbook', pattern: /\b(logbook|log book|journal de bord|journal)\b/ },
+    { type: 'status', pattern: /\b(status|statut|etat)\b/ }
+];
+
+const NUMBER_WORDS = {
+    one: 1, a: 1, an: 1, two: 2, three: 3, four: 4, five: 5, ten: 10, fifteen: 15,
+    twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, ninety: 90,
+    un: 1, une: 1, deux: 2, trois: 3, quatre: 4, cinq: 5, dix: 10, quinze: 15,
+    vingt: 20, trente: 30, quarante: 40, cinquante: 50, soixante: 60
+};
+
+/**
+ * Lowercase, strip accents and punctuation so one pattern covers STT output
+ * in both languages ("levez l'ancre" → "levez l ancre").
+ * @param {string} text
+ * @returns {string}
+ */
+function normalise(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+class VoiceCommandListener {
+    /**
+     * @param {object} app     Signal K app object
+     * @param {object} config  Plugin options (uses voice.listener)
+     * @param {object} deps    { brain, voice, configManager }
+     */
+    constructor(app, config, deps = {}) {
+        this.app = app;
+        this.brain = deps.brain;
+        this.voice = deps.voice;
+        this.cm = deps.configManager;
+
+        const listenerConfig = config.voice?.listener || {};
+        this.enabled = listenerConfig.enabled === true;
+        this.useMicrophone = listenerConfig.microphone !== false;
+        this.lang = config.language || 'fr';
+
+        // Same resolution order as the Kokoro daemon: dedicated venv first
+        const sttCommand = fs.existsSync('/opt/vosk/venv/bin/python3')
+            ? '/opt/vosk/venv/bin/python3'
+            : (fs.existsSync('/usr/bin/python3') ? '/usr/bin/python3' : 'python3');
+
+        this.settings = {
+            command: listenerConfig.command || sttCommand,
+            script: listenerConfig.script || path.join(__dirname, '../../scripts/ocearo-stt.py'),
+            modelPath: listenerConfig.modelPath || (this.lang === 'fr' ? '/opt/vosk/model-fr' : '/opt/vosk/model-en'),
+            device: listenerConfig.device || 'default',
+            transcriptionTimeoutSeconds: listenerConfig.transcriptionTimeoutSeconds || 30
+        };
+
+        this.wakeWords = (listenerConfig.wakeWords?.length ? listenerConfig.wakeWords : ['jarvis', 'ocearo'])
+            .map(normalise)
+            .filter(Boolean);
+        this.followUpMs = (listenerConfig.followUpSeconds ?? 8) * 1000;
+        this._awaitingCommandUntil = 0;
+
+        // Persistent STT daemon (keeps the acoustic model resident)
+        this.proc = null;
+        this._ready = false;
+        this._buffer = '';
+        this._pending = null; // { resolve, timer }
+        this._fileChain = Promise.resolve();
+        this.lastCommand = null;
+    }
+
+    /**
+     * Start listening on the microphone when enabled.
+     */
+    start() {
+        if (!this.enabled) {
+            this.app.debug('Voice command listener disabled');
+            return;
+        }
+        this._ensureDaemon();
+        this.app.debug(`Voice command listener started (wake words: ${this.wakeWords.join(', ')})`);
+    }
+
+    /**
+     * Stop the STT daemon and release any waiter.
+     */
+    stop() {
+        this._resolvePending(null);
+        if (this.proc && !this.proc.killed) {
+            try {
+                this.proc.stdin.end();
+                this.proc.kill();
+            } catch { /* ignore */ }
+        }
+        this.proc = null;
+        this._ready = false;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // STT daemon
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Ensure the persistent STT daemon is running.
+     * The microphone is only opened when the listener is enabled, so WAV
+     * transcription works on boats without one.
+     * @returns {boolean} true if a daemon process is available
+     */
+    _ensureDaemon() {
+        if (this.proc && !this.proc.killed) {
+            return true;
+        }
+
+        const { command, script, modelPath, device } = this.settings;
+        const args = [script, '--server', '--model', modelPath];
+        if (this.enabled && this.useMicrophone) {
+            args.push('--mic', '--device', device);
+        }
+
+        try {
+            this.app.debug(`Starting STT daemon: ${command} ${args.join(' ')}`);
+            const proc = spawn(command, args);
+            this.proc = proc;
+            this._ready = false;
+            this._buffer = '';
+
+            proc.stdout.on('data', (data) => this._onStdout(data));
+            proc.stderr.on('data', (data) => this.app.debug(`STT stderr: ${data.toString().trim()}`));
+
+            proc.on('error', (error) => {
+                this.app.error(`STT daemon error: ${error.message}`);
+                this._teardown();
+            });
+            proc.on('exit', (code) => {
+                this.app.debug(`STT daemon exited (code ${code})`);
+                this._teardown();
+            });
+
+            return true;
+        } catch (error) {
+            this.app.error(`Failed to start STT daemon: ${error.message}`);
+            this.proc = null;
+            return false;
+        }
+    }
+
+    /**
+     * Parse daemon stdout. `heard` lines come from the microphone,
+     * `result`/`error` lines answer the in-flight WAV request.
+     */
+    _onStdout(data) {
+        this._buffer += data.toString();
+        let idx;
+        while ((idx = this._buffer.indexOf('\n')) !== -1) {
+            const line = this._buffer.slice(0, idx).trim();
+            this._buffer = this._buffer.slice(idx + 1);
+            if (!line.startsWith(`${MARKER}:`)) continue;
+
+            const body = line.slice(MARKER.length + 1);
+            const sep = body.indexOf(':');
+            const kind = sep === -1 ? body : body.slice(0, sep);
+            const payload = sep === -1 ? '' : body.slice(sep + 1);
+
+            if (kind === 'ready') {
+                this._ready = true;
+            } else if (kind === 'error') {
+                this._resolvePending(null);
+            } else if (kind === 'result' || kind === 'heard') {
+                let text = '';
+                try {
+                    text = JSON.parse(payload).text || '';
+                } catch {
+                    this.app.debug(`STT: unparseable ${kind} line`);
+                }
+                if (kind === 'result') {
+                    this._resolvePending(text);
+                } else if (text) {
+                    this.handleTranscript(text).catch(error => {
+                        this.app.error('Voice command failed:', error.message);
+                    });
+                }
+            }
+        }
+    }
+
+    _resolvePending(text) {
+        if (this._pending) {
+            clearTimeout(this._pending.timer);
+            const { resolve } = this._pending;
+            this._pending = null;
+            resolve(text);
+        }
+    }
+
+    _teardown() {
+        this.proc = null;
+        this._ready = false;
+        this._buffer = '';
+        this._resolvePending(null);
+    }
+
+    /**
+     * Transcribe a WAV file (16-bit mono PCM) with the resident model.
+     * Requests are serialised; the daemon answers one at a time.
+     * @param {string} wavPath Absolute path to the file
+     * @returns {Promise<string|null>} Transcript, or null on failure
+     */
+    transcribeFile(wavPath) {
+        const run = () => new Promise((resolve) => {
+            if (!this._ensureDaemon()) {
+                resolve(null);
+                return;
+            }
+
+            // Watchdog: recover from a hung daemon instead of blocking later requests
+            const timer = setTimeout(() => {
+                this.app.error('STT daemon timed out; restarting on next request');
+                this._pending = null;
+                try { this.proc?.kill(); } catch { /* ignore */ }
+                this._teardown();
+                resolve(null);
+            }, this.settings.transcriptionTimeoutSeconds * 1000);
+
+            this._pending = { resolve, timer };
+
+            try {
+                this.proc.stdin.write(JSON.stringify({ wav: wavPath }) + '\n');
+            } catch (error) {
+                this.app.error(`STT write failed: ${error.message}`);
+                this._resolvePending(null);
+            }
+        });
+
+        const result = this._fileChain.then(run);
+        this._fileChain = result.catch(() => null);
+        return result;
+    }
+
+    /**
+     * Transcribe a WAV file and run it through wake-word gating and intents,
+     * exactly as if it had been heard on the microphone.
+     * @param {string} wavPath
+     * @returns {Promise<object>} See handleTranscript
+     */
+    async processFile(wavPath) {
+        const transcript = await this.transcribeFile(wavPath);
+        if (transcript === null) {
+            return { transcript: null, error: 'Transcription failed' };
+        }
+        return this.handleTranscript(transcript);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Wake word & intents
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Gate a transcript on the wake word, then parse and execute the command.
+     * A bare wake word opens a short window in which the next utterance is
+     * taken as a command without repeating it.
+     * @param {string} transcript Raw STT output
+     * @returns {Promise<{transcript: string, wake: boolean, intent: object|null, result?: object, ignored?: boolean}>}
+     */
+    async handleTranscript(transcript) {
+        const text = normalise(transcript);
+        let command = null;
+
+        for (const word of this.wakeWords) {
+            const match = new RegExp(`\\b${word}\\b`).exec(text);
+            if (match) {
+                command = text.slice(match.index + word.length).trim();
+                break;
+            }
+        }
+
+        const wake = command !== null;
+        if (!wake) {
+            if (Date.now() > this._awaitingCommandUntil) {
+                // A pending mode proposal takes a bare "yes" or "no", nothing else
+                const answer = this.brain?.modeInference?.pending ? this.parseIntent(text) : null;
+                if (answer?.action !== 'mode_answer') {
+                    return { transcript, wake: false, intent: null, ignored: true };
+                }
+            }
+            command = text;
+        }
+
+        if (!command) {
+            this._awaitingCommandUntil = Date.now() + this.followUpMs;
+            this._acknowledge('voice_commands.listening');
+            return { transcript, wake: true, intent: null };
+        }
+
+        this._awaitingCommandUntil = 0;
+        const intent = this.parseIntent(command);
+        this.app.debug(`Voice command "${command}" → ${intent ? JSON.stringify(intent) : 'no intent'}`);
+
+        if (!intent) {
+            this._acknowledge('voice_commands.not_understood');
+            return { transcript, wake, intent: null };
+        }
+
+        const result = await this.execute(intent);
+        this.lastCommand = { transcript, intent, result, timestamp: new Date().toISOString() };
+        return { transcript, wake, intent, result };
+    }
+
+    /**
+     * Map a normalised command to an intent. Order matters: man overboard
+     * comes first, and anchor phrases are checked before mode keywords so
+     * "mouiller l'ancre" drops the anchor rather than only switching mode.
+     * @param {string} command Normalised text after the wake word
+     * @returns {object|null} { action, ...params }
+     */
+    parseIntent(command) {
+        const text = normalise(command);
+        if (!text) return null;
+
+        if (/\b(cancel|end|stop|annule[rz]?|fin (de l )?)\b.*\b(mob|man overboard|homme a la mer)\b|\b(mob|man|person|casualty|homme)\b.*\b(recovered|back on board|aboard|recupere|a bord)\b/.test(text)) {
+            return { action: 'mob', operation: 'end' };
+        }
+        if (/\b(man overboard|person overboard|mob|homme a la mer)\b/.test(text)) {
+            return { action: 'mob', operation: 'start' };
+        }
+
+        if (this.brain?.modeInference?.pending) {
+            if (/^(yes|yeah|yep|confirm(ed)?|affirmative|go ahead|oui|ouais|confirme[rz]?|d accord|vas y)\b/.test(text)) {
+                return { action: 'mode_answer', accept: true };
+            }
+            if (/^(no|nope|negative|keep|cancel|non|garde[rz]?|annule[rz]?|pas maintenant)\b/.test(text)) {
+                return { action: 'mode_answer', accept: false };
+            }
+        }
+
+        if (/\b(repeat|say again|pardon|repete[rz]?|redis|redites)\b/.test(text)) {
+            return { action: 'repeat' };
+        }
+
+        if (/\b(unmute|voice on|speak again|(cancel|end|stop) (the )?(silence|quiet|do not disturb)|fin du silence|tu peux parler|(annule[rz]?|desactive[rz]?) (le )?(silence|ne pas deranger))\b/.test(text)) {
+            return { action: 'dnd', mode: 'off' };
+        }
+        if (/\b(do not disturb|dont disturb|quiet|silence|mute|ne pas (me )?deranger|tais toi|taisez vous|chut)\b/.test(text)) {
+            const mode = /\b(total|totale|complete|completely|everything|tout)\b/.test(text) ? 'all' : 'safety';
+            return { action: 'dnd', mode, durationMinutes: this._parseDuration(text) };
+        }
+
+        if (/\b(raise|weigh|lift|up)\b.*\banchor\b|\banchor\b.*\b(up|aweigh|raised)\b|\b(leve[rz]?|remonte[rz]?|releve[rz]?)\b.*\bancre\b|\bancre (levee|remontee|a bord|derapee)\b|\bon (leve|derape)\b/.test(text)) {
+            return { action: 'anchor', operation: 'raise' };
+        }
+        if (/\b(drop|let go|lower)\b.*\banchor\b|\banchor\b.*\b(down|dropped)\b|\b(jette[rz]?|mouille[rz]?|lache[rz]?)\b.*\bancre\b|\bancre (mouillee|a l eau)\b|\bon mouille\b/.test(text)) {
+            return { action: 'anchor', operation: 'drop' };
+        }
+
+        if (/\b(mode|switch(ing)? to|change to|passe[rz]? (en|au)|on passe|bascule[rz]? (en|au))\b/.test(text)) {
+            const found = MODE_KEYWORDS.find(k => k.pattern.test(text));
+            if (found) return { action: 'mode', mode: found.mode };
+        }
+
+        const analysis = ANALYSIS_KEYWORDS.find(k => k.pattern.test(text));
+        if (analysis) {
+            return { action: 'analysis', type: analysis.type };
+        }
+
+        return null;
+    }
+
+    /**
+     * Extract a duration in minutes from digits or number words
+     * ("for thirty minutes", "pendant une heure", "45 min").
+     * @param {string} text Normalised text
+     * @returns {number|undefined}
+     */
+    _parseDuration(text) {
+        if (/\b(half an hour|demi heure)\b/.test(text)) return 30;
+
+        const match = /\b((?:\d+|[a-z]+)(?: (?:and |et )?(?:\d+|[a-z]+))*?) (minutes?|min|mn|hours?|heures?|h)\b/.exec(text);
+        if (!match) return undefined;
+
+        let value = 0;
+        for (const token of match[1].split(' ')) {
+            if (/^\d+$/.test(token)) {
+                value += parseInt(token, 10);
+            } else if (Object.hasOwn(NUMBER_WORDS, token)) {
+                value += NUMBER_WORDS[token];
+            } else if (token !== 'and' && token !== 'et') {
+                value = 0; // words before the number ("for", "pendant")
+            }
+        }
+        if (value <= 0) return undefined;
+
+        const minutes = /^h/.test(match[2]) ? value * 60 : value;
+        return Math.min(minutes, 1440);
+    }
+
+    /**
+     * Run an intent against the brain / voice module.
+     * @param {object} intent From parseIntent
+     * @returns {Promise<object>} { success, ... }
+     */
+    async execute(intent) {
+        try {
+            switch (intent.action) {
+                case 'repeat': {
+                    const replayed = this.voice.replayLast();
+                    if (!replayed) this._acknowledge('voice_commands.nothing_to_repeat');
+                    return { success: replayed };
+                }
+                case 'dnd': {
+                    if (intent.mode === 'off') {
+                        const status = this.brain.setDnd('off');
+                        this._acknowledge('voice_commands.dnd_off');
+                        return { success: true, dnd: status };
+                    }
+                    const status = this.brain.setDnd(intent.mode, intent.durationMinutes);
+                    // Spoken after the switch so the queue flush does not drop it;
+                    // total silence swallows it by design.
+                    this._acknowledge('voice_commands.dnd_on', { safety: true });
+                    return { success: true, dnd: status };
+                }
+                case 'anchor': {
+                    const anchor = this.brain.anchorPlugin;
+                    if (intent.operation === 'raise') {
+                        return { success: true, anchorState: anchor.raiseAnchor() };
+                    }
+                    const dropped = await anchor.dropAnchor();
+                    if (!dropped) {
+                        this._acknowledge('voice_commands.anchor_no_position');
+                        return { success: false, error: 'No vessel position available' };
+                    }
+                    return { success: true, ...dropped };
+                }
+                case 'mob': {
+                    if (intent.operation === 'end') {
+                        const mob = this.brain.endMOB();
+                        return { success: mob !== null, mob };
+                    }
+                    try {
+                        return { success: true, mob: this.brain.startMOB({ source: 'voice' }) };
+                    } catch (error) {
+                        this._acknowledge('voice_commands.mob_no_position', { emergency: true });
+                        return { success: false, error: error.message };
+                    }
+                }
+                case 'mode_answer': {
+                    const status = this.brain.modeInference.answer(intent.accept);
+                    return { success: status !== null, modeInference: status };
+                }
+                case 'mode':
+                    this.brain.updateMode(intent.mode);
+                    return { success: true, mode: intent.mode };
+                case 'analysis':
+                    await this.brain.requestAnalysis(intent.type);
+                    return { success: true, type: intent.type };
+                default:
+                    return { success: false, error: `Unknown action ${intent.action}` };
+            }
+        } catch (error) {
+            this.app.error(`Voice command ${intent.action} failed:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Speak a short acknowledgement. Acknowledgements are not replayable so
+     * "say again" repeats the last real announcement.
+     */
+    _acknowledge(key, options = {}) {
+        const text = this.cm ? this.cm.t(key) : null;
+        if (text && text !== key) {
+            this.voice.announce(text, 'high', { ...options, replayable: false });
+        }
+    }
+
+    /**
+     * Listener status for /status and the voice command route.
+     */
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            microphone: this.enabled && this.useMicrophone,
+            running: !!this.proc,
+            ready: this._ready,
+            wakeWords: this.wakeWords,
+            lastCommand: this.lastCommand
+        };
+    }
+}
+
+module.exports = VoiceCommandListener;
@@ -0,0 +1,128 @@
+/**
+ * Feeds fake AIS distress targets through the `vessels` injection seam of
+ * AISDistressWatch.check() and checks the waypoint, the repeat and the
+ * emergency voice path.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const AISAnalyzer = require('../src/analyses/ais');
+const AISDistressWatch = require('../src/analyses/ais-distress');
+const VoiceModule = require('../src/voice');
+
+const cm = { t: (key, params) => `${key} ${JSON.stringify(params || {})}` };
+
+const OWN = { navigation: { position: { value: { latitude: 46.5, longitude: -1.8 } } } };
+const SART = 'urn:mrn:imo:mmsi:970123456';
+
+function sartAt(latitude, longitude, timestamp = new Date().toISOString()) {
+    return {
+        [SART]: {
+            mmsi: '970123456',
+            navigation: { position: { value: { latitude, longitude }, timestamp } }
+        }
+    };
+}
+
+/**
+ * Watch wired to a fake server: vessels.* comes from `world.vessels`,
+ * waypoints and notifications are recorded, speech goes through a real
+ * VoiceModule in do-not-disturb 'all' with the TTS queue left undrained.
+ */
+function setup() {
+    const world = { vessels: {}, waypoints: [], notifications: [] };
+    const app = {
+        debug() {},
+        error() {},
+        getPath: p => (p === 'vessels' ? world.vessels : undefined),
+        handleMessage: (id, delta) => world.notifications.push(delta.updates[0].values[0]),
+        resourcesApi: {
+            setResource: async (type, id, resource) => world.waypoints.push({ type, id, resource })
+        }
+    };
+    const voice = new VoiceModule(app, { voice: { enabled: true } });
+    voice.processQueue = () => {};
+    voice.setDnd('all');
+
+    const aisAnalyzer = new AISAnalyzer(app, {}, voice, cm);
+    const watch = new AISDistressWatch(app, {}, {
+        aisAnalyzer,
+        signalkProvider: { getVesselData: () => OWN },
+        voice,
+        cm
+    });
+    return { world, voice, watch };
+}
+
+test('a SART raises an emergency with a waypoint and speaks through DND', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.UTC(2026, 5, 1, 12) });
+    const { world, voice, watch } = setup();
+    t.after(() => watch.stop());
+
+    world.vessels = sartAt(46.51, -1.8);
+    const active = watch.check(OWN, world.vessels);
+
+    assert.strictEqual(active.length, 1);
+    assert.strictEqual(active[0].type, 'sart');
+    assert.strictEqual(active[0].bearing, 0);
+    assert.ok(Math.abs(active[0].range - 0.6) < 0.01);
+
+    assert.strictEqual(world.waypoints.length, 1);
+    const waypoint = world.waypoints[0];
+    assert.strictEqual(waypoint.type, 'waypoints');
+    assert.deepStrictEqual(waypoint.resource.feature.geometry.coordinates, [-1.8, 46.51]);
+    assert.strictEqual(active[0].waypoint, `/resources/waypoints/${waypoint.id}`);
+
+    assert.strictEqual(world.notifications[0].path, 'notifications.ocearo-core.ais.distress.970123456');
+    assert.strictEqual(world.notifications[0].value.state, 'emergency');
+
+    // Do-not-disturb 'all' still lets the emergency through, ahead of the queue
+    assert.strictEqual(voice.queue.length, 1);
+    assert.match(voice.queue[0].text, /ais\.distress\.alert/);
+    assert.deepStrictEqual(
+        { priority: voice.queue[0].options.priority, emergency: voice.queue[0].options.emergency },
+        { priority: 'high', emergency: true });
+});
+
+test('the announcement repeats until acknowledged and the waypoint follows the drift', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.UTC(2026, 5, 1, 12) });
+    const { world, voice, watch } = setup();
+    t.after(() => watch.stop());
+
+    world.vessels = sartAt(46.51, -1.8);
+    watch.check(OWN, world.vessels);
+    assert.strictEqual(voice.queue.length, 1);
+
+    // Drifted ~110 m north: the repeat moves the waypoint and speaks again
+    world.vessels = sartAt(46.511, -1.8, new Date(Date.now() + 30_000).toISOString());
+    t.mock.timers.tick(30_000);
+    assert.strictEqual(voice.queue.length, 2);
+    assert.strictEqual(world.waypoints.length, 2);
+    assert.strictEqual(world.waypoints[1].id, world.waypoints[0].id);
+    assert.deepStrictEqual(world.waypoints[1].resource.feature.geometry.coordinates, [-1.8, 46.511]);
+
+    assert.strictEqual(watch.acknowledge('970123456'), true);
+    world.vessels = sartAt(46.511, -1.8, new Date(Date.now() + 30_000).toISOString());
+    t.mock.timers.tick(30_000);
+    assert.strictEqual(voice.queue.length, 2, 'no repeat once acknowledged');
+    assert.strictEqual(watch.getActive()[0].acknowledged, true);
+});
+
+test('a beacon no longer reported ends its emergency and keeps the waypoint', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.UTC(2026, 5, 1, 12) });
+    const { world, voice, watch } = setup();
+    t.after(() => watch.stop());
+
+    world.vessels = sartAt(46.51, -1.8);
+    watch.check(OWN, world.vessels);
+    watch.acknowledge(SART);
+
+    // The target stays in vessels.* with its last report ageing
+    for (let i = 0; i < 21; i++) t.mock.timers.tick(30_000);
+
+    assert.deepStrictEqual(watch.getActive(), []);
+    assert.strictEqual(world.notifications.at(-1).value, null);
+    assert.match(voice.queue[0].text, /ais\.distress\.lost/);
+    assert.strictEqual(world.waypoints.length, 1);
+});
@@ -0,0 +1,126 @@
+/**
+ * Synthetic anchor watches replayed through AnchorSwing, one position every
+ * 10 s on mocked time: a wind shift swinging the boat inside the learned
+ * circle, a swing circle dragged sideways and a distance rising steadily.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const AnchorSwing = require('../src/anchor/anchor-swing');
+
+const EARTH_RADIUS_M = 6371000;
+const ANCHOR = { latitude: 47.3, longitude: -3.1 };
+const RODE_M = 30;
+const STEP_MS = 10_000;
+
+/** Position `x` metres east and `y` metres north of the anchor */
+function at(x, y) {
+    const toDeg = rad => rad * 180 / Math.PI;
+    return {
+        latitude: ANCHOR.latitude + toDeg(y / EARTH_RADIUS_M),
+        longitude: ANCHOR.longitude + toDeg(x / (EARTH_RADIUS_M * Math.cos(ANCHOR.latitude * Math.PI / 180)))
+    };
+}
+
+/**
+ * Boat lying head to wind on RODE_M of rode from `centre`: downwind of it,
+ * heading into the wind.
+ */
+function lying(centre, windFrom) {
+    const h = windFrom * Math.PI / 180;
+    return at(centre.x - RODE_M * Math.sin(h), centre.y - RODE_M * Math.cos(h));
+}
+
+function setup(t) {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 6, 14, 20) });
+    const swing = new AnchorSwing({ learnMinutes: 10, dragToleranceMetres: 10, dragRateMetresPerMinute: 1 });
+    swing.reset(ANCHOR);
+    return swing;
+}
+
+/**
+ * Feed `minutes` of samples. `sample(i)` returns { position, heading } for
+ * the i-th sample; the assessment of every sample is returned.
+ */
+function replay(swing, t, minutes, sample) {
+    const states = [];
+    for (let i = 0; i < minutes * 6; i++) {
+        t.mock.timers.tick(STEP_MS);
+        const { position, heading } = sample(i);
+        states.push(swing.add(position, heading));
+    }
+    return states;
+}
+
+/** Ten minutes yawing ±15° around a south-westerly to learn the circle */
+function learn(swing, t) {
+    const states = replay(swing, t, 10.5, i => {
+        const windFrom = 220 + 15 * Math.sin(i / 4);
+        return { position: lying({ x: 0, y: 0 }, windFrom), heading: windFrom };
+    });
+    assert.strictEqual(states.at(-1).state, 'holding');
+    assert.ok(Math.abs(swing.getAssessment().radius - RODE_M) <= 1);
+}
+
+test('a wind shift swings the boat around the circle without an alarm', (t) => {
+    const swing = setup(t);
+    learn(swing, t);
+
+    // The wind veers 90° in a quarter of an hour: the boat swings a quarter turn
+    const states = replay(swing, t, 15, i => {
+        const windFrom = 220 + Math.min(90, i) + 5 * Math.sin(i / 3);
+        return { position: lying({ x: 0, y: 0 }, windFrom), heading: windFrom };
+    });
+
+    assert.deepStrictEqual([...new Set(states.map(s => s.state))], ['holding']);
+    assert.ok(states.every(s => s.centreDrift <= 2), 'swing centre should stay put');
+    assert.ok(swing.getTrack().points.length > 100);
+});
+
+test('a swing circle dragged sideways raises a centre alarm', (t) => {
+    const swing = setup(t);
+    learn(swing, t);
+
+    // The anchor slides north-west, across the line to the boat, at 2 m/min
+    const rate = 2 / 6;
+    const dir = 310 * Math.PI / 180;
+    const states = replay(swing, t, 10, i => {
+        const windFrom = 220 + 10 * Math.sin(i / 4);
+        const centre = { x: i * rate * Math.sin(dir), y: i * rate * Math.cos(dir) };
+        return { position: lying(centre, windFrom), heading: windFrom };
+    });
+
+    const dragging = states.findIndex(s => s.state === 'dragging');
+    assert.ok(dragging > 0, 'expected a drag alarm');
+    assert.strictEqual(states[dragging].reason, 'centre');
+    assert.ok(states[dragging].centreDrift >= 10);
+    // Still inside radius + tolerance: a radius-only watch would have missed it
+    assert.ok(states[dragging].distance < RODE_M + 10);
+    assert.ok(states.slice(0, 6).every(s => s.state !== 'dragging'), 'no alarm in the first minute');
+});
+
+test('a steadily rising distance beyond the circle raises a trend alarm', (t) => {
+    const swing = setup(t);
+    // No heading sensor: only the distance to the anchor tells
+    replay(swing, t, 10.5, i => {
+        const windFrom = 220 + 15 * Math.sin(i / 4);
+        return { position: lying({ x: 0, y: 0 }, windFrom), heading: null };
+    });
+    assert.strictEqual(swing.getAssessment().state, 'holding');
+
+    // Dragging straight downwind at 3 m/min
+    const rate = 3 / 6;
+    const dir = 40 * Math.PI / 180;
+    const states = replay(swing, t, 8, i => {
+        const centre = { x: i * rate * Math.sin(dir), y: i * rate * Math.cos(dir) };
+        return { position: lying(centre, 220), heading: null };
+    });
+
+    const dragging = states.find(s => s.state === 'dragging');
+    assert.ok(dragging, 'expected a drag alarm');
+    assert.strictEqual(dragging.reason, 'trend');
+    assert.ok(dragging.trend >= 1 && dragging.trend <= 3.5, `trend ${dragging.trend} m/min`);
+    assert.ok(dragging.distance >= RODE_M + 10);
+    assert.strictEqual(dragging.centreDrift, null);
+});
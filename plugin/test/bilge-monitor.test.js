@@ -0,0 +1,148 @@
+/**
+ * Bilge watch on mocked time with a discovered pump switch: the cycle rate
+ * against the usual rate, long runs escalating to an alarm, and a float
+ * switch.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BilgeMonitor = require('../src/bilge');
+
+const HOUR_MS = 3_600_000;
+const T0 = Date.UTC(2026, 9, 1, 0, 0, 0);
+const cm = { t: (key, params) => `${key} ${JSON.stringify(params || {})}` };
+const PREFIX = 'notifications.ocearo-core.bilge';
+
+function setup(t, bilge = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocearo-bilge-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const world = {
+        self: { electrical: { switches: { bilgePump: { state: { value: false } } } } },
+        written: {}
+    };
+    const monitor = new BilgeMonitor(
+        { debug() {}, warn() {}, getDataDirPath: () => dir },
+        { bilge },
+        {
+            signalkProvider: {
+                pluginId: 'ocearo-core',
+                _getSelfPath: p => p.split('.').reduce((node, key) => node?.[key], world.self),
+                writePath: (p, value) => { world.written[p] = value; }
+            },
+            cm
+        });
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: T0 });
+    monitor.start();
+    t.after(() => monitor.stop());
+    return { world, monitor };
+}
+
+/**
+ * Advance mocked time one sample at a time: a single long tick would run
+ * every pending sample with the final Date.now().
+ */
+function wait(t, ms) {
+    for (let elapsed = 0; elapsed < ms; elapsed += 2000) t.mock.timers.tick(Math.min(2000, ms - elapsed));
+}
+
+function pump(world, on) {
+    world.self.electrical.switches.bilgePump.state.value = on;
+}
+
+/** One pump cycle of `seconds`, then `idleMs` with the pump off */
+function cycle(t, world, seconds, idleMs) {
+    pump(world, true);
+    wait(t, seconds * 1000);
+    pump(world, false);
+    wait(t, idleMs);
+}
+
+test('cycles well above the usual rate raise a warning once', (t) => {
+    const { world, monitor } = setup(t);
+
+    // A cycle every two hours for ten hours: 0.5 an hour
+    for (let i = 0; i < 5; i++) cycle(t, world, 30, 2 * HOUR_MS - 30_000);
+    assert.deepStrictEqual(monitor.evaluate(), []);
+
+    // Then one every quarter of an hour
+    for (let i = 0; i < 4; i++) cycle(t, world, 30, 15 * 60_000 - 30_000);
+
+    const stats = monitor.getStatus().pumps.bilgePump;
+    assert.strictEqual(stats.cyclesLastHour, 4);
+    assert.strictEqual(stats.usualPerHour, 0.5);
+    assert.strictEqual(stats.lastCycle.seconds, 30);
+
+    const raised = monitor.evaluate();
+    assert.strictEqual(raised.length, 1);
+    assert.strictEqual(raised[0].path, `${PREFIX}.bilgePump.cycles`);
+    assert.strictEqual(raised[0].value.state, 'warn');
+    assert.match(raised[0].value.message, /bilge\.cycles_rising .*"count":4,"usual":0\.5/);
+    assert.deepStrictEqual(monitor.evaluate(), [], 'not raised again while it lasts');
+
+    assert.deepStrictEqual(monitor.getHourSummary(),
+        { cycles: 4, runSeconds: 120, maxLevel: null, pumps: { bilgePump: { cycles: 4, runSeconds: 120 } } });
+
+    // Back to quiet: the notification clears
+    wait(t, 2 * HOUR_MS);
+    assert.deepStrictEqual(monitor.evaluate(), []);
+    assert.strictEqual(world.written[`${PREFIX}.bilgePump.cycles`], null);
+});
+
+test('without history only maxCyclesPerHour applies', (t) => {
+    const { world, monitor } = setup(t, { maxCyclesPerHour: 6 });
+    for (let i = 0; i < 5; i++) cycle(t, world, 20, 5 * 60_000);
+    assert.deepStrictEqual(monitor.evaluate(), []);
+
+    cycle(t, world, 20, 5 * 60_000);
+    const [raised] = monitor.evaluate();
+    assert.match(raised.value.message, /bilge\.cycles_high .*"count":6/);
+    assert.strictEqual(monitor.getStatus().pumps.bilgePump.usualPerHour, null);
+});
+
+test('a long run is a warning, then an alarm past three times the limit', (t) => {
+    const { world, monitor } = setup(t, { maxRunSeconds: 120 });
+    pump(world, true);
+
+    wait(t, 150_000);
+    const [warn] = monitor.evaluate();
+    assert.strictEqual(warn.path, `${PREFIX}.bilgePump.longRun`);
+    assert.strictEqual(warn.value.state, 'warn');
+    assert.deepStrictEqual(warn.value.method, ['visual']);
+
+    wait(t, 60_000);
+    assert.deepStrictEqual(monitor.evaluate(), []);
+
+    wait(t, 180_000);
+    const [alarm] = monitor.evaluate();
+    assert.strictEqual(alarm.value.state, 'alarm');
+    assert.deepStrictEqual(alarm.value.method, ['visual', 'sound']);
+    assert.match(alarm.value.message, /bilge\.long_run .*"minutes":6/);
+
+    pump(world, false);
+    wait(t, 2000);
+    monitor.evaluate();
+    assert.strictEqual(world.written[`${PREFIX}.bilgePump.longRun`], null);
+    assert.strictEqual(monitor.getStatus().pumps.bilgePump.lastCycle.seconds, 390);
+});
+
+test('a float switch reads as a full bilge', (t) => {
+    const { world, monitor } = setup(t, {
+        levels: [{ id: 'float', name: 'Forward bilge', path: 'environment.bilge.float' }]
+    });
+    world.self.environment = { bilge: { float: { value: false } } };
+    wait(t, 2000);
+    assert.deepStrictEqual(monitor.evaluate(), []);
+
+    world.self.environment.bilge.float.value = true;
+    wait(t, 2000);
+    const [raised] = monitor.evaluate();
+    assert.strictEqual(raised.path, `${PREFIX}.float.level`);
+    assert.strictEqual(raised.value.state, 'alarm');
+    assert.match(raised.value.message, /"sensor":"Forward bilge","percent":100/);
+    assert.strictEqual(monitor.getHourSummary().maxLevel, 1);
+});
@@ -0,0 +1,94 @@
+/**
+ * Depth look-ahead on a falling tide with a lifting keel: the projected
+ * minimum, the clearance for the keel up and down, and the keel advice.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const DepthLookahead = require('../src/analyses/depth-lookahead');
+
+const app = { debug() {} };
+const cm = {
+    t: (key, params) => `${key} ${JSON.stringify(params || {})}`,
+    boatValue: (key, fallback) => (key === 'keel'
+        ? { type: 'retractable', draftDown: 2.1, draftUp: 0.8, raiseThresholdDepth: 2.5, lowerThresholdDepth: 4.0 }
+        : fallback)
+};
+
+const T0 = Date.UTC(2026, 7, 2, 14, 0, 0);
+
+/** Tide falling (or rising) `rate` metres a minute from 3 m at T0 */
+function tidesProvider(rate) {
+    return {
+        getTideTimeline: async () => ({ rate }),
+        heightAt: (date, timeline) => 3 + timeline.rate * (date.getTime() - T0) / 60_000
+    };
+}
+
+function lookahead(rate) {
+    return new DepthLookahead(app, { depth: { lookAheadMinutes: 15 } }, { tidesProvider: tidesProvider(rate), cm });
+}
+
+test('a falling tide brings the keel down within the warning clearance', async () => {
+    const result = await lookahead(-0.04).assess({ depth: 3.2, sog: 0, keelPosition: 'down' }, T0);
+
+    assert.deepStrictEqual(result.tide, { now: 3, atMin: 2.4, change: -0.6 });
+    assert.strictEqual(result.minDepth, 2.6);
+    assert.strictEqual(result.minutesToMin, 15);
+    assert.strictEqual(result.keel.draft, 2.1);
+    assert.strictEqual(result.clearance, 0.5);
+    assert.strictEqual(result.level, 'warn');
+    assert.strictEqual(result.advice, 'raise');
+    assert.match(result.message, /depth\.ahead\.warn /);
+    assert.match(result.message, /depth\.ahead\.tide_falling \{"fall":0\.6\}/);
+    assert.match(result.message, /depth\.keel\.raise \{"draftUp":0\.8\}/);
+});
+
+test('the same fall clears with the keel up', async () => {
+    const result = await lookahead(-0.04).assess({ depth: 3.2, sog: 0, keelPosition: 'up' }, T0);
+
+    assert.strictEqual(result.minDepth, 2.6);
+    assert.strictEqual(result.keel.position, 'up');
+    assert.strictEqual(result.keel.draft, 0.8);
+    assert.strictEqual(result.clearance, 1.8);
+    assert.strictEqual(result.level, null);
+    assert.strictEqual(result.advice, null);
+    assert.strictEqual(result.message, null);
+});
+
+test('shoaling under way adds to the fall until even the keel up does not clear', async () => {
+    const depth = lookahead(-0.04);
+    // Five knots over a bottom rising 0.1 m a minute, one sounding every 30 s
+    const sounding = (i, keelPosition) => depth.assess({
+        depth: (3 - 0.02 * i) + 2 - 0.05 * i,
+        sog: 5,
+        keelPosition
+    }, T0 + i * 30_000);
+
+    let result;
+    for (let i = 0; i <= 8; i++) result = await sounding(i, 'up');
+    assert.strictEqual(result.trend, -0.1);
+    // 4.44 m now, 1.5 m of shoaling and 0.6 m of tide in 15 min
+    assert.strictEqual(result.minDepth, 2.3);
+    assert.strictEqual(result.level, null);
+
+    const down = await sounding(9, 'down');
+    assert.strictEqual(down.level, 'alarm');
+    assert.strictEqual(down.advice, 'raise');
+
+    for (let i = 10; i <= 24; i++) result = await sounding(i, 'up');
+    assert.strictEqual(result.minDepth, 1.2);
+    assert.strictEqual(result.level, 'alarm');
+    assert.strictEqual(result.advice, 'leave');
+    assert.match(result.message, /depth\.keel\.leave/);
+});
+
+test('the keel is lowered again in deep water under sail, not at anchor', async () => {
+    const sailing = await lookahead(0.02).assess({ depth: 6, sog: 5, keelPosition: 'up', mode: 'sailing' }, T0);
+    assert.strictEqual(sailing.advice, 'lower');
+    assert.strictEqual(sailing.minutesToMin, 0);
+
+    const anchored = await lookahead(0.02).assess({ depth: 6, sog: 0, keelPosition: 'up', mode: 'anchored' }, T0);
+    assert.strictEqual(anchored.advice, null);
+});
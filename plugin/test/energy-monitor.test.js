@@ -0,0 +1,125 @@
+/**
+ * Battery state of charge on mocked time: coulomb counting at the charge
+ * efficiency, re-basing on the rest voltage, the end of absorption, and the
+ * values published back to Signal K.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const EnergyMonitor = require('../src/energy');
+
+const T0 = Date.UTC(2026, 8, 12, 18, 0, 0);
+const cm = { t: (key, params) => `${key} ${JSON.stringify(params || {})}` };
+
+/** 200 Ah AGM house bank; solar on `electrical.solar` */
+function setup(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocearo-energy-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const world = { house: {}, solar: {}, written: {} };
+    const monitor = new EnergyMonitor(
+        { debug() {}, warn() {}, getDataDirPath: () => dir },
+        { energy: { chemistry: 'agm', batteries: [{ id: 'house', capacityAh: 200 }] } },
+        {
+            signalkProvider: {
+                pluginId: 'ocearo-core',
+                getVesselData: () => ({ electrical: { batteries: { house: world.house } } }),
+                _getSelfPath: p => (p === 'electrical.solar' ? world.solar : undefined),
+                writePath: (p, value) => { world.written[p] = value; }
+            },
+            cm
+        });
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: T0 });
+    monitor.start();
+    t.after(() => monitor.stop());
+    return { world, monitor };
+}
+
+/** Hold the house bank at `voltage` and `current` for `minutes` of 10 s samples */
+function run(t, world, voltage, current, minutes) {
+    world.house = { voltage: { value: voltage }, current: { value: current } };
+    for (let i = 0; i < minutes * 6; i++) t.mock.timers.tick(10_000);
+}
+
+test('an hour at 10 A is counted off the rest-voltage estimate', (t) => {
+    const { world, monitor } = setup(t);
+    // 12.5 V at rest is 75 % on the AGM curve
+    run(t, world, 12.5, 0, 1);
+    assert.strictEqual(monitor.getBattery('house').soc, 0.75);
+    assert.strictEqual(monitor.getBattery('house').method, 'voltage');
+
+    run(t, world, 12.3, -10, 60);
+    const house = monitor.getBattery('house');
+    assert.strictEqual(house.soc, 0.7);
+    assert.strictEqual(house.meanCurrent, -10);
+    // 20 % above the 50 % floor at 10 A
+    assert.strictEqual(house.hoursToFloor, 4);
+
+    const written = p => world.written[`electrical.batteries.house.${p}`];
+    assert.strictEqual(written('capacity.stateOfCharge'), 0.7);
+    // 140 Ah left, 40 Ah to the floor, at the last hour's mean draw (its first sample at rest)
+    assert.ok(Math.abs(written('capacity.timeToEmpty') - 14 * 3600) < 300);
+    assert.ok(Math.abs(written('ocearo.timeToFloor') - 4 * 3600) < 100);
+
+    assert.match(monitor.getOutlook(10).speech, /energy\.outlook\.draw .*energy\.outlook\.not_enough/);
+    assert.strictEqual(monitor.getOutlook(3).enough, true);
+});
+
+test('an hour at rest re-bases the count on the rest voltage', (t) => {
+    const { world, monitor } = setup(t);
+    run(t, world, 12.5, 0, 1);
+    run(t, world, 12.3, -10, 60);
+
+    // The count says 70 %, the rested AGM reads 12.2 V, i.e. 50 %
+    run(t, world, 12.2, 0, 59);
+    assert.strictEqual(monitor.getBattery('house').soc, 0.7);
+    run(t, world, 12.2, 0, 2);
+    assert.strictEqual(monitor.getBattery('house').soc, 0.5);
+    assert.strictEqual(monitor.getBattery('house').method, 'rest');
+
+    // A draw breaks the rest: no second re-base until another hour
+    run(t, world, 12.0, -20, 3);
+    run(t, world, 12.4, 0, 30);
+    assert.strictEqual(monitor.getBattery('house').method, 'rest');
+    assert.ok(monitor.getBattery('house').soc < 0.5);
+});
+
+test('charge is counted at the chemistry efficiency until absorption ends', (t) => {
+    const { world, monitor } = setup(t);
+    run(t, world, 12.2, 0, 1);
+    assert.strictEqual(monitor.getBattery('house').soc, 0.5);
+
+    // 20 A of solar for half an hour: 10 Ah at 90 % efficiency
+    world.solar = { main: { current: { value: 20 } } };
+    run(t, world, 13.6, 20, 30);
+    assert.strictEqual(monitor.getBattery('house').soc, 0.545);
+    const outlook = monitor.getStatus();
+    assert.deepStrictEqual(outlook.sources.solar, { current: 20, ahToday: 10 });
+    assert.strictEqual(outlook.outlook.charging, true);
+    assert.deepStrictEqual(outlook.outlook.sources, ['solar']);
+
+    // Absorption voltage with the current tailing off below 2 % of capacity
+    run(t, world, 14.4, 3, 1);
+    assert.strictEqual(monitor.getBattery('house').soc, 1);
+    assert.strictEqual(monitor.getBattery('house').method, 'full');
+});
+
+test('a BMS state of charge is trusted and not overwritten', (t) => {
+    const { world, monitor } = setup(t);
+    world.house = {
+        voltage: { value: 13.2 },
+        current: { value: -5 },
+        capacity: { stateOfCharge: { value: 0.82, $source: 'victron.bms' } }
+    };
+    t.mock.timers.tick(10_000);
+    t.mock.timers.tick(10_000);
+
+    assert.strictEqual(monitor.getBattery('house').soc, 0.82);
+    assert.strictEqual(monitor.getBattery('house').method, 'bms');
+    assert.strictEqual(world.written['electrical.batteries.house.capacity.stateOfCharge'], undefined);
+    assert.ok('electrical.batteries.house.ocearo.timeToFloor' in world.written);
+});
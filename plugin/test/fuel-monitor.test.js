@@ -0,0 +1,115 @@
+/**
+ * Fuel-burn model on mocked time: the burn integrated from the engine RPM,
+ * full-to-full refuels measuring the real burn, and a flow sensor burning
+ * above the model.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FuelMonitor = require('../src/fuel');
+
+const T0 = Date.UTC(2026, 8, 5, 8, 0, 0);
+const CURVE = [
+    { rpm: 800, litersPerHour: 0.8 },
+    { rpm: 2400, litersPerHour: 3.0 },
+    { rpm: 3000, litersPerHour: 5.0 }
+];
+
+function setup(t, boat = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocearo-fuel-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const values = { 'engine.fuelCapacity': 100, 'engine.consumption': CURVE, 'engine.cruisingRpm': 2400, ...boat };
+    const world = {
+        vessel: { propulsion: {} },
+        fuelLog: [{ id: 'f1', datetime: new Date(T0 - 86_400_000).toISOString(), liters: 60, full: true }]
+    };
+    const monitor = new FuelMonitor(
+        { debug() {}, warn() {}, getDataDirPath: () => dir },
+        { fuel: { anomalyPercent: 25, reservePercent: 15 } },
+        {
+            signalkProvider: { getVesselData: () => world.vessel },
+            logbookManager: { getFuelLogEntries: async () => world.fuelLog },
+            cm: { boatValue: (key, fallback) => (Object.hasOwn(values, key) ? values[key] : fallback) }
+        });
+    return { world, monitor };
+}
+
+/** Run the engine at `rpm` for `minutes` of 10 s samples */
+function motor(t, world, rpm, minutes, extra = {}) {
+    world.vessel.propulsion.port = { revolutions: { value: rpm / 60 }, ...extra };
+    for (let i = 0; i < minutes * 6; i++) t.mock.timers.tick(10_000);
+}
+
+test('an hour at cruising RPM burns the curve\'s litres from a full tank', async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: T0 });
+    const { world, monitor } = setup(t);
+    await monitor.start();
+    t.after(() => monitor.stop());
+    assert.strictEqual(monitor.getStatus().level, 100);
+
+    // Engine off: nothing burned
+    t.mock.timers.tick(10_000);
+    motor(t, world, 2400, 60);
+
+    const status = monitor.getStatus();
+    assert.strictEqual(status.level, 97);
+    assert.strictEqual(status.litersPerHour, 3);
+    assert.deepStrictEqual(status.sinceRefuel, { modelLiters: 3, hours: 1 });
+    assert.deepStrictEqual(status.engines, { port: { rpm: 2400, litersPerHour: 3, measuredLitersPerHour: null } });
+
+    // Halfway between 800 and 2400 RPM on the curve
+    assert.ok(Math.abs(monitor.litersPerHour(1600) - 1.9) < 1e-9);
+
+    // 85 L usable above the 15 % reserve at 3 L/h
+    assert.strictEqual(status.range.hours, 27.3);
+});
+
+test('a full-to-full refuel above the model is reported as an anomaly', async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: T0 });
+    const { world, monitor } = setup(t);
+    await monitor.start();
+    t.after(() => monitor.stop());
+
+    t.mock.timers.tick(10_000);
+    motor(t, world, 2400, 120);
+    world.vessel.propulsion.port = { revolutions: { value: 0 } };
+
+    // 8.4 L to fill up after a modelled 6 L
+    world.fuelLog.push({ id: 'f2', datetime: new Date().toISOString(), liters: 8.4, full: true });
+    await monitor.syncRefuels();
+
+    const status = monitor.getStatus();
+    assert.strictEqual(status.level, 100);
+    assert.strictEqual(status.lastRefuel.id, 'f2');
+    assert.deepStrictEqual(status.sinceRefuel, { modelLiters: 0, hours: 0 });
+    assert.strictEqual(status.intervals.length, 1);
+    assert.strictEqual(status.intervals[0].modelLiters, 6);
+    assert.strictEqual(status.intervals[0].ratio, 1.4);
+    assert.deepStrictEqual(monitor.getAnomaly(), { source: 'refuel', ratio: 1.4, measured: 8.4, model: 6 });
+
+    // Reported for a day after the refuel only
+    t.mock.timers.tick(25 * 3_600_000);
+    assert.strictEqual(monitor.getAnomaly(), null);
+});
+
+test('a flow sensor above the propeller-law model is reported as an anomaly', async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: T0 });
+    const { world, monitor } = setup(t, { 'engine.consumption': null, 'engine.power': 30, 'engine.maxRpm': 3000 });
+    await monitor.start();
+    t.after(() => monitor.stop());
+
+    // 30 kW at full RPM: 7.5 L/h modelled, 10.5 L/h measured (m³/s)
+    t.mock.timers.tick(10_000);
+    motor(t, world, 3000, 10, { fuel: { rate: { value: 10.5 / 3_600_000 } } });
+
+    const status = monitor.getStatus();
+    assert.strictEqual(status.litersPerHour, 7.5);
+    assert.strictEqual(status.measuredLitersPerHour, 10.5);
+    assert.strictEqual(status.anomaly.source, 'flow');
+    assert.strictEqual(status.anomaly.ratio, 1.4);
+});
@@ -0,0 +1,110 @@
+/**
+ * Isochrone routing against a recorded forecast (Les Sables d'Olonne to
+ * Île d'Yeu, 1 June 2026) and against synthetic wind fields: arrival, a
+ * route that beats around a headwind, and a destination out of reach.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const IsochroneRouter = require('../src/analyses/isochrone');
+const RoutePlanner = require('../src/analyses/route');
+const forecasts = require('./fixtures/sables-yeu-forecast.json');
+
+const { distanceNM } = IsochroneRouter.geo;
+
+const app = { debug() {}, error() {} };
+
+const LES_SABLES = { latitude: 46.49, longitude: -1.79 };
+const PORT_JOINVILLE = { latitude: 46.727, longitude: -2.345 };
+const DEPARTURE = new Date('2026-06-01T07:00:00Z');
+
+/**
+ * Cruiser polar: nothing inside 40° of the wind, best on a beam reach,
+ * capped at 7 kn.
+ */
+function polar(tws, twa) {
+    if (twa < 40) return 0;
+    const angle = Math.sin(Math.min(twa, 110) * Math.PI / 180);
+    return Math.min(7, tws * 0.45) * (twa > 150 ? 0.8 : angle);
+}
+
+function planner(boat = {}) {
+    const values = { 'limits.maxSailingWind': 30, 'limits.comfortWindLimit': 22, ...boat };
+    const cm = {
+        polar,
+        boatValue: (key, fallback) => (Object.hasOwn(values, key) ? values[key] : fallback)
+    };
+    return new RoutePlanner(app, { routing: { publishRoute: false } }, null, cm, null, null);
+}
+
+test('a reach to Île d\'Yeu arrives inside the recorded forecast', async () => {
+    const route = await planner().computeWeatherRoute(LES_SABLES, PORT_JOINVILLE, {
+        forecasts, departure: DEPARTURE, name: 'Yeu'
+    });
+
+    assert.strictEqual(route.status, 'reached');
+    assert.strictEqual(route.departure, DEPARTURE.toISOString());
+    assert.ok(new Date(route.arrival) > DEPARTURE);
+    assert.ok(new Date(route.arrival) <= new Date('2026-06-01T18:00:00Z'), 'arrival past the forecast horizon');
+    assert.ok(route.etaHours > 3 && route.etaHours < 8, `etaHours ${route.etaHours}`);
+
+    const direct = distanceNM(LES_SABLES, PORT_JOINVILLE);
+    assert.ok(route.distanceNM >= direct - 0.1 && route.distanceNM < direct * 1.2);
+    assert.deepStrictEqual(route.legs[0].from, LES_SABLES);
+    assert.deepStrictEqual(route.legs.at(-1).to, PORT_JOINVILLE);
+    assert.ok(route.maxWind >= 13 && route.maxWind <= 17.5);
+    assert.strictEqual(route.motoringHours, 0);
+    assert.strictEqual(route.track, undefined);
+
+    assert.strictEqual(route.resource.name, 'Ocearo → Yeu');
+    assert.deepStrictEqual(route.resource.feature.geometry.coordinates[0], [LES_SABLES.longitude, LES_SABLES.latitude]);
+    assert.strictEqual(route.href, undefined, 'publishRoute: false');
+});
+
+test('a dead-upwind destination is reached by beating on both tacks', () => {
+    const start = { latitude: 46.5, longitude: -2 };
+    const destination = { latitude: 46.8, longitude: -2 };
+    const router = new IsochroneRouter({
+        polar,
+        windAt: () => ({ speed: 14, direction: 0, gust: null }),
+        stepMinutes: 30
+    });
+
+    const route = router.route(start, destination, DEPARTURE);
+    assert.strictEqual(route.status, 'reached');
+
+    // Every leg but the final VMG approach stays out of the no-go zone
+    const sailed = route.track.slice(1, -1);
+    assert.ok(sailed.length > 1);
+    for (const step of sailed) {
+        assert.ok(Math.abs(step.twa) >= 40, `twa ${step.twa} inside the no-go zone`);
+    }
+    assert.ok(sailed.some(s => s.twa > 0) && sailed.some(s => s.twa < 0), 'expected a tack');
+
+    // The route bends away from the rhumb line and is longer than it
+    const offset = Math.max(...route.track.map(s => Math.abs(s.position.longitude - start.longitude)));
+    assert.ok(offset > 0.03, `largest cross-track offset ${offset}°`);
+    assert.ok(route.distanceNM > distanceNM(start, destination) * 1.2);
+    assert.ok(route.etaHours > distanceNM(start, destination) / polar(14, 90));
+});
+
+test('wind above maxSailingWind leaves the destination unreachable', async () => {
+    const route = await planner({ 'limits.maxSailingWind': 10 }).computeWeatherRoute(
+        LES_SABLES, PORT_JOINVILLE, { forecasts, departure: DEPARTURE });
+
+    assert.strictEqual(route.status, 'unreachable');
+    assert.strictEqual(route.arrival, null);
+    assert.strictEqual(route.etaHours, null);
+    assert.strictEqual(route.closestNM, Math.round(distanceNM(LES_SABLES, PORT_JOINVILLE) * 10) / 10);
+    assert.deepStrictEqual(route.legs, []);
+    assert.strictEqual(route.resource, undefined);
+});
+
+test('a departure past the forecast horizon finds no wind', async () => {
+    const route = await planner().computeWeatherRoute(LES_SABLES, PORT_JOINVILLE, {
+        forecasts, departure: new Date('2026-06-02T07:00:00Z')
+    });
+    assert.strictEqual(route.status, 'no_wind');
+    assert.strictEqual(route.arrival, null);
+});
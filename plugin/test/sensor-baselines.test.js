@@ -0,0 +1,81 @@
+/**
+ * Replays a recorded coolant series through SensorBaselines and checks the
+ * warning it raises and the key its spoken advice is deduplicated on.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+
+const SensorBaselines = require('../src/analyses/sensor-baselines');
+const FailurePredictor = require('../src/analyses/failure');
+
+const app = { debug() {}, warn() {}, error() {}, getDataDirPath: () => os.tmpdir() };
+const cm = { t: (key, params) => `${key} ${JSON.stringify(params || {})}` };
+
+const STEP_MS = 10_000;
+const T0 = Date.UTC(2026, 5, 1, 8, 0, 0);
+
+/**
+ * 1800 RPM, 80 °C with ±0.3 K of noise for 20 minutes, then the coolant
+ * climbs 3 K a minute (impeller failing).
+ */
+function recordedSeries() {
+    const series = [];
+    for (let i = 0; i < 120; i++) {
+        series.push({ t: T0 + i * STEP_MS, coolant: 353.15 + (i % 2 ? 0.3 : -0.3) });
+    }
+    for (let i = 1; i <= 30; i++) {
+        series.push({ t: T0 + (119 + i) * STEP_MS, coolant: 353.15 + i * 0.5 });
+    }
+    return series;
+}
+
+function replay(baselines, series) {
+    const evaluations = [];
+    for (const reading of series) {
+        baselines.observe({ propulsion: { port: { revolutions: 30, temperature: reading.coolant } } }, reading.t);
+        evaluations.push({ t: reading.t, warnings: baselines.evaluate(reading.t) });
+    }
+    return evaluations;
+}
+
+function createBaselines() {
+    return new SensorBaselines(app, {
+        failurePrediction: { learningSamples: 60, warmupMinutes: 1 }
+    }, { cm });
+}
+
+test('steady readings raise no warning', () => {
+    const evaluations = replay(createBaselines(), recordedSeries().slice(0, 120));
+    assert.deepStrictEqual(evaluations.flatMap(e => e.warnings), []);
+});
+
+test('a climbing coolant temperature is projected to the limit', () => {
+    const evaluations = replay(createBaselines(), recordedSeries());
+    const approaching = evaluations
+        .flatMap(e => e.warnings)
+        .filter(w => w.type === 'approaching_limit');
+
+    assert.ok(approaching.length > 1, 'expected repeated approaching_limit warnings');
+    for (const warning of approaching) {
+        assert.strictEqual(warning.system, 'engine_port');
+        assert.strictEqual(warning.sensor, 'coolant');
+        assert.strictEqual(warning.path, 'propulsion.port.temperature');
+        assert.ok(warning.timeToThreshold > 0 && warning.timeToThreshold <= 30 * 60);
+    }
+    const first = approaching[0];
+    const last = approaching[approaching.length - 1];
+    assert.ok(last.timeToThreshold < first.timeToThreshold, 'time to the limit should shrink');
+});
+
+test('advice keeps one key while the figures in its message change', () => {
+    const predictor = new FailurePredictor(app, {}, null, cm);
+    const advice = replay(createBaselines(), recordedSeries())
+        .flatMap(e => e.warnings)
+        .filter(w => w.type === 'approaching_limit')
+        .map(w => predictor._generateExpertAdvice([], [w])[0]);
+
+    assert.ok(new Set(advice.map(a => a.message)).size > 1, 'messages should carry changing minutes');
+    assert.deepStrictEqual([...new Set(advice.map(a => a.key))], ['engine_port.coolant.approaching_limit']);
+});
@@ -0,0 +1,122 @@
+/**
+ * Soundings fed through the `data.updated` events SoundingGrid listens to:
+ * reduction to chart datum with the tide height, the cell summary, and the
+ * grid saved to disk and loaded back.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SoundingGrid = require('../src/bathymetry/sounding-grid');
+
+const T0 = Date.UTC(2026, 7, 20, 9, 0, 0);
+const POSITION = { latitude: 47.2817, longitude: -2.5135 };
+
+/** Tide 4.2 m above chart datum at T0, falling 1 cm a minute */
+const tidesProvider = {
+    getTideTimeline: async () => ({}),
+    heightAt: date => 4.2 - 0.01 * (date.getTime() - T0) / 60_000
+};
+
+const configManager = {
+    boatValue: (key, fallback) => (key === 'keel.draftDown' ? 1.9 : fallback)
+};
+
+function setup(t, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocearo-soundings-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const app = new EventEmitter();
+    Object.assign(app, { debug() {}, warn() {}, getDataDirPath: () => dir });
+    const grid = new SoundingGrid(app, { bathymetry: { cellMetres: 25 } }, {
+        tidesProvider: options.tidesProvider === undefined ? tidesProvider : options.tidesProvider,
+        configManager
+    });
+    return { app, grid, dir };
+}
+
+/** Emit a position then a depth, and let the tide lookup settle */
+async function sound(app, position, depthPath, depth) {
+    app.emit('data.updated', { path: 'navigation.position', value: position });
+    app.emit('data.updated', { path: depthPath, value: depth });
+    await new Promise(resolve => setImmediate(resolve));
+}
+
+test('soundings are reduced to chart datum with the tide height', async (t) => {
+    t.mock.timers.enable({ apis: ['Date', 'setInterval'], now: T0 });
+    const { app, grid } = setup(t);
+    grid.start();
+    t.after(() => grid.stop());
+
+    await sound(app, POSITION, 'environment.depth.belowSurface', 7.5);
+    // Within the 5 s sampling interval: ignored
+    t.mock.timers.tick(2_000);
+    await sound(app, POSITION, 'environment.depth.belowSurface', 1.0);
+    // Ten minutes later, 10 cm less tide
+    t.mock.timers.tick(598_000);
+    await sound(app, POSITION, 'environment.depth.belowSurface', 6.8);
+
+    const [cell] = grid.toGeoJSON().features;
+    assert.strictEqual(grid.toGeoJSON().features.length, 1);
+    assert.deepStrictEqual(
+        { depth: cell.properties.depth, mean: cell.properties.meanDatum, count: cell.properties.count },
+        { depth: 2.7, mean: 3, count: 2 });
+    assert.strictEqual(cell.properties.lastDepth, 6.8);
+    assert.strictEqual(cell.properties.lastTide, 4.1);
+    assert.strictEqual(cell.properties.lastSeen, new Date(T0 + 600_000).toISOString());
+
+    // The polygon is the 25 m cell around the position
+    const ring = cell.geometry.coordinates[0];
+    const [west, south] = ring[0];
+    const [east, north] = ring[2];
+    assert.ok(west <= POSITION.longitude && POSITION.longitude < east);
+    assert.ok(south <= POSITION.latitude && POSITION.latitude < north);
+    assert.ok(Math.abs((north - south) * 111_320 - 25) < 0.1);
+});
+
+test('without a tide source the depth below the keel plus the draft is kept', async (t) => {
+    t.mock.timers.enable({ apis: ['Date', 'setInterval'], now: T0 });
+    const { app, grid } = setup(t, { tidesProvider: null });
+    grid.start();
+    t.after(() => grid.stop());
+
+    await sound(app, POSITION, 'environment.depth.belowKeel', 3.3);
+    const [cell] = grid.toGeoJSON().features;
+    assert.strictEqual(cell.properties.depth, 5.2);
+    assert.strictEqual(cell.properties.lastTide, null);
+});
+
+test('the grid survives a save and load, and is read along the course', (t) => {
+    const { app, grid, dir } = setup(t);
+    // A line of soundings 20 m apart running north from POSITION
+    for (let i = 0; i < 10; i++) {
+        const position = { latitude: POSITION.latitude + i * 20 / 111_320, longitude: POSITION.longitude };
+        grid.addSounding(position, 6 - i * 0.3, 2.0, T0 + i * 10_000);
+    }
+    grid.save();
+    assert.ok(fs.existsSync(path.join(dir, 'ocearo-soundings.json')));
+    assert.ok(!fs.existsSync(path.join(dir, 'ocearo-soundings.json.tmp')));
+
+    const reloaded = new SoundingGrid(app, { bathymetry: { cellMetres: 25 } }, { tidesProvider, configManager });
+    reloaded.load();
+    assert.deepStrictEqual(reloaded.toGeoJSON(), grid.toGeoJSON());
+    assert.deepStrictEqual(reloaded.getStatistics(), grid.getStatistics());
+    assert.strictEqual(reloaded.getStatistics().soundings, 10);
+
+    // Heading north at a 1 m tide: cells ahead, nearest first, shoaling
+    const ahead = reloaded.lookAhead(POSITION, 0, 200, 1.0);
+    assert.ok(ahead.length >= 5);
+    assert.ok(ahead.every((c, i) => i === 0 || c.distance > ahead[i - 1].distance));
+    assert.ok(ahead.at(-1).minDatum < ahead[0].minDatum);
+    assert.strictEqual(ahead[0].expectedDepth, Math.round((ahead[0].minDatum + 1.0) * 10) / 10);
+    assert.deepStrictEqual(reloaded.lookAhead(POSITION, 180, 200, 1.0), []);
+
+    // Cells of another size do not line up with the saved ones
+    const resized = new SoundingGrid(app, { bathymetry: { cellMetres: 50 } }, { tidesProvider, configManager });
+    resized.load();
+    assert.strictEqual(resized.getStatistics().cells, 0);
+});
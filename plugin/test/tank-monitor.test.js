@@ -0,0 +1,138 @@
+/**
+ * Tank history and forecasts on mocked time: fresh water used at anchor and
+ * under way with sloshing readings and a refill, and a holding tank filling
+ * towards its warning with a pump-out station nearby.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TankMonitor = require('../src/tanks');
+
+const DAY_MS = 86_400_000;
+const T0 = Date.UTC(2026, 6, 20, 6, 0, 0);
+const cm = {
+    t: (key, params) => `${key} ${JSON.stringify(params || {})}`,
+    boatValue: (key, fallback) => ({ 'tanks.freshWater': 200, 'tanks.holding': 40 })[key] ?? fallback
+};
+const PREFIX = 'notifications.ocearo-core.tanks';
+
+/**
+ * `world.levels` maps 'type.id' to a function of the elapsed days giving
+ * the level read now.
+ */
+function setup(t, tanks = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocearo-tanks-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const world = { mode: 'anchored', levels: {}, position: null, written: {} };
+    const read = p => {
+        if (p === 'navigation.position') return world.position;
+        const type = p.replace(/^tanks\./, '');
+        const found = Object.entries(world.levels).filter(([key]) => key.startsWith(`${type}.`));
+        if (!found.length) return undefined;
+        const days = (Date.now() - T0) / DAY_MS;
+        return Object.fromEntries(found.map(([key, level]) =>
+            [key.split('.')[1], { currentLevel: { value: level(days) } }]));
+    };
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: T0 });
+    const monitor = new TankMonitor(
+        { debug() {}, warn() {}, getDataDirPath: () => dir },
+        { tanks },
+        {
+            signalkProvider: {
+                pluginId: 'ocearo-core',
+                _getSelfPath: read,
+                writePath: (p, value) => { world.written[p] = value; }
+            },
+            cm,
+            getMode: () => world.mode
+        });
+    return { world, monitor };
+}
+
+/** Advance one minute sample at a time */
+function days(t, count) {
+    for (let i = 0; i < count * 1440; i++) t.mock.timers.tick(60_000);
+}
+
+test('fresh water use is split between anchor and under way, refills left out', (t) => {
+    const { world, monitor } = setup(t);
+    // 10 % a day at anchor, 5 % a day under way, readings sloshing ±4 %
+    let slosh = 0;
+    const sloshing = level => level + [0, 0.04, -0.04][slosh++ % 3];
+    world.levels['freshWater.main'] = d => sloshing(d <= 1 ? 0.9 - 0.1 * d : 0.8 - 0.05 * (d - 1));
+    monitor.start();
+    t.after(() => monitor.stop());
+
+    days(t, 1);
+    world.mode = 'sailing';
+    days(t, 1);
+
+    const consumption = monitor.getConsumption('freshWater.main');
+    assert.ok(Math.abs(consumption.anchored.perDay - 0.1) < 0.005, `anchored ${consumption.anchored.perDay}`);
+    assert.ok(Math.abs(consumption.underway.perDay - 0.05) < 0.005, `underway ${consumption.underway.perDay}`);
+    assert.ok(Math.abs(consumption.anchored.litresPerDay - 20) < 1);
+
+    // 0.75 left at 5 % a day under way: 15 days
+    const [fresh] = monitor.getForecasts();
+    assert.strictEqual(fresh.basis, 'underway');
+    assert.strictEqual(fresh.litres, 150);
+    assert.ok(Math.abs(fresh.daysLeft - 15) < 1.5, `daysLeft ${fresh.daysLeft}`);
+    assert.strictEqual(fresh.warning, false);
+
+    // Topped up to full: not counted as use
+    world.levels['freshWater.main'] = d => sloshing(1.0 - 0.05 * (d - 2));
+    days(t, 0.5);
+    assert.ok(Math.abs(monitor.getConsumption('freshWater.main').underway.perDay - 0.05) < 0.005);
+
+    // Fifteen-minute records of the median reading, both ends of the hour included
+    const history = monitor.getHistory('freshWater.main', 1);
+    assert.strictEqual(history.length, 5);
+    assert.deepStrictEqual([...new Set(history.map(r => r.mode))], ['underway']);
+    assert.strictEqual(monitor.getHistory('__proto__'), null);
+    assert.strictEqual(monitor.getHistory('freshWater.missing'), null);
+});
+
+test('a filling holding tank warns once with the nearest pump-out', (t) => {
+    const { world, monitor } = setup(t, {
+        pumpouts: [
+            { name: 'Port Haliguen', latitude: 47.4833, longitude: -3.1 },
+            { name: 'La Trinité', latitude: 47.585, longitude: -3.0267 }
+        ]
+    });
+    world.position = { value: { latitude: 47.5, longitude: -3.1 } };
+    // 30 % a day at anchor from 40 %
+    world.levels['blackWater.0'] = d => 0.4 + 0.3 * d;
+    monitor.start();
+    t.after(() => monitor.stop());
+
+    days(t, 0.5);
+    assert.deepStrictEqual(monitor.check(), [], 'not enough history yet');
+
+    days(t, 0.5);
+    const raised = monitor.check();
+    assert.strictEqual(raised.length, 1);
+    const [holding] = raised;
+    assert.strictEqual(holding.kind, 'holding');
+    assert.strictEqual(holding.litres, 28);
+    // 20 % of room at 30 % a day
+    assert.ok(Math.abs(holding.daysToFull - 0.7) < 0.05);
+    assert.match(holding.message, /tanks\.holding_full_hours .*"percent":70,"hours":17/);
+    assert.match(holding.message, /tanks\.pumpout \{"name":"Port Haliguen","distance":1\}/);
+    assert.strictEqual(world.written[`${PREFIX}.blackWater.0`].state, 'warn');
+
+    // Still warned: not returned again
+    t.mock.timers.tick(60_000);
+    assert.deepStrictEqual(monitor.check(), []);
+
+    // Pumped out: the warning clears and the drop is not counted
+    world.levels['blackWater.0'] = () => 0.05;
+    days(t, 0.1);
+    assert.deepStrictEqual(monitor.check(), []);
+    assert.strictEqual(world.written[`${PREFIX}.blackWater.0`], null);
+    assert.ok(monitor.getConsumption('blackWater.0').anchored.perDay > 0.25);
+});
@@ -0,0 +1,92 @@
+/**
+ * Intent and duration parsing of spoken commands, in English and French,
+ * as the STT daemon and POST /voice/command hand them over.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const VoiceCommandListener = require('../src/voice/listener');
+
+const app = { debug() {}, error() {} };
+
+function listener(brain) {
+    return new VoiceCommandListener(app, { language: 'en' }, { brain });
+}
+
+test('safety commands in English and French', () => {
+    const l = listener();
+    const cases = {
+        'man overboard': { action: 'mob', operation: 'start' },
+        'homme à la mer !': { action: 'mob', operation: 'start' },
+        'MOB recovered': { action: 'mob', operation: 'end' },
+        'annulez homme à la mer': { action: 'mob', operation: 'end' },
+        'raise the anchor': { action: 'anchor', operation: 'raise' },
+        'levez l\'ancre': { action: 'anchor', operation: 'raise' },
+        'drop the anchor': { action: 'anchor', operation: 'drop' },
+        'mouiller l\'ancre': { action: 'anchor', operation: 'drop' }
+    };
+    for (const [phrase, intent] of Object.entries(cases)) {
+        assert.deepStrictEqual(l.parseIntent(phrase), intent, phrase);
+    }
+});
+
+test('modes, analyses and repeat', () => {
+    const l = listener();
+    const cases = {
+        'switch to motoring mode': { action: 'mode', mode: 'motoring' },
+        'on passe en mode voile': { action: 'mode', mode: 'sailing' },
+        'weather forecast': { action: 'analysis', type: 'weather' },
+        'point de situation': { action: 'analysis', type: 'briefing' },
+        'say again': { action: 'repeat' },
+        'répète': { action: 'repeat' }
+    };
+    for (const [phrase, intent] of Object.entries(cases)) {
+        assert.deepStrictEqual(l.parseIntent(phrase), intent, phrase);
+    }
+    assert.strictEqual(l.parseIntent('hello there'), null);
+    assert.strictEqual(l.parseIntent(''), null);
+});
+
+test('a bare yes or no only answers a pending mode proposal', () => {
+    assert.deepStrictEqual(listener({ modeInference: { pending: {} } }).parseIntent('oui'),
+        { action: 'mode_answer', accept: true });
+    assert.deepStrictEqual(listener({ modeInference: { pending: {} } }).parseIntent('no thanks'),
+        { action: 'mode_answer', accept: false });
+    assert.strictEqual(listener({ modeInference: { pending: null } }).parseIntent('yes'), null);
+});
+
+test('do-not-disturb with a spoken duration', () => {
+    const l = listener();
+    const cases = {
+        'do not disturb for half an hour': { action: 'dnd', mode: 'safety', durationMinutes: 30 },
+        'ne pas déranger pendant une demi-heure': { action: 'dnd', mode: 'safety', durationMinutes: 30 },
+        'silence total pendant deux heures': { action: 'dnd', mode: 'all', durationMinutes: 120 },
+        'quiet for 45 min': { action: 'dnd', mode: 'safety', durationMinutes: 45 },
+        'unmute': { action: 'dnd', mode: 'off' },
+        'fin du silence': { action: 'dnd', mode: 'off' }
+    };
+    for (const [phrase, intent] of Object.entries(cases)) {
+        assert.deepStrictEqual(l.parseIntent(phrase), intent, phrase);
+    }
+    assert.deepStrictEqual(l.parseIntent('mute'), { action: 'dnd', mode: 'safety', durationMinutes: undefined });
+});
+
+test('_parseDuration reads digits and number words', () => {
+    const l = listener();
+    assert.strictEqual(l._parseDuration('for half an hour'), 30);
+    assert.strictEqual(l._parseDuration('pendant une demi heure'), 30);
+    assert.strictEqual(l._parseDuration('for twenty five minutes'), 25);
+    assert.strictEqual(l._parseDuration('pendant vingt et une minutes'), 21);
+    assert.strictEqual(l._parseDuration('for an hour'), 60);
+    assert.strictEqual(l._parseDuration('pendant 2 h'), 120);
+    assert.strictEqual(l._parseDuration('for 90 hours'), 1440);
+    assert.strictEqual(l._parseDuration('for a while'), undefined);
+});
+
+test('_parseDuration ignores words that are object prototype keys', () => {
+    const l = listener();
+    assert.strictEqual(l._parseDuration('mute for constructor minutes'), undefined);
+    assert.strictEqual(l._parseDuration('mute for tostring hours'), undefined);
+    assert.strictEqual(l._parseDuration('for ten hasownproperty minutes'), undefined);
+});